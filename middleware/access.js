@@ -0,0 +1,77 @@
+const { hasAccess, getMembership, loadContractAccess } = require('../services/organizations');
+
+/**
+ * Middleware requiring access to the contract in `req.params.id`.
+ * Contracts the user can't see at all are reported as missing.
+ * Attaches `req.contract` ({id, user_id, organization_id, access}).
+ * Use after authenticateToken.
+ * @param {string} level - 'view', 'edit' or 'manage'
+ */
+function requireContractAccess(level) {
+  return async (req, res, next) => {
+    try {
+      const contract = await loadContractAccess(req.params.id, req.user);
+
+      if (!contract) {
+        return res.status(404).json({
+          error: 'Contract not found'
+        });
+      }
+
+      if (!hasAccess(contract.access, level)) {
+        return res.status(403).json({
+          error: `You need ${level} access to this contract`,
+          code: 'INSUFFICIENT_ACCESS'
+        });
+      }
+
+      req.contract = contract;
+      next();
+    } catch (error) {
+      console.error('Contract access error:', error);
+      return res.status(500).json({
+        error: 'Failed to check contract access'
+      });
+    }
+  };
+}
+
+/**
+ * Middleware requiring an active membership of the organization in
+ * `req.params.orgId`, optionally with one of the given roles.
+ * Attaches `req.membership`. Use after authenticateToken.
+ * @param {...string} roles - Allowed roles; any member when omitted
+ */
+function requireOrganizationRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const membership = await getMembership(req.params.orgId, req.user.id);
+
+      if (!membership) {
+        return res.status(404).json({
+          error: 'Organization not found'
+        });
+      }
+
+      if (roles.length > 0 && !roles.includes(membership.role)) {
+        return res.status(403).json({
+          error: `Only ${roles.join(' or ')} members can do this`,
+          code: 'INSUFFICIENT_ROLE'
+        });
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error('Organization access error:', error);
+      return res.status(500).json({
+        error: 'Failed to check organization membership'
+      });
+    }
+  };
+}
+
+module.exports = {
+  requireContractAccess,
+  requireOrganizationRole
+};
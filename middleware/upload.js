@@ -0,0 +1,30 @@
+const multer = require('multer');
+
+// Keep uploads in memory - the queue moves them to Supabase Storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB, matches validateFile
+});
+
+/**
+ * Middleware that runs multer for a single file field and turns its errors into JSON responses
+ * @param {string} fieldName - Multipart field holding the file
+ * @returns {Function}
+ */
+function handleUpload(fieldName) {
+  return (req, res, next) => {
+    upload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? 'File too large. Maximum size is 10MB.'
+          : err.message;
+        return res.status(400).json({ error: message });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  handleUpload
+};
@@ -0,0 +1,183 @@
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireContractAccess } = require('../middleware/access');
+const { handleUpload } = require('../middleware/upload');
+const { validateFile } = require('../services/fileProcessor');
+const { enqueueAnalysisJob, removeStoredFile } = require('../services/analysisQueue');
+const { refreshEffectiveTerms } = require('../services/amendments');
+const { syncDeposits } = require('../services/deposits');
+const { syncChecklist } = require('../services/checklist');
+
+// Mounted at /api/contracts/:id/amendments
+const router = express.Router({ mergeParams: true });
+
+// extracted_text and document are large and only sent on detail requests
+const AMENDMENT_COLUMNS = 'id, contract_id, file_name, file_type, file_size, title, effective_date, summary, changes, created_at';
+
+/**
+ * POST /api/contracts/:id/amendments
+ * Upload an amendment or addendum and queue it for analysis against the contract
+ */
+router.post('/', authenticateToken, requireContractAccess('edit'), handleUpload('amendment'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: validation.error
+      });
+    }
+
+    console.log(`📤 Amendment upload from ${req.user.email} for contract ${req.contract.id}: ${file.originalname} (${validation.fileType})`);
+
+    const job = await enqueueAnalysisJob({
+      user: req.user,
+      file,
+      mimeType: validation.mimeType,
+      kind: 'amendment',
+      contractId: req.contract.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Amendment queued for analysis',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/contracts/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('Amendment upload error:', error);
+    res.status(500).json({
+      error: 'Internal server error during amendment upload'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/amendments
+ * List a contract's amendments in the order they take effect
+ */
+router.get('/', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contract_amendments')
+      .select(AMENDMENT_COLUMNS)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .order('effective_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('List amendments error:', error);
+      return res.status(500).json({
+        error: 'Failed to list amendments'
+      });
+    }
+
+    res.json({
+      success: true,
+      amendments: data
+    });
+
+  } catch (error) {
+    console.error('List amendments error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing amendments'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/amendments/:amendmentId
+ * Get a single amendment including its extracted text
+ */
+router.get('/:amendmentId', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contract_amendments')
+      .select('*')
+      .eq('id', req.params.amendmentId)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Get amendment error:', error);
+      return res.status(500).json({
+        error: 'Failed to get amendment'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Amendment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      amendment: data
+    });
+
+  } catch (error) {
+    console.error('Get amendment error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting amendment'
+    });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/amendments/:amendmentId
+ * Remove an amendment; the contract's effective terms are rebuilt without it
+ */
+router.delete('/:amendmentId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contract_amendments')
+      .delete()
+      .eq('id', req.params.amendmentId)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .select('id, file_path')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Delete amendment error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete amendment'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Amendment not found'
+      });
+    }
+
+    if (data.file_path) {
+      await removeStoredFile(data.file_path);
+    }
+
+    const effectiveTerms = await refreshEffectiveTerms(req.params.id);
+    await syncDeposits(req.params.id, req.contract.user_id);
+    await syncChecklist(req.params.id, req.contract.user_id);
+
+    res.json({
+      success: true,
+      message: 'Amendment deleted successfully',
+      effectiveTerms
+    });
+
+  } catch (error) {
+    console.error('Delete amendment error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting amendment'
+    });
+  }
+});
+
+module.exports = router;
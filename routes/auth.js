@@ -1,6 +1,7 @@
 const express = require('express');
 const supabase = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { listMemberships } = require('../services/organizations');
 
 const router = express.Router();
 
@@ -149,7 +150,7 @@ router.post('/signout', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/auth/me
- * Get current user info
+ * Get current user info and the organizations they belong to
  */
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -162,6 +163,12 @@ router.get('/me', authenticateToken, async (req, res) => {
       .eq('id', user.id)
       .single();
 
+    const memberships = await listMemberships(user.id);
+    const { data: organizations } = await supabase
+      .from('organizations')
+      .select('id, name')
+      .in('id', memberships.map(membership => membership.organization_id));
+
     res.json({
       success: true,
       user: {
@@ -170,7 +177,12 @@ router.get('/me', authenticateToken, async (req, res) => {
         fullName: profile?.full_name || user.user_metadata?.full_name,
         company: profile?.company || user.user_metadata?.company,
         avatarUrl: profile?.avatar_url,
-        createdAt: user.created_at
+        createdAt: user.created_at,
+        organizations: (organizations || []).map(organization => ({
+          id: organization.id,
+          name: organization.name,
+          role: memberships.find(membership => membership.organization_id === organization.id).role
+        }))
       }
     });
 
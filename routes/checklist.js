@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireContractAccess } = require('../middleware/access');
+const { handleUpload } = require('../middleware/upload');
+const { storeFile, readStoredFile, removeStoredFile, safeExtension } = require('../services/analysisQueue');
+const { ITEM_KINDS, ITEM_STATUSES, loadChecklist, recordItemEvent, syncChecklist } = require('../services/checklist');
+
+// Mounted at /api/contracts/:id/checklist
+const router = express.Router({ mergeParams: true });
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Request body fields and the checklist columns they set
+const ITEM_FIELDS = {
+  title: 'title',
+  description: 'description',
+  owner: 'owner',
+  dueDate: 'due_date',
+  notes: 'notes'
+};
+
+/**
+ * Turn a request body into checklist columns
+ * @param {Object} body
+ * @param {Object} item - Existing row, when editing
+ * @returns {{updates: Object, error: string|null}}
+ */
+function parseItemFields(body, item = null) {
+  const updates = {};
+
+  for (const [field, column] of Object.entries(ITEM_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+
+    if (field === 'title' && item && item.source === 'analysis') {
+      return { updates, error: 'title of a contract item comes from the contract terms. Edit the contract analysis instead.' };
+    }
+    if (field === 'title' && (typeof value !== 'string' || !value.trim())) {
+      return { updates, error: 'title must be a non-empty string' };
+    }
+    if (field === 'dueDate' && value !== null && !ISO_DATE.test(value)) {
+      return { updates, error: 'dueDate must be a YYYY-MM-DD date or null' };
+    }
+    if (value !== null && typeof value !== 'string') {
+      return { updates, error: `${field} must be a string or null` };
+    }
+
+    updates[column] = value !== null ? value.trim() : null;
+  }
+
+  // Clearing the date of a contract item goes back to the date the terms give it
+  if (updates.due_date === null && item && item.source === 'analysis') {
+    delete updates.due_date;
+    updates.due_date_source = 'analysis';
+  } else if (updates.due_date !== undefined) {
+    updates.due_date_source = 'manual';
+  }
+
+  return { updates, error: null };
+}
+
+/**
+ * Find one of the contract's checklist items after bringing the checklist up to date
+ * @returns {Promise<{checklist: Object|null, item: Object|null}>}
+ */
+async function findItem(req) {
+  const checklist = await syncChecklist(req.params.id, req.contract.user_id);
+  const item = checklist && checklist.items.find(entry => entry.id === req.params.itemId);
+  return { checklist, item: item || null };
+}
+
+/**
+ * Respond with a contract's checklist after a change
+ */
+async function sendChecklist(req, res, status = 200, extra = {}) {
+  const checklist = await syncChecklist(req.params.id, req.contract.user_id);
+
+  res.status(status).json({
+    success: true,
+    ...extra,
+    items: checklist.items.filter(item => !item.removed_at),
+    counts: checklist.counts
+  });
+}
+
+/**
+ * GET /api/contracts/:id/checklist
+ * The contract's contingencies and due-diligence tasks.
+ * Query: kind (contingency|task), status, includeRemoved=true
+ */
+router.get('/', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { kind, status, includeRemoved } = req.query;
+
+    if (kind && !ITEM_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: `kind must be one of: ${ITEM_KINDS.join(', ')}`
+      });
+    }
+    if (status && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    const checklist = await loadChecklist(req.params.id, req.contract.user_id);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const items = checklist.items.filter(item =>
+      (includeRemoved === 'true' || !item.removed_at) &&
+      (!kind || item.kind === kind) &&
+      (!status || item.status === status)
+    );
+
+    res.json({
+      success: true,
+      items,
+      counts: checklist.counts
+    });
+
+  } catch (error) {
+    console.error('Get checklist error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting checklist'
+    });
+  }
+});
+
+/**
+ * POST /api/contracts/:id/checklist
+ * Add a contingency or task the contract analysis doesn't cover
+ */
+router.post('/', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const kind = body.kind || 'task';
+
+    if (!ITEM_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: `kind must be one of: ${ITEM_KINDS.join(', ')}`
+      });
+    }
+
+    const { updates, error: fieldError } = parseItemFields(body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    if (!updates.title) {
+      return res.status(400).json({
+        error: 'title is required'
+      });
+    }
+
+    const checklist = await syncChecklist(req.params.id, req.contract.user_id);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('checklist_items')
+      .insert({
+        contract_id: req.params.id,
+        user_id: req.contract.user_id,
+        kind,
+        source: 'manual',
+        analysis_path: null,
+        signature: null,
+        position: checklist.items.reduce((max, item) => Math.max(max, item.position || 0), 0) + 1,
+        description: null,
+        owner: null,
+        due_date: null,
+        notes: null,
+        ...updates,
+        due_date_source: 'manual',
+        status: 'open',
+        status_changed_at: now,
+        removed_at: null,
+        removed_by: null,
+        created_at: now,
+        updated_at: now
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Create checklist item error:', error);
+      return res.status(500).json({
+        error: 'Failed to create checklist item'
+      });
+    }
+
+    await sendChecklist(req, res, 201, { message: 'Checklist item added', itemId: data.id });
+
+  } catch (error) {
+    console.error('Create checklist item error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating checklist item'
+    });
+  }
+});
+
+/**
+ * PATCH /api/contracts/:id/checklist/:itemId
+ * Assign, date or annotate an item, or record its outcome (waived, satisfied, failed).
+ * Outcomes are recorded on the contract's timeline with the deposits at that moment.
+ */
+router.patch('/:itemId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { status, ...fields } = req.body || {};
+
+    if (status !== undefined && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    const { checklist, item } = await findItem(req);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+    if (!item || item.removed_at) {
+      return res.status(404).json({
+        error: 'Checklist item not found'
+      });
+    }
+
+    const { updates, error: fieldError } = parseItemFields(fields, item);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const now = new Date().toISOString();
+    const statusChanged = status !== undefined && status !== item.status;
+    if (statusChanged) {
+      updates.status = status;
+      updates.status_changed_at = now;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update'
+      });
+    }
+
+    const { error } = await supabase
+      .from('checklist_items')
+      .update({ ...updates, updated_at: now })
+      .eq('id', item.id)
+      .eq('user_id', req.contract.user_id);
+
+    if (error) {
+      console.error('Update checklist item error:', error);
+      return res.status(500).json({
+        error: 'Failed to update checklist item'
+      });
+    }
+
+    if (statusChanged) {
+      console.log(`📋 Checklist item ${item.id} (${item.title}) marked ${status} by ${req.user.email}`);
+      await recordItemEvent(item, 'checklist_status_changed', req.user.email, { from: item.status, to: status });
+    }
+
+    await sendChecklist(req, res, 200, { message: 'Checklist item updated successfully' });
+
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating checklist item'
+    });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/checklist/:itemId
+ * Remove an item from the checklist. The item and its attachments are kept
+ * for the contract's history; the removal is recorded on the timeline.
+ */
+router.delete('/:itemId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { checklist, item } = await findItem(req);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+    if (!item || item.removed_at) {
+      return res.status(404).json({
+        error: 'Checklist item not found'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('checklist_items')
+      .update({ removed_at: now, removed_by: 'user', updated_at: now })
+      .eq('id', item.id)
+      .eq('user_id', req.contract.user_id);
+
+    if (error) {
+      console.error('Remove checklist item error:', error);
+      return res.status(500).json({
+        error: 'Failed to remove checklist item'
+      });
+    }
+
+    console.log(`📋 Checklist item ${item.id} (${item.title}) removed by ${req.user.email}`);
+    await recordItemEvent(item, 'checklist_removed', req.user.email, { status: item.status });
+
+    await sendChecklist(req, res, 200, { message: 'Checklist item removed successfully' });
+
+  } catch (error) {
+    console.error('Remove checklist item error:', error);
+    res.status(500).json({
+      error: 'Internal server error while removing checklist item'
+    });
+  }
+});
+
+/**
+ * POST /api/contracts/:id/checklist/:itemId/attachments
+ * Attach a file (report, waiver, approval letter) to an item
+ */
+router.post('/:itemId/attachments', authenticateToken, requireContractAccess('edit'), handleUpload('attachment'), async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({
+        error: 'No file uploaded'
+      });
+    }
+
+    const { checklist, item } = await findItem(req);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+    if (!item) {
+      return res.status(404).json({
+        error: 'Checklist item not found'
+      });
+    }
+
+    const attachmentId = crypto.randomUUID();
+    const filePath = `${req.contract.user_id}/${req.params.id}/checklist/${item.id}/${attachmentId}${safeExtension(file.originalname)}`;
+    await storeFile(filePath, file.buffer, file.mimetype);
+
+    const { data, error } = await supabase
+      .from('checklist_attachments')
+      .insert({
+        id: attachmentId,
+        item_id: item.id,
+        contract_id: req.params.id,
+        user_id: req.contract.user_id,
+        file_name: file.originalname,
+        file_type: file.mimetype,
+        file_size: file.size,
+        file_path: filePath,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Attach file error:', error);
+      await removeStoredFile(filePath);
+      return res.status(500).json({
+        error: 'Failed to attach file'
+      });
+    }
+
+    console.log(`📎 ${file.originalname} attached to checklist item ${item.id} (${item.title})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'File attached',
+      attachment: data
+    });
+
+  } catch (error) {
+    console.error('Attach file error:', error);
+    res.status(500).json({
+      error: 'Internal server error while attaching file'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/checklist/:itemId/attachments/:attachmentId
+ * Download an attachment
+ */
+router.get('/:itemId/attachments/:attachmentId', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('checklist_attachments')
+      .select('*')
+      .eq('id', req.params.attachmentId)
+      .eq('item_id', req.params.itemId)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Get attachment error:', error);
+      return res.status(500).json({
+        error: 'Failed to get attachment'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Attachment not found'
+      });
+    }
+
+    const content = await readStoredFile(data.file_path);
+
+    res.set('Content-Type', data.file_type || 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${data.file_name.replace(/["\\\r\n]/g, '_')}"`);
+    res.send(content);
+
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting attachment'
+    });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/checklist/:itemId/attachments/:attachmentId
+ * Remove an attachment
+ */
+router.delete('/:itemId/attachments/:attachmentId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('checklist_attachments')
+      .delete()
+      .eq('id', req.params.attachmentId)
+      .eq('item_id', req.params.itemId)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .select('id, file_path')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Delete attachment error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete attachment'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Attachment not found'
+      });
+    }
+
+    await removeStoredFile(data.file_path);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting attachment'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,459 +1,1101 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const crypto = require('crypto');
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireContractAccess } = require('../middleware/access');
+const { handleUpload } = require('../middleware/upload');
+const { validateFile } = require('../services/fileProcessor');
+const { enqueueAnalysisJob, getJob, removeStoredFile } = require('../services/analysisQueue');
+const { breakerStatus } = require('../services/llmRetry');
+const { validateSummary } = require('../schemas/transactionSummary');
+const { markManualEdits, markComputedDates } = require('../services/provenance');
+const { computeDeadlines } = require('../services/deadlines');
+const { buildCalendar } = require('../services/calendarExport');
+const { currentAnalysis, refreshEffectiveTerms } = require('../services/amendments');
+const { diffSummaries, diffClauses } = require('../services/contractDiff');
+const { OPEN_STATUSES, applyLedger, describeDeposit, loadLedger, syncDeposits } = require('../services/deposits');
+const { loadChecklist, syncChecklist } = require('../services/checklist');
+const { EVENT_TYPES, listEvents } = require('../services/contractEvents');
+const { buildSummaryReport } = require('../services/summaryReport');
+const { buildSummaryMemo } = require('../services/summaryMemo');
+const { buildExportTable, toCsv, toXlsx } = require('../services/contractExport');
+const { parseSearchQuery, searchContracts } = require('../services/contractSearch');
+const { buildPipeline } = require('../services/pipeline');
+const {
+  CONTRACT_CREATOR_ROLES,
+  getMembership,
+  loadContractAccess,
+  contractScopeFilter,
+  memberDirectory
+} = require('../services/organizations');
+const { mergeDeep } = require('../utils/objectPath');
+const amendmentRoutes = require('./amendments');
+const depositRoutes = require('./deposits');
+const checklistRoutes = require('./checklist');
+const shareRoutes = require('./shares');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const router = express.Router();
+
+const CONTRACT_STATUSES = ['open', 'closed', 'cancelled'];
+
+// Largest portfolio export in one request
+const MAX_EXPORT_CONTRACTS = 1000;
 
-// Simplified, more focused prompt that's proven to work better with Claude
-const CONTRACT_ANALYSIS_PROMPT = `You are a real estate contract analysis expert. Analyze this contract and extract key information.
-
-CRITICAL INSTRUCTIONS:
-1. Return ONLY valid JSON - no explanations, no preamble, no text before or after
-2. Use "TBD" for missing information
-3. Use null for truly empty fields
-4. All property names must be in double quotes
-5. No trailing commas
-
-Extract this exact JSON structure:
-
-{
-  "property": {
-    "address": "exact address from contract",
-    "purchasePrice": 0,
-    "pricingStructure": "lump sum",
-    "propertyType": "residential"
-  },
-  "parties": {
-    "buyer": {
-      "name": "buyer legal name",
-      "type": "Individual"
-    },
-    "seller": {
-      "name": "seller legal name", 
-      "type": "Individual"
-    }
-  },
-  "escrow": {
-    "openingDate": "YYYY-MM-DD or TBD"
-  },
-  "deposits": {
-    "firstDeposit": {
-      "amount": 0,
-      "timing": "contract language",
-      "refundable": true
-    },
-    "totalDeposits": 0
-  },
-  "dueDiligence": {
-    "period": "exact contract language",
-    "tasks": []
-  },
-  "contingencies": [],
-  "closingInfo": {
-    "outsideDate": "YYYY-MM-DD or TBD"
-  },
-  "financing": {
-    "cashDeal": true,
-    "loanAmount": 0
+// Columns returned by list endpoints - extracted_text is large and only sent on detail requests
+const SUMMARY_COLUMNS = 'id, user_id, organization_id, file_name, file_type, file_size, status, analysis, created_at, updated_at';
+
+/**
+ * Check that a user may add contracts to an organization
+ * @returns {Promise<{status: number, error: string}|null>} - null when they may
+ */
+async function organizationError(organizationId, userId) {
+  const membership = await getMembership(organizationId, userId);
+
+  if (!membership) {
+    return { status: 404, error: 'Organization not found' };
+  }
+  if (!CONTRACT_CREATOR_ROLES.includes(membership.role)) {
+    return { status: 403, error: `Only ${CONTRACT_CREATOR_ROLES.join(', ')} members can add contracts to an organization` };
   }
+  return null;
 }
 
-CONTRACT TEXT:
-`;
+/**
+ * POST /api/contracts/upload
+ * Upload a contract and queue it for background analysis.
+ * Form field organizationId adds the contract to one of the user's organizations.
+ * A document whose text was analyzed before reuses that analysis; force=true
+ * (query or form field) analyzes it again.
+ */
+router.post('/upload', authenticateToken, handleUpload('contract'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: validation.error
+      });
+    }
+
+    const organizationId = (req.body && req.body.organizationId) || null;
+    if (organizationId) {
+      const denied = await organizationError(organizationId, req.user.id);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+    }
+
+    const force = req.query.force === 'true' || (req.body && req.body.force) === 'true';
+
+    console.log(`📤 Contract upload from ${req.user.email}: ${file.originalname} (${validation.fileType})${force ? ', forced re-analysis' : ''}`);
+
+    const job = await enqueueAnalysisJob({ user: req.user, file, mimeType: validation.mimeType, organizationId, force });
+
+    res.status(202).json({
+      success: true,
+      message: 'Contract queued for analysis',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/contracts/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('Contract upload error:', error);
+    res.status(500).json({
+      error: 'Internal server error during contract upload'
+    });
+  }
+});
 
 /**
- * Enhanced JSON extraction and cleaning
+ * GET /api/contracts/jobs/:id
+ * Poll the progress of an analysis job
  */
-function extractAndCleanJSON(responseText) {
-  console.log('🔍 Analyzing Claude response...');
-  console.log('Response length:', responseText.length);
-  console.log('First 200 chars:', responseText.substring(0, 200));
-  
-  // Remove common preambles that Claude adds
-  let cleaned = responseText
-    .replace(/^.*?(?=\{)/s, '') // Remove everything before first {
-    .replace(/\}[^}]*$/s, '}') // Remove everything after last }
-    .trim();
-  
-  // If no JSON structure found, try looking for partial matches
-  if (!cleaned.startsWith('{')) {
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      cleaned = jsonMatch[0];
-    } else {
-      console.error('❌ No JSON structure found in response');
-      return null;
+router.get('/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
     }
+
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        kind: job.kind || 'contract',
+        status: job.status,
+        fileName: job.file_name,
+        attempts: job.attempts,
+        error: job.error,
+        // Results came from pattern matching alone, not a model analysis
+        degraded: Boolean(job.degraded),
+        // Waiting for the model API to come back
+        paused: job.status === 'queued' && breakerStatus().open,
+        // For amendment jobs, the contract the amendment belongs to
+        contractId: job.contract_id,
+        // Emails with several attached contracts produce one contract each
+        contractIds: job.contract_ids || [],
+        amendmentIds: job.amendment_ids || [],
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        completedAt: job.completed_at,
+        updatedAt: job.updated_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting job status'
+    });
+  }
+});
+
+/**
+ * Public base URL for links handed to other apps (calendar subscriptions)
+ */
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * Send an iCalendar document
+ */
+function sendCalendar(res, body, fileName) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(body);
+}
+
+const EXPORT_FORMATS = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Send a generated file
+ */
+function sendExport(res, body, contentType, fileName, download) {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${fileName}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(body);
+}
+
+/**
+ * Render an export table in a tabular format
+ */
+async function renderTable(table, format) {
+  return format === 'csv' ? toCsv(table) : toXlsx(table);
+}
+
+/**
+ * Load a contract for a report with its terms in effect and its deposit and
+ * checklist statuses as of today
+ * @returns {Promise<{contract: Object, deposits: Array<Object>, checklist: Array<Object>}|null>}
+ */
+async function loadReportContract(contractId, userId) {
+  const ledger = await loadLedger(contractId, userId);
+  if (!ledger) return null;
+  const checklist = await loadChecklist(contractId, userId);
+
+  const { data, error } = await supabase
+    .from('contracts')
+    .select('id, file_name, status, analysis, effective_terms, created_at')
+    .eq('id', contractId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get contract: ${error.message}`);
   }
-  
-  // Fix common JSON issues
-  cleaned = cleaned
-    // Remove comments that might appear
-    .replace(/\/\*[\s\S]*?\*\//g, '')
-    .replace(/\/\/.*$/gm, '')
-    // Fix trailing commas
-    .replace(/,(\s*[}\]])/g, '$1')
-    // Fix unquoted property names
-    .replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":')
-    // Fix single quotes to double quotes for strings
-    .replace(/:\s*'([^']*)'/g, ': "$1"')
-    // Remove control characters
-    .replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-    // Normalize whitespace
-    .replace(/\s+/g, ' ')
-    .trim();
-  
-  console.log('Cleaned JSON length:', cleaned.length);
-  console.log('Cleaned JSON preview:', cleaned.substring(0, 300) + '...');
-  
-  return cleaned;
+  if (!data) return null;
+
+  // Deposit statuses as of today, which the stored analysis only has as of the last change
+  const analysis = currentAnalysis(data);
+  applyLedger(analysis, ledger.deposits);
+
+  return {
+    contract: { ...data, analysis },
+    deposits: ledger.deposits,
+    checklist: checklist ? checklist.items : []
+  };
 }
 
 /**
- * Validate and parse JSON with multiple attempts
+ * POST /api/contracts/calendar/feed
+ * Create (or rotate) the user's subscribable deadline feed URL
  */
-function parseJSONWithFallbacks(jsonString) {
-  const attempts = [
-    // First attempt: parse as-is
-    () => JSON.parse(jsonString),
-    
-    // Second attempt: more aggressive cleaning
-    () => {
-      const aggressive = jsonString
-        .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-        .replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":') // Quote property names
-        .replace(/:\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*([,}])/g, ': "$1"$2') // Quote unquoted string values
-        .replace(/\\(?!["\\/bfnrt]|u[0-9a-fA-F]{4})/g, ''); // Remove invalid escapes
-      return JSON.parse(aggressive);
-    },
-    
-    // Third attempt: try to fix bracket issues
-    () => {
-      let fixed = jsonString;
-      let openBraces = 0;
-      let lastValidIndex = 0;
-      
-      for (let i = 0; i < fixed.length; i++) {
-        if (fixed[i] === '{') openBraces++;
-        if (fixed[i] === '}') {
-          openBraces--;
-          if (openBraces === 0) {
-            lastValidIndex = i;
-            break;
+router.post('/calendar/feed', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    // One feed per user - rotating replaces the token and breaks old subscriptions
+    const { error } = await supabase
+      .from('calendar_feeds')
+      .upsert({
+        user_id: req.user.id,
+        // Contracts shared with the user are matched on their email
+        email: req.user.email,
+        token,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('Calendar feed error:', error);
+      return res.status(500).json({
+        error: 'Failed to create calendar feed'
+      });
+    }
+
+    const url = `${publicBaseUrl(req)}/api/contracts/calendar/feed/${token}.ics`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating calendar feed'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/calendar/feed/:token.ics
+ * Subscribable feed of deadlines for all of the open transactions a user can see.
+ * Calendar apps can't send auth headers, so the secret token in the URL is the credential.
+ */
+router.get('/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    const { data: feed, error: feedError } = await supabase
+      .from('calendar_feeds')
+      .select('user_id, email')
+      .eq('token', req.params.token)
+      .maybeSingle();
+
+    if (feedError) {
+      console.error('Calendar feed error:', feedError);
+      return res.status(500).json({
+        error: 'Failed to load calendar feed'
+      });
+    }
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Calendar feed not found'
+      });
+    }
+
+    const { data: contracts, error } = await supabase
+      .from('contracts')
+      .select('id, file_name, analysis, effective_terms, updated_at')
+      .or(await contractScopeFilter({ id: feed.user_id, email: feed.email }))
+      .eq('status', 'open');
+
+    if (error) {
+      console.error('Calendar feed error:', error);
+      return res.status(500).json({
+        error: 'Failed to load calendar feed'
+      });
+    }
+
+    // Deadlines come from the terms in effect, amendments included
+    const current = contracts.map(contract => ({ ...contract, analysis: currentAnalysis(contract) }));
+    sendCalendar(res, buildCalendar(current), 'transaction-deadlines.ics');
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      error: 'Internal server error while building calendar feed'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/deposits/reminders
+ * Unpaid deposits across the open contracts the user can see that are overdue or due within `days` (default 14)
+ */
+router.get('/deposits/reminders', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 0), 365);
+    const horizon = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+    const { data: contracts, error } = await supabase
+      .from('contracts')
+      .select('id, file_name, status, analysis, effective_terms')
+      .or(await contractScopeFilter(req.user))
+      .eq('status', 'open');
+
+    if (error) {
+      console.error('Deposit reminders error:', error);
+      return res.status(500).json({
+        error: 'Failed to load deposit reminders'
+      });
+    }
+
+    const { data: deposits, error: depositsError } = await supabase
+      .from('deposits')
+      .select('*')
+      .in('contract_id', contracts.map(contract => contract.id))
+      .in('status', OPEN_STATUSES)
+      .lte('due_date', horizon)
+      .order('due_date', { ascending: true });
+
+    const { data: payments, error: paymentsError } = depositsError ? { data: null } : await supabase
+      .from('deposit_payments')
+      .select('*')
+      .in('deposit_id', deposits.map(deposit => deposit.id));
+
+    if (depositsError || paymentsError) {
+      console.error('Deposit reminders error:', depositsError || paymentsError);
+      return res.status(500).json({
+        error: 'Failed to load deposit reminders'
+      });
+    }
+
+    const reminders = deposits
+      .map(deposit => ({ deposit, contract: contracts.find(contract => contract.id === deposit.contract_id) }))
+      .filter(({ contract }) => contract)
+      .map(({ deposit, contract }) => {
+        const { payments: depositPayments, ...described } = describeDeposit(deposit, payments);
+        const address = currentAnalysis(contract)?.property?.address;
+        return {
+          ...described,
+          contract: {
+            id: contract.id,
+            fileName: contract.file_name,
+            address: address && address !== 'Not found' ? address : null
           }
-        }
-      }
-      
-      if (lastValidIndex > 0) {
-        fixed = fixed.substring(0, lastValidIndex + 1);
-      }
-      
-      return JSON.parse(fixed);
-    }
-  ];
-  
-  for (let i = 0; i < attempts.length; i++) {
-    try {
-      console.log(`🔄 JSON parsing attempt ${i + 1}...`);
-      const result = attempts[i]();
-      console.log('✅ JSON parsing successful on attempt', i + 1);
-      return result;
-    } catch (error) {
-      console.log(`❌ Parsing attempt ${i + 1} failed:`, error.message);
-      if (i === attempts.length - 1) {
-        console.error('💥 All JSON parsing attempts failed');
-        throw new Error(`All JSON parsing attempts failed. Last error: ${error.message}`);
-      }
+        };
+      });
+
+    res.json({
+      success: true,
+      days,
+      reminders,
+      overdue: reminders.filter(reminder => reminder.overdue).length
+    });
+
+  } catch (error) {
+    console.error('Deposit reminders error:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading deposit reminders'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/export
+ * Export the contracts the user can see to one sheet, a row per contract and a column per summary field.
+ * Query: format (csv|xlsx, default csv), status, ids (comma-separated contract ids)
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be one of: csv, xlsx'
+      });
+    }
+
+    if (req.query.status && !CONTRACT_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${CONTRACT_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from('contracts')
+      .select('id, file_name, status, analysis, effective_terms, created_at')
+      .or(await contractScopeFilter(req.user))
+      .order('created_at', { ascending: false })
+      .limit(MAX_EXPORT_CONTRACTS);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
     }
+
+    if (req.query.ids) {
+      query = query.in('id', String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Export contracts error:', error);
+      return res.status(500).json({
+        error: 'Failed to export contracts'
+      });
+    }
+
+    const contracts = data.map(contract => ({ ...contract, analysis: currentAnalysis(contract) }));
+    const body = await renderTable(buildExportTable(contracts), format);
+
+    console.log(`📤 ${format.toUpperCase()} export of ${contracts.length} contract(s) for ${req.user.email}`);
+
+    sendExport(res, body, EXPORT_FORMATS[format], `transaction-summaries.${format}`, true);
+
+  } catch (error) {
+    console.error('Export contracts error:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting contracts'
+    });
   }
-}
+});
 
 /**
- * Create a more robust fallback structure
+ * GET /api/contracts/search
+ * Search the contracts the user can see.
+ * Query: q (full text of the contract), status, propertyType, buyer, seller, escrowCompany,
+ * minPrice, maxPrice, closingFrom, closingTo (outside date window, YYYY-MM-DD),
+ * sort (created|updated|price|closing|address), order (asc|desc), limit, cursor (nextCursor of the previous page)
  */
-function createRobustFallback(contractText) {
-  console.log('🛠️ Creating robust fallback structure...');
-  
-  // Enhanced text extraction patterns
-  const patterns = {
-    price: [
-      /purchase\s+price[:\s]+\$?([\d,]+\.?\d*)/i,
-      /total\s+price[:\s]+\$?([\d,]+\.?\d*)/i,
-      /amount[:\s]+\$?([\d,]+\.?\d*)/i,
-      /\$\s*([\d,]+\.?\d*)/,
-    ],
-    address: [
-      /property[:\s]+([^\n]{10,100})/i,
-      /address[:\s]+([^\n]{10,100})/i,
-      /located\s+at[:\s]+([^\n]{10,100})/i,
-      /premises[:\s]+([^\n]{10,100})/i,
-    ],
-    buyer: [
-      /purchaser[:\s]+([^\n,]{5,50})/i,
-      /buyer[:\s]+([^\n,]{5,50})/i,
-      /vendee[:\s]+([^\n,]{5,50})/i,
-    ],
-    seller: [
-      /vendor[:\s]+([^\n,]{5,50})/i,
-      /seller[:\s]+([^\n,]{5,50})/i,
-      /grantor[:\s]+([^\n,]{5,50})/i,
-    ]
-  };
-  
-  let extractedData = {
-    purchasePrice: 0,
-    address: 'Not found',
-    buyer: 'Not found',
-    seller: 'Not found'
-  };
-  
-  // Try to extract each piece of information
-  Object.keys(patterns).forEach(key => {
-    for (const pattern of patterns[key]) {
-      const match = contractText.match(pattern);
-      if (match && match[1]) {
-        if (key === 'price') {
-          extractedData.purchasePrice = parseInt(match[1].replace(/[,$]/g, '')) || 0;
-        } else {
-          extractedData[key] = match[1].trim();
-        }
-        break;
-      }
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    if (req.query.status && !CONTRACT_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${CONTRACT_STATUSES.join(', ')}`
+      });
     }
-  });
-  
-  return {
-    property: {
-      address: extractedData.address,
-      apn: null,
-      size: null,
-      purchasePrice: extractedData.purchasePrice,
-      pricingStructure: 'TBD',
-      pricePerUnit: 0,
-      unitType: 'TBD',
-      propertyType: 'TBD'
-    },
-    parties: {
-      buyer: {
-        name: extractedData.buyer,
-        type: 'TBD',
-        signatoryName: null,
-        signatoryTitle: null,
-        noticeAddress: {},
-        contactInfo: {},
-        attorney: {}
-      },
-      seller: {
-        name: extractedData.seller,
-        type: 'TBD',
-        signatoryName: null,
-        signatoryTitle: null,
-        noticeAddress: {},
-        contactInfo: {},
-        attorney: {}
+
+    const { search, error: queryError } = parseSearchQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { contracts, nextCursor } = await searchContracts(req.user, search);
+
+    res.json({
+      success: true,
+      contracts,
+      nextCursor,
+      limit: search.limit
+    });
+
+  } catch (error) {
+    console.error('Search contracts error:', error);
+    res.status(500).json({
+      error: 'Internal server error while searching contracts'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/pipeline
+ * Dashboard aggregates over the open deals the user can see: count and total price, deposits still
+ * refundable versus hard, deadlines in the next 7 and 30 days, deals past their outside date, and the
+ * same totals grouped by closing month, property type and agent (the member who added the deal)
+ */
+router.get('/pipeline', authenticateToken, async (req, res) => {
+  try {
+    const { data: contracts, error } = await supabase
+      .from('contracts')
+      .select('id, user_id, file_name, status, analysis, effective_terms')
+      .or(await contractScopeFilter(req.user))
+      .eq('status', 'open');
+
+    if (error) {
+      console.error('Pipeline error:', error);
+      return res.status(500).json({
+        error: 'Failed to load pipeline'
+      });
+    }
+
+    const { data: deposits, error: depositsError } = await supabase
+      .from('deposits')
+      .select('*')
+      .in('contract_id', contracts.map(contract => contract.id));
+
+    const { data: payments, error: paymentsError } = depositsError ? { data: null } : await supabase
+      .from('deposit_payments')
+      .select('*')
+      .in('deposit_id', deposits.map(deposit => deposit.id));
+
+    if (depositsError || paymentsError) {
+      console.error('Pipeline error:', depositsError || paymentsError);
+      return res.status(500).json({
+        error: 'Failed to load pipeline'
+      });
+    }
+
+    const pipeline = buildPipeline(
+      contracts.map(contract => ({ ...contract, analysis: currentAnalysis(contract) })),
+      deposits,
+      payments,
+      { agentNames: await memberDirectory(req.user) }
+    );
+
+    res.json({
+      success: true,
+      pipeline
+    });
+
+  } catch (error) {
+    console.error('Pipeline error:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading pipeline'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts
+ * List the contracts the current user can see, newest first.
+ * Query: status, organizationId
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.query.status && !CONTRACT_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${CONTRACT_STATUSES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    let query = supabase
+      .from('contracts')
+      .select(SUMMARY_COLUMNS, { count: 'exact' })
+      .or(await contractScopeFilter(req.user))
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    if (req.query.organizationId) {
+      query = query.eq('organization_id', req.query.organizationId);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('List contracts error:', error);
+      return res.status(500).json({
+        error: 'Failed to list contracts'
+      });
+    }
+
+    res.json({
+      success: true,
+      contracts: data,
+      total: count,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('List contracts error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing contracts'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id
+ * Get a single contract including its extracted text
+ */
+router.get('/:id', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Get contract error:', error);
+      return res.status(500).json({
+        error: 'Failed to get contract'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      contract: data,
+      degraded: Boolean(data.analysis && data.analysis._meta && data.analysis._meta.degraded),
+      access: req.contract.access
+    });
+
+  } catch (error) {
+    console.error('Get contract error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting contract'
+    });
+  }
+});
+
+router.use('/:id/amendments', amendmentRoutes);
+router.use('/:id/deposits', depositRoutes);
+router.use('/:id/checklist', checklistRoutes);
+router.use('/:id/shares', shareRoutes);
+
+/**
+ * GET /api/contracts/:id/events
+ * The contract's timeline: contingencies waived or removed, deposits going hard, and so on.
+ * Query: type (one of the event types)
+ */
+router.get('/:id/events', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `type must be one of: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const events = await listEvents(req.contract.id, req.contract.user_id, { type });
+
+    res.json({
+      success: true,
+      events
+    });
+
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting events'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/effective-terms
+ * The contract's terms with all amendments applied, and which amendment set each overridden field
+ */
+router.get('/:id/effective-terms', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('id, analysis, effective_terms')
+      .eq('id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Effective terms error:', error);
+      return res.status(500).json({
+        error: 'Failed to get contract'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const layered = data.effective_terms || {};
+
+    res.json({
+      success: true,
+      effectiveTerms: {
+        analysis: currentAnalysis(data),
+        overrides: layered.overrides || {},
+        amendmentIds: layered.amendmentIds || [],
+        updatedAt: layered.updatedAt || null
       }
-    },
-    titleCompany: {},
-    escrowCompany: {},
-    escrow: {
-      openingDate: 'TBD',
-      companyName: null,
-      officerName: null
-    },
-    deposits: {
-      firstDeposit: {
-        amount: 0,
-        timing: 'TBD',
-        actualDate: 'TBD',
-        refundable: true,
-        refundableUntil: 'TBD',
-        status: 'not_yet_due'
-      },
-      secondDeposit: {
-        amount: 0,
-        timing: 'TBD',
-        actualDate: 'TBD',
-        refundable: false,
-        refundableUntil: 'TBD',
-        status: 'not_yet_due'
-      },
-      totalDeposits: 0
-    },
-    dueDiligence: {
-      period: 'TBD',
-      startDate: 'TBD',
-      endDate: 'TBD',
-      tasks: []
-    },
-    contingencies: [],
-    closingInfo: {
-      outsideDate: 'TBD',
-      actualClosing: 'TBD',
-      extensions: {
-        automatic: false,
-        buyerOptions: 'TBD',
-        sellerOptions: 'TBD'
-      },
-      possession: 'TBD',
-      prorations: 'TBD'
-    },
-    specialConditions: [],
-    financing: {
-      cashDeal: true,
-      loanAmount: 0,
-      loanType: null,
-      loanContingency: {
-        exists: false,
-        deadline: null,
-        terms: 'TBD'
+    });
+
+  } catch (error) {
+    console.error('Effective terms error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting effective terms'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/compare/:otherId
+ * Diff two versions of a deal (drafts, offer and counter-offer): the transaction
+ * summaries field by field and the documents clause by clause. `:id` is the earlier version.
+ */
+router.get('/:id/compare/:otherId', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    // Both versions must be visible to the user - they may belong to different people
+    const other = await loadContractAccess(req.params.otherId, req.user);
+    if (!other) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('id, file_name, analysis, effective_terms, extracted_text, document, created_at')
+      .in('id', [req.params.id, req.params.otherId]);
+
+    if (error) {
+      console.error('Compare contracts error:', error);
+      return res.status(500).json({
+        error: 'Failed to get contracts'
+      });
+    }
+
+    const before = data.find(contract => contract.id === req.params.id);
+    const after = data.find(contract => contract.id === req.params.otherId);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const fields = diffSummaries(currentAnalysis(before), currentAnalysis(after));
+    const clauses = diffClauses(before, after);
+
+    console.log(`🔀 Compared contracts ${before.id} and ${after.id}: ${fields.fields.length} field(s), ${clauses.changes.length} clause(s) differ`);
+
+    res.json({
+      success: true,
+      comparison: {
+        before: { id: before.id, fileName: before.file_name, createdAt: before.created_at },
+        after: { id: after.id, fileName: after.file_name, createdAt: after.created_at },
+        fields,
+        clauses
       }
+    });
+
+  } catch (error) {
+    console.error('Compare contracts error:', error);
+    res.status(500).json({
+      error: 'Internal server error while comparing contracts'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/calendar.ics
+ * Download a contract's deadlines as an iCalendar file
+ */
+router.get('/:id/calendar.ics', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('id, file_name, analysis, effective_terms, updated_at')
+      .eq('id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Contract calendar error:', error);
+      return res.status(500).json({
+        error: 'Failed to get contract'
+      });
     }
-  };
-}
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const contract = { ...data, analysis: currentAnalysis(data) };
+    const address = contract.analysis?.property?.address;
+    const name = address && address !== 'Not found' ? address : data.file_name;
+
+    sendCalendar(res, buildCalendar([contract], { name }), `contract-${data.id}.ics`);
+
+  } catch (error) {
+    console.error('Contract calendar error:', error);
+    res.status(500).json({
+      error: 'Internal server error while building calendar'
+    });
+  }
+});
 
 /**
- * Main contract analysis function with improved error handling
+ * GET /api/contracts/:id/report.pdf
+ * Download a printable PDF of the contract's transaction summary for clients and escrow
  */
-async function analyzeContract(contractText) {
+router.get('/:id/report.pdf', authenticateToken, requireContractAccess('view'), async (req, res) => {
   try {
-    console.log('🤖 Starting improved Claude analysis...');
-    console.log('Contract text length:', contractText.length);
-    
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+    const report = await loadReportContract(req.params.id, req.contract.user_id);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
     }
 
-    if (!contractText || contractText.trim().length < 100) {
-      console.warn('⚠️ Contract text too short, using fallback');
-      return createRobustFallback(contractText);
+    const pdf = await buildSummaryReport(report.contract, report);
+
+    console.log(`🖨️ Summary report for contract ${report.contract.id}: ${pdf.length} bytes`);
+
+    sendExport(res, pdf, EXPORT_FORMATS.pdf, `transaction-summary-${report.contract.id}.pdf`, req.query.download === 'true');
+
+  } catch (error) {
+    console.error('Contract report error:', error);
+    res.status(500).json({
+      error: 'Internal server error while building report'
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/export.:format
+ * Download the contract's summary as a Word memo (docx) or a one-row spreadsheet (csv, xlsx)
+ */
+router.get('/:id/export.:format', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const { format } = req.params;
+
+    if (!['docx', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be one of: docx, csv, xlsx'
+      });
     }
 
-    // Truncate very long contracts to avoid token limits
-    let processedText = contractText;
-    if (contractText.length > 50000) {
-      console.log('📄 Contract text too long, truncating...');
-      processedText = contractText.substring(0, 50000) + '\n\n[CONTRACT TRUNCATED]';
+    const report = await loadReportContract(req.params.id, req.contract.user_id);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
     }
 
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022', // Using your current model
-      max_tokens: 4000, // Reduced to ensure we have room for response
-      temperature: 0, // Zero temperature for consistent output
-      messages: [
-        {
-          role: 'user',
-          content: CONTRACT_ANALYSIS_PROMPT + processedText
-        }
-      ]
+    const { contract } = report;
+    const body = format === 'docx'
+      ? await buildSummaryMemo(contract, { ...report, preparedBy: req.user.email })
+      : await renderTable(buildExportTable([contract]), format);
+
+    console.log(`📤 ${format.toUpperCase()} export of contract ${contract.id} for ${req.user.email}`);
+
+    sendExport(res, body, EXPORT_FORMATS[format], `transaction-summary-${contract.id}.${format}`, true);
+
+  } catch (error) {
+    console.error('Contract export error:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting contract'
     });
+  }
+});
 
-    const responseText = message.content[0].text;
-    console.log('📝 Claude response received, length:', responseText.length);
-    
-    // Extract and clean JSON
-    const cleanedJSON = extractAndCleanJSON(responseText);
-    if (!cleanedJSON) {
-      console.warn('⚠️ Could not extract JSON from Claude response, using fallback');
-      return createRobustFallback(contractText);
+/**
+ * PATCH /api/contracts/:id
+ * Update a contract's status or correct its analysis.
+ * Analysis edits are deep-merged, so `{ escrow: { openingDate } }` changes only that date.
+ * organizationId moves the contract into an organization (or back to personal with null)
+ * and needs manage access.
+ */
+router.patch('/:id', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { analysis, status, organizationId } = req.body;
+    const updates = {};
+
+    if (status !== undefined) {
+      if (!CONTRACT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Must be one of: ${CONTRACT_STATUSES.join(', ')}`
+        });
+      }
+      updates.status = status;
     }
 
-    // Parse JSON with fallbacks
-    let analysisResult;
-    try {
-      analysisResult = parseJSONWithFallbacks(cleanedJSON);
-    } catch (error) {
-      console.error('❌ All JSON parsing failed:', error.message);
-      console.log('Using fallback structure...');
-      return createRobustFallback(contractText);
+    if (organizationId !== undefined) {
+      if (req.contract.access !== 'manage') {
+        return res.status(403).json({
+          error: 'You need manage access to this contract',
+          code: 'INSUFFICIENT_ACCESS'
+        });
+      }
+
+      if (organizationId === null) {
+        if (req.contract.user_id !== req.user.id) {
+          return res.status(403).json({
+            error: 'Only the person who uploaded the contract can make it personal'
+          });
+        }
+      } else {
+        const denied = await organizationError(organizationId, req.user.id);
+        if (denied) {
+          return res.status(denied.status).json({ error: denied.error });
+        }
+      }
+      updates.organization_id = organizationId;
     }
 
-    // Validate the structure
-    if (!analysisResult || typeof analysisResult !== 'object') {
-      console.warn('⚠️ Invalid analysis result structure, using fallback');
-      return createRobustFallback(contractText);
+    if (analysis !== undefined) {
+      if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+        return res.status(400).json({
+          error: 'Analysis must be an object'
+        });
+      }
+
+      // Analysis metadata is system-managed and dropped; other system-maintained fields are refused
+      const { _meta, ...edits } = analysis;
+      const { valid, warnings } = validateSummary(edits, { partial: true, edits: true });
+      if (!valid) {
+        return res.status(400).json({
+          error: 'Analysis does not match the transaction summary schema',
+          code: 'INVALID_ANALYSIS',
+          fields: warnings
+        });
+      }
+      updates.analysis = edits;
     }
 
-    // Ensure required structure exists
-    const enhancedResult = {
-      ...createRobustFallback(contractText), // Start with fallback
-      ...analysisResult // Override with AI results
-    };
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update. Provide analysis, status and/or organizationId.'
+      });
+    }
+
+    // Merge analysis edits into the stored result and recompute any dates that depend on them
+    if (updates.analysis) {
+      const { data: existing, error: fetchError } = await supabase
+        .from('contracts')
+        .select('analysis')
+        .eq('id', req.params.id)
+        .eq('user_id', req.contract.user_id)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error('Update contract error:', fetchError);
+        return res.status(500).json({
+          error: 'Failed to update contract'
+        });
+      }
+
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Contract not found'
+        });
+      }
+
+      // Edited fields are marked as manual in the analysis provenance
+      const merged = markManualEdits(mergeDeep(existing.analysis, updates.analysis), updates.analysis);
+      updates.analysis = markComputedDates(computeDeadlines(merged));
+    }
+
+    updates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('contracts')
+      .update(updates)
+      .eq('id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .select(SUMMARY_COLUMNS)
+      .maybeSingle();
 
-    // Merge nested objects properly
-    if (analysisResult.property) {
-      enhancedResult.property = { ...enhancedResult.property, ...analysisResult.property };
+    if (error) {
+      console.error('Update contract error:', error);
+      return res.status(500).json({
+        error: 'Failed to update contract'
+      });
     }
-    if (analysisResult.parties) {
-      enhancedResult.parties = { ...enhancedResult.parties, ...analysisResult.parties };
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
     }
-    if (analysisResult.deposits) {
-      enhancedResult.deposits = { ...enhancedResult.deposits, ...analysisResult.deposits };
+
+    // Amendments are layered over the edited analysis again, and the deposit ledger and checklist follow
+    if (updates.analysis) {
+      await refreshEffectiveTerms(req.params.id);
+      await syncDeposits(req.params.id, req.contract.user_id);
+      await syncChecklist(req.params.id, req.contract.user_id);
     }
 
-    console.log('✅ Contract analysis completed successfully');
-    console.log('Extracted data summary:', {
-      hasAddress: !!enhancedResult.property?.address && enhancedResult.property.address !== 'Not found',
-      hasPrice: !!enhancedResult.property?.purchasePrice && enhancedResult.property.purchasePrice > 0,
-      hasBuyer: !!enhancedResult.parties?.buyer?.name && enhancedResult.parties.buyer.name !== 'Not found',
-      hasSeller: !!enhancedResult.parties?.seller?.name && enhancedResult.parties.seller.name !== 'Not found',
-      hasEscrowDate: !!enhancedResult.escrow?.openingDate && enhancedResult.escrow.openingDate !== 'TBD'
+    res.json({
+      success: true,
+      message: 'Contract updated successfully',
+      contract: data
     });
 
-    return enhancedResult;
-
   } catch (error) {
-    console.error('❌ Contract analysis error:', error);
-    
-    // If it's an API error, provide more specific feedback
-    if (error.message.includes('rate limit') || error.message.includes('quota')) {
-      console.log('Rate limit hit, will retry later');
-      throw new Error('API rate limit exceeded. Please try again in a few minutes.');
-    } else if (error.message.includes('invalid') || error.message.includes('unauthorized')) {
-      console.log('API key issue detected');
-      throw new Error('API authentication failed. Please check your Anthropic API key.');
-    }
-    
-    // For any other error, return fallback with extracted data
-    console.log('Returning fallback structure due to analysis error');
-    return createRobustFallback(contractText || '');
+    console.error('Update contract error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating contract'
+    });
   }
-}
+});
 
 /**
- * Test function to validate the analysis works
+ * DELETE /api/contracts/:id
+ * Delete a contract
  */
-async function testAnalysis() {
-  const sampleContract = `
-    PURCHASE AGREEMENT
-    
-    Property Address: 123 Main Street, Anytown, CA 90210
-    Purchase Price: $500,000
-    
-    Buyer: John Smith
-    Seller: Jane Doe Properties LLC
-    
-    Opening of Escrow: 2024-01-15
-    
-    First Deposit: $25,000 due within 3 business days of opening escrow
-    
-    Due diligence period: 30 days from opening of escrow
-  `;
-  
+router.delete('/:id', authenticateToken, requireContractAccess('manage'), async (req, res) => {
   try {
-    const result = await analyzeContract(sampleContract);
-    console.log('🧪 Test analysis result:', JSON.stringify(result, null, 2));
-    return result;
+    // Amendment and attachment rows go with the contract, so note their files first
+    const [{ data: amendments, error: amendmentsError }, { data: attachments, error: attachmentsError }] = await Promise.all([
+      supabase.from('contract_amendments').select('file_path').eq('contract_id', req.params.id).eq('user_id', req.contract.user_id),
+      supabase.from('checklist_attachments').select('file_path').eq('contract_id', req.params.id).eq('user_id', req.contract.user_id)
+    ]);
+
+    if (amendmentsError || attachmentsError) {
+      console.error('Delete contract error:', amendmentsError || attachmentsError);
+      return res.status(500).json({
+        error: 'Failed to delete contract'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contracts')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .select('id, file_path')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Delete contract error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete contract'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const storedFiles = [data.file_path, ...[...amendments, ...attachments].map(row => row.file_path)];
+    for (const filePath of new Set(storedFiles.filter(Boolean))) {
+      await removeStoredFile(filePath);
+    }
+
+    res.json({
+      success: true,
+      message: 'Contract deleted successfully'
+    });
+
   } catch (error) {
-    console.error('🚨 Test failed:', error);
-    throw error;
+    console.error('Delete contract error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting contract'
+    });
   }
-}
+});
 
-module.exports = {
-  analyzeContract,
-  testAnalysis,
-  createRobustFallback,
-  extractAndCleanJSON,
-  parseJSONWithFallbacks
-};
\ No newline at end of file
+module.exports = router;
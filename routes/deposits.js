@@ -0,0 +1,427 @@
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireContractAccess } = require('../middleware/access');
+const { EDITABLE_FIELDS, loadLedger, transitionError, syncDeposits } = require('../services/deposits');
+const { recordEvent } = require('../services/contractEvents');
+
+// Mounted at /api/contracts/:id/deposits
+const router = express.Router({ mergeParams: true });
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Request body fields and the ledger columns they set
+const DEPOSIT_FIELDS = {
+  label: { column: 'label', type: 'text' },
+  amount: { column: 'amount', type: 'amount' },
+  timing: { column: 'timing', type: 'text' },
+  dueDate: { column: 'due_date', type: 'date' },
+  refundable: { column: 'refundable', type: 'flag' },
+  refundableUntil: { column: 'refundable_until', type: 'date' },
+  holder: { column: 'holder', type: 'text' },
+  notes: { column: 'notes', type: 'text' }
+};
+
+/**
+ * Turn a request body into ledger columns
+ * @param {Object} body
+ * @param {Array<string>} allowed - Columns the caller may set
+ * @returns {{updates: Object, error: string|null}}
+ */
+function parseDepositFields(body, allowed) {
+  const updates = {};
+
+  for (const [field, { column, type }] of Object.entries(DEPOSIT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+
+    if (!allowed.includes(column)) {
+      return { updates, error: `${field} of a contract deposit comes from the contract terms. Edit the contract analysis instead.` };
+    }
+
+    if (type === 'amount' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return { updates, error: `${field} must be a non-negative number` };
+    }
+    if (type === 'date' && value !== null && !ISO_DATE.test(value)) {
+      return { updates, error: `${field} must be a YYYY-MM-DD date or null` };
+    }
+    if (type === 'flag' && typeof value !== 'boolean') {
+      return { updates, error: `${field} must be true or false` };
+    }
+    if (type === 'text' && value !== null && typeof value !== 'string') {
+      return { updates, error: `${field} must be a string or null` };
+    }
+
+    updates[column] = type === 'text' && value !== null ? value.trim() : value;
+  }
+
+  return { updates, error: null };
+}
+
+/**
+ * Respond with a contract's ledger after a change
+ */
+async function sendLedger(req, res, status = 200, extra = {}) {
+  const ledger = await syncDeposits(req.params.id, req.contract.user_id);
+
+  res.status(status).json({
+    success: true,
+    ...extra,
+    deposits: ledger.deposits,
+    totals: ledger.totals
+  });
+}
+
+/**
+ * GET /api/contracts/:id/deposits
+ * The contract's deposit ledger with payments, statuses and totals
+ */
+router.get('/', authenticateToken, requireContractAccess('view'), async (req, res) => {
+  try {
+    const ledger = await loadLedger(req.params.id, req.contract.user_id);
+
+    if (!ledger) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deposits: ledger.deposits,
+      totals: ledger.totals
+    });
+
+  } catch (error) {
+    console.error('Get deposits error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting deposits'
+    });
+  }
+});
+
+/**
+ * POST /api/contracts/:id/deposits
+ * Add a deposit the contract analysis doesn't cover
+ */
+router.post('/', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { updates, error: fieldError } = parseDepositFields(req.body || {}, EDITABLE_FIELDS.manual);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    if (updates.amount === undefined) {
+      return res.status(400).json({
+        error: 'amount is required'
+      });
+    }
+
+    const ledger = await syncDeposits(req.params.id, req.contract.user_id);
+    if (!ledger) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('deposits')
+      .insert({
+        contract_id: req.params.id,
+        user_id: req.contract.user_id,
+        source: 'manual',
+        analysis_path: null,
+        position: ledger.deposits.reduce((max, deposit) => Math.max(max, deposit.position || 0), 0) + 1,
+        label: 'Deposit',
+        refundable: false,
+        ...updates,
+        status: 'not_yet_due',
+        status_changed_at: now,
+        created_at: now,
+        updated_at: now
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Create deposit error:', error);
+      return res.status(500).json({
+        error: 'Failed to create deposit'
+      });
+    }
+
+    await sendLedger(req, res, 201, { message: 'Deposit added', depositId: data.id });
+
+  } catch (error) {
+    console.error('Create deposit error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating deposit'
+    });
+  }
+});
+
+/**
+ * PATCH /api/contracts/:id/deposits/:depositId
+ * Edit a deposit or record a status change (hard, released, refunded).
+ * Amounts and dates of contract deposits are edited through the contract analysis.
+ */
+router.patch('/:depositId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { status, ...fields } = req.body || {};
+
+    const ledger = await syncDeposits(req.params.id, req.contract.user_id);
+    if (!ledger) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const deposit = ledger.deposits.find(item => item.id === req.params.depositId);
+    if (!deposit) {
+      return res.status(404).json({
+        error: 'Deposit not found'
+      });
+    }
+
+    const { updates, error: fieldError } = parseDepositFields(fields, EDITABLE_FIELDS[deposit.source] || []);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const now = new Date().toISOString();
+    if (status !== undefined && status !== deposit.status) {
+      const reason = transitionError(deposit.status, status);
+      if (reason) {
+        return res.status(400).json({
+          error: reason,
+          code: 'INVALID_STATUS_CHANGE'
+        });
+      }
+      updates.status = status;
+      updates.status_changed_at = now;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update'
+      });
+    }
+
+    const { error } = await supabase
+      .from('deposits')
+      .update({ ...updates, updated_at: now })
+      .eq('id', deposit.id)
+      .eq('user_id', req.contract.user_id);
+
+    if (error) {
+      console.error('Update deposit error:', error);
+      return res.status(500).json({
+        error: 'Failed to update deposit'
+      });
+    }
+
+    if (updates.status) {
+      console.log(`💰 Deposit ${deposit.id} (${deposit.label}) marked ${updates.status} by ${req.user.email}`);
+      await recordEvent({
+        contractId: req.params.id,
+        userId: req.contract.user_id,
+        type: 'deposit_status_changed',
+        actor: req.user.email,
+        depositId: deposit.id,
+        details: { label: deposit.label, amount: deposit.amount, from: deposit.status, to: updates.status }
+      });
+    }
+
+    await sendLedger(req, res, 200, { message: 'Deposit updated successfully' });
+
+  } catch (error) {
+    console.error('Update deposit error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating deposit'
+    });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/deposits/:depositId
+ * Remove a deposit that was added by hand, with its payments
+ */
+router.delete('/:depositId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { data: deposit, error: fetchError } = await supabase
+      .from('deposits')
+      .select('id, source')
+      .eq('id', req.params.depositId)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Delete deposit error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to delete deposit'
+      });
+    }
+
+    if (!deposit) {
+      return res.status(404).json({
+        error: 'Deposit not found'
+      });
+    }
+
+    if (deposit.source === 'analysis') {
+      return res.status(400).json({
+        error: 'This deposit comes from the contract terms. Edit the contract analysis to remove it.'
+      });
+    }
+
+    const { error: paymentsError } = await supabase
+      .from('deposit_payments')
+      .delete()
+      .eq('deposit_id', deposit.id);
+
+    if (paymentsError) {
+      console.error('Delete deposit error:', paymentsError);
+      return res.status(500).json({
+        error: 'Failed to delete deposit'
+      });
+    }
+
+    const { error } = await supabase
+      .from('deposits')
+      .delete()
+      .eq('id', deposit.id);
+
+    if (error) {
+      console.error('Delete deposit error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete deposit'
+      });
+    }
+
+    await sendLedger(req, res, 200, { message: 'Deposit deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete deposit error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting deposit'
+    });
+  }
+});
+
+/**
+ * POST /api/contracts/:id/deposits/:depositId/payments
+ * Record money paid towards a deposit. A deposit paid in full moves to paid (or hard).
+ */
+router.post('/:depositId/payments', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { amount, paidOn, method, reference, notes } = req.body || {};
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        error: 'amount must be a positive number'
+      });
+    }
+
+    if (paidOn !== undefined && !ISO_DATE.test(paidOn || '')) {
+      return res.status(400).json({
+        error: 'paidOn must be a YYYY-MM-DD date'
+      });
+    }
+
+    const ledger = await syncDeposits(req.params.id, req.contract.user_id);
+    if (!ledger) {
+      return res.status(404).json({
+        error: 'Contract not found'
+      });
+    }
+
+    const deposit = ledger.deposits.find(item => item.id === req.params.depositId);
+    if (!deposit) {
+      return res.status(404).json({
+        error: 'Deposit not found'
+      });
+    }
+
+    if (deposit.status === 'released' || deposit.status === 'refunded') {
+      return res.status(400).json({
+        error: `Deposit has already been ${deposit.status}`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('deposit_payments')
+      .insert({
+        deposit_id: deposit.id,
+        contract_id: req.params.id,
+        user_id: req.contract.user_id,
+        amount,
+        paid_on: paidOn || new Date().toISOString().substring(0, 10),
+        method: typeof method === 'string' ? method.trim() : null,
+        reference: typeof reference === 'string' ? reference.trim() : null,
+        notes: typeof notes === 'string' ? notes.trim() : null,
+        created_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Record payment error:', error);
+      return res.status(500).json({
+        error: 'Failed to record payment'
+      });
+    }
+
+    console.log(`💵 Payment of $${amount.toLocaleString('en-US')} recorded on deposit ${deposit.id} (${deposit.label})`);
+
+    await sendLedger(req, res, 201, { message: 'Payment recorded', paymentId: data.id });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      error: 'Internal server error while recording payment'
+    });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/deposits/:depositId/payments/:paymentId
+ * Remove a payment recorded by mistake; the deposit's status is re-derived
+ */
+router.delete('/:depositId/payments/:paymentId', authenticateToken, requireContractAccess('edit'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('deposit_payments')
+      .delete()
+      .eq('id', req.params.paymentId)
+      .eq('deposit_id', req.params.depositId)
+      .eq('contract_id', req.params.id)
+      .eq('user_id', req.contract.user_id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Delete payment error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete payment'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Payment not found'
+      });
+    }
+
+    await sendLedger(req, res, 200, { message: 'Payment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete payment error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting payment'
+    });
+  }
+});
+
+module.exports = router;
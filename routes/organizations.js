@@ -0,0 +1,657 @@
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireOrganizationRole } = require('../middleware/access');
+const {
+  ORGANIZATION_ROLES,
+  MEMBER_MANAGER_ROLES,
+  normalizeEmail,
+  listMemberships,
+  sendInvitation
+} = require('../services/organizations');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MEMBER_COLUMNS = 'id, organization_id, user_id, email, role, status, invited_by, created_at, accepted_at';
+
+/**
+ * Validate an organization name
+ * @returns {{name: string|null, error: string|null}}
+ */
+function parseName(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { name: null, error: 'name is required' };
+  }
+  if (value.trim().length > 200) {
+    return { name: null, error: 'name must be at most 200 characters' };
+  }
+  return { name: value.trim(), error: null };
+}
+
+/**
+ * Whether the acting member may give a role - only owners make owners
+ */
+function roleError(role, membership) {
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    return `Invalid role. Must be one of: ${ORGANIZATION_ROLES.join(', ')}`;
+  }
+  if (role === 'owner' && membership.role !== 'owner') {
+    return 'Only owners can make someone an owner';
+  }
+  return null;
+}
+
+/**
+ * Number of active owners of an organization
+ */
+async function countOwners(organizationId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .eq('role', 'owner')
+    .eq('status', 'active');
+
+  if (error) {
+    throw new Error(`Failed to count owners: ${error.message}`);
+  }
+  return data.length;
+}
+
+/**
+ * Find a member of the organization in the URL
+ */
+async function findMember(req) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select(MEMBER_COLUMNS)
+    .eq('id', req.params.memberId)
+    .eq('organization_id', req.params.orgId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get member: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * POST /api/organizations
+ * Create an organization - the creator becomes its owner
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, error: nameError } = parseName((req.body || {}).name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const now = new Date().toISOString();
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .insert({
+        name,
+        created_by: req.user.id,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Create organization error:', error);
+      return res.status(500).json({
+        error: 'Failed to create organization'
+      });
+    }
+
+    const { error: memberError } = await supabase
+      .from('organization_members')
+      .insert({
+        organization_id: organization.id,
+        user_id: req.user.id,
+        email: normalizeEmail(req.user.email),
+        role: 'owner',
+        status: 'active',
+        invited_by: req.user.id,
+        created_at: now,
+        accepted_at: now
+      });
+
+    if (memberError) {
+      console.error('Create organization error:', memberError);
+      await supabase.from('organizations').delete().eq('id', organization.id);
+      return res.status(500).json({
+        error: 'Failed to create organization'
+      });
+    }
+
+    console.log(`🏢 Organization ${organization.id} (${name}) created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      organization: { ...organization, role: 'owner' }
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating organization'
+    });
+  }
+});
+
+/**
+ * GET /api/organizations
+ * Organizations the current user belongs to, with their role in each
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const memberships = await listMemberships(req.user.id);
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('*')
+      .in('id', memberships.map(membership => membership.organization_id))
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('List organizations error:', error);
+      return res.status(500).json({
+        error: 'Failed to list organizations'
+      });
+    }
+
+    res.json({
+      success: true,
+      organizations: data.map(organization => ({
+        ...organization,
+        role: memberships.find(membership => membership.organization_id === organization.id).role
+      }))
+    });
+
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing organizations'
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/invitations
+ * Pending invitations for the current user's email address
+ */
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const { data: invitations, error } = await supabase
+      .from('organization_members')
+      .select(MEMBER_COLUMNS)
+      .eq('email', normalizeEmail(req.user.email))
+      .eq('status', 'invited')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('List invitations error:', error);
+      return res.status(500).json({
+        error: 'Failed to list invitations'
+      });
+    }
+
+    const { data: organizations, error: organizationsError } = await supabase
+      .from('organizations')
+      .select('id, name')
+      .in('id', invitations.map(invitation => invitation.organization_id));
+
+    if (organizationsError) {
+      console.error('List invitations error:', organizationsError);
+      return res.status(500).json({
+        error: 'Failed to list invitations'
+      });
+    }
+
+    res.json({
+      success: true,
+      invitations: invitations.map(invitation => ({
+        ...invitation,
+        organization: organizations.find(organization => organization.id === invitation.organization_id) || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing invitations'
+    });
+  }
+});
+
+/**
+ * Find a pending invitation addressed to the current user
+ */
+async function findInvitation(req) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select(MEMBER_COLUMNS)
+    .eq('id', req.params.invitationId)
+    .eq('email', normalizeEmail(req.user.email))
+    .eq('status', 'invited')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get invitation: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * POST /api/organizations/invitations/:invitationId/accept
+ * Join the organization an invitation is for
+ */
+router.post('/invitations/:invitationId/accept', authenticateToken, async (req, res) => {
+  try {
+    const invitation = await findInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found'
+      });
+    }
+
+    const { data: member, error } = await supabase
+      .from('organization_members')
+      .update({
+        user_id: req.user.id,
+        status: 'active',
+        accepted_at: new Date().toISOString()
+      })
+      .eq('id', invitation.id)
+      .select(MEMBER_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Accept invitation error:', error);
+      return res.status(500).json({
+        error: 'Failed to accept invitation'
+      });
+    }
+
+    console.log(`🤝 ${req.user.email} joined organization ${invitation.organization_id} as ${invitation.role}`);
+
+    res.json({
+      success: true,
+      member
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: 'Internal server error while accepting invitation'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/invitations/:invitationId
+ * Decline an invitation
+ */
+router.delete('/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const invitation = await findInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found'
+      });
+    }
+
+    const { error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('id', invitation.id);
+
+    if (error) {
+      console.error('Decline invitation error:', error);
+      return res.status(500).json({
+        error: 'Failed to decline invitation'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      error: 'Internal server error while declining invitation'
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId
+ * An organization and its members, invited ones included
+ */
+router.get('/:orgId', authenticateToken, requireOrganizationRole(), async (req, res) => {
+  try {
+    const [{ data: organization, error }, { data: members, error: membersError }] = await Promise.all([
+      supabase.from('organizations').select('*').eq('id', req.params.orgId).single(),
+      supabase.from('organization_members').select(MEMBER_COLUMNS).eq('organization_id', req.params.orgId).order('created_at', { ascending: true })
+    ]);
+
+    if (error || membersError) {
+      console.error('Get organization error:', error || membersError);
+      return res.status(500).json({
+        error: 'Failed to get organization'
+      });
+    }
+
+    res.json({
+      success: true,
+      organization: { ...organization, role: req.membership.role },
+      members
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      error: 'Internal server error while getting organization'
+    });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId
+ * Rename an organization
+ */
+router.patch('/:orgId', authenticateToken, requireOrganizationRole(...MEMBER_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { name, error: nameError } = parseName((req.body || {}).name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .update({ name, updated_at: new Date().toISOString() })
+      .eq('id', req.params.orgId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update organization error:', error);
+      return res.status(500).json({
+        error: 'Failed to update organization'
+      });
+    }
+
+    res.json({
+      success: true,
+      organization: { ...data, role: req.membership.role }
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating organization'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId
+ * Delete an organization. Its contracts become personal contracts of whoever uploaded them.
+ */
+router.delete('/:orgId', authenticateToken, requireOrganizationRole('owner'), async (req, res) => {
+  try {
+    const { error: contractsError } = await supabase
+      .from('contracts')
+      .update({ organization_id: null })
+      .eq('organization_id', req.params.orgId);
+
+    if (contractsError) {
+      console.error('Delete organization error:', contractsError);
+      return res.status(500).json({
+        error: 'Failed to delete organization'
+      });
+    }
+
+    const { error: membersError } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('organization_id', req.params.orgId);
+
+    const { error } = membersError ? { error: membersError } : await supabase
+      .from('organizations')
+      .delete()
+      .eq('id', req.params.orgId);
+
+    if (error) {
+      console.error('Delete organization error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete organization'
+      });
+    }
+
+    console.log(`🗑️ Organization ${req.params.orgId} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting organization'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/members
+ * Invite someone by email. They get a sign-up email if they have no account
+ * yet, and join once they accept the invitation.
+ */
+router.post('/:orgId/members', authenticateToken, requireOrganizationRole(...MEMBER_MANAGER_ROLES), async (req, res) => {
+  try {
+    const email = normalizeEmail((req.body || {}).email);
+    const role = (req.body || {}).role || 'agent';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        error: 'A valid email is required'
+      });
+    }
+
+    const invalidRole = roleError(role, req.membership);
+    if (invalidRole) {
+      return res.status(400).json({ error: invalidRole });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('organization_members')
+      .select('id, status')
+      .eq('organization_id', req.params.orgId)
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error('Invite member error:', existingError);
+      return res.status(500).json({
+        error: 'Failed to invite member'
+      });
+    }
+
+    if (existing) {
+      return res.status(409).json({
+        error: existing.status === 'invited' ? 'This email has already been invited' : 'This person is already a member'
+      });
+    }
+
+    const { data: member, error } = await supabase
+      .from('organization_members')
+      .insert({
+        organization_id: req.params.orgId,
+        user_id: null,
+        email,
+        role,
+        status: 'invited',
+        invited_by: req.user.id,
+        created_at: new Date().toISOString()
+      })
+      .select(MEMBER_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Invite member error:', error);
+      return res.status(500).json({
+        error: 'Failed to invite member'
+      });
+    }
+
+    // The invitation stands even if the email can't be sent - it shows up when they sign in
+    let emailSent = false;
+    try {
+      emailSent = await sendInvitation(email, { invited_to_organization: req.params.orgId });
+    } catch (inviteError) {
+      console.error('Invitation email error:', inviteError.message);
+    }
+
+    console.log(`📨 ${email} invited to organization ${req.params.orgId} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      member,
+      emailSent
+    });
+
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      error: 'Internal server error while inviting member'
+    });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:memberId
+ * Change a member's role
+ */
+router.patch('/:orgId/members/:memberId', authenticateToken, requireOrganizationRole(...MEMBER_MANAGER_ROLES), async (req, res) => {
+  try {
+    const role = (req.body || {}).role;
+    const invalidRole = roleError(role, req.membership);
+    if (invalidRole) {
+      return res.status(400).json({ error: invalidRole });
+    }
+
+    const member = await findMember(req);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Only owners can change an owner\'s role'
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && member.status === 'active' && await countOwners(req.params.orgId) === 1) {
+      return res.status(409).json({
+        error: 'An organization needs at least one owner'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('organization_members')
+      .update({ role })
+      .eq('id', member.id)
+      .select(MEMBER_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Update member error:', error);
+      return res.status(500).json({
+        error: 'Failed to update member'
+      });
+    }
+
+    res.json({
+      success: true,
+      member: data
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating member'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:memberId
+ * Remove a member or withdraw an invitation. Any member may remove themselves.
+ */
+router.delete('/:orgId/members/:memberId', authenticateToken, requireOrganizationRole(), async (req, res) => {
+  try {
+    const member = await findMember(req);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const leaving = member.id === req.membership.id;
+    if (!leaving && !MEMBER_MANAGER_ROLES.includes(req.membership.role)) {
+      return res.status(403).json({
+        error: `Only ${MEMBER_MANAGER_ROLES.join(' or ')} members can do this`,
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    if (member.role === 'owner' && !leaving && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Only owners can remove an owner'
+      });
+    }
+
+    if (member.role === 'owner' && member.status === 'active' && await countOwners(req.params.orgId) === 1) {
+      return res.status(409).json({
+        error: 'An organization needs at least one owner. Make someone else an owner first.'
+      });
+    }
+
+    const { error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('id', member.id);
+
+    if (error) {
+      console.error('Remove member error:', error);
+      return res.status(500).json({
+        error: 'Failed to remove member'
+      });
+    }
+
+    console.log(`👋 ${member.email} removed from organization ${req.params.orgId}`);
+
+    res.json({
+      success: true,
+      message: member.status === 'invited' ? 'Invitation withdrawn' : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      error: 'Internal server error while removing member'
+    });
+  }
+});
+
+module.exports = router;
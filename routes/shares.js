@@ -0,0 +1,267 @@
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireContractAccess } = require('../middleware/access');
+const { SHARE_ACCESS, normalizeEmail, sendInvitation } = require('../services/organizations');
+const { recordEvent } = require('../services/contractEvents');
+
+// Mounted at /api/contracts/:id/shares
+const router = express.Router({ mergeParams: true });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate a share's access level
+ * @returns {string|null} - Error message
+ */
+function accessError(access) {
+  return SHARE_ACCESS.includes(access) ? null : `access must be one of: ${SHARE_ACCESS.join(', ')}`;
+}
+
+/**
+ * Find a share of the contract in the URL
+ */
+async function findShare(req) {
+  const { data, error } = await supabase
+    .from('contract_shares')
+    .select('*')
+    .eq('id', req.params.shareId)
+    .eq('contract_id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get share: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * GET /api/contracts/:id/shares
+ * People the contract is shared with. Only those who manage the contract see
+ * who else it is shared with.
+ */
+router.get('/', authenticateToken, requireContractAccess('manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('contract_shares')
+      .select('*')
+      .eq('contract_id', req.params.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('List shares error:', error);
+      return res.status(500).json({
+        error: 'Failed to list shares'
+      });
+    }
+
+    res.json({
+      success: true,
+      access: req.contract.access,
+      shares: data
+    });
+
+  } catch (error) {
+    console.error('List shares error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing shares'
+    });
+  }
+});
+
+/**
+ * POST /api/contracts/:id/shares
+ * Share the contract with someone by email (outside counsel, a co-broker).
+ * Body: email, access (view|edit, default view)
+ */
+router.post('/', authenticateToken, requireContractAccess('manage'), async (req, res) => {
+  try {
+    const email = normalizeEmail((req.body || {}).email);
+    const access = (req.body || {}).access || 'view';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        error: 'A valid email is required'
+      });
+    }
+
+    const invalidAccess = accessError(access);
+    if (invalidAccess) {
+      return res.status(400).json({ error: invalidAccess });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('contract_shares')
+      .select('id')
+      .eq('contract_id', req.params.id)
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error('Share contract error:', existingError);
+      return res.status(500).json({
+        error: 'Failed to share contract'
+      });
+    }
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'The contract is already shared with this email. Change the existing share instead.'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data: share, error } = await supabase
+      .from('contract_shares')
+      .insert({
+        contract_id: req.params.id,
+        email,
+        access,
+        shared_by: req.user.id,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Share contract error:', error);
+      return res.status(500).json({
+        error: 'Failed to share contract'
+      });
+    }
+
+    let emailSent = false;
+    try {
+      emailSent = await sendInvitation(email, { shared_contract: req.params.id });
+    } catch (inviteError) {
+      console.error('Invitation email error:', inviteError.message);
+    }
+
+    await recordEvent({
+      contractId: req.params.id,
+      userId: req.contract.user_id,
+      type: 'contract_shared',
+      actor: req.user.email,
+      details: { email, access }
+    });
+
+    console.log(`🔗 Contract ${req.params.id} shared with ${email} (${access})`);
+
+    res.status(201).json({
+      success: true,
+      share,
+      emailSent
+    });
+
+  } catch (error) {
+    console.error('Share contract error:', error);
+    res.status(500).json({
+      error: 'Internal server error while sharing contract'
+    });
+  }
+});
+
+/**
+ * PATCH /api/contracts/:id/shares/:shareId
+ * Change what a share allows
+ */
+router.patch('/:shareId', authenticateToken, requireContractAccess('manage'), async (req, res) => {
+  try {
+    const access = (req.body || {}).access;
+    const invalidAccess = accessError(access);
+    if (invalidAccess) {
+      return res.status(400).json({ error: invalidAccess });
+    }
+
+    const share = await findShare(req);
+    if (!share) {
+      return res.status(404).json({
+        error: 'Share not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contract_shares')
+      .update({ access, updated_at: new Date().toISOString() })
+      .eq('id', share.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update share error:', error);
+      return res.status(500).json({
+        error: 'Failed to update share'
+      });
+    }
+
+    if (share.access !== access) {
+      await recordEvent({
+        contractId: req.params.id,
+        userId: req.contract.user_id,
+        type: 'contract_shared',
+        actor: req.user.email,
+        details: { email: share.email, access, from: share.access }
+      });
+    }
+
+    res.json({
+      success: true,
+      share: data
+    });
+
+  } catch (error) {
+    console.error('Update share error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating share'
+    });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/shares/:shareId
+ * Stop sharing the contract with someone
+ */
+router.delete('/:shareId', authenticateToken, requireContractAccess('manage'), async (req, res) => {
+  try {
+    const share = await findShare(req);
+    if (!share) {
+      return res.status(404).json({
+        error: 'Share not found'
+      });
+    }
+
+    const { error } = await supabase
+      .from('contract_shares')
+      .delete()
+      .eq('id', share.id);
+
+    if (error) {
+      console.error('Remove share error:', error);
+      return res.status(500).json({
+        error: 'Failed to remove share'
+      });
+    }
+
+    await recordEvent({
+      contractId: req.params.id,
+      userId: req.contract.user_id,
+      type: 'contract_unshared',
+      actor: req.user.email,
+      details: { email: share.email, access: share.access }
+    });
+
+    res.json({
+      success: true,
+      message: 'Share removed'
+    });
+
+  } catch (error) {
+    console.error('Remove share error:', error);
+    res.status(500).json({
+      error: 'Internal server error while removing share'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,423 @@
+const Ajv = require('ajv');
+const { deletePath } = require('../utils/objectPath');
+
+/**
+ * JSON Schema for the transaction summary returned by analyzeContract.
+ *
+ * This is the single definition of the analysis shape:
+ * - `default` on each field builds the fallback structure
+ * - `x-example` on each field builds the example JSON in the analysis prompt
+ * - `readOnly` fields are maintained by the system and left out of the prompt
+ * - the tool the model fills in is built from it
+ * - every analysis result is validated against it
+ *
+ * Bump SCHEMA_VERSION whenever the shape changes.
+ */
+const SCHEMA_VERSION = '1.2.0';
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// Field builders - keep the schema below readable
+
+const text = (example, defaultValue = 'TBD') => ({
+  type: ['string', 'null'],
+  default: defaultValue,
+  'x-example': example
+});
+
+const amount = (example = 0) => ({
+  type: 'number',
+  minimum: 0,
+  default: 0,
+  'x-example': example
+});
+
+const date = (defaultValue = 'TBD') => ({
+  description: 'a YYYY-MM-DD date, "TBD" or null',
+  anyOf: [
+    { type: 'string', pattern: DATE_PATTERN },
+    { const: 'TBD' },
+    { type: 'null' }
+  ],
+  default: defaultValue,
+  'x-example': 'YYYY-MM-DD or TBD'
+});
+
+const flag = (defaultValue) => ({
+  type: 'boolean',
+  default: defaultValue,
+  'x-example': defaultValue
+});
+
+const list = (example) => ({
+  type: 'array',
+  items: {
+    description: 'a string or an object',
+    anyOf: [{ type: 'string' }, { type: 'object' }]
+  },
+  default: [],
+  'x-example': [example]
+});
+
+// Objects whose fields are all required and no others allowed
+const section = (properties) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+// Free-form contact details - any subset of the listed fields, defaults to {}
+const details = (properties) => ({
+  type: 'object',
+  properties,
+  additionalProperties: { type: ['string', 'null'] },
+  default: {}
+});
+
+const company = () => details({
+  name: text('company name', null),
+  officerName: text('officer or agent name', null),
+  phone: text('phone', null),
+  email: text('email', null),
+  address: text('address', null)
+});
+
+const party = (role) => section({
+  name: text(`${role} legal name`, 'Not found'),
+  type: text('Individual, LLC, Corporation, Trust or Partnership'),
+  signatoryName: text('person signing for the party', null),
+  signatoryTitle: text('signatory title', null),
+  noticeAddress: details({
+    address: text('address for notices', null),
+    attention: text('attention line', null)
+  }),
+  contactInfo: details({
+    phone: text('phone', null),
+    email: text('email', null)
+  }),
+  attorney: details({
+    name: text('attorney name', null),
+    firm: text('law firm', null),
+    phone: text('phone', null),
+    email: text('email', null)
+  })
+});
+
+// Deposit lifecycle, maintained by the deposit ledger
+const DEPOSIT_STATUSES = ['not_yet_due', 'due', 'paid', 'hard', 'released', 'refunded'];
+
+const depositFields = (refundable) => ({
+  amount: amount(),
+  timing: text('contract language for when the deposit is due'),
+  // Computed from timing by the deadline engine
+  dueDate: { ...date(), readOnly: true },
+  // Date the deposit was paid in full, from the ledger
+  actualDate: { ...date(), readOnly: true },
+  refundable: flag(refundable),
+  refundableUntil: date(),
+  status: {
+    type: 'string',
+    enum: DEPOSIT_STATUSES,
+    default: 'not_yet_due',
+    readOnly: true
+  }
+});
+
+const deposit = (refundable) => section(depositFields(refundable));
+
+// Deposits beyond the first two (extension fees, additional deposits). Items may
+// omit the system-maintained fields, so only the amount is required.
+const depositList = () => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      label: text('what the deposit is for, e.g. extension deposit', null),
+      ...depositFields(false)
+    },
+    required: ['amount'],
+    additionalProperties: false
+  },
+  default: [],
+  'x-example': [{ label: 'extension deposit', amount: 0, timing: 'contract language for when the deposit is due', refundable: false }]
+});
+
+const transactionSummarySchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: `https://transaction-summary-tool/schemas/transaction-summary/${SCHEMA_VERSION}`,
+  title: 'Transaction Summary',
+  type: 'object',
+  properties: {
+    property: section({
+      address: text('exact address from contract', 'Not found'),
+      apn: text('assessor parcel number', null),
+      size: { ...text('lot or building size as written', null), type: ['string', 'number', 'null'] },
+      purchasePrice: amount(),
+      pricingStructure: text('lump sum, per unit or per square foot'),
+      pricePerUnit: amount(),
+      unitType: text('unit, lot, acre or square foot'),
+      propertyType: text('residential, commercial, industrial, land or multifamily')
+    }),
+    parties: section({
+      buyer: party('buyer'),
+      seller: party('seller')
+    }),
+    titleCompany: company(),
+    escrowCompany: company(),
+    escrow: section({
+      openingDate: date(),
+      companyName: text('escrow company name', null),
+      officerName: text('escrow officer name', null)
+    }),
+    deposits: section({
+      firstDeposit: deposit(true),
+      secondDeposit: deposit(false),
+      additionalDeposits: depositList(),
+      // Sum of all deposits - kept in step with the ledger
+      totalDeposits: amount()
+    }),
+    dueDiligence: section({
+      period: text('exact contract language'),
+      startDate: date(),
+      endDate: date(),
+      tasks: list('each due diligence task or deliverable')
+    }),
+    contingencies: list('each contingency with its deadline'),
+    closingInfo: section({
+      outsideDate: date(),
+      actualClosing: { ...date(), readOnly: true },
+      extensions: section({
+        automatic: flag(false),
+        buyerOptions: text('buyer extension rights, fees and notice'),
+        sellerOptions: text('seller extension rights')
+      }),
+      possession: text('when possession transfers'),
+      prorations: text('how taxes, rents and expenses are prorated')
+    }),
+    specialConditions: list('each special condition or unusual term'),
+    financing: section({
+      cashDeal: flag(true),
+      loanAmount: amount(),
+      loanType: text('conventional, SBA, seller carry or other', null),
+      loanContingency: section({
+        exists: flag(false),
+        deadline: date(null),
+        terms: text('loan contingency terms')
+      })
+    }),
+    // Analysis metadata (mode, warnings, sources) - not part of the extracted terms
+    _meta: { type: 'object', readOnly: true }
+  },
+  required: [
+    'property',
+    'parties',
+    'titleCompany',
+    'escrowCompany',
+    'escrow',
+    'deposits',
+    'dueDiligence',
+    'contingencies',
+    'closingInfo',
+    'specialConditions',
+    'financing'
+  ],
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+ajv.addKeyword({ keyword: 'x-example', schemaType: ['string', 'number', 'boolean', 'array'] });
+const validate = ajv.compile(transactionSummarySchema);
+
+/**
+ * Build the default transaction summary from the schema's `default` values
+ * @returns {Object}
+ */
+function buildDefaults(schema = transactionSummarySchema) {
+  if (schema.default !== undefined) {
+    return JSON.parse(JSON.stringify(schema.default));
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = {};
+    Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+      if (fieldSchema.readOnly && fieldSchema.default === undefined) return;
+      result[key] = buildDefaults(fieldSchema);
+    });
+    return result;
+  }
+
+  return null;
+}
+
+/**
+ * Build the example JSON shown to the model
+ * @param {Object} [options]
+ * @param {boolean} [options.blank=false] - Use null/[] instead of example values (for partial extraction)
+ * @returns {Object}
+ */
+function buildPromptTemplate({ blank = false } = {}, schema = transactionSummarySchema) {
+  if (schema.type === 'object' && schema.properties) {
+    const result = {};
+    Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+      if (fieldSchema.readOnly) return;
+      result[key] = buildPromptTemplate({ blank }, fieldSchema);
+    });
+    return result;
+  }
+
+  if (blank) {
+    return schema.type === 'array' ? [] : null;
+  }
+
+  return schema['x-example'] !== undefined ? schema['x-example'] : null;
+}
+
+// Keywords that only mean something to this module, not to the model
+const TOOL_SCHEMA_OMIT = ['$schema', '$id', 'title', 'default', 'x-example', 'readOnly'];
+
+/**
+ * Build the input schema of the tool the model records its analysis with.
+ * Plain JSON Schema: system-maintained fields, defaults and examples are left
+ * out, and a field's example becomes its description.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Make every field optional (contract sections, amendment changes)
+ * @returns {Object}
+ */
+function buildToolSchema({ partial = false } = {}, schema = transactionSummarySchema) {
+  const result = {};
+
+  Object.entries(schema).forEach(([key, value]) => {
+    if (TOOL_SCHEMA_OMIT.includes(key)) return;
+
+    if (key === 'properties') {
+      result.properties = {};
+      Object.entries(value).forEach(([name, fieldSchema]) => {
+        if (fieldSchema.readOnly) return;
+        result.properties[name] = buildToolSchema({ partial }, fieldSchema);
+      });
+    } else if (key === 'required') {
+      if (!partial) result.required = value.filter(name => !schema.properties[name].readOnly);
+    } else if (key === 'anyOf') {
+      result.anyOf = value.map(branch => buildToolSchema({ partial }, branch));
+    } else if ((key === 'items' || key === 'additionalProperties') && typeof value === 'object') {
+      result[key] = buildToolSchema({ partial }, value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  if (!result.description && typeof schema['x-example'] === 'string') {
+    result.description = schema['x-example'];
+  }
+
+  return result;
+}
+
+/**
+ * Turn an Ajv instance path into a dotted field path
+ */
+function toFieldPath(instancePath) {
+  return instancePath.split('/').filter(Boolean).join('.');
+}
+
+/**
+ * Convert Ajv errors into field-level warnings, one per field
+ */
+function formatErrors(errors, { partial }) {
+  const byField = new Map();
+
+  errors.forEach(error => {
+    if (partial && error.keyword === 'required') return;
+
+    let field = toFieldPath(error.instancePath);
+    let code = error.keyword;
+    let message = error.message;
+
+    if (error.keyword === 'required') {
+      field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+      code = 'missing';
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+      field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+      code = 'unknown_field';
+      message = 'is not part of the transaction summary schema';
+    } else if (error.keyword === 'anyOf' && error.parentSchema.description) {
+      message = `must be ${error.parentSchema.description}`;
+    }
+
+    // anyOf reports each branch too - keep the summary error for the field
+    const existing = byField.get(field);
+    if (!existing || code === 'anyOf') {
+      byField.set(field, { field, code, message });
+    }
+  });
+
+  return Array.from(byField.values());
+}
+
+/**
+ * Paths of the readOnly fields present in a summary, e.g. `deposits.firstDeposit.status`
+ */
+function readOnlyFields(value, schema = transactionSummarySchema, path = '') {
+  if (value === undefined) return [];
+  if (schema.readOnly) return [path];
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => readOnlyFields(item, schema.items, `${path}.${index}`));
+  }
+  if (!value || typeof value !== 'object' || !schema.properties) return [];
+
+  return Object.keys(value)
+    .filter(key => schema.properties[key])
+    .flatMap(key => readOnlyFields(value[key], schema.properties[key], path ? `${path}.${key}` : key));
+}
+
+/**
+ * Validate a transaction summary against the schema
+ * @param {Object} summary
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields (raw model output, amendment deltas)
+ * @param {boolean} [options.edits=false] - The summary holds user edits, which may not set readOnly fields
+ * @returns {{valid: boolean, warnings: Array<{field: string, code: string, message: string}>}}
+ */
+function validateSummary(summary, { partial = false, edits = false } = {}) {
+  validate(summary);
+  const warnings = formatErrors(validate.errors || [], { partial });
+
+  if (edits) {
+    readOnlyFields(summary)
+      .filter(field => !warnings.some(warning => warning.field === field))
+      .forEach(field => warnings.push({ field, code: 'read_only', message: 'is maintained by the system and cannot be edited' }));
+  }
+
+  return { valid: warnings.length === 0, warnings };
+}
+
+/**
+ * Remove the fields named in validation warnings so they can't override good defaults
+ * @param {Object} summary - Mutated in place
+ * @param {Array<{field: string}>} warnings
+ * @returns {Object} - The same summary
+ */
+function removeInvalidFields(summary, warnings) {
+  // Deepest paths first so array indexes stay valid while splicing
+  warnings
+    .filter(warning => warning.code !== 'missing' && warning.field)
+    .map(warning => warning.field)
+    .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+    .forEach(field => deletePath(summary, field));
+
+  return summary;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DEPOSIT_STATUSES,
+  transactionSummarySchema,
+  buildDefaults,
+  buildPromptTemplate,
+  buildToolSchema,
+  validateSummary,
+  removeInvalidFields
+};
@@ -3,6 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { breakerStatus } = require('./services/llmRetry');
 
 const app = express();
 
@@ -24,7 +25,7 @@ app.use('/api/', limiter);
 app.use(cors({
   origin: true,  // Allow all origins
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
   preflightContinue: false,
   optionsSuccessStatus: 200
@@ -51,12 +52,19 @@ app.get('/health', (req, res) => {
 
 // Detailed status endpoint
 app.get('/status', (req, res) => {
+  const breaker = breakerStatus();
   res.status(200).json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
-    port: process.env.PORT || 3001
+    port: process.env.PORT || 3001,
+    // The analysis queue is paused while the model API is unavailable
+    modelApi: {
+      available: !breaker.open,
+      consecutiveFailures: breaker.consecutiveFailures,
+      retryInMs: breaker.retryInMs
+    }
   });
 });
 
@@ -122,6 +130,7 @@ app.get('/api/debug', (req, res) => {
         hasSupabaseUrl: !!process.env.SUPABASE_URL,
         hasSupabaseKey: !!process.env.SUPABASE_SERVICE_KEY,
         hasAnthropicKey: !!process.env.ANTHROPIC_API_KEY,
+        llmProvider: process.env.LLM_PROVIDER || 'anthropic',
         hasJwtSecret: !!process.env.JWT_SECRET,
         nodeEnv: process.env.NODE_ENV
       }
@@ -131,14 +140,21 @@ app.get('/api/debug', (req, res) => {
   }
 });
 
+// Background analysis worker - loaded with the routes since both need the database
+let analysisQueue = null;
+
 // Import and use route modules
 try {
   const authRoutes = require('./routes/auth');
   const contractRoutes = require('./routes/contracts');
+  const organizationRoutes = require('./routes/organizations');
   
   // Mount API routes
   app.use('/api/auth', authRoutes);
   app.use('/api/contracts', contractRoutes);
+  app.use('/api/organizations', organizationRoutes);
+  
+  analysisQueue = require('./services/analysisQueue');
   
   console.log('✅ Routes loaded successfully');
 } catch (error) {
@@ -164,7 +180,7 @@ app.use('*', (req, res) => {
     error: 'Route not found',
     method: req.method,
     path: req.originalUrl,
-    availableRoutes: ['/', '/health', '/status', '/api/test', '/api/routes', '/api/auth/*', '/api/contracts/*']
+    availableRoutes: ['/', '/health', '/status', '/api/test', '/api/routes', '/api/auth/*', '/api/contracts/*', '/api/organizations/*']
   });
 });
 
@@ -190,23 +206,29 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   
   // Test database connection
   testDatabaseConnection();
+  
+  // Resume any queued analysis jobs
+  if (analysisQueue) {
+    analysisQueue.startWorker().catch(error => {
+      console.error('❌ Failed to start analysis worker:', error.message);
+    });
+  }
 });
 
-// Graceful shutdown handlers
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+// Graceful shutdown - stop taking requests, let the worker finish or requeue its job, then exit
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down gracefully`);
+  server.close();
+  
+  if (analysisQueue) {
+    await analysisQueue.stopWorker();
+  }
+  
+  console.log('Process terminated');
+  process.exit(0);
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
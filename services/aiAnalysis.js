@@ -1,172 +1,197 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const { jsonrepair } = require('jsonrepair');
+const { getProvider, llmConfig } = require('./llmProvider');
+const { withRetry, isUnavailable, errorStatus } = require('./llmRetry');
+const { splitIntoChunks, mergeChunkResults, conflictWarnings } = require('./contractChunker');
+const { regexRecord, attachProvenance, attachChangeProvenance } = require('./provenance');
+const { computeDeadlines } = require('./deadlines');
+const { isMeaningful } = require('../utils/values');
+const {
+  SCHEMA_VERSION,
+  transactionSummarySchema,
+  buildDefaults,
+  buildPromptTemplate,
+  buildToolSchema,
+  validateSummary,
+  removeInvalidFields
+} = require('../schemas/transactionSummary');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Tools the model records its answer with, so it returns typed arguments
+// instead of JSON text. Their input schemas come from the transaction summary schema.
+const CONTRACT_TOOL = {
+  name: 'record_transaction_summary',
+  description: 'Record the key terms extracted from a real estate purchase contract',
+  inputSchema: buildToolSchema()
+};
 
-// Simplified, more focused prompt that's proven to work better with Claude
+const SECTION_TOOL = {
+  name: 'record_section_terms',
+  description: 'Record the terms stated in one section of a long contract',
+  inputSchema: buildToolSchema({ partial: true })
+};
+
+const AMENDMENT_TOOL = {
+  name: 'record_amendment',
+  description: 'Record what an amendment or addendum changes',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      amendment: {
+        type: 'object',
+        properties: {
+          title: { type: ['string', 'null'], description: 'document title, e.g. First Amendment to Purchase Agreement' },
+          effectiveDate: { type: ['string', 'null'], description: 'YYYY-MM-DD, or null if not stated' },
+          summary: { type: ['string', 'null'], description: 'one sentence describing what changed' }
+        },
+        required: ['title', 'effectiveDate', 'summary']
+      },
+      changes: buildToolSchema({ partial: true })
+    },
+    required: ['amendment', 'changes']
+  }
+};
+
+// Version of the prompts and tools below. Bump it whenever they change, so
+// cached analyses made with the old wording are no longer reused.
+const PROMPT_VERSION = '1';
+
+// Simplified, more focused prompt that's proven to work better with Claude.
+// The JSON example is generated from the transaction summary schema.
 const CONTRACT_ANALYSIS_PROMPT = `You are a real estate contract analysis expert. Analyze this contract and extract key information.
 
 CRITICAL INSTRUCTIONS:
-1. Return ONLY valid JSON - no explanations, no preamble, no text before or after
+1. Record your answer with the ${CONTRACT_TOOL.name} tool
 2. Use "TBD" for missing information
 3. Use null for truly empty fields
-4. All property names must be in double quotes
-5. No trailing commas
+4. Amounts are plain numbers (500000, not "$500,000"); dates are YYYY-MM-DD
+
+Extract this exact structure:
 
-Extract this exact JSON structure:
+${JSON.stringify(buildPromptTemplate(), null, 2)}
+
+CONTRACT TEXT:
+`;
+
+// Contracts longer than this are analyzed section by section instead of in one request
+const CHUNK_THRESHOLD = 50000;
+
+/**
+ * Prompt for one section of a long contract. Every field is optional because
+ * the answer may live in a different section.
+ */
+const buildChunkPrompt = (chunkNumber, totalChunks) => `You are a real estate contract analysis expert. You are reading section ${chunkNumber} of ${totalChunks} of a long contract. Extract only information that appears in THIS section.
+
+CRITICAL INSTRUCTIONS:
+1. Record your answer with the ${SECTION_TOOL.name} tool
+2. Use null for anything not stated in this section - do NOT guess from context
+3. Omit arrays or use [] when this section adds nothing to them
+4. Amounts are plain numbers (500000, not "$500,000"); dates are YYYY-MM-DD
+
+Extract this structure:
+
+${JSON.stringify(buildPromptTemplate({ blank: true }), null, 2)}
+
+CONTRACT SECTION ${chunkNumber} OF ${totalChunks}:
+`;
+
+/**
+ * Prompt for an amendment or addendum. The model sees the terms currently in
+ * effect so it can resolve relative changes ("extended by 15 days") and
+ * report only what differs.
+ */
+const buildAmendmentPrompt = (currentTerms) => `You are a real estate contract analysis expert. You are reading an amendment or addendum to a purchase contract. Extract ONLY the terms this document changes or adds.
+
+CRITICAL INSTRUCTIONS:
+1. Record your answer with the ${AMENDMENT_TOOL.name} tool
+2. In "changes", include only fields this document changes or adds, using the same structure as the current terms - omit everything it leaves as is
+3. For lists (contingencies, tasks, special conditions) include only the new items
+4. When a change is relative ("extended by 15 days", "reduced by $10,000"), return the resulting value
+5. Amounts are plain numbers (500000, not "$500,000"); dates are YYYY-MM-DD
+
+CURRENT CONTRACT TERMS:
+
+${JSON.stringify(currentTerms, null, 2)}
+
+Use this structure:
 
 {
-  "property": {
-    "address": "exact address from contract",
-    "purchasePrice": 0,
-    "pricingStructure": "lump sum",
-    "propertyType": "residential"
-  },
-  "parties": {
-    "buyer": {
-      "name": "buyer legal name",
-      "type": "Individual"
-    },
-    "seller": {
-      "name": "seller legal name", 
-      "type": "Individual"
-    }
+  "amendment": {
+    "title": "document title, e.g. First Amendment to Purchase Agreement",
+    "effectiveDate": "YYYY-MM-DD, or null if not stated",
+    "summary": "one sentence describing what changed"
   },
-  "escrow": {
-    "openingDate": "YYYY-MM-DD or TBD"
-  },
-  "deposits": {
-    "firstDeposit": {
-      "amount": 0,
-      "timing": "contract language",
-      "refundable": true
-    },
-    "totalDeposits": 0
-  },
-  "dueDiligence": {
-    "period": "exact contract language",
-    "tasks": []
-  },
-  "contingencies": [],
-  "closingInfo": {
-    "outsideDate": "YYYY-MM-DD or TBD"
-  },
-  "financing": {
-    "cashDeal": true,
-    "loanAmount": 0
-  }
+  "changes": {}
 }
 
-CONTRACT TEXT:
+AMENDMENT TEXT:
 `;
 
 /**
- * Enhanced JSON extraction and cleaning
+ * The first complete {...} in the text, skipping braces inside strings
+ * @returns {string|null} - null when the object is never closed
  */
-function extractAndCleanJSON(responseText) {
-  console.log('🔍 Analyzing Claude response...');
-  console.log('Response length:', responseText.length);
-  console.log('First 200 chars:', responseText.substring(0, 200));
-  
-  // Remove common preambles that Claude adds
-  let cleaned = responseText
-    .replace(/^.*?(?=\{)/s, '') // Remove everything before first {
-    .replace(/\}[^}]*$/s, '}') // Remove everything after last }
-    .trim();
-  
-  // If no JSON structure found, try looking for partial matches
-  if (!cleaned.startsWith('{')) {
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      cleaned = jsonMatch[0];
-    } else {
-      console.error('❌ No JSON structure found in response');
-      return null;
+function firstObject(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return text.slice(start, i + 1);
     }
   }
-  
-  // Fix common JSON issues
-  cleaned = cleaned
-    // Remove comments that might appear
-    .replace(/\/\*[\s\S]*?\*\//g, '')
-    .replace(/\/\/.*$/gm, '')
-    // Fix trailing commas
-    .replace(/,(\s*[}\]])/g, '$1')
-    // Fix unquoted property names
-    .replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":')
-    // Fix single quotes to double quotes for strings
-    .replace(/:\s*'([^']*)'/g, ': "$1"')
-    // Remove control characters
-    .replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-    // Normalize whitespace
-    .replace(/\s+/g, ' ')
-    .trim();
-  
-  console.log('Cleaned JSON length:', cleaned.length);
-  console.log('Cleaned JSON preview:', cleaned.substring(0, 300) + '...');
-  
-  return cleaned;
+
+  return null;
 }
 
 /**
- * Validate and parse JSON with multiple attempts
+ * Parse the JSON object in a text answer - for models that answer in text
+ * instead of calling the tool. Surrounding prose and code fences are dropped,
+ * and anything malformed (single quotes, unquoted keys, trailing commas, a
+ * response cut off mid-object) goes through a tolerant JSON parser rather than
+ * rewriting the text, so string values come through untouched.
+ * @param {string} responseText
+ * @returns {Object|null} - Parsed object, or null if there is none
  */
-function parseJSONWithFallbacks(jsonString) {
-  const attempts = [
-    // First attempt: parse as-is
-    () => JSON.parse(jsonString),
-    
-    // Second attempt: more aggressive cleaning
-    () => {
-      const aggressive = jsonString
-        .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-        .replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":') // Quote property names
-        .replace(/:\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*([,}])/g, ': "$1"$2') // Quote unquoted string values
-        .replace(/\\(?!["\\/bfnrt]|u[0-9a-fA-F]{4})/g, ''); // Remove invalid escapes
-      return JSON.parse(aggressive);
-    },
-    
-    // Third attempt: try to fix bracket issues
-    () => {
-      let fixed = jsonString;
-      let openBraces = 0;
-      let lastValidIndex = 0;
-      
-      for (let i = 0; i < fixed.length; i++) {
-        if (fixed[i] === '{') openBraces++;
-        if (fixed[i] === '}') {
-          openBraces--;
-          if (openBraces === 0) {
-            lastValidIndex = i;
-            break;
-          }
-        }
-      }
-      
-      if (lastValidIndex > 0) {
-        fixed = fixed.substring(0, lastValidIndex + 1);
-      }
-      
-      return JSON.parse(fixed);
+function parseModelJSON(responseText) {
+  const start = (responseText || '').indexOf('{');
+  if (start === -1) {
+    console.error('❌ No JSON structure found in response');
+    return null;
+  }
+
+  // The first complete object, then up to the last closing brace, then to
+  // the end for a response that was cut off
+  const end = responseText.lastIndexOf('}');
+  const candidates = [
+    firstObject(responseText, start),
+    end > start ? responseText.slice(start, end + 1) : null,
+    responseText.slice(start)
+  ].filter((candidate, index, all) => candidate && all.indexOf(candidate) === index);
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Not strict JSON - try to repair it
     }
-  ];
-  
-  for (let i = 0; i < attempts.length; i++) {
+
     try {
-      console.log(`🔄 JSON parsing attempt ${i + 1}...`);
-      const result = attempts[i]();
-      console.log('✅ JSON parsing successful on attempt', i + 1);
+      const result = JSON.parse(jsonrepair(candidate));
+      console.log('🔧 Repaired malformed JSON in model response');
       return result;
     } catch (error) {
-      console.log(`❌ Parsing attempt ${i + 1} failed:`, error.message);
-      if (i === attempts.length - 1) {
-        console.error('💥 All JSON parsing attempts failed');
-        throw new Error(`All JSON parsing attempts failed. Last error: ${error.message}`);
-      }
+      console.log('❌ JSON repair failed:', error.message);
     }
   }
+
+  return null;
 }
 
 /**
@@ -201,196 +226,326 @@ function createRobustFallback(contractText) {
     ]
   };
   
+  // Confidence for each pattern above - labelled values beat a bare dollar amount
+  const patternConfidence = {
+    price: [0.6, 0.5, 0.3, 0.15],
+    address: [0.45, 0.45, 0.4, 0.35],
+    buyer: [0.45, 0.45, 0.35],
+    seller: [0.35, 0.45, 0.35]
+  };
+
+  // Where each extracted value lands in the summary
+  const fieldPaths = {
+    price: 'property.purchasePrice',
+    address: 'property.address',
+    buyer: 'parties.buyer.name',
+    seller: 'parties.seller.name'
+  };
+  
   let extractedData = {
     purchasePrice: 0,
     address: 'Not found',
     buyer: 'Not found',
     seller: 'Not found'
   };
+  const provenance = {};
   
   // Try to extract each piece of information
   Object.keys(patterns).forEach(key => {
-    for (const pattern of patterns[key]) {
-      const match = contractText.match(pattern);
+    patterns[key].some((pattern, index) => {
+      const match = (contractText || '').match(pattern);
       if (match && match[1]) {
         if (key === 'price') {
           extractedData.purchasePrice = parseInt(match[1].replace(/[,$]/g, '')) || 0;
         } else {
           extractedData[key] = match[1].trim();
         }
-        break;
+        provenance[fieldPaths[key]] = regexRecord(contractText, pattern, match, patternConfidence[key][index]);
+        return true;
       }
-    }
+      return false;
+    });
   });
   
-  return {
-    property: {
-      address: extractedData.address,
-      apn: null,
-      size: null,
-      purchasePrice: extractedData.purchasePrice,
-      pricingStructure: 'TBD',
-      pricePerUnit: 0,
-      unitType: 'TBD',
-      propertyType: 'TBD'
-    },
-    parties: {
-      buyer: {
-        name: extractedData.buyer,
-        type: 'TBD',
-        signatoryName: null,
-        signatoryTitle: null,
-        noticeAddress: {},
-        contactInfo: {},
-        attorney: {}
-      },
-      seller: {
-        name: extractedData.seller,
-        type: 'TBD',
-        signatoryName: null,
-        signatoryTitle: null,
-        noticeAddress: {},
-        contactInfo: {},
-        attorney: {}
-      }
-    },
-    titleCompany: {},
-    escrowCompany: {},
-    escrow: {
-      openingDate: 'TBD',
-      companyName: null,
-      officerName: null
-    },
-    deposits: {
-      firstDeposit: {
-        amount: 0,
-        timing: 'TBD',
-        actualDate: 'TBD',
-        refundable: true,
-        refundableUntil: 'TBD',
-        status: 'not_yet_due'
-      },
-      secondDeposit: {
-        amount: 0,
-        timing: 'TBD',
-        actualDate: 'TBD',
-        refundable: false,
-        refundableUntil: 'TBD',
-        status: 'not_yet_due'
-      },
-      totalDeposits: 0
-    },
-    dueDiligence: {
-      period: 'TBD',
-      startDate: 'TBD',
-      endDate: 'TBD',
-      tasks: []
-    },
-    contingencies: [],
-    closingInfo: {
-      outsideDate: 'TBD',
-      actualClosing: 'TBD',
-      extensions: {
-        automatic: false,
-        buyerOptions: 'TBD',
-        sellerOptions: 'TBD'
-      },
-      possession: 'TBD',
-      prorations: 'TBD'
-    },
-    specialConditions: [],
-    financing: {
-      cashDeal: true,
-      loanAmount: 0,
-      loanType: null,
-      loanContingency: {
-        exists: false,
-        deadline: null,
-        terms: 'TBD'
-      }
+  const fallback = buildDefaults();
+  fallback.property.address = extractedData.address;
+  fallback.property.purchasePrice = extractedData.purchasePrice;
+  fallback.parties.buyer.name = extractedData.buyer;
+  fallback.parties.seller.name = extractedData.seller;
+  fallback._meta = { provenance };
+
+  return fallback;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge the model's result onto the fallback by walking the transaction
+ * summary schema, so the result always has the full documented shape:
+ * - objects merge field by field at every depth; fields the schema doesn't
+ *   know are dropped, except extra strings in free-form contact details
+ * - a placeholder ("TBD", "Not found", null, empty, 0) never replaces the
+ *   fallback's value, which is either what the regexes found or the default
+ * - a list from the model replaces the fallback's when it has items
+ * - system-maintained (readOnly) fields and values of the wrong type keep the fallback's
+ * @param {*} base - Fallback value for this field
+ * @param {*} value - Model value, undefined when it said nothing
+ * @param {Object} [schema] - Schema of this field
+ * @returns {*} - Merged value; neither input is mutated
+ */
+function mergeOntoFallback(base, value, schema = transactionSummarySchema) {
+  if (value === undefined || schema.readOnly) return base;
+
+  if (schema.type === 'object' && schema.properties) {
+    if (!isPlainObject(value)) return base;
+
+    const merged = { ...base };
+    Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+      const next = mergeOntoFallback(base ? base[key] : undefined, value[key], fieldSchema);
+      if (next !== undefined) merged[key] = next;
+    });
+
+    if (isPlainObject(schema.additionalProperties)) {
+      Object.keys(value)
+        .filter(key => !(key in schema.properties) && typeof value[key] === 'string' && isMeaningful(value[key]))
+        .forEach(key => { merged[key] = value[key]; });
     }
+    return merged;
+  }
+
+  if (schema.type === 'array') {
+    return Array.isArray(value) && value.length > 0 ? value : base;
+  }
+
+  return isMeaningful(value) ? value : base;
+}
+
+/**
+ * Check raw model output against the schema. Invalid fields are dropped so
+ * they can't override the fallback, and come back as field-level warnings.
+ * @param {Object} result - Parsed model output, mutated in place
+ * @param {number} [chunkIndex] - Section the output came from, for chunked analysis
+ * @returns {Array<Object>} - Warnings for the removed fields
+ */
+function sanitizeModelResult(result, chunkIndex) {
+  const { valid, warnings } = validateSummary(result, { partial: true });
+  if (valid) return [];
+
+  console.warn(`⚠️ Model output failed schema validation on ${warnings.length} field(s)`);
+  removeInvalidFields(result, warnings);
+
+  return warnings.map(warning => ({
+    ...warning,
+    source: 'model',
+    ...(chunkIndex !== undefined && { chunk: chunkIndex })
+  }));
+}
+
+/**
+ * Compute deadline dates, attach field provenance, validate the final summary, and record the schema version and any warnings
+ * @param {Object} summary - Full-shape analysis
+ * @param {Object} context
+ * @param {string} context.contractText - Text the analysis was run on
+ * @param {Object} [context.modelResult] - Sanitized model output, when a single request was made
+ * @param {Array<Object>} [context.modelWarnings] - Warnings from sanitizing model output
+ * @param {Object} [context.document] - Document model of the contract text, for citations
+ * @param {Object} [context.usage] - Provider, model and tokens spent, when the model was asked
+ * @param {string} [context.fallbackReason] - Why the regex fallback stands in for a model analysis; marks the result degraded
+ * @returns {Object} - The same summary with `_meta` filled in
+ */
+function finalizeAnalysis(summary, { contractText, modelResult = null, modelWarnings = [], document = null, usage = null, fallbackReason = null }) {
+  computeDeadlines(summary);
+  attachProvenance(summary, { contractText: contractText || '', modelResult, document });
+  const { warnings } = validateSummary(summary);
+
+  summary._meta = {
+    ...(summary._meta || {}),
+    schemaVersion: SCHEMA_VERSION,
+    degraded: Boolean(fallbackReason),
+    warnings: [
+      ...(fallbackReason ? [{ field: null, code: 'degraded', message: fallbackReason, source: 'model' }] : []),
+      ...modelWarnings,
+      ...warnings.map(warning => ({ ...warning, source: 'result' }))
+    ],
+    ...(usage && { llm: usage })
   };
+
+  if (fallbackReason) {
+    console.warn(`⚠️ Degraded analysis: ${fallbackReason}`);
+  }
+
+  if (warnings.length > 0) {
+    console.warn(`⚠️ Analysis result has ${warnings.length} schema warning(s)`);
+  }
+
+  return summary;
 }
 
 /**
- * Main contract analysis function with improved error handling
+ * Token accounting for one analysis, recorded in `_meta.llm`
  */
-async function analyzeContract(contractText) {
-  try {
-    console.log('🤖 Starting improved Claude analysis...');
-    console.log('Contract text length:', contractText.length);
-    
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
+function createUsage(provider) {
+  return { provider: provider.name, model: provider.model, requests: 0, inputTokens: 0, outputTokens: 0 };
+}
 
-    if (!contractText || contractText.trim().length < 100) {
-      console.warn('⚠️ Contract text too short, using fallback');
-      return createRobustFallback(contractText);
+/**
+ * Whether the analysis has spent its LLM_TOKEN_BUDGET
+ */
+function budgetExhausted(usage) {
+  const { tokenBudget } = llmConfig();
+  return tokenBudget !== null && usage.inputTokens + usage.outputTokens >= tokenBudget;
+}
+
+/**
+ * Send a prompt to the configured model and get back the object it records with the tool
+ * @param {string} prompt
+ * @param {Object} tool - CONTRACT_TOOL, SECTION_TOOL or AMENDMENT_TOOL
+ * @param {Object} usage - From createUsage(); updated with the tokens spent
+ * @returns {Promise<Object|null>} - Tool arguments, or null if no usable object came back
+ */
+async function requestAnalysisJSON(prompt, tool, usage) {
+  const provider = getProvider();
+  const response = await withRetry(() => provider.complete({
+    prompt,
+    tool,
+    maxTokens: provider.maxTokens,
+    temperature: 0 // Zero temperature for consistent output
+  }));
+
+  usage.requests += 1;
+  usage.model = response.model || usage.model;
+  usage.inputTokens += response.usage.inputTokens;
+  usage.outputTokens += response.usage.outputTokens;
+
+  let result = response.toolInput;
+  if (result) {
+    console.log(`📝 ${provider.name} recorded ${tool.name}`);
+  } else {
+    // The model answered in text instead of calling the tool
+    console.log(`📝 ${provider.name} answered in text, length:`, response.text.length);
+    result = parseModelJSON(response.text);
+  }
+
+  if (response.stopReason === 'max_tokens') {
+    console.warn('⚠️ Model response hit the token limit and may be incomplete');
+  }
+
+  // Validate the structure
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    console.warn('⚠️ Invalid analysis result structure');
+    return null;
+  }
+
+  return result;
+}
+
+/**
+ * Rethrow errors a fallback can't stand in for: the model API being
+ * unavailable (the job waits in the queue and runs again) and a rejected API key
+ */
+function throwIfUnrecoverable(error) {
+  if (isUnavailable(error)) {
+    throw error;
+  }
+  if ([401, 403].includes(errorStatus(error))) {
+    throw new Error('API authentication failed. Please check your Anthropic API key.');
+  }
+}
+
+/**
+ * Map-reduce analysis for long contracts: analyze overlapping sections one at
+ * a time, then merge the partial results over the regex fallback
+ */
+async function analyzeInChunks(contractText, document, usage) {
+  const chunks = splitIntoChunks(contractText);
+  console.log(`📄 Contract is ${contractText.length} characters, analyzing in ${chunks.length} sections...`);
+
+  const partials = [];
+  const warnings = [];
+  for (const chunk of chunks) {
+    if (budgetExhausted(usage)) {
+      console.warn(`⚠️ Token budget spent, skipping section ${chunk.index + 1}/${chunks.length}`);
+      if (!warnings.some(warning => warning.code === 'budget_exhausted')) {
+        warnings.push({ field: null, code: 'budget_exhausted', message: `Token budget reached; sections from ${chunk.index + 1} of ${chunks.length} were not analyzed`, source: 'model' });
+      }
+      partials.push({ chunk, result: null });
+      continue;
     }
 
-    // Truncate very long contracts to avoid token limits
-    let processedText = contractText;
-    if (contractText.length > 50000) {
-      console.log('📄 Contract text too long, truncating...');
-      processedText = contractText.substring(0, 50000) + '\n\n[CONTRACT TRUNCATED]';
+    console.log(`🔍 Analyzing section ${chunk.index + 1}/${chunks.length} (chars ${chunk.start}-${chunk.end})`);
+    const result = await requestAnalysisJSON(buildChunkPrompt(chunk.index + 1, chunks.length) + chunk.text, SECTION_TOOL, usage);
+    if (result) {
+      warnings.push(...sanitizeModelResult(result, chunk.index));
     }
+    partials.push({ chunk, result });
+  }
 
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022', // Using your current model
-      max_tokens: 4000, // Reduced to ensure we have room for response
-      temperature: 0, // Zero temperature for consistent output
-      messages: [
-        {
-          role: 'user',
-          content: CONTRACT_ANALYSIS_PROMPT + processedText
-        }
-      ]
+  if (partials.every(({ result }) => !result)) {
+    console.warn('⚠️ No section produced usable JSON, using fallback');
+    return finalizeAnalysis(createRobustFallback(contractText), {
+      contractText,
+      modelWarnings: warnings,
+      document,
+      usage,
+      fallbackReason: 'No section of the contract could be analyzed; only pattern-matched fields are filled in'
     });
+  }
 
-    const responseText = message.content[0].text;
-    console.log('📝 Claude response received, length:', responseText.length);
-    
-    // Extract and clean JSON
-    const cleanedJSON = extractAndCleanJSON(responseText);
-    if (!cleanedJSON) {
-      console.warn('⚠️ Could not extract JSON from Claude response, using fallback');
-      return createRobustFallback(contractText);
-    }
+  const merged = mergeChunkResults(createRobustFallback(contractText), partials);
 
-    // Parse JSON with fallbacks
-    let analysisResult;
-    try {
-      analysisResult = parseJSONWithFallbacks(cleanedJSON);
-    } catch (error) {
-      console.error('❌ All JSON parsing failed:', error.message);
-      console.log('Using fallback structure...');
-      return createRobustFallback(contractText);
-    }
+  console.log('✅ Chunked contract analysis completed');
+  console.log(`Merged ${Object.keys(merged._meta.fieldSources).length} fields from ${chunks.length} sections, ${merged._meta.conflicts.length} conflicts`);
 
-    // Validate the structure
-    if (!analysisResult || typeof analysisResult !== 'object') {
-      console.warn('⚠️ Invalid analysis result structure, using fallback');
-      return createRobustFallback(contractText);
-    }
+  return finalizeAnalysis(merged, {
+    contractText,
+    modelWarnings: [...warnings, ...conflictWarnings(merged._meta.conflicts)],
+    document,
+    usage
+  });
+}
+
+/**
+ * Main contract analysis function with improved error handling
+ * @param {string} contractText
+ * @param {Object} [options]
+ * @param {Object} [options.document] - Document model from extraction; provenance then cites page and section
+ */
+async function analyzeContract(contractText, { document = null } = {}) {
+  try {
+    console.log('🤖 Starting contract analysis...');
+    console.log('Contract text length:', contractText.length);
 
-    // Ensure required structure exists
-    const enhancedResult = {
-      ...createRobustFallback(contractText), // Start with fallback
-      ...analysisResult // Override with AI results
-    };
+    const usage = createUsage(getProvider());
 
-    // Merge nested objects properly
-    if (analysisResult.property) {
-      enhancedResult.property = { ...enhancedResult.property, ...analysisResult.property };
+    if (!contractText || contractText.trim().length < 100) {
+      console.warn('⚠️ Contract text too short, using fallback');
+      return finalizeAnalysis(createRobustFallback(contractText), {
+        contractText,
+        document,
+        fallbackReason: 'Contract text is too short to analyze; only pattern-matched fields are filled in'
+      });
     }
-    if (analysisResult.parties) {
-      enhancedResult.parties = { ...enhancedResult.parties, ...analysisResult.parties };
+
+    if (contractText.length > CHUNK_THRESHOLD) {
+      return await analyzeInChunks(contractText, document, usage);
     }
-    if (analysisResult.deposits) {
-      enhancedResult.deposits = { ...enhancedResult.deposits, ...analysisResult.deposits };
+
+    const analysisResult = await requestAnalysisJSON(CONTRACT_ANALYSIS_PROMPT + contractText, CONTRACT_TOOL, usage);
+    if (!analysisResult) {
+      console.log('Using fallback structure...');
+      return finalizeAnalysis(createRobustFallback(contractText), {
+        contractText,
+        document,
+        usage,
+        fallbackReason: 'The model returned no usable analysis; only pattern-matched fields are filled in'
+      });
     }
 
+    const modelWarnings = sanitizeModelResult(analysisResult);
+
+    // Model values over the regex fallback, keeping the full schema shape
+    const enhancedResult = mergeOntoFallback(createRobustFallback(contractText), analysisResult);
+
     console.log('✅ Contract analysis completed successfully');
     console.log('Extracted data summary:', {
       hasAddress: !!enhancedResult.property?.address && enhancedResult.property.address !== 'Not found',
@@ -400,24 +555,86 @@ async function analyzeContract(contractText) {
       hasEscrowDate: !!enhancedResult.escrow?.openingDate && enhancedResult.escrow.openingDate !== 'TBD'
     });
 
-    return enhancedResult;
+    return finalizeAnalysis(enhancedResult, { contractText, modelResult: analysisResult, modelWarnings, document, usage });
 
   } catch (error) {
     console.error('❌ Contract analysis error:', error);
-    
-    // If it's an API error, provide more specific feedback
-    if (error.message.includes('rate limit') || error.message.includes('quota')) {
-      console.log('Rate limit hit, will retry later');
-      throw new Error('API rate limit exceeded. Please try again in a few minutes.');
-    } else if (error.message.includes('invalid') || error.message.includes('unauthorized')) {
-      console.log('API key issue detected');
-      throw new Error('API authentication failed. Please check your Anthropic API key.');
-    }
-    
+    throwIfUnrecoverable(error);
+
     // For any other error, return fallback with extracted data
     console.log('Returning fallback structure due to analysis error');
-    return createRobustFallback(contractText || '');
+    return finalizeAnalysis(createRobustFallback(contractText || ''), {
+      contractText,
+      document,
+      fallbackReason: `Analysis failed (${error.message}); only pattern-matched fields are filled in`
+    });
+  }
+}
+
+/**
+ * Extract the terms an amendment or addendum changes
+ * @param {string} amendmentText
+ * @param {Object} currentTerms - Analysis currently in effect for the contract
+ * @param {Object} [options]
+ * @param {Object} [options.document] - Document model of the amendment; provenance then cites page and section
+ * @returns {Promise<{amendment: {title: string|null, effectiveDate: string|null, summary: string|null}, changes: Object}>}
+ *   - `changes` is a partial analysis whose `_meta` holds provenance, warnings and `degraded` (nothing could be extracted)
+ */
+async function analyzeAmendment(amendmentText, currentTerms, { document = null } = {}) {
+  const amendment = { title: null, effectiveDate: null, summary: null };
+  const warnings = [];
+
+  if (!amendmentText || amendmentText.trim().length < 50) {
+    console.warn('⚠️ Amendment text missing or too short, no changes extracted');
+    warnings.push({ field: null, code: 'too_short', message: 'Amendment text is too short to analyze', source: 'model' });
+    return { amendment, changes: { _meta: { schemaVersion: SCHEMA_VERSION, degraded: true, warnings, provenance: {} } } };
+  }
+
+  console.log('🤖 Starting amendment analysis...');
+  console.log('Amendment text length:', amendmentText.length);
+
+  const usage = createUsage(getProvider());
+
+  // Amendments are short; anything longer is read up to the single-request limit
+  let text = amendmentText;
+  if (text.length > CHUNK_THRESHOLD) {
+    console.warn(`⚠️ Amendment is ${text.length} characters, analyzing the first ${CHUNK_THRESHOLD}`);
+    warnings.push({ field: null, code: 'truncated', message: `Only the first ${CHUNK_THRESHOLD} characters were analyzed`, source: 'model' });
+    text = text.slice(0, CHUNK_THRESHOLD);
+  }
+
+  const { _meta, ...terms } = currentTerms || {};
+
+  let result;
+  try {
+    result = await requestAnalysisJSON(buildAmendmentPrompt(terms) + text, AMENDMENT_TOOL, usage);
+  } catch (error) {
+    console.error('❌ Amendment analysis error:', error);
+    throwIfUnrecoverable(error);
+    result = null;
   }
+
+  if (!result) {
+    console.warn('⚠️ No usable JSON for amendment, no changes extracted');
+    warnings.push({ field: null, code: 'no_result', message: 'The amendment could not be analyzed', source: 'model' });
+  }
+
+  const info = result && result.amendment && typeof result.amendment === 'object' ? result.amendment : {};
+  amendment.title = typeof info.title === 'string' && info.title.trim() ? info.title.trim() : null;
+  amendment.effectiveDate = /^\d{4}-\d{2}-\d{2}$/.test(info.effectiveDate || '') ? info.effectiveDate : null;
+  amendment.summary = typeof info.summary === 'string' && info.summary.trim() ? info.summary.trim() : null;
+
+  const changes = result && result.changes && typeof result.changes === 'object' && !Array.isArray(result.changes)
+    ? result.changes
+    : {};
+  delete changes._meta;
+  warnings.push(...sanitizeModelResult(changes));
+
+  attachChangeProvenance(changes, { amendmentText: text, document });
+  changes._meta = { ...changes._meta, schemaVersion: SCHEMA_VERSION, degraded: !result, warnings, llm: usage };
+
+  console.log(`✅ Amendment analysis completed: ${Object.keys(changes._meta.provenance).length} changed field(s)`);
+  return { amendment, changes };
 }
 
 /**
@@ -451,9 +668,10 @@ async function testAnalysis() {
 }
 
 module.exports = {
+  PROMPT_VERSION,
   analyzeContract,
+  analyzeAmendment,
   testAnalysis,
   createRobustFallback,
-  extractAndCleanJSON,
-  parseJSONWithFallbacks
+  parseModelJSON
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+const supabase = require('../config/database');
+const { getPath, setPath } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const { SOURCES, markComputedDates } = require('./provenance');
+const { computeDeadlines } = require('./deadlines');
+const { searchColumns } = require('./contractSearch');
+
+/**
+ * Amendments and the layered "effective terms" of a contract.
+ *
+ * A contract's `analysis` holds the terms as originally signed (plus any
+ * manual corrections). Each amendment stores only the fields it changes.
+ * The effective terms are the original analysis with every amendment applied
+ * in effective-date order, and `overrides` records which amendment last set
+ * each field and when:
+ *
+ *   overrides['closingInfo.outsideDate'] = {
+ *     amendmentId, fileName, title, effectiveDate, appliedAt,
+ *     previous: '2024-03-01', value: '2024-03-15', mode: 'replaced',
+ *     history: [...every amendment that touched the field, oldest first]
+ *   }
+ *
+ * A manual edit made after an amendment was uploaded wins over that amendment.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Order amendments by effective date, falling back to upload time
+ */
+function compareAmendments(a, b) {
+  const dateA = a.effective_date || a.created_at.slice(0, 10);
+  const dateB = b.effective_date || b.created_at.slice(0, 10);
+  return dateA.localeCompare(dateB) || a.created_at.localeCompare(b.created_at);
+}
+
+/**
+ * List the fields an amendment sets. Arrays are leaves - their items are added, not merged by index.
+ * @returns {Array<{path: string, value: *}>}
+ */
+function changedFields(changes, prefix = '', out = []) {
+  Object.keys(changes).forEach(key => {
+    if (!prefix && key === '_meta') return;
+
+    const value = changes[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      changedFields(value, path, out);
+    } else if (Array.isArray(value) ? value.length > 0 : isMeaningful(value)) {
+      out.push({ path, value });
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Whether a user edited the field (or anything under it) by hand after `time`
+ */
+function editedAfter(provenance, path, time) {
+  return Object.keys(provenance).some(key =>
+    (key === path || key.startsWith(`${path}.`)) &&
+    provenance[key].source === SOURCES.MANUAL &&
+    provenance[key].editedAt > time
+  );
+}
+
+/**
+ * Layer amendments over a contract's analysis
+ * @param {Object} analysis - The contract's own analysis
+ * @param {Array<Object>} amendments - `contract_amendments` rows with id, file_name, title, effective_date, changes and created_at
+ * @returns {{analysis: Object, overrides: Object, amendmentIds: Array<string>}}
+ */
+function applyAmendments(analysis, amendments) {
+  const effective = JSON.parse(JSON.stringify(analysis || {}));
+  const meta = effective._meta || {};
+  const provenance = { ...(meta.provenance || {}) };
+  const computedDates = { ...(meta.computedDates || {}) };
+  const overrides = {};
+  const ordered = [...amendments].sort(compareAmendments);
+
+  ordered.forEach(amendment => {
+    const changes = amendment.changes || {};
+    const changeProvenance = (changes._meta && changes._meta.provenance) || {};
+
+    changedFields(changes).forEach(({ path, value }) => {
+      if (editedAfter(provenance, path, amendment.created_at)) return;
+
+      const previous = getPath(effective, path);
+      const record = (sourcePath) => ({
+        ...(changeProvenance[sourcePath] || { source: SOURCES.AMENDMENT, confidence: 0.5, start: null, end: null, excerpt: null }),
+        source: SOURCES.AMENDMENT,
+        amendmentId: amendment.id
+      });
+      let mode = 'replaced';
+      let applied = value;
+
+      if (Array.isArray(value)) {
+        // Lists grow - an amendment's items are added unless already present
+        const existing = Array.isArray(previous) ? previous : [];
+        const seen = new Set(existing.map(item => JSON.stringify(item)));
+        applied = value.filter(item => !seen.has(JSON.stringify(item)));
+        if (applied.length === 0) return;
+
+        mode = 'appended';
+        setPath(effective, path, [...existing, ...applied]);
+        delete provenance[path];
+        applied.forEach((item, index) => {
+          provenance[`${path}.${existing.length + index}`] = record(`${path}.${value.indexOf(item)}`);
+        });
+      } else {
+        if (JSON.stringify(previous) === JSON.stringify(value)) return;
+
+        setPath(effective, path, value);
+        provenance[path] = record(path);
+        // An amended date is no longer the deadline engine's to recompute
+        delete computedDates[path];
+      }
+
+      const entry = {
+        amendmentId: amendment.id,
+        fileName: amendment.file_name,
+        title: amendment.title,
+        effectiveDate: amendment.effective_date,
+        appliedAt: amendment.created_at,
+        previous: previous === undefined ? null : previous,
+        value: applied,
+        mode
+      };
+      overrides[path] = { ...entry, history: [...((overrides[path] && overrides[path].history) || []), entry] };
+    });
+  });
+
+  effective._meta = { ...meta, provenance, computedDates };
+  markComputedDates(computeDeadlines(effective));
+
+  return {
+    analysis: effective,
+    overrides,
+    amendmentIds: ordered.map(amendment => amendment.id)
+  };
+}
+
+/**
+ * Terms currently in effect for a contract row
+ * @param {Object} contract - Row with `analysis` and `effective_terms`
+ * @returns {Object}
+ */
+function currentAnalysis(contract) {
+  return contract.effective_terms ? contract.effective_terms.analysis : contract.analysis;
+}
+
+/**
+ * Recompute and store a contract's effective terms after its analysis or amendments change
+ * @param {string} contractId
+ * @returns {Promise<Object|null>} - The stored effective terms, or null when the contract has no amendments
+ */
+async function refreshEffectiveTerms(contractId) {
+  const { data: contract, error: contractError } = await supabase
+    .from('contracts')
+    .select('id, analysis')
+    .eq('id', contractId)
+    .maybeSingle();
+
+  if (contractError) {
+    throw new Error(`Failed to load contract ${contractId}: ${contractError.message}`);
+  }
+  if (!contract) return null;
+
+  const { data: amendments, error: amendmentsError } = await supabase
+    .from('contract_amendments')
+    .select('id, file_name, title, effective_date, changes, created_at')
+    .eq('contract_id', contractId);
+
+  if (amendmentsError) {
+    throw new Error(`Failed to load amendments for contract ${contractId}: ${amendmentsError.message}`);
+  }
+
+  const effectiveTerms = amendments.length > 0
+    ? { ...applyAmendments(contract.analysis, amendments), updatedAt: new Date().toISOString() }
+    : null;
+
+  // Search columns follow the terms in effect
+  const { error } = await supabase
+    .from('contracts')
+    .update({
+      effective_terms: effectiveTerms,
+      ...searchColumns(effectiveTerms ? effectiveTerms.analysis : contract.analysis),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', contractId);
+
+  if (error) {
+    throw new Error(`Failed to save effective terms for contract ${contractId}: ${error.message}`);
+  }
+
+  console.log(`📑 Effective terms for contract ${contractId}: ${amendments.length} amendment(s), ${effectiveTerms ? Object.keys(effectiveTerms.overrides).length : 0} overridden field(s)`);
+  return effectiveTerms;
+}
+
+module.exports = {
+  applyAmendments,
+  currentAnalysis,
+  refreshEffectiveTerms
+};
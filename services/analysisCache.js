@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const { PROMPT_VERSION } = require('./aiAnalysis');
+const { llmConfig } = require('./llmProvider');
+const { SCHEMA_VERSION } = require('../schemas/transactionSummary');
+
+/**
+ * Content-addressed cache of contract analyses, in the Supabase `analysis_cache` table.
+ *
+ * The key is a SHA-256 of the extracted text together with the prompt version,
+ * the schema version and the configured model, so re-uploading the same
+ * document reuses the earlier analysis, while bumping PROMPT_VERSION or
+ * SCHEMA_VERSION (or switching models) simply stops old entries from matching.
+ * Degraded analyses are never cached, so a document the model couldn't read
+ * gets a real analysis on the next upload.
+ */
+
+/**
+ * Cache key for a contract's extracted text
+ * @param {string} text
+ * @returns {string} - Hex SHA-256
+ */
+function analysisCacheKey(text) {
+  const { provider, model } = llmConfig();
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ promptVersion: PROMPT_VERSION, schemaVersion: SCHEMA_VERSION, model: `${provider}/${model}` }))
+    .update('\n')
+    .update(text || '')
+    .digest('hex');
+}
+
+/**
+ * Cached analysis for a key. Lookups are best effort - a cache failure means a fresh analysis, not a failed job.
+ * @param {string} key
+ * @returns {Promise<Object|null>} - A copy of the analysis with `_meta.cache` describing the hit, or null
+ */
+async function getCachedAnalysis(key) {
+  const { data, error } = await supabase
+    .from('analysis_cache')
+    .select('cache_key, analysis, hits, created_at')
+    .eq('cache_key', key)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Failed to read analysis cache:', error.message);
+    return null;
+  }
+
+  if (!data) return null;
+
+  const { error: hitError } = await supabase
+    .from('analysis_cache')
+    .update({ hits: (data.hits || 0) + 1, last_hit_at: new Date().toISOString() })
+    .eq('cache_key', key);
+
+  if (hitError) {
+    console.error('❌ Failed to count analysis cache hit:', hitError.message);
+  }
+
+  console.log(`♻️ Analysis cache hit ${key.slice(0, 12)}`);
+
+  const analysis = JSON.parse(JSON.stringify(data.analysis));
+  analysis._meta = {
+    ...(analysis._meta || {}),
+    cache: { hit: true, key, analyzedAt: data.created_at }
+  };
+  return analysis;
+}
+
+/**
+ * Store an analysis under its key. Degraded analyses are skipped.
+ * @param {string} key
+ * @param {Object} analysis
+ * @returns {Promise<boolean>} - Whether it was stored
+ */
+async function storeCachedAnalysis(key, analysis) {
+  if (!analysis || (analysis._meta && analysis._meta.degraded)) {
+    return false;
+  }
+
+  const { cache, ...meta } = analysis._meta || {};
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('analysis_cache')
+    .upsert({
+      cache_key: key,
+      prompt_version: PROMPT_VERSION,
+      schema_version: SCHEMA_VERSION,
+      model: meta.llm ? `${meta.llm.provider}/${meta.llm.model}` : null,
+      analysis: { ...analysis, _meta: meta },
+      hits: 0,
+      created_at: now,
+      last_hit_at: null
+    }, { onConflict: 'cache_key' });
+
+  if (error) {
+    console.error('❌ Failed to store analysis in cache:', error.message);
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  analysisCacheKey,
+  getCachedAnalysis,
+  storeCachedAnalysis
+};
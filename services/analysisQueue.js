@@ -0,0 +1,654 @@
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const { extractDocuments } = require('./fileProcessor');
+const { analyzeContract, analyzeAmendment } = require('./aiAnalysis');
+const { breakerStatus, isUnavailable } = require('./llmRetry');
+const { analysisCacheKey, getCachedAnalysis, storeCachedAnalysis } = require('./analysisCache');
+const { currentAnalysis, refreshEffectiveTerms } = require('./amendments');
+const { syncDeposits } = require('./deposits');
+const { syncChecklist } = require('./checklist');
+const { searchColumns } = require('./contractSearch');
+
+/**
+ * Background analysis queue backed by the Supabase `analysis_jobs` table.
+ *
+ * Uploaded files are parked in Supabase Storage and a job row is created in
+ * the `queued` state. The in-process worker claims jobs one at a time and
+ * moves them through extracting -> analyzing -> done (or failed). Because both
+ * the file and the job state live in Supabase, a restart simply picks up
+ * where the previous process left off.
+ *
+ * A job's `kind` says what the file is: a new contract, or an amendment to
+ * the existing contract in `contract_id`.
+ *
+ * While the model API is down (its circuit breaker is open) the worker stops
+ * claiming jobs, and a job that was cut short goes back to the queue without
+ * using up an attempt. `degraded` marks jobs whose results fell back to
+ * pattern matching instead of a model analysis.
+ *
+ * Contracts whose text was analyzed before reuse the cached analysis unless
+ * the job was queued with `force`.
+ */
+
+const JOB_STATUSES = ['queued', 'extracting', 'analyzing', 'done', 'failed'];
+const ACTIVE_STATUSES = ['extracting', 'analyzing'];
+const JOB_KINDS = ['contract', 'amendment'];
+
+const STORAGE_BUCKET = process.env.CONTRACT_STORAGE_BUCKET || 'contract-uploads';
+const POLL_INTERVAL_MS = parseInt(process.env.ANALYSIS_POLL_INTERVAL_MS) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 3;
+// Jobs left in an active state this long are assumed orphaned by a crashed process
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+const worker = {
+  running: false,
+  timer: null,
+  currentJob: null,
+  currentRun: null
+};
+
+/**
+ * Extension of a file name for use in a storage key: letters and digits only, lowercased
+ * @param {string} fileName
+ * @returns {string} - e.g. ".pdf", or "" when there is no usable extension
+ */
+function safeExtension(fileName) {
+  const match = /\.([a-z0-9]{1,10})$/i.exec(fileName || '');
+  return match ? `.${match[1].toLowerCase()}` : '';
+}
+
+/**
+ * Store an uploaded file and create a queued analysis job for it
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated Supabase user
+ * @param {Object} params.file - Multer file object (memory storage)
+ * @param {string} [params.mimeType] - MIME type detected from the content (defaults to the client's)
+ * @param {string} [params.kind='contract'] - One of JOB_KINDS
+ * @param {string} [params.contractId] - Contract an amendment belongs to
+ * @param {string} [params.organizationId] - Organization new contracts are added to
+ * @param {boolean} [params.force=false] - Analyze again even if identical text is in the analysis cache
+ * @returns {Promise<Object>} - The created job row
+ */
+async function enqueueAnalysisJob({ user, file, mimeType = file.mimetype, kind = 'contract', contractId = null, organizationId = null, force = false }) {
+  const jobId = crypto.randomUUID();
+  // The client's file name stays in file_name - storage keys only take safe characters
+  const storagePath = `${user.id}/${jobId}/upload${safeExtension(file.originalname)}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, file.buffer, {
+      contentType: mimeType,
+      upsert: false
+    });
+
+  if (uploadError) {
+    throw new Error(`Failed to store uploaded file: ${uploadError.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .insert({
+      id: jobId,
+      user_id: user.id,
+      file_name: file.originalname,
+      file_type: mimeType,
+      file_size: file.size,
+      storage_path: storagePath,
+      kind,
+      contract_id: contractId,
+      organization_id: organizationId,
+      force,
+      status: 'queued',
+      attempts: 0
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await supabase.storage.from(STORAGE_BUCKET).remove([storagePath]);
+    throw new Error(`Failed to create analysis job: ${error.message}`);
+  }
+
+  console.log(`📥 Analysis job queued: ${jobId} (${kind}: ${file.originalname})`);
+  wakeWorker();
+
+  return data;
+}
+
+/**
+ * Get a job owned by a user
+ * @param {string} jobId
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(jobId, userId) {
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .select('id, kind, status, error, attempts, degraded, file_name, contract_id, contract_ids, amendment_ids, created_at, started_at, completed_at, updated_at')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get analysis job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Store a file that belongs to a contract (checklist attachments and the like)
+ * @param {string} storagePath
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ */
+async function storeFile(storagePath, buffer, contentType) {
+  const { error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, buffer, {
+      contentType,
+      upsert: false
+    });
+
+  if (error) {
+    throw new Error(`Failed to store file ${storagePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a stored file back
+ * @param {string} storagePath
+ * @returns {Promise<Buffer>}
+ */
+async function readStoredFile(storagePath) {
+  const { data: blob, error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(storagePath);
+
+  if (error) {
+    throw new Error(`Failed to load stored file ${storagePath}: ${error.message}`);
+  }
+
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+/**
+ * Remove an uploaded file from storage once its contract is deleted
+ * @param {string} storagePath
+ */
+async function removeStoredFile(storagePath) {
+  const { error } = await supabase.storage.from(STORAGE_BUCKET).remove([storagePath]);
+
+  if (error) {
+    console.error(`❌ Failed to remove stored file ${storagePath}:`, error.message);
+  }
+}
+
+/**
+ * Move a job to a new status, optionally only if it is currently in `fromStatus`
+ */
+async function updateJob(jobId, updates, fromStatus) {
+  let query = supabase
+    .from('analysis_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (fromStatus) {
+    query = query.eq('status', fromStatus);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update analysis job ${jobId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Atomically claim the oldest queued job. Returns null when the queue is empty.
+ */
+async function claimNextJob() {
+  // Another process may claim the same row first, so retry a few candidates
+  for (let i = 0; i < 3; i++) {
+    const { data: candidate, error } = await supabase
+      .from('analysis_jobs')
+      .select('id, attempts')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to poll analysis jobs: ${error.message}`);
+    }
+
+    if (!candidate) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const claimed = await updateJob(candidate.id, {
+      status: 'extracting',
+      attempts: candidate.attempts + 1,
+      started_at: now,
+      error: null
+    }, 'queued');
+
+    if (claimed) {
+      return claimed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store a contract that came out of an email attachment next to the original upload
+ */
+async function storeAttachment(job, index, extracted) {
+  const storagePath = `${job.user_id}/${job.id}/attachments/${index + 1}${safeExtension(extracted.fileName)}`;
+
+  const { error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, extracted.content, {
+      contentType: extracted.fileType,
+      upsert: true // a retried job rewrites the same path
+    });
+
+  if (error) {
+    throw new Error(`Failed to store attachment ${extracted.fileName}: ${error.message}`);
+  }
+
+  return storagePath;
+}
+
+/**
+ * Set up or update a contract's deposit ledger and checklist after its terms change
+ */
+async function syncTrackers(contractId, userId) {
+  try {
+    await syncDeposits(contractId, userId);
+  } catch (error) {
+    console.error(`❌ Failed to sync deposits for contract ${contractId}:`, error.message);
+  }
+
+  try {
+    await syncChecklist(contractId, userId);
+  } catch (error) {
+    console.error(`❌ Failed to sync checklist for contract ${contractId}:`, error.message);
+  }
+}
+
+/**
+ * Analyze a contract document, reusing the cached analysis of identical text unless forced
+ */
+async function analyzeContractCached(extracted, force) {
+  const key = analysisCacheKey(extracted.text);
+
+  if (!force) {
+    const cached = await getCachedAnalysis(key);
+    if (cached) return cached;
+  }
+
+  const analysis = await analyzeContract(extracted.text, { document: extracted.document });
+  await storeCachedAnalysis(key, analysis);
+  return analysis;
+}
+
+/**
+ * Analyze extracted documents as new contracts and save them - one per file,
+ * or one per contract attached to an email
+ */
+async function processContractJob(job, documents) {
+  const analyses = [];
+  for (const extracted of documents) {
+    analyses.push(await analyzeContractCached(extracted, job.force));
+  }
+
+  // A retried job replaces whatever an earlier attempt managed to save
+  const { error: cleanupError } = await supabase
+    .from('contracts')
+    .delete()
+    .eq('job_id', job.id);
+
+  if (cleanupError) {
+    throw new Error(`Failed to clear earlier contract attempt: ${cleanupError.message}`);
+  }
+
+  const contractIds = [];
+  for (const [index, extracted] of documents.entries()) {
+    const filePath = extracted.content
+      ? await storeAttachment(job, index, extracted)
+      : job.storage_path;
+
+    const { data: contract, error: saveError } = await supabase
+      .from('contracts')
+      .insert({
+        user_id: job.user_id,
+        organization_id: job.organization_id || null,
+        job_id: job.id,
+        file_name: extracted.fileName,
+        file_type: extracted.fileType,
+        file_size: extracted.content ? extracted.content.length : job.file_size,
+        file_path: filePath,
+        extracted_text: extracted.text,
+        // Pages and blocks only - their offsets point into extracted_text
+        document: { pages: extracted.document.pages, blocks: extracted.document.blocks },
+        extraction: extracted.extraction,
+        analysis: analyses[index],
+        ...searchColumns(analyses[index]),
+        status: 'open'
+      })
+      .select('id')
+      .single();
+
+    if (saveError) {
+      throw new Error(`Failed to save contract analysis: ${saveError.message}`);
+    }
+
+    contractIds.push(contract.id);
+  }
+
+  // Sync failures are logged, not failed over - the trackers catch up on the contract's next change
+  for (const contractId of contractIds) {
+    await syncTrackers(contractId, job.user_id);
+  }
+
+  await updateJob(job.id, {
+    status: 'done',
+    contract_id: contractIds[0],
+    contract_ids: contractIds,
+    degraded: analyses.some(analysis => analysis._meta.degraded),
+    completed_at: new Date().toISOString()
+  });
+
+  console.log(`✅ Analysis job ${job.id} done, contract(s) ${contractIds.join(', ')}`);
+}
+
+/**
+ * Analyze extracted documents as amendments to the job's contract, save them
+ * and refresh the contract's effective terms. Access to the contract was
+ * checked when the job was queued.
+ */
+async function processAmendmentJob(job, documents) {
+  const { data: contract, error: contractError } = await supabase
+    .from('contracts')
+    .select('id, user_id, analysis, effective_terms')
+    .eq('id', job.contract_id)
+    .maybeSingle();
+
+  if (contractError) {
+    throw new Error(`Failed to load contract for amendment: ${contractError.message}`);
+  }
+
+  if (!contract) {
+    throw new Error('The contract this amendment belongs to no longer exists');
+  }
+
+  // Changes are extracted against the terms in effect before this upload
+  const terms = currentAnalysis(contract);
+  const results = [];
+  for (const extracted of documents) {
+    results.push(await analyzeAmendment(extracted.text, terms, { document: extracted.document }));
+  }
+
+  // A retried job replaces whatever an earlier attempt managed to save
+  const { error: cleanupError } = await supabase
+    .from('contract_amendments')
+    .delete()
+    .eq('job_id', job.id);
+
+  if (cleanupError) {
+    throw new Error(`Failed to clear earlier amendment attempt: ${cleanupError.message}`);
+  }
+
+  const amendmentIds = [];
+  for (const [index, extracted] of documents.entries()) {
+    const filePath = extracted.content
+      ? await storeAttachment(job, index, extracted)
+      : job.storage_path;
+    const { amendment, changes } = results[index];
+
+    const { data: saved, error: saveError } = await supabase
+      .from('contract_amendments')
+      .insert({
+        contract_id: contract.id,
+        // Amendments belong to the contract's owner, whoever on the deal uploaded them
+        user_id: contract.user_id,
+        uploaded_by: job.user_id,
+        job_id: job.id,
+        file_name: extracted.fileName,
+        file_type: extracted.fileType,
+        file_size: extracted.content ? extracted.content.length : job.file_size,
+        file_path: filePath,
+        extracted_text: extracted.text,
+        document: { pages: extracted.document.pages, blocks: extracted.document.blocks },
+        extraction: extracted.extraction,
+        title: amendment.title,
+        effective_date: amendment.effectiveDate,
+        summary: amendment.summary,
+        changes
+      })
+      .select('id')
+      .single();
+
+    if (saveError) {
+      throw new Error(`Failed to save amendment analysis: ${saveError.message}`);
+    }
+
+    amendmentIds.push(saved.id);
+  }
+
+  await refreshEffectiveTerms(contract.id);
+  await syncTrackers(contract.id, contract.user_id);
+
+  await updateJob(job.id, {
+    status: 'done',
+    amendment_ids: amendmentIds,
+    degraded: results.some(({ changes }) => changes._meta.degraded),
+    completed_at: new Date().toISOString()
+  });
+
+  console.log(`✅ Analysis job ${job.id} done, amendment(s) ${amendmentIds.join(', ')} to contract ${contract.id}`);
+}
+
+/**
+ * Run extraction and analysis for a claimed job and save the results
+ */
+async function processJob(job) {
+  console.log(`⚙️ Processing analysis job ${job.id} (attempt ${job.attempts})`);
+
+  const { data: blob, error: downloadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(job.storage_path);
+
+  if (downloadError) {
+    throw new Error(`Failed to load uploaded file: ${downloadError.message}`);
+  }
+
+  const fileBuffer = Buffer.from(await blob.arrayBuffer());
+  const documents = await extractDocuments(fileBuffer, job.file_name);
+
+  await updateJob(job.id, { status: 'analyzing' });
+
+  if (job.kind === 'amendment') {
+    await processAmendmentJob(job, documents);
+  } else {
+    await processContractJob(job, documents);
+  }
+}
+
+/**
+ * Record a job failure. Jobs interrupted by shutdown go back to the queue instead.
+ */
+async function failJob(job, error) {
+  if (!worker.running) {
+    console.log(`↩️ Shutdown interrupted job ${job.id}, returning it to the queue`);
+    await updateJob(job.id, { status: 'queued', started_at: null });
+    return;
+  }
+
+  if (isUnavailable(error)) {
+    // Not the job's fault - it waits for the API without using up an attempt
+    console.warn(`⏸️ Analysis job ${job.id} returned to the queue: ${error.message}`);
+    await updateJob(job.id, { status: 'queued', started_at: null, attempts: job.attempts - 1, error: error.message });
+    return;
+  }
+
+  const retry = job.attempts < MAX_ATTEMPTS && isRetryable(error);
+  console.error(`❌ Analysis job ${job.id} failed${retry ? ', will retry' : ''}:`, error.message);
+
+  await updateJob(job.id, retry
+    ? { status: 'queued', error: error.message }
+    : { status: 'failed', error: error.message, completed_at: new Date().toISOString() });
+}
+
+/**
+ * Extraction errors are about the document itself and will fail again; other errors may be transient
+ */
+function isRetryable(error) {
+  return !/extract text|empty|unsupported file type|corrupted|password-protected|no longer exists/i.test(error.message);
+}
+
+/**
+ * Return jobs orphaned in an active state by a crashed process to the queue
+ */
+async function recoverStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .update({ status: 'queued', started_at: null, updated_at: new Date().toISOString() })
+    .in('status', ACTIVE_STATUSES)
+    .lt('updated_at', staleBefore)
+    .select('id');
+
+  if (error) {
+    console.error('❌ Failed to recover stale analysis jobs:', error.message);
+    return;
+  }
+
+  if (data.length > 0) {
+    console.log(`♻️ Requeued ${data.length} interrupted analysis job(s)`);
+  }
+}
+
+/**
+ * One worker tick: drain the queue, then schedule the next poll
+ */
+async function runWorker() {
+  worker.timer = null;
+  let nextPollMs = POLL_INTERVAL_MS;
+
+  try {
+    while (worker.running) {
+      const breaker = breakerStatus();
+      if (breaker.open) {
+        console.warn(`⏸️ Model API unavailable, analysis queue paused for ${Math.ceil(breaker.retryInMs / 1000)}s`);
+        nextPollMs = Math.max(breaker.retryInMs, POLL_INTERVAL_MS);
+        break;
+      }
+
+      const job = await claimNextJob();
+      if (!job) break;
+
+      worker.currentJob = job;
+      try {
+        await processJob(job);
+      } catch (error) {
+        await failJob(job, error);
+      } finally {
+        worker.currentJob = null;
+      }
+    }
+  } catch (error) {
+    console.error('❌ Analysis worker error:', error.message);
+  }
+
+  if (worker.running) {
+    worker.timer = setTimeout(wakeWorker, nextPollMs);
+  }
+}
+
+/**
+ * Trigger a worker tick now unless one is already in progress
+ */
+function wakeWorker() {
+  if (!worker.running || worker.currentRun) return;
+
+  if (worker.timer) {
+    clearTimeout(worker.timer);
+    worker.timer = null;
+  }
+
+  worker.currentRun = runWorker().finally(() => {
+    worker.currentRun = null;
+  });
+}
+
+/**
+ * Start the background worker
+ */
+async function startWorker() {
+  if (worker.running) return;
+
+  worker.running = true;
+  console.log('👷 Analysis worker started');
+
+  await recoverStaleJobs();
+  wakeWorker();
+}
+
+/**
+ * Stop claiming new jobs and wait for the in-flight job to finish.
+ * If it doesn't finish within the grace period it is returned to the queue.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=20000] - How long to wait for the current job
+ */
+async function stopWorker({ timeoutMs = 20000 } = {}) {
+  if (!worker.running) return;
+
+  worker.running = false;
+  if (worker.timer) {
+    clearTimeout(worker.timer);
+    worker.timer = null;
+  }
+
+  if (!worker.currentRun) {
+    console.log('👷 Analysis worker stopped');
+    return;
+  }
+
+  console.log('⏳ Waiting for in-flight analysis job to finish...');
+  const finished = await Promise.race([
+    worker.currentRun.then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), timeoutMs))
+  ]);
+
+  if (!finished && worker.currentJob) {
+    const job = worker.currentJob;
+    console.log(`↩️ Job ${job.id} did not finish in time, returning it to the queue`);
+    try {
+      await updateJob(job.id, { status: 'queued', started_at: null });
+    } catch (error) {
+      console.error('❌ Failed to requeue job on shutdown:', error.message);
+    }
+  }
+
+  console.log('👷 Analysis worker stopped');
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_KINDS,
+  enqueueAnalysisJob,
+  getJob,
+  safeExtension,
+  storeFile,
+  readStoredFile,
+  removeStoredFile,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,131 @@
+const { collectDeadlines } = require('./deadlines');
+
+/**
+ * RFC 5545 (iCalendar) rendering of transaction deadlines.
+ *
+ * Each dated milestone becomes an all-day VEVENT with reminder alarms. UIDs
+ * are stable per contract and milestone, so calendar clients update events in
+ * place when a date moves instead of creating duplicates.
+ */
+
+const PRODUCT_ID = '-//Transaction Summary Tool//Deadlines//EN';
+const UID_DOMAIN = 'transaction-summary-tool';
+
+// Reminders before each deadline (RFC 5545 durations, relative to the start of the day)
+const ALARMS = ['-P3D', '-P1D'];
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with CRLF + space (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+const formatDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const formatTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * The day after an ISO date, as an iCalendar DATE (all-day events end exclusively)
+ */
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return formatDate(date.toISOString().substring(0, 10));
+}
+
+/**
+ * Build the VEVENTs for one contract
+ * @param {Object} contract - Contract row with id, analysis and updated_at
+ * @returns {Array<string>} - Unfolded content lines
+ */
+function contractEvents(contract) {
+  const analysis = contract.analysis || {};
+  const address = analysis.property && analysis.property.address && analysis.property.address !== 'Not found'
+    ? analysis.property.address
+    : contract.file_name;
+  const stamp = formatTimestamp(new Date(contract.updated_at || Date.now()));
+
+  return collectDeadlines(analysis).flatMap(deadline => {
+    const description = [deadline.description, `Contract: ${contract.file_name || contract.id}`]
+      .filter(Boolean)
+      .join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${contract.id}-${deadline.key}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(deadline.date)}`,
+      `DTEND;VALUE=DATE:${nextDay(deadline.date)}`,
+      `SUMMARY:${escapeText(`${deadline.label} - ${address}`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      'TRANSP:TRANSPARENT',
+      // Paid deposits stay on the calendar but stop reminding
+      ...(deadline.done ? [] : ALARMS).flatMap(trigger => [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`${deadline.label} - ${address}`)}`,
+        `TRIGGER:${trigger}`,
+        'END:VALARM'
+      ]),
+      'END:VEVENT'
+    ];
+  });
+}
+
+/**
+ * Render contracts' deadlines as an iCalendar document
+ * @param {Array<Object>} contracts - Contract rows with id, file_name, analysis and updated_at
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by clients
+ * @returns {string} - text/calendar body
+ */
+function buildCalendar(contracts, { name = 'Transaction Deadlines' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed clients to refresh a few times a day
+    'REFRESH-INTERVAL;VALUE=DURATION:PT4H',
+    'X-PUBLISHED-TTL:PT4H',
+    ...contracts.flatMap(contractEvents),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar
+};
@@ -0,0 +1,349 @@
+const supabase = require('../config/database');
+const { isMeaningful } = require('../utils/values');
+const { currentAnalysis } = require('./amendments');
+const { loadLedger } = require('./deposits');
+const { recordEvent } = require('./contractEvents');
+
+/**
+ * Contingency and due-diligence tracker backed by the `checklist_items` and
+ * `checklist_attachments` tables.
+ *
+ * The contingencies and due-diligence tasks in the terms in effect are
+ * mirrored as items a team can own, date, annotate and close out; users can
+ * add items of their own. Items the terms stop naming are set aside rather
+ * than deleted so their history and attachments survive. Status changes and
+ * removals are recorded on the contract's timeline together with the state of
+ * the deposits at that moment.
+ */
+
+const ITEM_KINDS = ['contingency', 'task'];
+
+const ITEM_STATUSES = ['open', 'waived', 'satisfied', 'failed'];
+
+// Where each kind of item comes from in a transaction summary
+const ANALYSIS_LISTS = [
+  { kind: 'contingency', path: 'contingencies' },
+  { kind: 'task', path: 'dueDiligence.tasks' }
+];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+/**
+ * Comparable form of an item's text, used to recognise it across re-analyses
+ */
+function signatureOf(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Title, description and own deadline of a list entry - entries are plain
+ * strings or objects with name/type/description and deadline/dueDate
+ */
+function describeEntry(entry) {
+  if (typeof entry === 'string') {
+    return { title: entry.trim(), description: null, dueDate: null };
+  }
+  if (!entry || typeof entry !== 'object') return null;
+
+  const title = [entry.name, entry.type, entry.title, entry.description].find(value => isMeaningful(value) && typeof value === 'string');
+  if (!title) return null;
+
+  const dueDate = [entry.deadline, entry.dueDate].find(value => ISO_DATE.test(value || '')) || null;
+  const description = typeof entry.description === 'string' && entry.description !== title ? entry.description : null;
+
+  return { title: title.trim(), description, dueDate };
+}
+
+/**
+ * Date an item is due when its entry doesn't carry one: tasks run to the end
+ * of due diligence and financing contingencies to the loan contingency deadline
+ */
+function defaultDueDate(kind, title, summary) {
+  const endDate = summary.dueDiligence && summary.dueDiligence.endDate;
+  const loanDeadline = summary.financing && summary.financing.loanContingency && summary.financing.loanContingency.deadline;
+
+  if (kind === 'task') {
+    return ISO_DATE.test(endDate || '') ? endDate : null;
+  }
+  if (/\b(loan|financing|mortgage)\b/i.test(title) && ISO_DATE.test(loanDeadline || '')) {
+    return loanDeadline;
+  }
+  return null;
+}
+
+/**
+ * Items the contract terms name, in order
+ * @param {Object} summary - Transaction summary
+ * @returns {Array<{kind: string, path: string, position: number, signature: string, title: string, description: string|null, dueDate: string|null}>}
+ */
+function analysisItems(summary) {
+  if (!summary) return [];
+  const items = [];
+
+  ANALYSIS_LISTS.forEach(({ kind, path }) => {
+    const list = path.split('.').reduce((value, key) => (value ? value[key] : undefined), summary);
+    if (!Array.isArray(list)) return;
+
+    const seen = new Set();
+    list.forEach((entry, index) => {
+      const described = describeEntry(entry);
+      if (!described || !isMeaningful(described.title)) return;
+
+      const signature = signatureOf(described.title);
+      if (!signature || seen.has(signature)) return;
+      seen.add(signature);
+
+      items.push({
+        kind,
+        path: `${path}.${index}`,
+        position: index + 1,
+        signature,
+        ...described,
+        dueDate: described.dueDate || defaultDueDate(kind, described.title, summary)
+      });
+    });
+  });
+
+  return items;
+}
+
+/**
+ * A checklist row with its attachments and computed fields
+ */
+function describeItem(item, attachments, asOf = today()) {
+  return {
+    ...item,
+    overdue: item.status === 'open' && !item.removed_at && Boolean(item.due_date) && item.due_date < asOf,
+    attachments: attachments.filter(attachment => attachment.item_id === item.id)
+  };
+}
+
+/**
+ * Item counts by status, for the items still in play
+ */
+function checklistCounts(items) {
+  const active = items.filter(item => !item.removed_at);
+  const counts = { total: active.length, overdue: active.filter(item => item.overdue).length };
+  ITEM_STATUSES.forEach(status => {
+    counts[status] = active.filter(item => item.status === status).length;
+  });
+  return counts;
+}
+
+/**
+ * Record a checklist event with a snapshot of the contract's deposits, so the
+ * timeline shows which deposits were at stake (or already hard) at that moment
+ * @param {Object} item - Checklist row
+ * @param {string} type - Event type
+ * @param {string} actor - Email of the user, or 'system'
+ * @param {Object} [details]
+ */
+async function recordItemEvent(item, type, actor, details = {}) {
+  const ledger = await loadLedger(item.contract_id, item.user_id);
+
+  const deposits = ledger
+    ? ledger.deposits.map(deposit => ({
+      id: deposit.id,
+      label: deposit.label,
+      amount: deposit.amount,
+      status: deposit.status,
+      refundable: deposit.refundable,
+      refundable_until: deposit.refundable_until
+    }))
+    : [];
+
+  return recordEvent({
+    contractId: item.contract_id,
+    userId: item.user_id,
+    type,
+    actor,
+    itemId: item.id,
+    details: { kind: item.kind, title: item.title, ...details, deposits }
+  });
+}
+
+/**
+ * A contract's checklist rows and attachments
+ */
+async function loadRows(contractId) {
+  const [{ data: rows, error: rowsError }, { data: attachments, error: attachmentsError }] = await Promise.all([
+    supabase.from('checklist_items').select('*').eq('contract_id', contractId),
+    supabase.from('checklist_attachments').select('*').eq('contract_id', contractId).order('created_at', { ascending: true })
+  ]);
+
+  if (rowsError || attachmentsError) {
+    throw new Error(`Failed to load checklist for contract ${contractId}: ${(rowsError || attachmentsError).message}`);
+  }
+  return { rows, attachments };
+}
+
+/**
+ * Described checklist rows in checklist order, with their counts
+ */
+function describeChecklist(rows, attachments) {
+  const items = rows
+    .map(item => describeItem(item, attachments))
+    .sort((a, b) => ITEM_KINDS.indexOf(a.kind) - ITEM_KINDS.indexOf(b.kind) ||
+      (a.position || 0) - (b.position || 0) ||
+      a.created_at.localeCompare(b.created_at));
+
+  return { items, counts: checklistCounts(items) };
+}
+
+/**
+ * A contract's checklist as it stands, without writing anything
+ * @param {string} contractId
+ * @param {string} userId - Owner; other users' contracts are treated as missing
+ * @returns {Promise<{items: Array<Object>, counts: Object}|null>} - The checklist, or null if the contract doesn't exist
+ */
+async function loadChecklist(contractId, userId) {
+  const { data: contract, error } = await supabase
+    .from('contracts')
+    .select('id')
+    .eq('id', contractId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load contract ${contractId}: ${error.message}`);
+  }
+  if (!contract) return null;
+
+  const { rows, attachments } = await loadRows(contractId);
+  return describeChecklist(rows, attachments);
+}
+
+/**
+ * Bring a contract's checklist in line with its terms.
+ * Call after anything that changes the contract's terms; reads use loadChecklist.
+ * @param {string} contractId
+ * @param {string} userId - Owner; other users' contracts are treated as missing
+ * @returns {Promise<{items: Array<Object>, counts: Object}|null>} - The checklist, or null if the contract doesn't exist
+ */
+async function syncChecklist(contractId, userId) {
+  const { data: contract, error: contractError } = await supabase
+    .from('contracts')
+    .select('id, user_id, analysis, effective_terms')
+    .eq('id', contractId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (contractError) {
+    throw new Error(`Failed to load contract ${contractId}: ${contractError.message}`);
+  }
+  if (!contract) return null;
+
+  const { rows, attachments } = await loadRows(contractId);
+
+  const now = new Date().toISOString();
+  const named = analysisItems(currentAnalysis(contract));
+  const items = [];
+
+  for (const entry of named) {
+    const existing = rows.find(row => row.source === 'analysis' && row.kind === entry.kind && row.signature === entry.signature);
+
+    if (!existing) {
+      const { data, error } = await supabase
+        .from('checklist_items')
+        .insert({
+          contract_id: contractId,
+          user_id: contract.user_id,
+          kind: entry.kind,
+          source: 'analysis',
+          analysis_path: entry.path,
+          signature: entry.signature,
+          position: entry.position,
+          title: entry.title,
+          description: entry.description,
+          owner: null,
+          due_date: entry.dueDate,
+          due_date_source: 'analysis',
+          status: 'open',
+          status_changed_at: now,
+          notes: null,
+          removed_at: null,
+          removed_by: null,
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create checklist item for contract ${contractId}: ${error.message}`);
+      }
+      items.push(data);
+      continue;
+    }
+
+    // Items a user removed stay removed; items the terms dropped and named again come back
+    const updates = { analysis_path: entry.path, position: entry.position, title: entry.title };
+    if (existing.due_date_source !== 'manual') {
+      updates.due_date = entry.dueDate;
+    }
+    if (existing.description === null && entry.description) {
+      updates.description = entry.description;
+    }
+    const restored = existing.removed_by === 'analysis';
+    if (restored) {
+      updates.removed_at = null;
+      updates.removed_by = null;
+    }
+
+    const changed = Object.fromEntries(Object.entries(updates).filter(([key, value]) => existing[key] !== value));
+    const item = { ...existing, ...changed };
+    items.push(item);
+
+    if (Object.keys(changed).length > 0) {
+      await updateItem(existing.id, { ...changed, updated_at: now });
+    }
+    if (restored) {
+      console.log(`📋 Checklist item ${item.id} (${item.title}) is back in the contract terms`);
+      await recordItemEvent(item, 'checklist_restored', 'system');
+    }
+  }
+
+  // Items the terms no longer name are set aside, keeping their status and attachments
+  for (const row of rows.filter(row => row.source === 'analysis' && !items.some(item => item.id === row.id))) {
+    if (row.removed_at) {
+      items.push(row);
+      continue;
+    }
+
+    const removed = { ...row, removed_at: now, removed_by: 'analysis' };
+    await updateItem(row.id, { removed_at: now, removed_by: 'analysis', updated_at: now });
+    console.log(`📋 Checklist item ${row.id} (${row.title}) is no longer in the contract terms`);
+    await recordItemEvent(removed, 'checklist_removed', 'system', { reason: 'No longer in the contract terms' });
+    items.push(removed);
+  }
+
+  items.push(...rows.filter(row => row.source !== 'analysis'));
+
+  return describeChecklist(items, attachments);
+}
+
+/**
+ * Update one checklist row
+ */
+async function updateItem(itemId, updates) {
+  const { error } = await supabase
+    .from('checklist_items')
+    .update(updates)
+    .eq('id', itemId);
+
+  if (error) {
+    throw new Error(`Failed to update checklist item ${itemId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  ITEM_KINDS,
+  ITEM_STATUSES,
+  analysisItems,
+  checklistCounts,
+  loadChecklist,
+  recordItemEvent,
+  syncChecklist
+};
@@ -0,0 +1,185 @@
+/**
+ * Map-reduce helpers for contracts too long to analyze in one request.
+ *
+ * The text is split into overlapping sections, each section is analyzed on its
+ * own, and the partial results are merged back into the full analysis shape.
+ * The merge records which chunk every value came from, and where later
+ * chunks disagree with the value kept.
+ */
+
+const { isMeaningful } = require('../utils/values');
+const { transactionSummarySchema } = require('../schemas/transactionSummary');
+
+const DEFAULT_CHUNK_SIZE = 30000;
+const DEFAULT_OVERLAP = 2000;
+
+/**
+ * Split contract text into overlapping chunks, preferring paragraph and line breaks
+ * @param {string} text - Full contract text
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Target characters per chunk
+ * @param {number} [options.overlap] - Characters repeated between neighbouring chunks
+ * @returns {Array<{index: number, start: number, end: number, text: string}>}
+ */
+function splitIntoChunks(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_OVERLAP } = {}) {
+  if (overlap >= chunkSize) {
+    throw new Error('Chunk overlap must be smaller than the chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+
+    // Break on a natural boundary in the last fifth of the chunk when possible
+    if (end < text.length) {
+      const searchFrom = start + Math.floor(chunkSize * 0.8);
+      const window = text.substring(searchFrom, end);
+      const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf(' ')]
+        .find(index => index > 0);
+
+      if (breakAt !== undefined) {
+        end = searchFrom + breakAt;
+      }
+    }
+
+    chunks.push({
+      index: chunks.length,
+      start,
+      end,
+      text: text.substring(start, end)
+    });
+
+    if (end >= text.length) break;
+
+    // Step back by the overlap but always move forward, starting on a word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) {
+      next = space + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge one chunk's partial result into the accumulated analysis by walking
+ * the transaction summary schema, like the single-request merge onto the fallback:
+ * - fields the schema doesn't know are dropped, except extra strings in free-form contact details
+ * - system-maintained (readOnly) fields and values of the wrong shape are skipped
+ * - lists collect the distinct items of every section
+ * - the first section to fill in a value keeps it; later sections that disagree are recorded as conflicts
+ */
+function mergePartial(target, partial, chunkIndex, state, schema = transactionSummarySchema, path = '') {
+  Object.keys(partial).forEach(key => {
+    const value = partial[key];
+    const fieldPath = path ? `${path}.${key}` : key;
+    const fieldSchema = schema.properties[key] ||
+      (isPlainObject(schema.additionalProperties) && typeof value === 'string' ? schema.additionalProperties : null);
+
+    if (!fieldSchema || fieldSchema.readOnly) return;
+
+    if (fieldSchema.type === 'array') {
+      if (!Array.isArray(value) || value.length === 0) return;
+
+      const existing = Array.isArray(target[key]) ? target[key] : [];
+      const seen = new Set(existing.map(item => JSON.stringify(item)));
+      const added = value.filter(item => {
+        const signature = JSON.stringify(item);
+        if (seen.has(signature)) return false;
+        seen.add(signature);
+        return true;
+      });
+
+      if (added.length > 0) {
+        target[key] = [...existing, ...added];
+        const chunkList = state.fieldSources[fieldPath] || [];
+        state.fieldSources[fieldPath] = [...chunkList, chunkIndex];
+      }
+      return;
+    }
+
+    if (fieldSchema.type === 'object' && fieldSchema.properties) {
+      if (!isPlainObject(value)) return;
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      mergePartial(target[key], value, chunkIndex, state, fieldSchema, fieldPath);
+      return;
+    }
+
+    if (isPlainObject(value) || Array.isArray(value) || !isMeaningful(value)) return;
+
+    if (!(fieldPath in state.fieldSources)) {
+      target[key] = value;
+      state.fieldSources[fieldPath] = chunkIndex;
+    } else if (JSON.stringify(target[key]) !== JSON.stringify(value)) {
+      state.conflicts.push({
+        field: fieldPath,
+        kept: { value: target[key], chunk: state.fieldSources[fieldPath] },
+        discarded: { value, chunk: chunkIndex }
+      });
+    }
+  });
+}
+
+/**
+ * Warnings for the fields sections disagreed on, so the discarded values are reviewed
+ * @param {Array<Object>} conflicts - `_meta.conflicts` of a merged analysis
+ * @returns {Array<{field: string, code: string, message: string, source: string, chunk: number}>}
+ */
+function conflictWarnings(conflicts) {
+  return conflicts.map(({ field, kept, discarded }) => ({
+    field,
+    code: 'chunk_conflict',
+    message: `Section ${discarded.chunk + 1} says ${JSON.stringify(discarded.value)}; kept ${JSON.stringify(kept.value)} from section ${kept.chunk + 1}`,
+    source: 'model',
+    chunk: discarded.chunk
+  }));
+}
+
+/**
+ * Merge per-chunk partial results over a base analysis (normally the regex fallback)
+ * @param {Object} base - Full-shape analysis to merge into
+ * @param {Array<{chunk: Object, result: Object|null}>} partials - Analyzed chunks in document order
+ * @returns {Object} - Merged analysis with `_meta.fieldSources` mapping field paths to chunk indexes,
+ *   and `_meta.conflicts` listing the values later chunks disagreed with
+ */
+function mergeChunkResults(base, partials) {
+  const merged = JSON.parse(JSON.stringify(base));
+  const state = { fieldSources: {}, conflicts: [] };
+
+  partials.forEach(({ chunk, result }) => {
+    if (isPlainObject(result)) {
+      mergePartial(merged, result, chunk.index, state);
+    }
+  });
+
+  merged._meta = {
+    ...(merged._meta || {}),
+    mode: 'chunked',
+    chunks: partials.map(({ chunk, result }) => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      analyzed: isPlainObject(result)
+    })),
+    fieldSources: state.fieldSources,
+    conflicts: state.conflicts
+  };
+
+  return merged;
+}
+
+module.exports = {
+  splitIntoChunks,
+  mergeChunkResults,
+  conflictWarnings
+};
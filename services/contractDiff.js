@@ -0,0 +1,244 @@
+const { diffArrays, diffWords } = require('diff');
+const { flattenObject } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+
+/**
+ * Compare two analyzed contracts - successive drafts or an offer and its counter.
+ *
+ * The field diff compares transaction summaries path by path, grouped into
+ * the categories negotiators look at first. The clause diff lines up the
+ * documents' blocks (paragraphs, headings, tables) and reports the clauses
+ * that were added, removed or reworded, with a word-level diff for rewordings.
+ */
+
+// First matching rule wins - deposit due dates count as deposits, not dates
+const CATEGORY_RULES = [
+  { category: 'parties', pattern: /^(parties|titleCompany|escrowCompany)\./ },
+  { category: 'deposits', pattern: /^deposits\./ },
+  { category: 'contingencies', pattern: /^(contingencies$|dueDiligence\.tasks$|financing\.loanContingency\.)/ },
+  { category: 'dates', pattern: /(Date|Until|deadline)$|^dueDiligence\.period$|^closingInfo\.extensions\./ },
+  { category: 'price', pattern: /^(property\.(purchasePrice|pricingStructure|pricePerUnit|unitType)|financing\.)/ }
+];
+
+const CATEGORIES = [...CATEGORY_RULES.map(rule => rule.category), 'other'];
+
+// Reworded clauses must share at least this much text with the original to be paired with it
+const MIN_CLAUSE_SIMILARITY = 0.5;
+// How far ahead to look for a clause's reworded counterpart
+const PAIRING_LOOKAHEAD = 5;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Category a summary field belongs to
+ */
+function categorize(path) {
+  const rule = CATEGORY_RULES.find(({ pattern }) => pattern.test(path));
+  return rule ? rule.category : 'other';
+}
+
+/**
+ * Comparable form of a value - case and whitespace differences aren't changes
+ */
+function normalize(value) {
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  return JSON.stringify(value);
+}
+
+/**
+ * Diff two list fields by item
+ */
+function diffList(before, after) {
+  const beforeKeys = new Set(before.map(normalize));
+  const afterKeys = new Set(after.map(normalize));
+
+  return {
+    added: after.filter(item => !beforeKeys.has(normalize(item))),
+    removed: before.filter(item => !afterKeys.has(normalize(item)))
+  };
+}
+
+/**
+ * How far a number or date moved
+ */
+function describeDelta(before, after) {
+  if (typeof before === 'number' && typeof after === 'number') {
+    return {
+      delta: after - before,
+      ...(before !== 0 && { percentChange: Math.round((after - before) / before * 1000) / 10 })
+    };
+  }
+
+  if (ISO_DATE.test(before) && ISO_DATE.test(after)) {
+    return { deltaDays: Math.round((Date.parse(after) - Date.parse(before)) / DAY_MS) };
+  }
+
+  return {};
+}
+
+/**
+ * Field-level diff of two transaction summaries
+ * @param {Object} before - Analysis of the earlier version
+ * @param {Object} after - Analysis of the later version
+ * @returns {{fields: Array<Object>, counts: Object}} - One entry per differing field:
+ *   `{ path, category, type: 'added'|'removed'|'changed', before, after }`, plus
+ *   `delta`/`percentChange` for amounts, `deltaDays` for dates and `added`/`removed` items for lists
+ */
+function diffSummaries(before, after) {
+  const beforeFields = flattenObject(before || {}, { skip: ['_meta'], keepArrays: true });
+  const afterFields = flattenObject(after || {}, { skip: ['_meta'], keepArrays: true });
+  const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])];
+  const fields = [];
+
+  paths.forEach(path => {
+    const oldValue = beforeFields[path];
+    const newValue = afterFields[path];
+
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const { added, removed } = diffList(Array.isArray(oldValue) ? oldValue : [], Array.isArray(newValue) ? newValue : []);
+      if (added.length === 0 && removed.length === 0) return;
+
+      fields.push({ path, category: categorize(path), type: 'changed', before: oldValue || [], after: newValue || [], added, removed });
+      return;
+    }
+
+    const hadValue = isMeaningful(oldValue);
+    const hasValue = isMeaningful(newValue);
+    if (!hadValue && !hasValue) return;
+    if (hadValue && hasValue && normalize(oldValue) === normalize(newValue)) return;
+
+    const type = !hadValue ? 'added' : !hasValue ? 'removed' : 'changed';
+    fields.push({
+      path,
+      category: categorize(path),
+      type,
+      before: hadValue ? oldValue : null,
+      after: hasValue ? newValue : null,
+      ...(type === 'changed' && describeDelta(oldValue, newValue))
+    });
+  });
+
+  fields.sort((a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) || a.path.localeCompare(b.path));
+
+  const counts = { added: 0, removed: 0, changed: 0 };
+  fields.forEach(field => counts[field.type]++);
+
+  return { fields, counts };
+}
+
+/**
+ * Clauses of a contract: document blocks when known, blank-line paragraphs otherwise
+ * @param {Object} contract - Row with `document` and `extracted_text`
+ * @returns {Array<{text: string, page: number|null, section: string|null}>}
+ */
+function clausesOf(contract) {
+  const blocks = contract.document && contract.document.blocks;
+  if (blocks && blocks.length > 0) {
+    return blocks.map(block => ({ text: block.text, page: block.page, section: block.section }));
+  }
+
+  return (contract.extracted_text || '')
+    .split(/\n\s*\n/)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ text, page: null, section: null }));
+}
+
+/**
+ * Word diff of two clause texts and the share of text they have in common
+ */
+function compareClauses(before, after) {
+  const words = diffWords(before.text, after.text).map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    text: part.value
+  }));
+  const common = words.filter(word => word.type === 'unchanged').reduce((sum, word) => sum + word.text.length, 0);
+
+  return { words, similarity: (2 * common) / (before.text.length + after.text.length || 1) };
+}
+
+/**
+ * Turn a run of removed clauses and the run of added clauses that replaced them
+ * into changes, pairing rewordings of the same clause
+ */
+function pairClauses(removed, added) {
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < removed.length && j < added.length) {
+    let match = null;
+    let offset = 0;
+    for (; offset < PAIRING_LOOKAHEAD && j + offset < added.length; offset++) {
+      const comparison = compareClauses(removed[i], added[j + offset]);
+      if (comparison.similarity >= MIN_CLAUSE_SIMILARITY) {
+        match = comparison;
+        break;
+      }
+    }
+
+    if (!match) {
+      changes.push({ type: 'removed', before: removed[i], after: null });
+      i++;
+      continue;
+    }
+
+    // Clauses inserted ahead of the reworded one
+    added.slice(j, j + offset).forEach(clause => changes.push({ type: 'added', before: null, after: clause }));
+    changes.push({ type: 'modified', before: removed[i], after: added[j + offset], similarity: Math.round(match.similarity * 100) / 100, words: match.words });
+    i++;
+    j += offset + 1;
+  }
+
+  removed.slice(i).forEach(clause => changes.push({ type: 'removed', before: clause, after: null }));
+  added.slice(j).forEach(clause => changes.push({ type: 'added', before: null, after: clause }));
+
+  return changes;
+}
+
+/**
+ * Clause-level diff of two contracts' documents
+ * @param {Object} before - Contract row of the earlier version
+ * @param {Object} after - Contract row of the later version
+ * @returns {{changes: Array<Object>, counts: Object}} - Added, removed and modified clauses in document
+ *   order, each with the text, page and section on either side; unchanged clauses are only counted
+ */
+function diffClauses(before, after) {
+  const parts = diffArrays(clausesOf(before), clausesOf(after), {
+    comparator: (a, b) => normalize(a.text) === normalize(b.text)
+  });
+
+  const changes = [];
+  const counts = { unchanged: 0, added: 0, removed: 0, modified: 0 };
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    changes.push(...pairClauses(removed, added));
+    removed = [];
+    added = [];
+  };
+
+  parts.forEach(part => {
+    if (part.removed) {
+      removed.push(...part.value);
+    } else if (part.added) {
+      added.push(...part.value);
+    } else {
+      flush();
+      counts.unchanged += part.value.length;
+    }
+  });
+  flush();
+
+  changes.forEach(change => counts[change.type]++);
+
+  return { changes, counts };
+}
+
+module.exports = {
+  CATEGORIES,
+  diffSummaries,
+  diffClauses
+};
@@ -0,0 +1,88 @@
+const supabase = require('../config/database');
+
+/**
+ * Contract timeline backed by the `contract_events` table.
+ *
+ * Things that happen to a deal after it is analyzed - contingencies waived or
+ * removed, deposits going hard, access shared - are recorded here with who did them and
+ * when, so the history survives later edits to the items themselves.
+ */
+
+const EVENT_TYPES = [
+  'checklist_status_changed',
+  'checklist_removed',
+  'checklist_restored',
+  'deposit_status_changed',
+  'contract_shared',
+  'contract_unshared'
+];
+
+/**
+ * Record an event against a contract
+ * @param {Object} event
+ * @param {string} event.contractId
+ * @param {string} event.userId - Owner of the contract
+ * @param {string} event.type - One of EVENT_TYPES
+ * @param {string} [event.actor='system'] - Email of the user who acted, or 'system' for derived changes
+ * @param {string} [event.itemId] - Checklist item the event is about
+ * @param {string} [event.depositId] - Deposit the event is about
+ * @param {Object} [event.details] - Anything else worth keeping (previous and new status, snapshots)
+ * @returns {Promise<Object>} - The stored event
+ */
+async function recordEvent({ contractId, userId, type, actor = 'system', itemId = null, depositId = null, details = {} }) {
+  const { data, error } = await supabase
+    .from('contract_events')
+    .insert({
+      contract_id: contractId,
+      user_id: userId,
+      type,
+      actor,
+      item_id: itemId,
+      deposit_id: depositId,
+      details,
+      occurred_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record ${type} event for contract ${contractId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * A contract's events, oldest first
+ * @param {string} contractId
+ * @param {string} userId
+ * @param {Object} [filters]
+ * @param {string} [filters.type]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listEvents(contractId, userId, { type } = {}) {
+  let query = supabase
+    .from('contract_events')
+    .select('*')
+    .eq('contract_id', contractId)
+    .eq('user_id', userId)
+    .order('occurred_at', { ascending: true });
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load events for contract ${contractId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  listEvents
+};
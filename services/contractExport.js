@@ -0,0 +1,167 @@
+const ExcelJS = require('exceljs');
+const { transactionSummarySchema } = require('../schemas/transactionSummary');
+const { getPath } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const { BRAND_NAME, entryText } = require('./summaryReport');
+
+/**
+ * Tabular export of transaction summaries - one row per contract, one column
+ * per summary field under its dotted path (`property.address`,
+ * `deposits.firstDeposit.amount`, ...). Columns follow the schema, so every
+ * export has the same columns in the same order whatever the contracts hold.
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Contract columns ahead of the summary fields
+const CONTRACT_COLUMNS = [
+  { key: 'id', header: 'id', type: 'text', value: contract => contract.id },
+  { key: 'file_name', header: 'file_name', type: 'text', value: contract => contract.file_name },
+  { key: 'status', header: 'status', type: 'text', value: contract => contract.status },
+  { key: 'created_at', header: 'created_at', type: 'date', value: contract => (contract.created_at || '').substring(0, 10) }
+];
+
+/**
+ * Kind of value a schema field holds, for formatting
+ */
+function fieldType(schema) {
+  if (schema.type === 'array') return 'list';
+  if (schema.type === 'number') return 'amount';
+  if (schema.type === 'boolean') return 'flag';
+  if (schema.anyOf && schema.anyOf.some(option => option.pattern)) return 'date';
+  return 'text';
+}
+
+/**
+ * Leaf fields of the summary schema in declaration order. Lists are single
+ * columns; `_meta` is left out.
+ */
+function schemaColumns(schema = transactionSummarySchema, prefix = '') {
+  return Object.entries(schema.properties || {}).flatMap(([key, fieldSchema]) => {
+    if (key === '_meta') return [];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (fieldSchema.type === 'object' && fieldSchema.properties) {
+      return schemaColumns(fieldSchema, path);
+    }
+    return [{ key: path, header: path, type: fieldType(fieldSchema), value: summary => getPath(summary, path) }];
+  });
+}
+
+const SUMMARY_COLUMNS = schemaColumns();
+
+/**
+ * One list item as text; deposits read "label: $amount (timing)"
+ */
+function listItemText(item) {
+  if (item && typeof item === 'object' && item.amount !== undefined) {
+    const parts = [item.label || 'Deposit', `$${Number(item.amount || 0).toLocaleString('en-US')}`];
+    return `${parts.join(': ')}${isMeaningful(item.timing) ? ` (${item.timing})` : ''}`;
+  }
+  return entryText(item);
+}
+
+/**
+ * Cell value of a field: numbers and booleans stay typed, lists are joined, TBD stays TBD
+ */
+function cellValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (type === 'list') {
+    return Array.isArray(value) ? value.map(listItemText).filter(Boolean).join('; ') : String(value);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Columns and rows for a set of contracts
+ * @param {Array<Object>} contracts - Contract rows with the terms in effect as `analysis`
+ * @returns {{columns: Array<{key: string, header: string, type: string}>, rows: Array<Array<*>>}}
+ */
+function buildExportTable(contracts) {
+  const columns = [...CONTRACT_COLUMNS, ...SUMMARY_COLUMNS];
+
+  const rows = contracts.map(contract => [
+    ...CONTRACT_COLUMNS.map(column => cellValue(column.value(contract), column.type)),
+    ...SUMMARY_COLUMNS.map(column => cellValue(column.value(contract.analysis || {}), column.type))
+  ]);
+
+  return {
+    columns: columns.map(({ key, header, type }) => ({ key, header, type })),
+    rows
+  };
+}
+
+/**
+ * Quote a CSV field (RFC 4180). Text that spreadsheet apps would run as a
+ * formula is prefixed with an apostrophe.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an export table as CSV, with a BOM so Excel reads it as UTF-8
+ * @param {{columns: Array<Object>, rows: Array<Array<*>>}} table
+ * @returns {string}
+ */
+function toCsv({ columns, rows }) {
+  const lines = [columns.map(column => column.header), ...rows].map(row => row.map(csvField).join(','));
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Render an export table as an XLSX workbook with typed, formatted cells
+ * @param {{columns: Array<Object>, rows: Array<Array<*>>}} table
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Contracts']
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx({ columns, rows }, { sheetName = 'Contracts' } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = BRAND_NAME;
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.min(Math.max(column.header.length + 2, column.type === 'list' ? 40 : 14), 60)
+  }));
+
+  rows.forEach(row => {
+    const added = sheet.addRow(row.map((value, index) => {
+      // Real dates sort and filter as dates; TBD stays text
+      if (columns[index].type === 'date' && ISO_DATE.test(value || '')) {
+        return new Date(`${value}T00:00:00Z`);
+      }
+      return value;
+    }));
+    added.alignment = { vertical: 'top', wrapText: true };
+  });
+
+  columns.forEach((column, index) => {
+    const sheetColumn = sheet.getColumn(index + 1);
+    if (column.type === 'amount') sheetColumn.numFmt = '$#,##0.00';
+    if (column.type === 'date') sheetColumn.numFmt = 'yyyy-mm-dd';
+  });
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.alignment = { vertical: 'middle' };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  SUMMARY_COLUMNS,
+  buildExportTable,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,229 @@
+const supabase = require('../config/database');
+const { getPath } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const { contractScopeFilter } = require('./organizations');
+
+/**
+ * Portfolio search over the contracts a user can see (see organizations.js).
+ *
+ * Structured filters run against columns copied out of the terms in effect
+ * (see searchColumns) so they can be indexed; keep them current whenever the
+ * analysis or its amendments change. Free text is matched against the
+ * extracted contract text with Postgres full-text search. Results are paged
+ * with opaque keyset cursors, which stay stable while contracts are added.
+ */
+
+// Contract columns kept in step with the summary for filtering and sorting
+const SEARCH_FIELDS = {
+  property_address: { path: 'property.address', type: 'text' },
+  property_type: { path: 'property.propertyType', type: 'text' },
+  purchase_price: { path: 'property.purchasePrice', type: 'amount' },
+  buyer_name: { path: 'parties.buyer.name', type: 'text' },
+  seller_name: { path: 'parties.seller.name', type: 'text' },
+  escrow_company: { path: 'escrowCompany.name', type: 'text', fallback: 'escrow.companyName' },
+  closing_date: { path: 'closingInfo.outsideDate', type: 'date' }
+};
+
+// Sort options and the column each sorts on
+const SORT_COLUMNS = {
+  created: 'created_at',
+  updated: 'updated_at',
+  price: 'purchase_price',
+  closing: 'closing_date',
+  address: 'property_address'
+};
+
+const RESULT_COLUMNS = ['id', 'user_id', 'organization_id', 'file_name', 'file_type', 'file_size', 'status', 'analysis', 'created_at', 'updated_at', ...Object.keys(SEARCH_FIELDS)].join(', ');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a value is a YYYY-MM-DD date that exists on the calendar - the
+ * database rejects dates like 2026-02-30 that the pattern alone lets through
+ */
+function isCalendarDate(value) {
+  if (!ISO_DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Values of the search columns for a transaction summary. Missing terms (TBD,
+ * "Not found", zero amounts) are null so they never match a filter.
+ * @param {Object} summary - Terms in effect
+ * @returns {Object} - Column values to store on the contract row
+ */
+function searchColumns(summary) {
+  const columns = {};
+
+  Object.entries(SEARCH_FIELDS).forEach(([column, { path, type, fallback }]) => {
+    let value = getPath(summary || {}, path);
+    if (!isMeaningful(value) && fallback) {
+      value = getPath(summary || {}, fallback);
+    }
+
+    if (!isMeaningful(value)) {
+      columns[column] = null;
+    } else if (type === 'amount') {
+      columns[column] = typeof value === 'number' ? value : null;
+    } else if (type === 'date') {
+      columns[column] = isCalendarDate(value) ? value : null;
+    } else {
+      columns[column] = String(value).trim();
+    }
+  });
+
+  return columns;
+}
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+/**
+ * @returns {{value: *, id: string}|null} - null when the cursor isn't one of ours
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2 || typeof decoded[1] !== 'string') return null;
+    return { value: decoded[0], id: decoded[1] };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate search query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{search: Object|null, error: string|null}}
+ */
+function parseSearchQuery(query) {
+  const search = {
+    q: typeof query.q === 'string' && query.q.trim() ? query.q.trim() : null,
+    status: query.status || null,
+    propertyType: query.propertyType || null,
+    buyer: query.buyer || null,
+    seller: query.seller || null,
+    escrowCompany: query.escrowCompany || null,
+    minPrice: null,
+    maxPrice: null,
+    closingFrom: query.closingFrom || null,
+    closingTo: query.closingTo || null,
+    sort: query.sort || 'created',
+    order: query.order || (query.sort && query.sort !== 'created' && query.sort !== 'updated' ? 'asc' : 'desc'),
+    limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    cursor: null
+  };
+
+  for (const field of ['minPrice', 'maxPrice']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const value = Number(query[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { search: null, error: `${field} must be a non-negative number` };
+    }
+    search[field] = value;
+  }
+
+  for (const field of ['closingFrom', 'closingTo']) {
+    if (search[field] && !isCalendarDate(search[field])) {
+      return { search: null, error: `${field} must be a YYYY-MM-DD date` };
+    }
+  }
+
+  if (!SORT_COLUMNS[search.sort]) {
+    return { search: null, error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(search.order)) {
+    return { search: null, error: 'order must be asc or desc' };
+  }
+
+  if (query.cursor) {
+    search.cursor = decodeCursor(query.cursor);
+    if (!search.cursor) {
+      return { search: null, error: 'Invalid cursor' };
+    }
+  }
+
+  return { search, error: null };
+}
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+const likePattern = (value) => `%${String(value).replace(/[\\%_]/g, match => `\\${match}`)}%`;
+
+// PostgREST logic-tree values with reserved characters must be quoted
+const quoted = (value) => `"${String(value).replace(/["\\]/g, match => `\\${match}`)}"`;
+
+/**
+ * Filter for the rows after the cursor, in sort order with nulls last
+ */
+function afterCursor(query, column, ascending, { value, id }) {
+  const comparison = ascending ? 'gt' : 'lt';
+
+  if (value === null) {
+    return query.is(column, null)[comparison]('id', id);
+  }
+
+  return query.or([
+    `${column}.${comparison}.${quoted(value)}`,
+    `and(${column}.eq.${quoted(value)},id.${comparison}.${quoted(id)})`,
+    `${column}.is.null`
+  ].join(','));
+}
+
+/**
+ * Search the contracts a user can see
+ * @param {Object} user - Authenticated Supabase user
+ * @param {Object} search - From parseSearchQuery
+ * @returns {Promise<{contracts: Array<Object>, nextCursor: string|null}>}
+ */
+async function searchContracts(user, search) {
+  const column = SORT_COLUMNS[search.sort];
+  const ascending = search.order === 'asc';
+
+  let query = supabase
+    .from('contracts')
+    .select(RESULT_COLUMNS)
+    .or(await contractScopeFilter(user));
+
+  if (search.q) query = query.textSearch('extracted_text', search.q, { type: 'websearch', config: 'english' });
+  if (search.status) query = query.eq('status', search.status);
+  if (search.propertyType) query = query.ilike('property_type', likePattern(search.propertyType));
+  if (search.buyer) query = query.ilike('buyer_name', likePattern(search.buyer));
+  if (search.seller) query = query.ilike('seller_name', likePattern(search.seller));
+  if (search.escrowCompany) query = query.ilike('escrow_company', likePattern(search.escrowCompany));
+  if (search.minPrice !== null) query = query.gte('purchase_price', search.minPrice);
+  if (search.maxPrice !== null) query = query.lte('purchase_price', search.maxPrice);
+  if (search.closingFrom) query = query.gte('closing_date', search.closingFrom);
+  if (search.closingTo) query = query.lte('closing_date', search.closingTo);
+  if (search.cursor) query = afterCursor(query, column, ascending, search.cursor);
+
+  // One extra row tells us whether there is another page
+  const { data, error } = await query
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+    .limit(search.limit + 1);
+
+  if (error) {
+    throw new Error(`Failed to search contracts: ${error.message}`);
+  }
+
+  const contracts = data.slice(0, search.limit);
+  const last = contracts[contracts.length - 1];
+
+  return {
+    contracts,
+    nextCursor: data.length > search.limit ? encodeCursor(last[column] === undefined ? null : last[column], last.id) : null
+  };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SORT_COLUMNS,
+  searchColumns,
+  parseSearchQuery,
+  searchContracts
+};
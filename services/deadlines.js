@@ -0,0 +1,420 @@
+const { getPath, setPath } = require('../utils/objectPath');
+
+/**
+ * Deadline engine - turns relative contract language such as
+ * "within 3 business days of opening escrow" into concrete dates.
+ *
+ * Each rule below reads contract language from one field and writes a date to
+ * another. Rules run in order, so a date computed by an earlier rule (e.g. the
+ * due diligence end date) can anchor a later one (e.g. the second deposit).
+ * Computed dates are recorded in `_meta.computedDates` so they are recomputed
+ * whenever an anchor changes, while dates entered by hand are left alone.
+ */
+
+// Spelled-out numbers: units and teens on their own, tens alone or with a unit
+// ("sixty-five", "twenty one"), and one hundred with either after it
+const UNIT_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19
+};
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+// Longest words first, so "seventeen" isn't read as "seven"
+const alternation = (words) => words.sort((a, b) => b.length - a.length).join('|');
+
+const DIGIT_WORDS = alternation(Object.keys(UNIT_WORDS).filter(word => UNIT_WORDS[word] < 10));
+const BELOW_HUNDRED = `(?:(?:${alternation(Object.keys(TENS_WORDS))})(?:[\\s-]+(?:${DIGIT_WORDS}))?|${alternation(Object.keys(UNIT_WORDS))})`;
+const NUMBER_WORDS = `(?:one\\s+hundred(?:\\s+(?:and\\s+)?${BELOW_HUNDRED})?|${BELOW_HUNDRED})`;
+
+// Events contract language is measured from, and the summary field holding their date
+const ANCHORS = [
+  { path: 'escrow.openingDate', pattern: /(?:the\s+)?(?:opening\s+of\s+escrow|open(?:ing)?\s+escrow|escrow\s+opening|opening\s+date)/i },
+  { path: 'dueDiligence.endDate', pattern: /(?:the\s+)?(?:expiration|end|expiry|close|conclusion)\s+of\s+(?:the\s+)?(?:due\s+diligence|feasibility|inspection)(?:\s+period)?|(?:due\s+diligence|feasibility|inspection)\s+(?:period\s+)?(?:expiration|expiry)/i },
+  { path: 'closingInfo.outsideDate', pattern: /(?:the\s+)?(?:close\s+of\s+escrow|closing(?:\s+date)?)/i }
+];
+
+/**
+ * Date fields computed from relative language, in dependency order
+ * - target: field that receives the date
+ * - expression: field holding the contract language
+ * - startTarget: optional field that receives the anchor date (the period start)
+ * - inherit: copy another computed date instead of parsing language
+ */
+const DEADLINE_RULES = [
+  { target: 'dueDiligence.endDate', expression: 'dueDiligence.period', startTarget: 'dueDiligence.startDate' },
+  { target: 'deposits.firstDeposit.dueDate', expression: 'deposits.firstDeposit.timing' },
+  { target: 'deposits.secondDeposit.dueDate', expression: 'deposits.secondDeposit.timing' },
+  // Refundable deposits stay refundable until due diligence expires unless the contract says otherwise
+  { target: 'deposits.firstDeposit.refundableUntil', inherit: 'dueDiligence.endDate', when: 'deposits.firstDeposit.refundable' },
+  { target: 'deposits.secondDeposit.refundableUntil', inherit: 'dueDiligence.endDate', when: 'deposits.secondDeposit.refundable' }
+];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Rules for the summary at hand - the fixed rules plus one pair per additional deposit
+ */
+function deadlineRules(summary) {
+  const additional = (summary.deposits && summary.deposits.additionalDeposits) || [];
+
+  return [
+    ...DEADLINE_RULES,
+    ...additional.flatMap((deposit, index) => {
+      const path = `deposits.additionalDeposits.${index}`;
+      return [
+        { target: `${path}.dueDate`, expression: `${path}.timing` },
+        { target: `${path}.refundableUntil`, inherit: 'dueDiligence.endDate', when: `${path}.refundable` }
+      ];
+    })
+  ];
+}
+
+/**
+ * Value of a spelled-out number matched by NUMBER_WORDS, e.g. "one hundred twenty" or "sixty-five"
+ */
+function wordsToNumber(words) {
+  return words.toLowerCase().split(/[\s-]+/).filter(word => word !== 'and').reduce((total, word) => (
+    word === 'hundred' ? total * 100 : total + (UNIT_WORDS[word] || TENS_WORDS[word])
+  ), 0);
+}
+
+/**
+ * Parse relative deadline language
+ * @param {string} text - e.g. "due within 3 business days of opening escrow"
+ * @returns {{amount: number, unit: string, direction: string, anchor: string}|null}
+ */
+function parseRelativeDeadline(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.match(new RegExp(
+    `\\b(?:(\\d+)|(${NUMBER_WORDS}))\\b(?:\\s*\\((\\d+)\\))?\\s+(business|calendar|banking|working)?\\s*days?\\s+` +
+    '(after|from|of|following|following\\s+the|before|prior\\s+to|preceding)\\s+(.*)',
+    'i'
+  ));
+  if (!match) return null;
+
+  const [, digits, words, parenthesized, unitWord, relation, rest] = match;
+  const amount = digits ? parseInt(digits) : wordsToNumber(words);
+
+  // "thirty (60) days" - no telling which the parties meant
+  if (parenthesized && parseInt(parenthesized) !== amount) return null;
+
+  const anchor = ANCHORS.find(({ pattern }) => {
+    const found = rest.match(pattern);
+    return found && found.index < 20;
+  });
+  if (!anchor || !amount) return null;
+
+  return {
+    amount,
+    unit: unitWord && !/calendar/i.test(unitWord) ? 'business' : 'calendar',
+    direction: /before|prior|preceding/i.test(relation) ? 'before' : 'after',
+    anchor: anchor.path
+  };
+}
+
+// Date helpers - all arithmetic is on UTC calendar dates
+
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const toISO = (date) => date.toISOString().substring(0, 10);
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * The nth weekday of a month (n = -1 for the last one)
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+  }
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return new Date(Date.UTC(year, month, last.getUTCDate() - offset));
+}
+
+/**
+ * Observed date for a fixed holiday - Saturday moves to Friday, Sunday to Monday
+ */
+function observed(date) {
+  const day = date.getUTCDay();
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * US federal holidays (observed dates) for a year
+ * @param {number} year
+ * @returns {Array<string>} - ISO dates
+ */
+function federalHolidays(year) {
+  return [
+    observed(new Date(Date.UTC(year, 0, 1))), // New Year's Day
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Presidents' Day
+    nthWeekday(year, 4, 1, -1), // Memorial Day
+    observed(new Date(Date.UTC(year, 5, 19))), // Juneteenth
+    observed(new Date(Date.UTC(year, 6, 4))), // Independence Day
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 9, 1, 2), // Columbus Day
+    observed(new Date(Date.UTC(year, 10, 11))), // Veterans Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving
+    observed(new Date(Date.UTC(year, 11, 25))) // Christmas
+  ].map(toISO);
+}
+
+/**
+ * Holiday calendar used for business-day math.
+ * DEADLINE_HOLIDAYS (comma-separated ISO dates) replaces the federal list when set.
+ * @param {Array<string>} [holidays] - Explicit list, overrides everything
+ * @returns {function(Date): boolean}
+ */
+function holidayChecker(holidays) {
+  const configured = holidays || (process.env.DEADLINE_HOLIDAYS
+    ? process.env.DEADLINE_HOLIDAYS.split(',').map(date => date.trim()).filter(Boolean)
+    : null);
+
+  if (configured) {
+    const set = new Set(configured);
+    return (date) => set.has(toISO(date));
+  }
+
+  const byYear = new Map();
+  return (date) => {
+    const year = date.getUTCFullYear();
+    if (!byYear.has(year)) {
+      byYear.set(year, new Set(federalHolidays(year)));
+    }
+    return byYear.get(year).has(toISO(date));
+  };
+}
+
+/**
+ * Whether a date is a business day (not a weekend or holiday)
+ */
+function isBusinessDay(date, isHoliday) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !isHoliday(date);
+}
+
+/**
+ * Resolve a parsed deadline against its anchor date
+ * @param {string} anchorDate - ISO date
+ * @param {Object} deadline - From parseRelativeDeadline
+ * @param {Object} [options]
+ * @param {Array<string>} [options.holidays] - ISO dates treated as holidays
+ * @param {boolean} [options.rollToBusinessDay=true] - Move calendar-day deadlines off weekends and holidays
+ * @returns {string} - ISO date
+ */
+function resolveDeadline(anchorDate, { amount, unit, direction }, { holidays, rollToBusinessDay = true } = {}) {
+  const isHoliday = holidayChecker(holidays);
+  const step = direction === 'before' ? -1 : 1;
+  let date = toDate(anchorDate);
+
+  if (unit === 'business') {
+    let remaining = amount;
+    while (remaining > 0) {
+      date = addDays(date, step);
+      if (isBusinessDay(date, isHoliday)) remaining--;
+    }
+    return toISO(date);
+  }
+
+  date = addDays(date, step * amount);
+  if (rollToBusinessDay) {
+    while (!isBusinessDay(date, isHoliday)) {
+      date = addDays(date, step);
+    }
+  }
+  return toISO(date);
+}
+
+/**
+ * Whether the engine may write a field: it is empty, or holds a date the engine computed earlier.
+ * Values a user typed in or an amendment set are never overwritten.
+ */
+function isWritable(summary, path, computedDates) {
+  const provenance = summary._meta && summary._meta.provenance && summary._meta.provenance[path];
+  if (provenance && (provenance.source === 'manual' || provenance.source === 'amendment')) return false;
+
+  const current = getPath(summary, path);
+  return path in computedDates || current === undefined || current === null || current === 'TBD';
+}
+
+/**
+ * Fill in dates that can be derived from relative contract language
+ * @param {Object} summary - Transaction summary (mutated)
+ * @param {Object} [options] - Passed to resolveDeadline
+ * @returns {Object} - The same summary with `_meta.computedDates` describing each computed date
+ */
+function computeDeadlines(summary, options = {}) {
+  const meta = summary._meta || {};
+  const previous = meta.computedDates || {};
+  const computedDates = {};
+
+  const write = (path, value, basis) => {
+    if (!isWritable(summary, path, previous)) return;
+    setPath(summary, path, value);
+    if (value !== 'TBD') {
+      computedDates[path] = { ...basis, computedAt: new Date().toISOString() };
+    }
+  };
+
+  deadlineRules(summary).forEach(rule => {
+    if (rule.when && getPath(summary, rule.when) !== true) {
+      if (rule.target in previous) write(rule.target, 'TBD', {});
+      return;
+    }
+
+    if (rule.inherit) {
+      const inherited = getPath(summary, rule.inherit);
+      write(rule.target, ISO_DATE.test(inherited || '') ? inherited : 'TBD', { from: rule.inherit });
+      return;
+    }
+
+    const expression = getPath(summary, rule.expression);
+    const deadline = parseRelativeDeadline(expression);
+    if (!deadline) {
+      // Language no longer parses - drop any date we computed from it before
+      if (rule.target in previous) write(rule.target, 'TBD', {});
+      if (rule.startTarget && rule.startTarget in previous) write(rule.startTarget, 'TBD', {});
+      return;
+    }
+
+    const anchorDate = getPath(summary, deadline.anchor);
+    const resolved = ISO_DATE.test(anchorDate || '') ? resolveDeadline(anchorDate, deadline, options) : 'TBD';
+    const basis = { from: rule.expression, expression, ...deadline };
+
+    write(rule.target, resolved, basis);
+    if (rule.startTarget && deadline.direction === 'after') {
+      write(rule.startTarget, ISO_DATE.test(anchorDate || '') ? anchorDate : 'TBD', { from: deadline.anchor });
+    }
+  });
+
+  summary._meta = { ...meta, computedDates };
+
+  const count = Object.keys(computedDates).length;
+  if (count > 0) {
+    console.log(`📅 Computed ${count} deadline date(s) from contract language`);
+  }
+
+  return summary;
+}
+
+/**
+ * Dated milestones of a transaction, in the order they appear in the summary
+ */
+const MILESTONES = [
+  { key: 'escrow-opening', path: 'escrow.openingDate', label: 'Escrow opens' },
+  { key: 'first-deposit-due', path: 'deposits.firstDeposit.dueDate', label: 'First deposit due', detail: 'deposits.firstDeposit' },
+  { key: 'first-deposit-refundable', path: 'deposits.firstDeposit.refundableUntil', label: 'First deposit goes hard', detail: 'deposits.firstDeposit' },
+  { key: 'second-deposit-due', path: 'deposits.secondDeposit.dueDate', label: 'Second deposit due', detail: 'deposits.secondDeposit' },
+  { key: 'second-deposit-refundable', path: 'deposits.secondDeposit.refundableUntil', label: 'Second deposit goes hard', detail: 'deposits.secondDeposit' },
+  { key: 'due-diligence-end', path: 'dueDiligence.endDate', label: 'Due diligence period ends' },
+  { key: 'loan-contingency', path: 'financing.loanContingency.deadline', label: 'Loan contingency deadline' },
+  { key: 'outside-date', path: 'closingInfo.outsideDate', label: 'Outside closing date' },
+  { key: 'closing', path: 'closingInfo.actualClosing', label: 'Closing' }
+];
+
+/**
+ * Describe a deposit for a milestone
+ */
+function depositDetail(deposit) {
+  const parts = [];
+  if (deposit.amount) parts.push(`Amount: $${Number(deposit.amount).toLocaleString('en-US')}`);
+  if (deposit.timing && deposit.timing !== 'TBD') parts.push(`Terms: ${deposit.timing}`);
+  if (deposit.status && deposit.status !== 'not_yet_due') parts.push(`Status: ${deposit.status.replace(/_/g, ' ')}`);
+  return parts.join('\n');
+}
+
+// Deposit statuses after which a milestone needs no reminder
+const DEPOSIT_PAID = ['paid', 'hard', 'released', 'refunded'];
+const DEPOSIT_SETTLED = ['hard', 'released', 'refunded'];
+
+/**
+ * Whether a deposit milestone has already happened according to the ledger
+ */
+function depositMilestoneDone(key, deposit) {
+  const status = deposit && deposit.status;
+  if (/-due$/.test(key)) return DEPOSIT_PAID.includes(status);
+  if (/-refundable$/.test(key)) return DEPOSIT_SETTLED.includes(status);
+  return false;
+}
+
+/**
+ * List every dated deadline in a transaction summary
+ * @param {Object} summary - Transaction summary
+ * @returns {Array<{key: string, label: string, date: string, path: string, description: string, done: boolean}>}
+ *   - Sorted by date. `done` marks deposit milestones the ledger shows as already met.
+ */
+function collectDeadlines(summary) {
+  const deadlines = [];
+  const milestones = [
+    ...MILESTONES,
+    ...((summary.deposits && summary.deposits.additionalDeposits) || []).flatMap((deposit, index) => {
+      const detail = `deposits.additionalDeposits.${index}`;
+      const name = deposit && deposit.label ? deposit.label : `Additional deposit ${index + 1}`;
+      return [
+        { key: `additional-deposit-${index}-due`, path: `${detail}.dueDate`, label: `${name} due`, detail },
+        { key: `additional-deposit-${index}-refundable`, path: `${detail}.refundableUntil`, label: `${name} goes hard`, detail }
+      ];
+    })
+  ];
+
+  milestones.forEach(({ key, path, label, detail }) => {
+    const date = getPath(summary, path);
+    if (!ISO_DATE.test(date || '')) return;
+
+    let description = '';
+    let done = false;
+    if (detail) {
+      const deposit = getPath(summary, detail) || {};
+      description = depositDetail(deposit);
+      done = depositMilestoneDone(key, deposit);
+    } else if (key === 'due-diligence-end') {
+      description = summary.dueDiligence.period || '';
+    } else if (key === 'outside-date') {
+      const extensions = summary.closingInfo.extensions || {};
+      description = [
+        extensions.automatic ? 'Automatic extension applies' : null,
+        extensions.buyerOptions && extensions.buyerOptions !== 'TBD' ? `Buyer extension options: ${extensions.buyerOptions}` : null,
+        extensions.sellerOptions && extensions.sellerOptions !== 'TBD' ? `Seller extension options: ${extensions.sellerOptions}` : null
+      ].filter(Boolean).join('\n');
+    }
+
+    deadlines.push({ key, label, date, path, description, done });
+  });
+
+  // Contingencies extracted as objects may carry their own deadline
+  (summary.contingencies || []).forEach((contingency, index) => {
+    if (!contingency || typeof contingency !== 'object') return;
+    const date = contingency.deadline || contingency.dueDate;
+    if (!ISO_DATE.test(date || '')) return;
+
+    deadlines.push({
+      key: `contingency-${index}`,
+      label: `Contingency: ${contingency.name || contingency.type || contingency.description || `#${index + 1}`}`,
+      date,
+      path: `contingencies.${index}`,
+      description: contingency.description || '',
+      done: false
+    });
+  });
+
+  return deadlines.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  parseRelativeDeadline,
+  resolveDeadline,
+  federalHolidays,
+  computeDeadlines,
+  collectDeadlines
+};
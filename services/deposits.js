@@ -0,0 +1,432 @@
+const supabase = require('../config/database');
+const { getPath, setPath } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const { SOURCES } = require('./provenance');
+const { currentAnalysis } = require('./amendments');
+const { recordEvent } = require('./contractEvents');
+
+/**
+ * Deposit ledger backed by the `deposits` and `deposit_payments` tables.
+ *
+ * Deposits named in the contract (first, second and any additional ones) are
+ * synced from the terms in effect; their amounts and dates are corrected
+ * through the contract analysis. Users can add further deposits by hand. Each
+ * deposit moves through
+ *
+ *   not_yet_due -> due -> paid -> hard -> released
+ *                              \-> released | refunded
+ *
+ * `due`, `paid` and `hard` follow from the due date, recorded payments and the
+ * refund window; `released`, `refunded` (and going hard early) are recorded by
+ * the user. The resulting status, paid date and `totalDeposits` are written
+ * back into the contract's analysis so every view of the deal agrees, and
+ * every status change is recorded on the contract's timeline.
+ */
+
+// Statuses a user may set by hand, and the statuses they may be set from
+const MANUAL_TRANSITIONS = {
+  hard: ['paid'],
+  released: ['paid', 'hard'],
+  refunded: ['paid']
+};
+
+const OPEN_STATUSES = ['not_yet_due', 'due'];
+
+// Columns a user may change on a deposit - contract deposits only take the bookkeeping ones
+const EDITABLE_FIELDS = {
+  manual: ['label', 'amount', 'timing', 'due_date', 'refundable', 'refundable_until', 'holder', 'notes'],
+  analysis: ['holder', 'notes']
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+const isoOrNull = (value) => (ISO_DATE.test(value || '') ? value : null);
+
+/**
+ * Deposits the contract terms name, in order
+ * @param {Object} summary - Transaction summary
+ * @returns {Array<{path: string, position: number, label: string, deposit: Object}>}
+ */
+function contractDeposits(summary) {
+  const deposits = (summary && summary.deposits) || {};
+  const named = [
+    { path: 'deposits.firstDeposit', label: 'First deposit', deposit: deposits.firstDeposit },
+    { path: 'deposits.secondDeposit', label: 'Second deposit', deposit: deposits.secondDeposit },
+    ...(deposits.additionalDeposits || []).map((deposit, index) => ({
+      path: `deposits.additionalDeposits.${index}`,
+      label: (deposit && deposit.label) || `Additional deposit ${index + 1}`,
+      deposit
+    }))
+  ];
+
+  return named
+    .map((entry, index) => ({ ...entry, position: index + 1 }))
+    .filter(({ deposit }) => deposit && (
+      isMeaningful(deposit.amount) || isMeaningful(deposit.timing) || ISO_DATE.test(deposit.dueDate || '')
+    ));
+}
+
+/**
+ * Ledger columns that mirror a contract deposit
+ */
+function contractDepositFields({ label, position, deposit }) {
+  return {
+    label,
+    position,
+    amount: typeof deposit.amount === 'number' ? deposit.amount : 0,
+    timing: isMeaningful(deposit.timing) ? deposit.timing : null,
+    due_date: isoOrNull(deposit.dueDate),
+    refundable: deposit.refundable === true,
+    refundable_until: isoOrNull(deposit.refundableUntil)
+  };
+}
+
+/**
+ * Total paid towards a deposit and the date it was paid in full
+ */
+function paymentTotals(deposit, payments) {
+  const ordered = payments
+    .filter(payment => payment.deposit_id === deposit.id)
+    .sort((a, b) => a.paid_on.localeCompare(b.paid_on));
+
+  let paidAmount = 0;
+  let paidInFullOn = null;
+  ordered.forEach(payment => {
+    paidAmount += Number(payment.amount) || 0;
+    if (!paidInFullOn && paidAmount > 0 && paidAmount >= (Number(deposit.amount) || 0)) {
+      paidInFullOn = payment.paid_on;
+    }
+  });
+
+  return { payments: ordered, paidAmount, paidInFullOn };
+}
+
+/**
+ * Status a deposit should be in given its payments and today's date.
+ * Released and refunded are final; everything else is derived.
+ * @param {Object} deposit - Ledger row
+ * @param {number} paidAmount
+ * @param {string} [asOf] - ISO date, defaults to today
+ * @returns {string}
+ */
+function deriveStatus(deposit, paidAmount, asOf = today()) {
+  if (deposit.status === 'released' || deposit.status === 'refunded') return deposit.status;
+
+  const paidInFull = paidAmount > 0 && paidAmount >= (Number(deposit.amount) || 0);
+  if (paidInFull) {
+    if (deposit.status === 'hard') return 'hard';
+    const refundWindowClosed = !deposit.refundable || (deposit.refundable_until && deposit.refundable_until < asOf);
+    return refundWindowClosed ? 'hard' : 'paid';
+  }
+
+  return deposit.due_date && deposit.due_date <= asOf ? 'due' : 'not_yet_due';
+}
+
+/**
+ * A ledger row with its payments and computed fields
+ */
+function describeDeposit(deposit, payments, asOf = today()) {
+  const totals = paymentTotals(deposit, payments);
+  const amount = Number(deposit.amount) || 0;
+  const overdue = OPEN_STATUSES.includes(deposit.status) && Boolean(deposit.due_date) && deposit.due_date < asOf;
+
+  return {
+    ...deposit,
+    paid_amount: totals.paidAmount,
+    balance: Math.max(amount - totals.paidAmount, 0),
+    paid_in_full_on: totals.paidInFullOn,
+    overdue,
+    days_overdue: overdue ? Math.round((Date.parse(asOf) - Date.parse(deposit.due_date)) / DAY_MS) : 0,
+    payments: totals.payments
+  };
+}
+
+/**
+ * Totals across a contract's deposits
+ */
+function ledgerTotals(deposits) {
+  const sum = (items, field) => items.reduce((total, item) => total + (Number(item[field]) || 0), 0);
+
+  return {
+    totalDeposits: sum(deposits, 'amount'),
+    paid: sum(deposits, 'paid_amount'),
+    outstanding: sum(deposits.filter(deposit => OPEN_STATUSES.includes(deposit.status)), 'balance'),
+    refunded: sum(deposits.filter(deposit => deposit.status === 'refunded'), 'paid_amount'),
+    overdue: deposits.filter(deposit => deposit.overdue).length
+  };
+}
+
+/**
+ * Write ledger state (status, paid date, total) into a transaction summary.
+ * Fields a user set by hand are left alone.
+ * @param {Object} summary - Mutated
+ * @param {Array<Object>} deposits - Described ledger rows
+ * @returns {boolean} - Whether anything changed
+ */
+function applyLedger(summary, deposits) {
+  if (!summary || !summary.deposits) return false;
+
+  const meta = summary._meta || {};
+  const provenance = { ...(meta.provenance || {}) };
+  let changed = false;
+
+  const write = (path, value) => {
+    if (provenance[path] && provenance[path].source === SOURCES.MANUAL) return;
+    if (getPath(summary, path) === value) return;
+
+    setPath(summary, path, value);
+    provenance[path] = { source: SOURCES.LEDGER, confidence: 1, start: null, end: null, excerpt: null };
+    changed = true;
+  };
+
+  deposits
+    .filter(deposit => deposit.analysis_path && getPath(summary, deposit.analysis_path))
+    .forEach(deposit => {
+      write(`${deposit.analysis_path}.status`, deposit.status);
+      write(`${deposit.analysis_path}.actualDate`, deposit.paid_in_full_on || 'TBD');
+    });
+
+  const total = ledgerTotals(deposits).totalDeposits;
+  if (total > 0) {
+    write('deposits.totalDeposits', total);
+  }
+
+  if (changed) {
+    summary._meta = { ...meta, provenance };
+  }
+  return changed;
+}
+
+/**
+ * A contract's ledger rows and payments
+ */
+async function loadRows(contractId) {
+  const [{ data: rows, error: rowsError }, { data: payments, error: paymentsError }] = await Promise.all([
+    supabase.from('deposits').select('*').eq('contract_id', contractId),
+    supabase.from('deposit_payments').select('*').eq('contract_id', contractId)
+  ]);
+
+  if (rowsError || paymentsError) {
+    throw new Error(`Failed to load deposits for contract ${contractId}: ${(rowsError || paymentsError).message}`);
+  }
+  return { rows, payments };
+}
+
+/**
+ * Described ledger rows in ledger order
+ */
+function describeLedger(rows, payments, asOf = today()) {
+  return rows
+    .map(row => describeDeposit(row, payments, asOf))
+    .sort((a, b) => (a.position || 0) - (b.position || 0) || a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * A contract's ledger as it stands, without writing anything. Statuses that
+ * follow from payments and the calendar are worked out as of the given date;
+ * only syncDeposits records them.
+ * @param {string} contractId
+ * @param {string} userId - Owner; other users' contracts are treated as missing
+ * @param {string} [asOf] - ISO date, defaults to today
+ * @returns {Promise<{deposits: Array<Object>, totals: Object}|null>} - The ledger, or null if the contract doesn't exist
+ */
+async function loadLedger(contractId, userId, asOf = today()) {
+  const { data: contract, error } = await supabase
+    .from('contracts')
+    .select('id')
+    .eq('id', contractId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load contract ${contractId}: ${error.message}`);
+  }
+  if (!contract) return null;
+
+  const { rows, payments } = await loadRows(contractId);
+  const deposits = describeLedger(
+    rows.map(row => ({ ...row, status: deriveStatus(row, paymentTotals(row, payments).paidAmount, asOf) })),
+    payments,
+    asOf
+  );
+
+  return { deposits, totals: ledgerTotals(deposits) };
+}
+
+/**
+ * Bring a contract's ledger in line with its terms and today's date, and
+ * write the ledger state back into the contract's analysis.
+ * Call after anything that changes the contract's terms, deposits or payments;
+ * reads use loadLedger.
+ * @param {string} contractId
+ * @param {string} userId - Owner; other users' contracts are treated as missing
+ * @returns {Promise<{deposits: Array<Object>, totals: Object}|null>} - The ledger, or null if the contract doesn't exist
+ */
+async function syncDeposits(contractId, userId) {
+  const { data: contract, error: contractError } = await supabase
+    .from('contracts')
+    .select('id, user_id, analysis, effective_terms')
+    .eq('id', contractId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (contractError) {
+    throw new Error(`Failed to load contract ${contractId}: ${contractError.message}`);
+  }
+  if (!contract) return null;
+
+  const { rows, payments } = await loadRows(contractId);
+
+  const now = new Date().toISOString();
+  const named = contractDeposits(currentAnalysis(contract));
+  const ledger = [];
+
+  // Create rows for contract deposits the ledger doesn't have yet. Another sync
+  // may get there first - its rows are kept and read back rather than duplicated.
+  const missing = named.filter(entry => !rows.some(row => row.analysis_path === entry.path));
+  if (missing.length > 0) {
+    const { error } = await supabase
+      .from('deposits')
+      .upsert(missing.map(entry => ({
+        contract_id: contractId,
+        user_id: contract.user_id,
+        source: 'analysis',
+        analysis_path: entry.path,
+        ...contractDepositFields(entry),
+        status: 'not_yet_due',
+        status_changed_at: now,
+        created_at: now,
+        updated_at: now
+      })), { onConflict: 'contract_id,analysis_path', ignoreDuplicates: true });
+
+    if (error) {
+      throw new Error(`Failed to create deposits for contract ${contractId}: ${error.message}`);
+    }
+
+    const { data: created, error: createdError } = await supabase
+      .from('deposits')
+      .select('*')
+      .eq('contract_id', contractId)
+      .in('analysis_path', missing.map(entry => entry.path));
+
+    if (createdError) {
+      throw new Error(`Failed to load deposits for contract ${contractId}: ${createdError.message}`);
+    }
+    rows.push(...created);
+  }
+
+  // Mirror the deposits the contract names
+  for (const entry of named) {
+    const fields = contractDepositFields(entry);
+    const existing = rows.find(row => row.analysis_path === entry.path);
+    if (!existing) continue;
+
+    const updates = Object.fromEntries(Object.entries(fields).filter(([key, value]) => existing[key] !== value));
+    ledger.push({ ...existing, ...updates });
+    if (Object.keys(updates).length > 0) {
+      await updateDeposit(existing.id, { ...updates, updated_at: now });
+    }
+  }
+
+  // Contract deposits the terms no longer name are dropped unless money has moved
+  for (const row of rows.filter(row => row.source === 'analysis' && !named.some(entry => entry.path === row.analysis_path))) {
+    if (payments.some(payment => payment.deposit_id === row.id)) {
+      ledger.push(row);
+      continue;
+    }
+
+    const { error } = await supabase.from('deposits').delete().eq('id', row.id);
+    if (error) {
+      throw new Error(`Failed to remove deposit ${row.id}: ${error.message}`);
+    }
+  }
+
+  ledger.push(...rows.filter(row => row.source !== 'analysis'));
+
+  // Advance statuses that follow from payments and the calendar
+  for (const row of ledger) {
+    const status = deriveStatus(row, paymentTotals(row, payments).paidAmount);
+    if (status !== row.status) {
+      console.log(`💰 Deposit ${row.id} (${row.label}): ${row.status} -> ${status}`);
+      await updateDeposit(row.id, { status, status_changed_at: now, updated_at: now });
+      await recordEvent({
+        contractId,
+        userId: contract.user_id,
+        type: 'deposit_status_changed',
+        depositId: row.id,
+        details: { label: row.label, amount: row.amount, from: row.status, to: status }
+      });
+      row.status = status;
+      row.status_changed_at = now;
+    }
+  }
+
+  const deposits = describeLedger(ledger, payments);
+
+  // Reflect the ledger in the stored analysis and in the amended view of it
+  const updates = {};
+  if (applyLedger(contract.analysis, deposits)) {
+    updates.analysis = contract.analysis;
+  }
+  if (contract.effective_terms && applyLedger(contract.effective_terms.analysis, deposits)) {
+    updates.effective_terms = contract.effective_terms;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    const { error } = await supabase
+      .from('contracts')
+      .update({ ...updates, updated_at: now })
+      .eq('id', contractId);
+
+    if (error) {
+      throw new Error(`Failed to save deposit status for contract ${contractId}: ${error.message}`);
+    }
+  }
+
+  return { deposits, totals: ledgerTotals(deposits) };
+}
+
+/**
+ * Update one ledger row
+ */
+async function updateDeposit(depositId, updates) {
+  const { error } = await supabase
+    .from('deposits')
+    .update(updates)
+    .eq('id', depositId);
+
+  if (error) {
+    throw new Error(`Failed to update deposit ${depositId}: ${error.message}`);
+  }
+}
+
+/**
+ * Check a status a user asked for against the lifecycle
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} - Why the change isn't allowed, or null if it is
+ */
+function transitionError(from, to) {
+  if (!MANUAL_TRANSITIONS[to]) {
+    return `Status can only be set to ${Object.keys(MANUAL_TRANSITIONS).join(', ')}. Due and paid follow from the due date and recorded payments.`;
+  }
+  if (!MANUAL_TRANSITIONS[to].includes(from)) {
+    return `A ${from.replace(/_/g, ' ')} deposit can't be marked ${to}`;
+  }
+  return null;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  OPEN_STATUSES,
+  applyLedger,
+  contractDeposits,
+  deriveStatus,
+  describeDeposit,
+  loadLedger,
+  transitionError,
+  syncDeposits
+};
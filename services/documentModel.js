@@ -0,0 +1,676 @@
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { extractWordText } = require('./wordBinary');
+const { decodeCp1252 } = require('../utils/encoding');
+
+/**
+ * Page-aware document model built during extraction.
+ *
+ *   {
+ *     text:   'PURCHASE AGREEMENT\n\n1. PROPERTY\n\n...',
+ *     pages:  [{ number: 1, start: 0, end: 2841 }],
+ *     blocks: [{ type: 'heading', page: 1, start: 20, end: 31, text: '1. PROPERTY', level: 1, section: '1' },
+ *              { type: 'table', page: 3, start: 5120, end: 5188, text: '...', rows: [['Deposit', '$50,000']] }]
+ *   }
+ *
+ * Offsets point into `text`, which is the text handed to the analyzer, so a
+ * provenance span can be cited as "Section 4.2, page 7". Word documents and
+ * plain text without form feeds have no fixed pagination - their pages list is
+ * empty and block pages are null.
+ */
+
+// A short line set in a font this much larger than the body text is a heading
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 100;
+
+const SECTION_KEYWORD = /^(?:section|article|paragraph|§)\s*((?:\d+(?:\.\d+)*)|[IVXLC]+)\b/i;
+// "4.", "4)", "4.2" or "4.2.1" followed by a capitalized word
+const SECTION_NUMBER = /^(\d{1,2}(?:\.\d{1,2})+|\d{1,2}[.)])\s+[A-Z]/;
+
+/**
+ * Section number a heading or paragraph starts with ("4.2", "IV"), if any
+ */
+function sectionNumber(text) {
+  const keyword = text.match(SECTION_KEYWORD);
+  if (keyword) return keyword[1];
+
+  const numbered = text.match(SECTION_NUMBER);
+  return numbered ? numbered[1].replace(/[.)]$/, '') : null;
+}
+
+/**
+ * Whether a single line reads like a heading: all caps, or a short numbered title
+ */
+function looksLikeHeading(line) {
+  if (line.length > MAX_HEADING_LENGTH || /[,;:]$/.test(line)) return false;
+
+  // "PURCHASE PRICE: $500,000" is a labelled value, not a heading
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && !/:\s*\S/.test(line)) return true;
+
+  const words = line.split(/\s+/).length;
+  return sectionNumber(line) !== null && words <= 8 && !/[a-z]\.$/.test(line);
+}
+
+/**
+ * Appends blocks to the text, tracking offsets, pages and the current section
+ */
+class DocumentBuilder {
+  constructor() {
+    this.text = '';
+    this.pages = [];
+    this.blocks = [];
+    this.currentPage = null;
+    this.currentSection = null;
+  }
+
+  startPage(number) {
+    this.endPage();
+    // The page starts at its first block, after the separator
+    this.currentPage = { number, start: null, end: null };
+    this.pages.push(this.currentPage);
+  }
+
+  endPage() {
+    if (this.currentPage) {
+      if (this.currentPage.start === null) this.currentPage.start = this.text.length;
+      this.currentPage.end = this.text.length;
+    }
+  }
+
+  add(type, text, extra = {}) {
+    const blockText = text.trim();
+    if (!blockText) return;
+
+    if (type !== 'table') {
+      const number = sectionNumber(blockText);
+      if (number) {
+        this.currentSection = number;
+      } else if (type === 'heading') {
+        this.currentSection = blockText.slice(0, MAX_HEADING_LENGTH);
+      }
+    }
+
+    if (this.text.length > 0) {
+      this.text += '\n\n';
+    }
+    const start = this.text.length;
+    if (this.currentPage && this.currentPage.start === null) {
+      this.currentPage.start = start;
+    }
+    this.text += blockText;
+
+    this.blocks.push({
+      type,
+      page: this.currentPage ? this.currentPage.number : null,
+      start,
+      end: this.text.length,
+      text: blockText,
+      ...extra,
+      section: this.currentSection
+    });
+  }
+
+  build() {
+    this.endPage();
+    return { text: this.text, pages: this.pages, blocks: this.blocks };
+  }
+}
+
+/**
+ * Group lines into heading, paragraph and table blocks
+ * @param {DocumentBuilder} builder
+ * @param {Array<{text: string, cells: Array<string>, size?: number, gapBefore?: boolean}>} lines
+ * @param {Object} [options]
+ * @param {number} [options.bodySize] - Typical body font size, for size-based heading detection
+ */
+function addLines(builder, lines, { bodySize } = {}) {
+  let paragraph = [];
+  let table = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      builder.add('paragraph', paragraph.join('\n'));
+      paragraph = [];
+    }
+  };
+
+  const flushTable = () => {
+    if (table.length >= 2) {
+      flushParagraph();
+      builder.add('table', table.map(row => row.join(' | ')).join('\n'), { rows: table });
+    } else {
+      // A single aligned line is just text with wide spacing
+      paragraph.push(...table.map(row => row.join(' ')));
+    }
+    table = [];
+  };
+
+  lines.forEach(line => {
+    if (line.gapBefore) {
+      flushTable();
+      flushParagraph();
+    }
+
+    if (line.cells.length >= 2) {
+      table.push(line.cells);
+      return;
+    }
+    flushTable();
+
+    const largerFont = bodySize && line.size >= bodySize * HEADING_SIZE_RATIO && line.text.length <= MAX_HEADING_LENGTH;
+    if (largerFont || looksLikeHeading(line.text)) {
+      flushParagraph();
+      const number = sectionNumber(line.text);
+      builder.add('heading', line.text, { level: number ? number.split('.').length : 1 });
+      return;
+    }
+
+    paragraph.push(line.text);
+  });
+
+  flushTable();
+  flushParagraph();
+}
+
+/**
+ * Split plain text lines into cells on tabs or wide runs of spaces
+ */
+function plainTextLines(text) {
+  let gapBefore = false;
+  const lines = [];
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      gapBefore = true;
+      return;
+    }
+    lines.push({
+      text: line.replace(/\s+/g, ' '),
+      cells: line.split(/\t+|\s{3,}/).map(cell => cell.trim()).filter(Boolean),
+      gapBefore
+    });
+    gapBefore = false;
+  });
+
+  return lines;
+}
+
+/**
+ * Build a document from plain text
+ * @param {string|Array<string>} pages - One string per page, or a single string split on form feeds
+ * @returns {{text: string, pages: Array<Object>, blocks: Array<Object>}}
+ */
+function documentFromText(pages) {
+  const pageTexts = Array.isArray(pages) ? pages : pages.split('\f');
+  const builder = new DocumentBuilder();
+  const paginated = pageTexts.length > 1 || Array.isArray(pages);
+
+  pageTexts.forEach((pageText, index) => {
+    if (paginated) builder.startPage(index + 1);
+    addLines(builder, plainTextLines(pageText));
+  });
+
+  return builder.build();
+}
+
+/**
+ * Turn a pdf.js page's text items into positioned lines
+ */
+function pdfPageLines(items) {
+  const rows = [];
+
+  items.filter(item => item.str && item.str.trim()).forEach(item => {
+    const [, , , scaleY, x, y] = item.transform;
+    const size = Math.abs(scaleY) || item.height || 10;
+    const row = rows.find(candidate => Math.abs(candidate.y - y) < size * 0.5);
+    if (row) {
+      row.items.push({ x, str: item.str, width: item.width, size });
+      row.size = Math.max(row.size, size);
+    } else {
+      rows.push({ y, size, items: [{ x, str: item.str, width: item.width, size }] });
+    }
+  });
+
+  // Top of the page first (PDF y grows upward)
+  rows.sort((a, b) => b.y - a.y);
+
+  return rows.map((row, index) => {
+    row.items.sort((a, b) => a.x - b.x);
+
+    // A gap wider than a couple of characters separates table cells
+    const cells = [];
+    let previousEnd = null;
+    row.items.forEach(item => {
+      const gap = previousEnd === null ? 0 : item.x - previousEnd;
+      if (previousEnd === null || gap > item.size * 2) {
+        cells.push(item.str);
+      } else {
+        const separator = gap > item.size * 0.15 && !/\s$/.test(cells[cells.length - 1]) ? ' ' : '';
+        cells[cells.length - 1] += separator + item.str;
+      }
+      previousEnd = item.x + (item.width || 0);
+    });
+
+    const previous = rows[index - 1];
+    const lineGap = previous ? previous.y - row.y : 0;
+
+    return {
+      text: cells.map(cell => cell.trim()).join(' ').replace(/\s+/g, ' '),
+      cells: cells.map(cell => cell.trim()).filter(Boolean),
+      size: row.size,
+      gapBefore: previous ? lineGap > Math.max(previous.size, row.size) * 1.6 : false
+    };
+  });
+}
+
+/**
+ * Most common font size across lines, weighted by characters
+ */
+function bodyFontSize(pages) {
+  const counts = new Map();
+  pages.flat().forEach(line => {
+    const size = Math.round(line.size * 2) / 2;
+    counts.set(size, (counts.get(size) || 0) + line.text.length);
+  });
+
+  let body = null;
+  counts.forEach((count, size) => {
+    if (body === null || count > counts.get(body)) body = size;
+  });
+  return body;
+}
+
+/**
+ * Build a document from a PDF's embedded text layer
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{text: string, pages: Array<Object>, blocks: Array<Object>}>}
+ */
+async function documentFromPdf(pdfBuffer) {
+  const pageLines = [];
+
+  // pdf-parse renders pages one at a time, in order
+  await pdf(pdfBuffer, {
+    pagerender: (pageData) => pageData
+      .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then(content => {
+        const lines = pdfPageLines(content.items);
+        pageLines.push(lines);
+        return lines.map(line => line.text).join('\n');
+      })
+  });
+
+  const bodySize = bodyFontSize(pageLines);
+  const builder = new DocumentBuilder();
+  pageLines.forEach((lines, index) => {
+    builder.startPage(index + 1);
+    addLines(builder, lines, { bodySize });
+  });
+
+  return builder.build();
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode HTML/XML character entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : entity;
+  });
+}
+
+// Tags that end the current paragraph
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+  'blockquote', 'pre', 'address', 'center', 'form', 'hr', 'ul', 'ol', 'li', 'dl', 'dt', 'dd']);
+// Tags whose content is never document text
+const SKIP_TAGS = new Set(['head', 'title', 'script', 'style', 'noscript', 'template', 'svg']);
+
+/**
+ * Build a document from HTML - mammoth output, saved web pages and email bodies
+ *
+ * Headings, paragraphs and list items become blocks and top-level tables keep
+ * their rows; everything else is flattened to text. A `<page-break>` tag
+ * starts a new page (used for ODT soft page breaks).
+ * @param {string} html
+ * @returns {{text: string, pages: Array<Object>, blocks: Array<Object>}}
+ */
+function documentFromHtml(html) {
+  const builder = new DocumentBuilder();
+  const markup = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+
+  let text = '';
+  let headingLevel = null;
+  let skipDepth = 0;
+  let tableDepth = 0;
+  let rows = [];
+  let row = null;
+  let cell = null;
+  let pageNumber = 0;
+
+  if (/<page-break\b/i.test(markup)) {
+    builder.startPage(++pageNumber);
+  }
+
+  const flush = () => {
+    const lines = text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(line => line && line !== '•');
+    text = '';
+    if (lines.length === 0) return;
+
+    const blockText = lines.join('\n');
+    if (headingLevel) {
+      builder.add('heading', blockText, { level: headingLevel });
+    } else if (lines.length === 1 && looksLikeHeading(blockText)) {
+      // Word users often fake headings with bold caps paragraphs
+      const number = sectionNumber(blockText);
+      builder.add('heading', blockText, { level: number ? number.split('.').length : 1 });
+    } else {
+      builder.add('paragraph', blockText);
+    }
+  };
+
+  markup.split(/(<[^>]*>)/).forEach(token => {
+    if (!token) return;
+
+    const tag = token.match(/^<\s*(\/?)\s*([a-z][\w:-]*)/i);
+    if (!tag) {
+      if (token[0] === '<' || skipDepth > 0) return; // doctype, processing instructions
+
+      const value = decodeEntities(token.replace(/\s+/g, ' '));
+      if (tableDepth === 0) {
+        text += value;
+      } else if (cell !== null) {
+        cell += value;
+      }
+      return;
+    }
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+    const selfClosing = /\/\s*>$/.test(token);
+
+    if (SKIP_TAGS.has(name)) {
+      if (!selfClosing) skipDepth = Math.max(0, skipDepth + (closing ? -1 : 1));
+      return;
+    }
+    if (skipDepth > 0) return;
+
+    if (name === 'table') {
+      if (!closing) {
+        if (tableDepth === 0) {
+          flush();
+          rows = [];
+        }
+        tableDepth++;
+      } else if (tableDepth > 0 && --tableDepth === 0 && rows.length > 0) {
+        builder.add('table', rows.map(cells => cells.join(' | ')).join('\n'), { rows });
+      }
+      return;
+    }
+
+    if (tableDepth > 0) {
+      // Nested tables are flattened into their outer cell
+      if (tableDepth === 1 && name === 'tr') {
+        if (!closing) {
+          row = [];
+        } else if (row) {
+          if (row.some(Boolean)) rows.push(row);
+          row = null;
+        }
+      } else if (tableDepth === 1 && (name === 'td' || name === 'th')) {
+        if (!closing && !selfClosing) {
+          cell = '';
+        } else if (row) {
+          row.push((cell || '').replace(/\s+/g, ' ').trim());
+          cell = null;
+        }
+      } else if (cell !== null && (name === 'br' || BLOCK_TAGS.has(name) || tableDepth > 1)) {
+        cell += ' ';
+      }
+      return;
+    }
+
+    if (/^h[1-6]$/.test(name)) {
+      flush();
+      headingLevel = closing ? null : Number(name[1]);
+    } else if (name === 'page-break') {
+      flush();
+      builder.startPage(++pageNumber);
+    } else if (name === 'br') {
+      text += '\n';
+    } else if (BLOCK_TAGS.has(name)) {
+      // Keep a list bullet for the paragraph inside the item
+      if (text.trim() !== '•') flush();
+      if (name === 'li' && !closing) text = '• ';
+    }
+  });
+
+  flush();
+  return builder.build();
+}
+
+/**
+ * Build a document from a Word file, using mammoth's HTML for headings and tables
+ * @param {Buffer} docBuffer
+ * @returns {Promise<{text: string, pages: Array<Object>, blocks: Array<Object>}>}
+ */
+async function documentFromDocx(docBuffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer: docBuffer });
+  return documentFromHtml(html);
+}
+
+/**
+ * Build a document from a Word 97-2003 binary file (.doc)
+ * @param {Buffer} docBuffer
+ * @returns {{text: string, pages: Array<Object>, blocks: Array<Object>}}
+ */
+function documentFromDoc(docBuffer) {
+  return documentFromText(extractWordText(docBuffer));
+}
+
+/**
+ * Build a document from an OpenDocument text file (.odt)
+ *
+ * content.xml is mapped onto the HTML elements documentFromHtml understands.
+ * Soft page breaks recorded by the last editor become page boundaries.
+ * @param {Buffer} odtBuffer
+ * @returns {Promise<{text: string, pages: Array<Object>, blocks: Array<Object>}>}
+ */
+async function documentFromOdt(odtBuffer) {
+  const zip = await JSZip.loadAsync(odtBuffer);
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new Error('ODT file has no content.xml');
+  }
+
+  const xml = await content.async('string');
+  const body = xml.replace(/^[\s\S]*?<office:text\b[^>]*>/, '').replace(/<\/office:text>[\s\S]*$/, '');
+
+  const html = body
+    // Comments, tracked deletions and the table of contents index aren't contract text
+    .replace(/<office:annotation(?=[\s>])[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:tracked-changes(?=[\s>])[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<text:s(?=[\s/])[^>]*?(?:text:c="(\d+)")?[^>]*\/>/g, (match, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '<br/>')
+    .replace(/<text:soft-page-break\s*\/>/g, '<page-break/>')
+    .replace(/<text:h(?=[\s>])[^>]*?text:outline-level="(\d)"[^>]*>/g, (match, level) => `<h${Math.min(Number(level), 6)}>`)
+    .replace(/<text:h(?=[\s>])[^>]*>/g, '<h1>')
+    .replace(/<\/text:h>/g, '</h1>')
+    .replace(/<text:p(?=[\s/])[^>]*\/>/g, '<p/>')
+    .replace(/<(\/?)text:p(?=[\s>])[^>]*>/g, '<$1p>')
+    .replace(/<(\/?)text:list-item(?=[\s>])[^>]*>/g, '<$1li>')
+    .replace(/<(\/?)table:table(?=[\s>])[^>]*>/g, '<$1table>')
+    .replace(/<(\/?)table:table-row(?=[\s>])[^>]*>/g, '<$1tr>')
+    .replace(/<table:table-cell(?=[\s/])[^>]*\/>/g, '<td/>')
+    .replace(/<table:covered-table-cell\b[^>]*\/>/g, '')
+    .replace(/<(\/?)table:table-cell(?=[\s>])[^>]*>/g, '<$1td>');
+
+  return documentFromHtml(html);
+}
+
+// RTF destinations whose content isn't document text
+const RTF_SKIP_DESTINATIONS = new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'listtable',
+  'listoverridetable', 'rsidtbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+  'xmlnstbl', 'generator', 'fldinst']);
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', row: '\n', cell: '\t', tab: '\t', page: '\f',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+/**
+ * Convert RTF to plain text. Table cells become tabs and hard page breaks form feeds.
+ * @param {string} rtf
+ * @returns {string}
+ */
+function rtfToText(rtf) {
+  const controlWord = /\\([a-z]{1,32})(-?\d{1,10})? ?/gy;
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1; // characters after \uN that stand in for readers without Unicode
+  let pendingSkip = 0;
+  let decodeByte = (byte) => decodeCp1252([byte]);
+  let output = '';
+
+  const emit = (value) => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+    } else if (!skip) {
+      output += value;
+    }
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skip, unicodeSkip });
+      pendingSkip = 0;
+      i++;
+    } else if (char === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      pendingSkip = 0;
+      i++;
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else if (char !== '\\') {
+      emit(char);
+      i++;
+    } else {
+      const next = rtf[i + 1];
+
+      if (next === "'") {
+        emit(decodeByte(parseInt(rtf.substr(i + 2, 2), 16) || 0x3f));
+        i += 4;
+      } else if (next === '*') {
+        // Ignorable destination - readers that don't know it skip the group
+        skip = true;
+        i += 2;
+      } else if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '_') {
+        emit('-');
+        i += 2;
+      } else if (next === '\r' || next === '\n') {
+        emit('\n');
+        i += 2;
+      } else {
+        controlWord.lastIndex = i;
+        const match = controlWord.exec(rtf);
+        if (!match) {
+          i += 2; // other control symbols (\-, \|, \:) carry no text
+          continue;
+        }
+
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (RTF_SKIP_DESTINATIONS.has(word)) {
+          skip = true;
+        } else if (word === 'u') {
+          const code = Number(param);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = unicodeSkip;
+        } else if (word === 'uc') {
+          unicodeSkip = Number(param) || 0;
+        } else if (word === 'ansicpg' && param !== '1252') {
+          try {
+            const decoder = new TextDecoder(`windows-${param}`);
+            decodeByte = (byte) => decoder.decode(Uint8Array.of(byte));
+          } catch (error) {
+            // Unknown code page - keep cp1252
+          }
+        } else if (RTF_SYMBOLS[word] !== undefined) {
+          if (!skip) output += RTF_SYMBOLS[word];
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Build a document from an RTF file
+ * @param {Buffer} rtfBuffer
+ * @returns {{text: string, pages: Array<Object>, blocks: Array<Object>}}
+ */
+function documentFromRtf(rtfBuffer) {
+  // RTF is 7-bit; anything else is escaped, so latin1 reads it byte for byte
+  return documentFromText(rtfToText(rtfBuffer.toString('latin1')));
+}
+
+/**
+ * Where an offset falls in the document, for citing it
+ * @param {Object} document - Document model (text may be omitted)
+ * @param {number} offset - Character offset into the document text
+ * @returns {{page: number|null, section: string|null}}
+ */
+function citeOffset(document, offset) {
+  const blocks = (document && document.blocks) || [];
+
+  // Last block starting at or before the offset
+  let low = 0;
+  let high = blocks.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (blocks[mid].start <= offset) {
+      found = blocks[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return {
+    page: found ? found.page : null,
+    section: found ? found.section : null
+  };
+}
+
+module.exports = {
+  documentFromText,
+  documentFromPdf,
+  documentFromDocx,
+  documentFromDoc,
+  documentFromOdt,
+  documentFromRtf,
+  documentFromHtml,
+  citeOffset,
+  sectionNumber
+};
@@ -0,0 +1,78 @@
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+
+/**
+ * Unpack saved email messages (.eml and Outlook .msg) into a common shape:
+ *
+ *   { subject, from, date, text, html, attachments: [{ fileName, content: Buffer, inline: boolean }] }
+ *
+ * Inline parts (signature logos, embedded images) are left out of attachments.
+ * Parts that are still marked inline or referenced by a cid: link have `inline` set.
+ */
+
+/**
+ * Parse an RFC 822 message (.eml)
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>}
+ */
+async function parseEml(buffer) {
+  const parsed = await simpleParser(buffer);
+
+  return {
+    subject: parsed.subject || null,
+    from: parsed.from ? parsed.from.text : null,
+    date: parsed.date ? parsed.date.toISOString() : null,
+    text: parsed.text || '',
+    html: parsed.html || null,
+    attachments: (parsed.attachments || [])
+      .filter(attachment => !attachment.related)
+      .map((attachment, index) => ({
+        fileName: attachment.filename || `attachment-${index + 1}`,
+        content: attachment.content,
+        inline: attachment.contentDisposition === 'inline' || Boolean(attachment.cid)
+      }))
+  };
+}
+
+/**
+ * Parse an Outlook message (.msg)
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+function parseMsg(buffer) {
+  const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const message = reader.getFileData();
+
+  if (message.error) {
+    throw new Error(`Invalid Outlook message: ${message.error}`);
+  }
+
+  const html = message.bodyHtml || (message.html ? Buffer.from(message.html).toString('utf-8') : null);
+  const sender = message.senderName && message.senderEmail
+    ? `${message.senderName} <${message.senderEmail}>`
+    : message.senderEmail || message.senderName || null;
+  const sentAt = message.messageDeliveryTime || message.clientSubmitTime || message.creationTime;
+
+  return {
+    subject: message.subject || null,
+    from: sender,
+    date: sentAt ? new Date(sentAt).toISOString() : null,
+    text: message.body || '',
+    html,
+    attachments: (message.attachments || [])
+      .filter(attachment => !attachment.attachmentHidden)
+      .map((attachment, index) => {
+        const { fileName, content } = reader.getAttachment(attachment);
+        return {
+          fileName: fileName || `attachment-${index + 1}`,
+          content: Buffer.from(content),
+          inline: Boolean(attachment.pidContentId)
+        };
+      })
+  };
+}
+
+module.exports = {
+  parseEml,
+  parseMsg
+};
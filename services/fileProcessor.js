@@ -1,57 +1,129 @@
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
+const { ocrPdf, ocrImage } = require('./ocr');
+const { documentFromText, documentFromPdf, documentFromDocx, documentFromDoc, documentFromOdt, documentFromRtf, documentFromHtml } = require('./documentModel');
+const { FILE_TYPES, SUPPORTED_LABELS, detectFileType } = require('./fileType');
+const { parseEml, parseMsg } = require('./emailParser');
+
+// PDFs with less text than this are treated as scans and sent to OCR
+const MIN_TEXT_LENGTH = 100;
+
+// Emails forwarded as attachments of emails are unpacked this many levels deep
+const MAX_EMAIL_DEPTH = 2;
+
+// Images attached to an email smaller than this are logos and signature graphics, not contract pages
+const MIN_EMAIL_IMAGE_BYTES = 20 * 1024;
+const IMAGE_TYPES = ['jpeg', 'png', 'heic'];
 
 /**
- * Extract text content from uploaded files
+ * Extract a page-aware document model from an uploaded file, with details of how it was extracted
  * @param {Buffer} fileBuffer - The file buffer
  * @param {string} fileName - Original filename
- * @returns {Promise<string>} - Extracted text content
+ * @returns {Promise<{text: string, document: Object, extraction: Object}>} - Text, its pages and blocks (see documentModel), plus method (and OCR confidence for scans and photos)
  */
-async function extractTextFromFile(fileBuffer, fileName) {
-  const fileExtension = fileName.toLowerCase().split('.').pop();
+async function extractDocument(fileBuffer, fileName) {
+  const fileType = detectFileType(fileBuffer);
+  const label = fileType ? FILE_TYPES[fileType].label : fileName.toLowerCase().split('.').pop().toUpperCase();
 
-  console.log(`📄 Processing ${fileExtension.toUpperCase()} file: ${fileName}`);
+  console.log(`📄 Processing ${label} file: ${fileName}`);
 
   try {
-    switch (fileExtension) {
+    switch (fileType) {
       case 'pdf':
         console.log('🔍 Extracting text from PDF...');
-        const pdfData = await pdf(fileBuffer);
-        const pdfText = pdfData.text;
+        const pdfDocument = await documentFromPdf(fileBuffer);
         
-        if (!pdfText || pdfText.trim().length < 100) {
-          throw new Error('PDF appears to be empty or contains very little text. It might be a scanned document.');
+        if (pdfDocument.text.trim().length < MIN_TEXT_LENGTH) {
+          console.log('🖨️ PDF has little embedded text, treating it as a scan and running OCR...');
+          const { pageTexts, ocr } = await ocrPdf(fileBuffer);
+          const scannedDocument = documentFromText(pageTexts);
+
+          if (scannedDocument.text.trim().length < MIN_TEXT_LENGTH) {
+            throw new Error('PDF appears to be empty. OCR could not find readable text on its pages.');
+          }
+
+          console.log(`✅ Scanned PDF processed: ${scannedDocument.text.length} characters recognized, ${ocr.averageConfidence}% average confidence`);
+          return { text: scannedDocument.text, document: scannedDocument, extraction: { method: 'ocr', ocr } };
         }
         
-        console.log(`✅ PDF processed: ${pdfText.length} characters extracted`);
-        return pdfText;
+        console.log(`✅ PDF processed: ${pdfDocument.text.length} characters on ${pdfDocument.pages.length} pages, ${pdfDocument.blocks.length} blocks`);
+        return { text: pdfDocument.text, document: pdfDocument, extraction: { method: 'text' } };
 
       case 'doc':
       case 'docx':
         console.log('🔍 Extracting text from Word document...');
-        const docResult = await mammoth.extractRawText({ buffer: fileBuffer });
-        const docText = docResult.value;
+        // Mammoth only reads OOXML - Word 97-2003 files have their own binary reader
+        const wordDocument = fileType === 'doc' ? documentFromDoc(fileBuffer) : await documentFromDocx(fileBuffer);
         
-        if (!docText || docText.trim().length < 100) {
+        if (wordDocument.text.trim().length < MIN_TEXT_LENGTH) {
           throw new Error('Word document appears to be empty or contains very little text.');
         }
         
-        console.log(`✅ Word document processed: ${docText.length} characters extracted`);
-        return docText;
+        console.log(`✅ Word document processed: ${wordDocument.text.length} characters, ${wordDocument.blocks.length} blocks`);
+        return { text: wordDocument.text, document: wordDocument, extraction: { method: 'text' } };
+
+      case 'odt':
+        console.log('🔍 Extracting text from OpenDocument file...');
+        const odtDocument = await documentFromOdt(fileBuffer);
+
+        if (odtDocument.text.trim().length < MIN_TEXT_LENGTH) {
+          throw new Error('ODT document appears to be empty or contains very little text.');
+        }
+
+        console.log(`✅ ODT document processed: ${odtDocument.text.length} characters, ${odtDocument.blocks.length} blocks`);
+        return { text: odtDocument.text, document: odtDocument, extraction: { method: 'text' } };
+
+      case 'rtf':
+        console.log('🔍 Extracting text from RTF file...');
+        const rtfDocument = documentFromRtf(fileBuffer);
+
+        if (rtfDocument.text.trim().length < MIN_TEXT_LENGTH) {
+          throw new Error('RTF document appears to be empty or contains very little text.');
+        }
+
+        console.log(`✅ RTF document processed: ${rtfDocument.text.length} characters`);
+        return { text: rtfDocument.text, document: rtfDocument, extraction: { method: 'text' } };
+
+      case 'html':
+        console.log('🔍 Extracting text from HTML file...');
+        const htmlDocument = documentFromHtml(fileBuffer.toString('utf-8'));
+
+        if (htmlDocument.text.trim().length < MIN_TEXT_LENGTH) {
+          throw new Error('HTML file appears to be empty or contains very little text.');
+        }
+
+        console.log(`✅ HTML file processed: ${htmlDocument.text.length} characters`);
+        return { text: htmlDocument.text, document: htmlDocument, extraction: { method: 'text' } };
+
+      case 'jpeg':
+      case 'png':
+      case 'heic':
+        console.log('📷 Running OCR on image...');
+        const { pageTexts: imageTexts, ocr: imageOcr } = await ocrImage(fileBuffer, { heic: fileType === 'heic' });
+        const imageDocument = documentFromText(imageTexts);
+
+        if (imageDocument.text.trim().length < MIN_TEXT_LENGTH) {
+          throw new Error('Image appears to contain very little readable text. Please upload a clearer photo.');
+        }
+
+        console.log(`✅ Image processed: ${imageDocument.text.length} characters recognized, ${imageOcr.averageConfidence}% confidence`);
+        return { text: imageDocument.text, document: imageDocument, extraction: { method: 'ocr', ocr: imageOcr } };
 
       case 'txt':
         console.log('🔍 Processing text file...');
-        const txtContent = fileBuffer.toString('utf-8');
+        const textDocument = documentFromText(fileBuffer.toString('utf-8'));
         
-        if (!txtContent || txtContent.trim().length < 100) {
+        if (textDocument.text.trim().length < MIN_TEXT_LENGTH) {
           throw new Error('Text file appears to be empty or too short.');
         }
         
-        console.log(`✅ Text file processed: ${txtContent.length} characters`);
-        return txtContent;
+        console.log(`✅ Text file processed: ${textDocument.text.length} characters`);
+        return { text: textDocument.text, document: textDocument, extraction: { method: 'text' } };
+
+      case 'eml':
+      case 'msg':
+        throw new Error('Email messages can contain several contracts - use extractDocuments');
 
       default:
-        throw new Error(`Unsupported file type: ${fileExtension.toUpperCase()}. Supported types: PDF, DOC, DOCX, TXT`);
+        throw new Error(`Unsupported file type. Supported types: ${SUPPORTED_LABELS}`);
     }
   } catch (error) {
     console.error(`❌ File processing error for ${fileName}:`, error.message);
@@ -65,33 +137,136 @@ async function extractTextFromFile(fileBuffer, fileName) {
       throw new Error('Unable to process Word document. The file may be corrupted or in an unsupported format.');
     }
     
-    throw new Error(`Failed to extract text from ${fileExtension.toUpperCase()} file: ${error.message}`);
+    throw new Error(`Failed to extract text from ${label} file: ${error.message}`);
+  }
+}
+
+/**
+ * Unpack an email and extract every contract attached to it. When nothing
+ * attached is readable, the message body itself is treated as the contract.
+ */
+async function extractEmailDocuments(fileBuffer, fileName, fileType, depth) {
+  console.log(`📧 Unpacking ${FILE_TYPES[fileType].label} message: ${fileName}`);
+  const email = fileType === 'eml' ? await parseEml(fileBuffer) : parseMsg(fileBuffer);
+
+  const source = {
+    fileName,
+    subject: email.subject,
+    from: email.from,
+    date: email.date,
+    skippedAttachments: []
+  };
+
+  const documents = [];
+  for (const attachment of email.attachments) {
+    const attachmentType = detectFileType(attachment.content);
+
+    if (!attachmentType) {
+      source.skippedAttachments.push({ fileName: attachment.fileName, reason: 'Unsupported file type' });
+      continue;
+    }
+
+    if ((attachmentType === 'eml' || attachmentType === 'msg') && depth >= MAX_EMAIL_DEPTH) {
+      source.skippedAttachments.push({ fileName: attachment.fileName, reason: 'Email nested too deeply' });
+      continue;
+    }
+
+    // Embedded and tiny images are never contracts - don't spend OCR on them
+    if (IMAGE_TYPES.includes(attachmentType) && (attachment.inline || attachment.content.length < MIN_EMAIL_IMAGE_BYTES)) {
+      source.skippedAttachments.push({ fileName: attachment.fileName, reason: attachment.inline ? 'Inline image' : 'Image too small to be a contract page' });
+      continue;
+    }
+
+    try {
+      const extracted = await extractDocuments(attachment.content, attachment.fileName, depth + 1);
+      extracted.forEach(document => {
+        // Held to the same minimum as the message body
+        if (document.text.trim().length < MIN_TEXT_LENGTH) {
+          source.skippedAttachments.push({ fileName: document.fileName, reason: 'Too little readable text to analyze' });
+          return;
+        }
+
+        documents.push({
+          ...document,
+          // Nested emails already carry their own attachment and source
+          content: document.content || attachment.content,
+          extraction: { ...document.extraction, email: document.extraction.email || source }
+        });
+      });
+    } catch (error) {
+      // Logos, signatures and unrelated files are expected - skip them
+      source.skippedAttachments.push({ fileName: attachment.fileName, reason: error.message });
+    }
   }
+
+  if (documents.length > 0) {
+    console.log(`✅ ${documents.length} contract(s) found in ${fileName}, ${source.skippedAttachments.length} attachment(s) skipped`);
+    return documents;
+  }
+
+  const bodyDocument = email.html ? documentFromHtml(email.html) : documentFromText(email.text);
+  if (bodyDocument.text.trim().length < MIN_TEXT_LENGTH) {
+    throw new Error('Email has no readable contract attachment and its message body is too short to analyze.');
+  }
+
+  console.log(`✅ No contract attachments in ${fileName}, using the message body (${bodyDocument.text.length} characters)`);
+  return [{
+    fileName,
+    fileType: FILE_TYPES[fileType].mimeType,
+    text: bodyDocument.text,
+    document: bodyDocument,
+    extraction: { method: 'text', email: source }
+  }];
 }
 
 /**
- * Validate file before processing
- * @param {Object} file - Multer file object
- * @returns {Object} - Validation result
+ * Extract every contract in an uploaded file. Most files hold one contract;
+ * emails are unpacked so each attached contract is extracted separately.
+ * @param {Buffer} fileBuffer - The file buffer
+ * @param {string} fileName - Original filename
+ * @param {number} [depth=0] - Email nesting level (internal)
+ * @returns {Promise<Array<{fileName: string, fileType: string, text: string, document: Object, extraction: Object, content?: Buffer}>>}
+ *   One entry per contract; `content` is set for contracts that came out of an email attachment
+ */
+async function extractDocuments(fileBuffer, fileName, depth = 0) {
+  const fileType = detectFileType(fileBuffer);
+
+  if (fileType === 'eml' || fileType === 'msg') {
+    return extractEmailDocuments(fileBuffer, fileName, fileType, depth);
+  }
+
+  const extracted = await extractDocument(fileBuffer, fileName);
+  return [{ fileName, fileType: FILE_TYPES[fileType].mimeType, ...extracted }];
+}
+
+/**
+ * Extract text content from uploaded files
+ * @param {Buffer} fileBuffer - The file buffer
+ * @param {string} fileName - Original filename
+ * @returns {Promise<string>} - Extracted text content
+ */
+async function extractTextFromFile(fileBuffer, fileName) {
+  const documents = await extractDocuments(fileBuffer, fileName);
+  return documents.map(document => document.text).join('\n\n');
+}
+
+/**
+ * Validate file before processing. The type is detected from the file's content.
+ * @param {Object} file - Multer file object (memory storage)
+ * @returns {Object} - Validation result, with the detected type and its MIME type when valid
  */
 function validateFile(file) {
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
-  ];
-  
   const maxSize = 10 * 1024 * 1024; // 10MB
   
   if (!file) {
     return { valid: false, error: 'No file provided' };
   }
   
-  if (!allowedTypes.includes(file.mimetype)) {
+  const fileType = detectFileType(file.buffer);
+  if (!fileType) {
     return { 
       valid: false, 
-      error: 'Invalid file type. Please upload PDF, DOC, DOCX, or TXT files only.' 
+      error: `Invalid file type. Please upload ${SUPPORTED_LABELS} files only.` 
     };
   }
   
@@ -102,10 +277,12 @@ function validateFile(file) {
     };
   }
   
-  return { valid: true };
+  return { valid: true, fileType, mimeType: FILE_TYPES[fileType].mimeType };
 }
 
 module.exports = {
+  extractDocument,
+  extractDocuments,
   extractTextFromFile,
   validateFile
 };
\ No newline at end of file
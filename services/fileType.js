@@ -0,0 +1,113 @@
+/**
+ * Content-based file type detection.
+ *
+ * Uploads are identified by their leading bytes, not by the file name or the
+ * browser-supplied MIME type, which are often wrong for forwarded emails and
+ * phone photos.
+ */
+
+const FILE_TYPES = {
+  pdf: { mimeType: 'application/pdf', label: 'PDF' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'DOCX' },
+  doc: { mimeType: 'application/msword', label: 'DOC' },
+  odt: { mimeType: 'application/vnd.oasis.opendocument.text', label: 'ODT' },
+  rtf: { mimeType: 'application/rtf', label: 'RTF' },
+  html: { mimeType: 'text/html', label: 'HTML' },
+  eml: { mimeType: 'message/rfc822', label: 'EML' },
+  msg: { mimeType: 'application/vnd.ms-outlook', label: 'MSG' },
+  jpeg: { mimeType: 'image/jpeg', label: 'JPEG' },
+  png: { mimeType: 'image/png', label: 'PNG' },
+  heic: { mimeType: 'image/heic', label: 'HEIC' },
+  txt: { mimeType: 'text/plain', label: 'TXT' }
+};
+
+const SUPPORTED_LABELS = Object.values(FILE_TYPES).map(type => type.label).join(', ');
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const ODT_MIME = 'application/vnd.oasis.opendocument.text';
+
+// Headers a mail client writes at the top of a saved message
+const EMAIL_HEADERS = ['from', 'to', 'subject', 'date', 'mime-version', 'message-id', 'received', 'return-path'];
+
+// How much of a file to sniff for text formats
+const SNIFF_BYTES = 8192;
+
+/**
+ * Tell apart the ZIP-based office formats by the entry names in the archive
+ */
+function detectZip(buffer) {
+  // ODF requires an uncompressed "mimetype" entry first, so its value is readable in place
+  if (buffer.toString('latin1', 30, 38) === 'mimetype' && buffer.toString('latin1', 38, 38 + ODT_MIME.length) === ODT_MIME) {
+    return 'odt';
+  }
+
+  // Entry names in the central directory are stored uncompressed
+  const names = buffer.toString('latin1');
+  if (names.includes('word/document.xml')) return 'docx';
+  if (names.includes(ODT_MIME)) return 'odt';
+
+  return null;
+}
+
+/**
+ * Tell apart OLE compound files - Word 97-2003 documents and Outlook messages
+ */
+function detectOle(buffer) {
+  // Directory entry names are UTF-16LE
+  const content = buffer.toString('utf16le');
+  if (content.includes('__substg1.0_') || content.includes('__properties_version1.0')) return 'msg';
+  if (content.includes('WordDocument')) return 'doc';
+
+  return null;
+}
+
+/**
+ * Whether the text starts with a block of RFC 5322 headers
+ */
+function looksLikeEmail(text) {
+  const headerBlock = text.replace(/^\s+/, '').split(/\r?\n\r?\n/)[0];
+  const lines = headerBlock.split(/\r?\n/);
+
+  if (!/^[\w-]+:/.test(lines[0])) return false;
+
+  const names = new Set(lines
+    .map(line => line.match(/^([\w-]+):/))
+    .filter(Boolean)
+    .map(match => match[1].toLowerCase()));
+
+  return EMAIL_HEADERS.filter(name => names.has(name)).length >= 3;
+}
+
+/**
+ * Detect a file's type from its content
+ * @param {Buffer} buffer
+ * @returns {string|null} - A FILE_TYPES key, or null if the content isn't a supported format
+ */
+function detectFileType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  if (buffer.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+  if (buffer.toString('latin1', 0, 5) === '{\\rtf') return 'rtf';
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) return detectZip(buffer);
+  if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) return detectOle(buffer);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(buffer.toString('latin1', 8, 12))) return 'heic';
+
+  // Everything else must be text
+  const head = buffer.subarray(0, SNIFF_BYTES);
+  if (head.includes(0)) return null;
+
+  const text = head.toString('utf-8').replace(/^\uFEFF/, '');
+  if (/^\s*(<!doctype html|<html|<head|<body)/i.test(text)) return 'html';
+  if (looksLikeEmail(text)) return 'eml';
+
+  return 'txt';
+}
+
+module.exports = {
+  FILE_TYPES,
+  SUPPORTED_LABELS,
+  detectFileType
+};
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Language model providers behind one interface, so the analyzer doesn't care
+ * which model answers or whether it runs offline.
+ *
+ * A provider is an object with a `name` and
+ *
+ *   complete({ prompt, maxTokens, temperature, tool }) -> Promise<{ text, toolInput, model, usage: { inputTokens, outputTokens }, stopReason }>
+ *
+ * When a `tool` ({ name, description, inputSchema }) is given the model is made
+ * to answer by calling it, and `toolInput` holds the typed arguments it passed.
+ * `toolInput` is null when the model answered in text instead.
+ *
+ * Configuration (environment):
+ * - LLM_PROVIDER    - 'anthropic' (default) or 'mock'
+ * - LLM_MODEL       - Model name for the Anthropic provider
+ * - LLM_MAX_TOKENS  - Output token limit per request
+ * - LLM_TOKEN_BUDGET - Total tokens one analysis may spend across requests (unlimited when unset)
+ * - LLM_FIXTURES_DIR - Recorded responses the mock provider replays
+ * - LLM_RECORD_DIR  - Save every live response here as a fixture
+ * - LLM_MAX_RETRIES, LLM_RETRY_BASE_MS, LLM_RETRY_MAX_MS - Retries of rate-limited
+ *   and failed requests (see llmRetry)
+ * - LLM_BREAKER_THRESHOLD, LLM_BREAKER_COOLDOWN_MS - Requests that must fail in a
+ *   row to open the circuit breaker, and how long it stays open
+ *
+ * Fixtures are keyed by the SHA-256 of the prompt, so a recording made once
+ * with the real model replays the same analysis in tests and CI with no network.
+ */
+
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+const DEFAULT_MAX_TOKENS = 4000;
+
+// What the mock answers when it has neither a queued response nor a fixture
+const MOCK_DEFAULT_RESPONSE = '{}';
+
+/**
+ * Provider settings from the environment
+ * @returns {Object}
+ */
+function llmConfig() {
+  const positive = (value) => (parseInt(value) > 0 ? parseInt(value) : null);
+  const count = (value, defaultValue) => (parseInt(value) >= 0 ? parseInt(value) : defaultValue);
+
+  return {
+    provider: (process.env.LLM_PROVIDER || 'anthropic').toLowerCase(),
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    maxTokens: positive(process.env.LLM_MAX_TOKENS) || DEFAULT_MAX_TOKENS,
+    tokenBudget: positive(process.env.LLM_TOKEN_BUDGET),
+    fixturesDir: process.env.LLM_FIXTURES_DIR || null,
+    recordDir: process.env.LLM_RECORD_DIR || null,
+    maxRetries: count(process.env.LLM_MAX_RETRIES, 4),
+    retryBaseMs: positive(process.env.LLM_RETRY_BASE_MS) || 1000,
+    retryMaxMs: positive(process.env.LLM_RETRY_MAX_MS) || 60000,
+    breakerThreshold: positive(process.env.LLM_BREAKER_THRESHOLD) || 3,
+    breakerCooldownMs: positive(process.env.LLM_BREAKER_COOLDOWN_MS) || 60000
+  };
+}
+
+const promptKey = (prompt) => crypto.createHash('sha256').update(prompt).digest('hex');
+
+/**
+ * Recorded response for a prompt, or null
+ */
+function readFixture(fixturesDir, prompt) {
+  if (!fixturesDir) return null;
+
+  const file = path.join(fixturesDir, `${promptKey(prompt)}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Save a response as a fixture for its prompt
+ */
+function writeFixture(recordDir, prompt, response) {
+  fs.mkdirSync(recordDir, { recursive: true });
+  const key = promptKey(prompt);
+  fs.writeFileSync(path.join(recordDir, `${key}.json`), JSON.stringify({
+    promptSha256: key,
+    promptPreview: prompt.slice(0, 200),
+    ...response,
+    recordedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+/**
+ * Anthropic Messages API provider
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to ANTHROPIC_API_KEY
+ * @param {string} [options.model]
+ * @param {number} [options.maxTokens]
+ */
+function createAnthropicProvider({ apiKey = process.env.ANTHROPIC_API_KEY, model = DEFAULT_MODEL, maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+  }
+
+  const Anthropic = require('@anthropic-ai/sdk');
+  // Retries are handled by llmRetry, so the SDK's own are turned off
+  const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'anthropic',
+    model,
+    maxTokens,
+
+    async complete({ prompt, maxTokens: requestMaxTokens = maxTokens, temperature = 0, tool = null }) {
+      const message = await client.messages.create({
+        model,
+        max_tokens: requestMaxTokens,
+        temperature,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        ...(tool && {
+          tools: [{ name: tool.name, description: tool.description, input_schema: tool.inputSchema }],
+          tool_choice: { type: 'tool', name: tool.name }
+        })
+      });
+
+      const toolUse = tool && message.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+
+      return {
+        text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolInput: toolUse ? toolUse.input : null,
+        model: message.model,
+        usage: {
+          inputTokens: message.usage ? message.usage.input_tokens : 0,
+          outputTokens: message.usage ? message.usage.output_tokens : 0
+        },
+        stopReason: message.stop_reason
+      };
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider. Answers from queued responses first, then
+ * from recorded fixtures, then with an empty JSON object - never the network.
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.responses] - Answers to give in order. Objects are
+ *   tool arguments when the request has a tool and JSON text otherwise; strings are always
+ *   text, to stand in for a model that ignored the tool
+ * @param {string} [options.fixturesDir] - Directory of recorded responses
+ * @param {string} [options.defaultResponse] - Answer when nothing else matches
+ */
+function createMockProvider({ responses = [], fixturesDir = null, defaultResponse = MOCK_DEFAULT_RESPONSE } = {}) {
+  const queue = [...responses];
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    maxTokens: DEFAULT_MAX_TOKENS,
+    // Every prompt the provider was asked, for assertions
+    prompts: [],
+
+    /**
+     * Queue more answers
+     */
+    respondWith(...answers) {
+      queue.push(...answers);
+    },
+
+    async complete({ prompt, tool = null }) {
+      this.prompts.push(prompt);
+
+      let text = '';
+      let toolInput = null;
+      let model = 'mock';
+      if (queue.length > 0) {
+        const next = queue.shift();
+        if (typeof next === 'string') {
+          text = next;
+        } else if (tool) {
+          toolInput = next;
+        } else {
+          text = JSON.stringify(next);
+        }
+      } else {
+        const fixture = readFixture(fixturesDir, prompt);
+        text = fixture ? fixture.text || '' : defaultResponse;
+        toolInput = fixture && tool ? fixture.toolInput || null : null;
+        if (fixture && fixture.model) model = fixture.model;
+      }
+
+      const output = toolInput ? JSON.stringify(toolInput) : text;
+
+      return {
+        text,
+        toolInput,
+        model,
+        // A rough count, so token budgets behave the same offline
+        usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(output.length / 4) },
+        stopReason: toolInput ? 'tool_use' : 'end_turn'
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every response is saved as a fixture
+ */
+function withRecording(provider, recordDir) {
+  return {
+    ...provider,
+    async complete(request) {
+      const response = await provider.complete(request);
+      writeFixture(recordDir, request.prompt, response);
+      return response;
+    }
+  };
+}
+
+/**
+ * Build the provider the environment asks for
+ * @param {Object} [config] - Defaults to llmConfig()
+ */
+function createProvider(config = llmConfig()) {
+  let provider;
+  if (config.provider === 'mock') {
+    provider = createMockProvider({ fixturesDir: config.fixturesDir });
+  } else if (config.provider === 'anthropic') {
+    provider = createAnthropicProvider({ model: config.model, maxTokens: config.maxTokens });
+  } else {
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Use anthropic or mock.`);
+  }
+
+  return config.recordDir ? withRecording(provider, config.recordDir) : provider;
+}
+
+let activeProvider = null;
+
+/**
+ * The provider in use - built from the environment on first use
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+    console.log(`🧠 LLM provider: ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the provider in use (tests), or pass null to rebuild it from the environment
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  llmConfig,
+  promptKey,
+  createAnthropicProvider,
+  createMockProvider,
+  withRecording,
+  createProvider,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,175 @@
+const { llmConfig } = require('./llmProvider');
+
+/**
+ * Retries and a circuit breaker around model requests.
+ *
+ * Rate limits (429), overload (529), server errors (5xx) and dropped
+ * connections are retried with exponential backoff and full jitter, waiting
+ * for `retry-after` instead when the API sends it. Any other error is the
+ * request's own fault and is thrown straight away.
+ *
+ * A request that is still failing after its retries counts against the
+ * breaker. After LLM_BREAKER_THRESHOLD of those in a row the breaker opens:
+ * requests fail fast without touching the network, and the analysis queue
+ * stops claiming jobs, until the cooldown has passed. The next request is then
+ * let through as a trial - success closes the breaker, failure opens it again.
+ */
+
+// Error code for requests given up on because the API is unavailable
+const LLM_UNAVAILABLE = 'LLM_UNAVAILABLE';
+
+const breaker = {
+  consecutiveFailures: 0,
+  openUntil: 0
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of an SDK error, if it has one
+ */
+function errorStatus(error) {
+  return error.status || error.statusCode || null;
+}
+
+/**
+ * Whether an error is worth retrying: rate limits, overload, server errors and connection failures
+ */
+function isTransient(error) {
+  const status = errorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return /connection|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(`${error.name} ${error.message}`);
+}
+
+/**
+ * How long the API asked us to wait, from `retry-after-ms` or `retry-after` (seconds or an HTTP date)
+ * @returns {number|null} - Milliseconds
+ */
+function retryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = parseFloat(header('retry-after-ms'));
+  if (milliseconds >= 0) return Math.round(milliseconds);
+
+  const value = header('retry-after');
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (seconds >= 0) return Math.round(seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: a random wait up to base * 2^attempt, capped
+ */
+function backoffDelay(attempt, { retryBaseMs, retryMaxMs }) {
+  return Math.round(Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+}
+
+function unavailableError(message, retryInMs) {
+  const error = new Error(`AI analysis is temporarily unavailable: ${message}`);
+  error.code = LLM_UNAVAILABLE;
+  error.retryInMs = retryInMs;
+  return error;
+}
+
+/**
+ * Whether an error means the model API is unavailable, so the work should wait rather than fail
+ */
+function isUnavailable(error) {
+  return Boolean(error) && error.code === LLM_UNAVAILABLE;
+}
+
+/**
+ * Current state of the circuit breaker
+ * @returns {{open: boolean, consecutiveFailures: number, retryInMs: number}}
+ */
+function breakerStatus() {
+  const retryInMs = Math.max(0, breaker.openUntil - Date.now());
+  return {
+    open: retryInMs > 0,
+    consecutiveFailures: breaker.consecutiveFailures,
+    retryInMs
+  };
+}
+
+function recordSuccess() {
+  if (breaker.consecutiveFailures >= llmConfig().breakerThreshold) {
+    console.log('🔌 Model API recovered, circuit breaker closed');
+  }
+  breaker.consecutiveFailures = 0;
+  breaker.openUntil = 0;
+}
+
+function recordFailure(waitMs) {
+  const { breakerThreshold, breakerCooldownMs } = llmConfig();
+  breaker.consecutiveFailures += 1;
+
+  if (breaker.consecutiveFailures >= breakerThreshold) {
+    const cooldown = Math.max(breakerCooldownMs, waitMs || 0);
+    breaker.openUntil = Date.now() + cooldown;
+    console.error(`🔌 Model API failing (${breaker.consecutiveFailures} requests in a row), circuit breaker open for ${Math.round(cooldown / 1000)}s`);
+  }
+}
+
+/**
+ * Close the breaker and forget past failures (tests, manual recovery)
+ */
+function resetBreaker() {
+  breaker.consecutiveFailures = 0;
+  breaker.openUntil = 0;
+}
+
+/**
+ * Run a model request with retries, through the circuit breaker
+ * @param {Function} request - Returns a promise for the response
+ * @returns {Promise<*>} - The response
+ * @throws {Error} - With code LLM_UNAVAILABLE when the API is down; other errors unchanged
+ */
+async function withRetry(request) {
+  const status = breakerStatus();
+  if (status.open) {
+    throw unavailableError(`circuit breaker open, retrying in ${Math.ceil(status.retryInMs / 1000)}s`, status.retryInMs);
+  }
+
+  const config = llmConfig();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await request();
+      recordSuccess();
+      return response;
+    } catch (error) {
+      if (!isTransient(error)) throw error;
+
+      const waitMs = retryAfterMs(error);
+      const reason = errorStatus(error) ? `HTTP ${errorStatus(error)}` : error.message;
+
+      // Out of retries, or asked to wait longer than we would ever back off
+      if (attempt >= config.maxRetries || (waitMs !== null && waitMs > config.retryMaxMs)) {
+        recordFailure(waitMs);
+        throw unavailableError(`${reason} after ${attempt + 1} attempt(s)`, Math.max(breakerStatus().retryInMs, waitMs || 0));
+      }
+
+      const delay = waitMs !== null ? waitMs : backoffDelay(attempt, config);
+      console.warn(`⏳ Model request failed (${reason}), retry ${attempt + 1}/${config.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  LLM_UNAVAILABLE,
+  errorStatus,
+  isTransient,
+  isUnavailable,
+  breakerStatus,
+  resetBreaker,
+  withRetry
+};
@@ -0,0 +1,204 @@
+const { createCanvas, DOMMatrix, Path2D, ImageData } = require('@napi-rs/canvas');
+const Tesseract = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const heicConvert = require('heic-convert');
+
+/**
+ * Local OCR for scanned contracts and phone photos.
+ *
+ * PDF pages are rasterized with pdf.js onto @napi-rs/canvas and recognized by
+ * tesseract.js. The English language data ships as an npm package, so nothing
+ * is downloaded at runtime and no external service sees the document.
+ */
+
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 40;
+// Render scale - 2x the PDF's 72dpi user space gives ~144dpi, enough for contract type
+const RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+
+/**
+ * Canvas factory so pdf.js renders onto @napi-rs/canvas instead of the DOM
+ */
+class NapiCanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * Load pdf.js lazily - it is large and only needed for scanned documents.
+ * pdf.js expects browser canvas globals, which @napi-rs/canvas provides.
+ */
+function loadPdfjs() {
+  global.DOMMatrix = global.DOMMatrix || DOMMatrix;
+  global.Path2D = global.Path2D || Path2D;
+  global.ImageData = global.ImageData || ImageData;
+  return require('pdfjs-dist/legacy/build/pdf.js');
+}
+
+/**
+ * Rasterize PDF pages to PNG images
+ * @param {Buffer} pdfBuffer
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @returns {Promise<{images: Array<{page: number, image: Buffer}>, totalPages: number}>}
+ */
+async function renderPdfPages(pdfBuffer, { maxPages = OCR_MAX_PAGES } = {}) {
+  const pdfjs = loadPdfjs();
+  const canvasFactory = new NapiCanvasFactory();
+
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    canvasFactory,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  const images = [];
+  const pageCount = Math.min(document.numPages, maxPages);
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const canvasAndContext = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      // Scans are often transparent - paint white so tesseract sees dark text on light paper
+      canvasAndContext.context.fillStyle = '#ffffff';
+      canvasAndContext.context.fillRect(0, 0, canvasAndContext.canvas.width, canvasAndContext.canvas.height);
+
+      await page.render({ canvasContext: canvasAndContext.context, viewport, canvasFactory }).promise;
+      images.push({ page: pageNumber, image: canvasAndContext.canvas.toBuffer('image/png') });
+
+      canvasFactory.destroy(canvasAndContext);
+      page.cleanup();
+    }
+  } finally {
+    await document.destroy();
+  }
+
+  return { images, totalPages: document.numPages };
+}
+
+/**
+ * Recognize text in a list of page images
+ * @param {Array<{page: number, image: Buffer}>} images
+ * @returns {Promise<{text: string, pageTexts: Array<string>, pages: Array<{page: number, confidence: number, characters: number}>, averageConfidence: number}>}
+ */
+async function recognizeImages(images) {
+  const worker = await Tesseract.createWorker(englishData.code, 1, {
+    langPath: englishData.langPath,
+    gzip: englishData.gzip,
+    cacheMethod: 'none'
+  });
+
+  const pages = [];
+  const texts = [];
+
+  try {
+    for (const { page, image } of images) {
+      const { data } = await worker.recognize(image);
+      const text = (data.text || '').trim();
+
+      texts.push(text);
+      pages.push({
+        page,
+        confidence: Math.round(data.confidence * 10) / 10,
+        characters: text.length
+      });
+      console.log(`🔎 OCR page ${page}: ${text.length} characters, confidence ${data.confidence.toFixed(1)}%`);
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  // Weight by characters so near-blank pages don't skew the document score
+  const totalCharacters = pages.reduce((sum, page) => sum + page.characters, 0);
+  const averageConfidence = totalCharacters > 0
+    ? Math.round(pages.reduce((sum, page) => sum + page.confidence * page.characters, 0) / totalCharacters * 10) / 10
+    : 0;
+
+  return {
+    text: texts.join('\n\n'),
+    pageTexts: texts,
+    pages,
+    averageConfidence
+  };
+}
+
+/**
+ * OCR a scanned PDF
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{text: string, pageTexts: Array<string>, ocr: Object}>} - Text (whole and per page) plus per-page OCR confidence
+ */
+async function ocrPdf(pdfBuffer) {
+  console.log('🖨️ Rasterizing PDF pages for OCR...');
+  const { images, totalPages } = await renderPdfPages(pdfBuffer);
+
+  const result = await recognizeImages(images);
+
+  return {
+    text: result.text,
+    pageTexts: result.pageTexts,
+    ocr: {
+      engine: 'tesseract.js',
+      language: englishData.code,
+      pages: result.pages,
+      averageConfidence: result.averageConfidence,
+      pagesProcessed: images.length,
+      totalPages,
+      truncated: totalPages > images.length
+    }
+  };
+}
+
+/**
+ * OCR a photographed or scanned page image (JPEG, PNG or HEIC)
+ * @param {Buffer} imageBuffer
+ * @param {Object} [options]
+ * @param {boolean} [options.heic=false] - Convert from HEIC first (tesseract can't read it)
+ * @returns {Promise<{text: string, pageTexts: Array<string>, ocr: Object}>}
+ */
+async function ocrImage(imageBuffer, { heic = false } = {}) {
+  let image = imageBuffer;
+  if (heic) {
+    console.log('🖼️ Converting HEIC photo to PNG...');
+    image = Buffer.from(await heicConvert({ buffer: imageBuffer, format: 'PNG' }));
+  }
+
+  const result = await recognizeImages([{ page: 1, image }]);
+
+  return {
+    text: result.text,
+    pageTexts: result.pageTexts,
+    ocr: {
+      engine: 'tesseract.js',
+      language: englishData.code,
+      pages: result.pages,
+      averageConfidence: result.averageConfidence,
+      pagesProcessed: 1,
+      totalPages: 1,
+      truncated: false
+    }
+  };
+}
+
+module.exports = {
+  renderPdfPages,
+  recognizeImages,
+  ocrPdf,
+  ocrImage
+};
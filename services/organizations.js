@@ -0,0 +1,254 @@
+const supabase = require('../config/database');
+
+/**
+ * Organizations, memberships and per-contract sharing.
+ *
+ * A contract belongs to the user who uploaded it (`user_id`) and optionally to
+ * an organization (`organization_id`). What a user may do with a contract is
+ * the highest of:
+ *
+ * - manage - the uploader, while the contract is personal or they are still an
+ *   owner, admin or agent of its organization
+ * - their organization role's access to the organization's contracts
+ *   (ROLE_CONTRACT_ACCESS) - external attorneys get none
+ * - a share of the contract with their email address (view or edit)
+ *
+ * Access levels are ordered: view < edit < manage. Members are invited by
+ * email and join when they accept, so memberships and shares are matched on
+ * the lowercased email until then.
+ */
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'agent', 'viewer', 'external_attorney'];
+
+const ACCESS_LEVELS = ['view', 'edit', 'manage'];
+
+// Access each role has to every contract of its organization
+const ROLE_CONTRACT_ACCESS = {
+  owner: 'manage',
+  admin: 'manage',
+  agent: 'view',
+  viewer: 'view',
+  external_attorney: null
+};
+
+// Roles that may add contracts to an organization, and manage the ones they added
+const CONTRACT_CREATOR_ROLES = ['owner', 'admin', 'agent'];
+
+// Roles that may rename the organization and invite, change or remove members
+const MEMBER_MANAGER_ROLES = ['owner', 'admin'];
+
+// Access a contract can be shared with - managing it stays with the owner and organization
+const SHARE_ACCESS = ['view', 'edit'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Whether granted access covers the required level
+ */
+function hasAccess(granted, required) {
+  return ACCESS_LEVELS.indexOf(granted) >= ACCESS_LEVELS.indexOf(required) && ACCESS_LEVELS.includes(granted);
+}
+
+/**
+ * The highest of several access levels, or null
+ */
+function highestAccess(levels) {
+  return levels
+    .filter(level => ACCESS_LEVELS.includes(level))
+    .sort((a, b) => ACCESS_LEVELS.indexOf(b) - ACCESS_LEVELS.indexOf(a))[0] || null;
+}
+
+/**
+ * A user's active membership of an organization
+ * @returns {Promise<Object|null>}
+ */
+async function getMembership(organizationId, userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get membership: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * A user's active memberships
+ * @returns {Promise<Array<Object>>}
+ */
+async function listMemberships(userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active');
+
+  if (error) {
+    throw new Error(`Failed to list memberships: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * What a user may do with a contract
+ * @param {Object} contract - Row with id, user_id and organization_id
+ * @param {Object} user - Authenticated Supabase user
+ * @returns {Promise<string|null>} - One of ACCESS_LEVELS, or null for no access
+ */
+async function contractAccess(contract, user) {
+  const levels = [];
+
+  if (contract.organization_id) {
+    const membership = await getMembership(contract.organization_id, user.id);
+    if (membership) {
+      levels.push(ROLE_CONTRACT_ACCESS[membership.role]);
+      if (contract.user_id === user.id && CONTRACT_CREATOR_ROLES.includes(membership.role)) {
+        levels.push('manage');
+      }
+    }
+  } else if (contract.user_id === user.id) {
+    levels.push('manage');
+  }
+
+  const { data: share, error } = await supabase
+    .from('contract_shares')
+    .select('access')
+    .eq('contract_id', contract.id)
+    .eq('email', normalizeEmail(user.email))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get contract share: ${error.message}`);
+  }
+  if (share) levels.push(share.access);
+
+  return highestAccess(levels);
+}
+
+/**
+ * Load a contract together with the user's access to it
+ * @param {string} contractId
+ * @param {Object} user - Authenticated Supabase user
+ * @returns {Promise<Object|null>} - `{id, user_id, organization_id, access}`, or null when
+ *   the contract doesn't exist or the user has no access to it
+ */
+async function loadContractAccess(contractId, user) {
+  const { data: contract, error } = await supabase
+    .from('contracts')
+    .select('id, user_id, organization_id')
+    .eq('id', contractId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get contract: ${error.message}`);
+  }
+  if (!contract) return null;
+
+  const access = await contractAccess(contract, user);
+  return access ? { ...contract, access } : null;
+}
+
+/**
+ * PostgREST `or` filter matching every contract a user can see - their personal
+ * contracts, all contracts of organizations whose role grants access, and
+ * contracts shared with them. Apply with `query.or(filter)`.
+ * @param {Object} user - Authenticated Supabase user (or `{id, email}`)
+ * @returns {Promise<string>}
+ */
+async function contractScopeFilter(user) {
+  const memberships = await listMemberships(user.id);
+
+  const { data: shares, error } = await supabase
+    .from('contract_shares')
+    .select('contract_id')
+    .eq('email', normalizeEmail(user.email));
+
+  if (error) {
+    throw new Error(`Failed to list contract shares: ${error.message}`);
+  }
+
+  const organizationIds = memberships
+    .filter(membership => ROLE_CONTRACT_ACCESS[membership.role])
+    .map(membership => membership.organization_id);
+  const sharedIds = shares.map(share => share.contract_id);
+
+  return [
+    `and(user_id.eq.${user.id},organization_id.is.null)`,
+    organizationIds.length > 0 ? `organization_id.in.(${organizationIds.join(',')})` : null,
+    sharedIds.length > 0 ? `id.in.(${sharedIds.join(',')})` : null
+  ].filter(Boolean).join(',');
+}
+
+/**
+ * Email addresses of the user and everyone in their organizations, by user id
+ * @param {Object} user - Authenticated Supabase user
+ * @returns {Promise<Object<string, string>>}
+ */
+async function memberDirectory(user) {
+  const organizationIds = (await listMemberships(user.id)).map(membership => membership.organization_id);
+  const directory = { [user.id]: user.email };
+  if (organizationIds.length === 0) return directory;
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('user_id, email')
+    .in('organization_id', organizationIds)
+    .eq('status', 'active');
+
+  if (error) {
+    throw new Error(`Failed to list organization members: ${error.message}`);
+  }
+
+  data.forEach(member => {
+    directory[member.user_id] = member.email;
+  });
+  return directory;
+}
+
+/**
+ * Email an invitation to sign up. People who already have an account get no
+ * email - they see pending invitations when they sign in.
+ * @param {string} email
+ * @param {Object} [data] - Stored on the invited user's metadata
+ * @returns {Promise<boolean>} - Whether an invitation email was sent
+ */
+async function sendInvitation(email, data = {}) {
+  const { error } = await supabase.auth.admin.inviteUserByEmail(email, {
+    data,
+    ...(process.env.INVITE_REDIRECT_URL && { redirectTo: process.env.INVITE_REDIRECT_URL })
+  });
+
+  if (error) {
+    if (error.code === 'email_exists' || /already been registered/i.test(error.message)) {
+      return false;
+    }
+    throw new Error(`Failed to send invitation: ${error.message}`);
+  }
+
+  console.log(`✉️ Invitation sent to ${email}`);
+  return true;
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  ACCESS_LEVELS,
+  ROLE_CONTRACT_ACCESS,
+  CONTRACT_CREATOR_ROLES,
+  MEMBER_MANAGER_ROLES,
+  SHARE_ACCESS,
+  normalizeEmail,
+  hasAccess,
+  getMembership,
+  listMemberships,
+  loadContractAccess,
+  contractScopeFilter,
+  memberDirectory,
+  sendInvitation
+};
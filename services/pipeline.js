@@ -0,0 +1,160 @@
+const { collectDeadlines } = require('./deadlines');
+const { describeDeposit, deriveStatus } = require('./deposits');
+const { isMeaningful } = require('../utils/values');
+
+/**
+ * Deal pipeline aggregates for the dashboard.
+ *
+ * Works on stored rows only - the terms in effect of each open contract and
+ * its deposit ledger - so one call covers the whole book. Deposit statuses are
+ * re-derived as of today rather than trusted from the last sync.
+ */
+
+const DEADLINE_WINDOWS = [7, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Deposit statuses by exposure: money that can still come back, money that can't, money not yet paid
+const EXPOSURE = {
+  refundable: ['paid'],
+  hard: ['hard', 'released'],
+  pending: ['not_yet_due', 'due']
+};
+
+const addDays = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+
+const emptyTotals = () => ({ count: 0, totalPurchasePrice: 0 });
+
+const emptyExposure = () => Object.fromEntries(Object.keys(EXPOSURE).map(key => [key, { count: 0, amount: 0 }]));
+
+/**
+ * Short description of a contract for dashboard lists
+ */
+function contractLabel(contract) {
+  const address = contract.analysis?.property?.address;
+  return {
+    id: contract.id,
+    fileName: contract.file_name,
+    address: isMeaningful(address) ? address : null
+  };
+}
+
+/**
+ * Add a deal to a group's totals
+ */
+function addToGroup(groups, key, label, price, exposure) {
+  if (!groups[key]) {
+    groups[key] = { key, label, ...emptyTotals(), deposits: emptyExposure() };
+  }
+  const group = groups[key];
+  group.count++;
+  group.totalPurchasePrice += price;
+  Object.entries(exposure).forEach(([kind, { count, amount }]) => {
+    group.deposits[kind].count += count;
+    group.deposits[kind].amount += amount;
+  });
+}
+
+/**
+ * Aggregate a set of open contracts into the pipeline summary
+ * @param {Array<Object>} contracts - Contract rows with the terms in effect as `analysis`
+ * @param {Array<Object>} deposits - Ledger rows of those contracts
+ * @param {Array<Object>} payments - Payments against those deposits
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - ISO date, defaults to today
+ * @param {Object<string, string>} [options.agentNames] - Display name per user id
+ * @returns {Object}
+ */
+function buildPipeline(contracts, deposits, payments, { asOf = new Date().toISOString().substring(0, 10), agentNames = {} } = {}) {
+  const totals = emptyTotals();
+  const exposure = emptyExposure();
+  const byMonth = {};
+  const byPropertyType = {};
+  const byAgent = {};
+  const upcoming = [];
+  const pastOutsideDate = [];
+  const horizon = addDays(asOf, Math.max(...DEADLINE_WINDOWS));
+
+  contracts.forEach(contract => {
+    const summary = contract.analysis || {};
+    const price = typeof summary.property?.purchasePrice === 'number' ? summary.property.purchasePrice : 0;
+
+    // Deposit exposure of this deal
+    const dealExposure = emptyExposure();
+    deposits
+      .filter(deposit => deposit.contract_id === contract.id)
+      .forEach(deposit => {
+        const described = describeDeposit(deposit, payments, asOf);
+        const status = deriveStatus(deposit, described.paid_amount, asOf);
+        const kind = Object.keys(EXPOSURE).find(key => EXPOSURE[key].includes(status));
+        if (!kind) return;
+
+        dealExposure[kind].count++;
+        dealExposure[kind].amount += Number(deposit.amount) || 0;
+      });
+
+    totals.count++;
+    totals.totalPurchasePrice += price;
+    Object.entries(dealExposure).forEach(([kind, { count, amount }]) => {
+      exposure[kind].count += count;
+      exposure[kind].amount += amount;
+    });
+
+    // Groups: expected closing month, property type, agent (the contract's owner)
+    const outsideDate = summary.closingInfo?.outsideDate;
+    const month = ISO_DATE.test(outsideDate || '') ? outsideDate.substring(0, 7) : 'unscheduled';
+    const propertyType = isMeaningful(summary.property?.propertyType) ? String(summary.property.propertyType).trim().toLowerCase() : 'unknown';
+    addToGroup(byMonth, month, month === 'unscheduled' ? 'No outside date' : month, price, dealExposure);
+    addToGroup(byPropertyType, propertyType, propertyType, price, dealExposure);
+    addToGroup(byAgent, contract.user_id, agentNames[contract.user_id] || contract.user_id, price, dealExposure);
+
+    if (ISO_DATE.test(outsideDate || '') && outsideDate < asOf) {
+      pastOutsideDate.push({
+        contract: contractLabel(contract),
+        outsideDate,
+        daysPast: Math.round((Date.parse(asOf) - Date.parse(outsideDate)) / DAY_MS)
+      });
+    }
+
+    collectDeadlines(summary)
+      .filter(deadline => !deadline.done && deadline.date >= asOf && deadline.date <= horizon)
+      .forEach(deadline => upcoming.push({
+        contract: contractLabel(contract),
+        key: deadline.key,
+        label: deadline.label,
+        date: deadline.date,
+        daysAway: Math.round((Date.parse(deadline.date) - Date.parse(asOf)) / DAY_MS)
+      }));
+  });
+
+  upcoming.sort((a, b) => a.date.localeCompare(b.date));
+  pastOutsideDate.sort((a, b) => b.daysPast - a.daysPast);
+
+  const sortedGroups = (groups, compare) => Object.values(groups).sort(compare);
+
+  return {
+    asOf,
+    openDeals: totals,
+    deposits: exposure,
+    deadlines: {
+      ...Object.fromEntries(DEADLINE_WINDOWS.map(days => [`next${days}Days`, upcoming.filter(deadline => deadline.daysAway <= days).length])),
+      upcoming
+    },
+    pastOutsideDate: {
+      count: pastOutsideDate.length,
+      contracts: pastOutsideDate
+    },
+    groups: {
+      // Scheduled months in order, unscheduled last
+      byMonth: sortedGroups(byMonth, (a, b) => (a.key === 'unscheduled') - (b.key === 'unscheduled') || a.key.localeCompare(b.key)),
+      byPropertyType: sortedGroups(byPropertyType, (a, b) => b.totalPurchasePrice - a.totalPurchasePrice),
+      byAgent: sortedGroups(byAgent, (a, b) => b.totalPurchasePrice - a.totalPurchasePrice)
+    }
+  };
+}
+
+module.exports = {
+  DEADLINE_WINDOWS,
+  buildPipeline
+};
@@ -0,0 +1,281 @@
+const { getPath, flattenObject } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const { citeOffset } = require('./documentModel');
+
+/**
+ * Per-field provenance for analysis results.
+ *
+ * Every extracted field gets a record in `_meta.provenance` keyed by its
+ * dotted path, telling the reviewer where the value came from, how much to
+ * trust it, and which characters of the contract text support it:
+ *
+ *   { source: 'model', confidence: 0.9, start: 1042, end: 1049, excerpt: '500,000', page: 2, section: '3.1' }
+ *
+ * `page` and `section` are present when the contract's document model is known.
+ */
+
+const SOURCES = {
+  MODEL: 'model',
+  REGEX: 'regex_fallback',
+  DEFAULT: 'default',
+  COMPUTED: 'computed',
+  MANUAL: 'manual',
+  AMENDMENT: 'amendment',
+  LEDGER: 'ledger'
+};
+
+// Confidence when the model's value is found verbatim, found in another format, or not found at all
+const MODEL_CONFIDENCE = { exact: 0.9, normalized: 0.75, unlocated: 0.5 };
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Patterns that could have produced a value as written in the contract
+ */
+function searchPatterns(value) {
+  if (typeof value === 'number') {
+    const [whole, fraction] = String(value).split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',?');
+    const cents = fraction ? `\\.${fraction}0?` : '(?:\\.00)?';
+    return [{ regex: new RegExp(`(?<![\\d.]|\\d,)${grouped}${cents}(?![\\d])`), exact: true }];
+  }
+
+  if (typeof value !== 'string') return [];
+
+  const isoDate = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDate) {
+    const [, year, month, day] = isoDate;
+    const m = Number(month);
+    const d = Number(day);
+    return [
+      { regex: new RegExp(escapeRegExp(value)), exact: true },
+      { regex: new RegExp(`${MONTHS[m - 1]}\\s+${d}(?:st|nd|rd|th)?,?\\s+${year}`, 'i'), exact: false },
+      { regex: new RegExp(`(?<!\\d)0?${m}/0?${d}/(?:${year}|${year.slice(2)})(?!\\d)`), exact: false }
+    ];
+  }
+
+  const trimmed = value.trim();
+  const words = trimmed.split(/\s+/).map(escapeRegExp);
+  return [
+    { regex: new RegExp(escapeRegExp(trimmed), 'i'), exact: true },
+    // Same words with any whitespace or line breaks between them
+    { regex: new RegExp(words.join('[\\s,]+'), 'i'), exact: false }
+  ];
+}
+
+/**
+ * Find the contract text that supports a value
+ * @param {string} contractText
+ * @param {*} value
+ * @param {Array<{start: number, end: number}>} [ranges] - Limit the search to these spans (chunks)
+ * @returns {{start: number, end: number, exact: boolean}|null}
+ */
+function locateValue(contractText, value, ranges) {
+  if (!contractText) return null;
+
+  const spans = ranges && ranges.length > 0 ? ranges : [{ start: 0, end: contractText.length }];
+
+  for (const { regex, exact } of searchPatterns(value)) {
+    for (const span of spans) {
+      const match = contractText.substring(span.start, span.end).match(regex);
+      if (match) {
+        const start = span.start + match.index;
+        return { start, end: start + match[0].length, exact };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a provenance record from a located span
+ */
+function spanRecord(source, confidence, contractText, span) {
+  return {
+    source,
+    confidence,
+    start: span ? span.start : null,
+    end: span ? span.end : null,
+    excerpt: span ? contractText.substring(span.start, span.end).slice(0, 200) : null
+  };
+}
+
+/**
+ * Record for a value the model extracted, scored by how well it can be located in the text
+ */
+function modelRecord(source, contractText, value, ranges) {
+  const span = typeof value === 'boolean' ? null : locateValue(contractText, value, ranges);
+  const confidence = span
+    ? (span.exact ? MODEL_CONFIDENCE.exact : MODEL_CONFIDENCE.normalized)
+    : MODEL_CONFIDENCE.unlocated;
+  return spanRecord(source, confidence, contractText, span);
+}
+
+/**
+ * Record for a value produced by the regex fallback
+ * @param {string} contractText
+ * @param {RegExp} pattern - Pattern that matched
+ * @param {RegExpMatchArray} match - Match whose first group is the value
+ * @param {number} confidence - How specific the pattern was
+ */
+function regexRecord(contractText, pattern, match, confidence) {
+  const start = match.index + match[0].indexOf(match[1]);
+  return {
+    ...spanRecord(SOURCES.REGEX, confidence, contractText, { start, end: start + match[1].length }),
+    pattern: pattern.source
+  };
+}
+
+/**
+ * Chunk spans a field was merged from in chunked mode
+ */
+function chunkRanges(meta, path) {
+  if (!meta || !meta.fieldSources || !meta.chunks) return null;
+
+  // Array items are sourced at the array level ("contingencies.2" -> "contingencies")
+  const arrayPath = path.replace(/\.\d+(\..*)?$/, '');
+  const source = meta.fieldSources[path] !== undefined ? meta.fieldSources[path] : meta.fieldSources[arrayPath];
+  if (source === undefined) return null;
+
+  const indexes = Array.isArray(source) ? source : [source];
+  return indexes.map(index => meta.chunks[index]).filter(Boolean);
+}
+
+/**
+ * Attach `_meta.provenance` to an analysis result
+ * @param {Object} summary - Full-shape analysis (mutated)
+ * @param {Object} context
+ * @param {string} context.contractText - Text the analysis was run on
+ * @param {Object} [context.modelResult] - Sanitized model output (single-request mode)
+ * @param {Object} [context.document] - Document model of the contract text, for page and section citations
+ * @returns {Object} - The same summary
+ */
+function attachProvenance(summary, { contractText, modelResult, document }) {
+  const meta = summary._meta || {};
+  const regexRecords = meta.provenance || {};
+  const chunked = meta.mode === 'chunked';
+  const provenance = {};
+
+  Object.entries(flattenObject(summary, { skip: ['_meta'] })).forEach(([path, value]) => {
+    const ranges = chunked ? chunkRanges(meta, path) : null;
+    const fromModel = chunked
+      ? ranges !== null
+      : modelResult && isMeaningful(getPath(modelResult, path)) && getPath(modelResult, path) === value;
+
+    if (fromModel && isMeaningful(value)) {
+      provenance[path] = {
+        ...modelRecord(SOURCES.MODEL, contractText, value, ranges),
+        ...(chunked && { chunks: ranges.map(range => range.index) })
+      };
+    } else if (regexRecords[path] && regexRecords[path].source === SOURCES.REGEX) {
+      provenance[path] = regexRecords[path];
+    } else {
+      provenance[path] = spanRecord(SOURCES.DEFAULT, 0, contractText, null);
+    }
+
+    if (document && provenance[path].start !== null) {
+      provenance[path] = { ...provenance[path], ...citeOffset(document, provenance[path].start) };
+    }
+  });
+
+  summary._meta = { ...meta, provenance };
+  return markComputedDates(summary);
+}
+
+/**
+ * Attach `_meta.provenance` to the fields an amendment changes. Offsets and
+ * citations point into the amendment's own text, not the contract's.
+ * @param {Object} changes - Partial analysis extracted from an amendment (mutated)
+ * @param {Object} context
+ * @param {string} context.amendmentText - Text the changes were extracted from
+ * @param {Object} [context.document] - Document model of the amendment text
+ * @returns {Object} - The same changes
+ */
+function attachChangeProvenance(changes, { amendmentText, document }) {
+  const provenance = {};
+
+  Object.entries(flattenObject(changes, { skip: ['_meta'] })).forEach(([path, value]) => {
+    if (!isMeaningful(value)) return;
+
+    provenance[path] = modelRecord(SOURCES.AMENDMENT, amendmentText, value);
+    if (document && provenance[path].start !== null) {
+      provenance[path] = { ...provenance[path], ...citeOffset(document, provenance[path].start) };
+    }
+  });
+
+  changes._meta = { ...(changes._meta || {}), provenance };
+  return changes;
+}
+
+/**
+ * Point provenance for dates computed by the deadline engine at the contract
+ * language they were derived from
+ * @param {Object} summary - Analysis with `_meta.computedDates` (mutated)
+ * @returns {Object} - The same summary
+ */
+function markComputedDates(summary) {
+  const meta = summary._meta || {};
+  const computedDates = meta.computedDates || {};
+  const provenance = { ...(meta.provenance || {}) };
+
+  Object.entries(computedDates).forEach(([path, basis]) => {
+    const origin = provenance[basis.from] || {};
+    provenance[path] = {
+      source: SOURCES.COMPUTED,
+      confidence: Math.round((origin.confidence || 0) * 0.9 * 100) / 100,
+      start: origin.start !== undefined ? origin.start : null,
+      end: origin.end !== undefined ? origin.end : null,
+      excerpt: origin.excerpt || null,
+      ...(origin.page !== undefined && { page: origin.page, section: origin.section }),
+      basedOn: basis.anchor ? [basis.from, basis.anchor] : [basis.from]
+    };
+  });
+
+  // Dates no longer computed fall back to default unless something else claims them
+  Object.keys(provenance).forEach(path => {
+    if (provenance[path].source === SOURCES.COMPUTED && !(path in computedDates)) {
+      provenance[path] = spanRecord(SOURCES.DEFAULT, 0, '', null);
+    }
+  });
+
+  summary._meta = { ...meta, provenance };
+  return summary;
+}
+
+/**
+ * Mark fields a user edited by hand
+ * @param {Object} summary - Stored analysis after the edit (mutated)
+ * @param {Object} edits - The partial analysis the user submitted
+ * @returns {Object} - The same summary
+ */
+function markManualEdits(summary, edits) {
+  const meta = summary._meta || {};
+  const provenance = { ...(meta.provenance || {}) };
+  const editedAt = new Date().toISOString();
+
+  Object.keys(flattenObject(edits, { skip: ['_meta'] })).forEach(path => {
+    // Replacing an array or object invalidates records for its old children
+    Object.keys(provenance)
+      .filter(existing => existing.startsWith(`${path}.`))
+      .forEach(existing => delete provenance[existing]);
+
+    provenance[path] = { source: SOURCES.MANUAL, confidence: 1, start: null, end: null, excerpt: null, editedAt };
+  });
+
+  summary._meta = { ...meta, provenance };
+  return summary;
+}
+
+module.exports = {
+  SOURCES,
+  locateValue,
+  regexRecord,
+  attachProvenance,
+  attachChangeProvenance,
+  markComputedDates,
+  markManualEdits
+};
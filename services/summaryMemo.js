@@ -0,0 +1,262 @@
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  HeadingLevel,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+const { getPath } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const {
+  BRAND_NAME,
+  formatDate,
+  display,
+  entryText,
+  missingTerms,
+  depositRows,
+  deadlineRows,
+  contingencyRows
+} = require('./summaryReport');
+
+/**
+ * Editable Word memo of a transaction summary for the back office.
+ *
+ * Carries the same content as the PDF report (see summaryReport.js) as real
+ * Word headings and tables, so it can be edited and pasted into other
+ * documents. TBD terms are highlighted.
+ */
+
+const COLORS = {
+  brand: '1F3A5F',
+  muted: '6B7280',
+  missing: 'B45309',
+  headerFill: 'F3F4F6'
+};
+
+const FONT = 'Calibri';
+
+/**
+ * Runs for a display() value - TBD is bold and highlighted
+ */
+function valueRun(value, options = {}) {
+  const { text, missing } = typeof value === 'string' ? { text: value, missing: false } : value;
+  return new TextRun({
+    text,
+    ...options,
+    ...(missing && { bold: true, color: COLORS.missing, highlight: 'yellow' })
+  });
+}
+
+function heading(text) {
+  return new Paragraph({ text, heading: HeadingLevel.HEADING_2, spacing: { before: 240, after: 80 } });
+}
+
+function cell(value, { header = false, width } = {}) {
+  return new TableCell({
+    width: width && { size: width, type: WidthType.PERCENTAGE },
+    shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: COLORS.headerFill } : undefined,
+    margins: { top: 40, bottom: 40, left: 80, right: 80 },
+    children: [new Paragraph({ children: [valueRun(value, { bold: header || undefined, size: 18 })] })]
+  });
+}
+
+/**
+ * A table with a shaded header row
+ * @param {Array<{title: string, width: number}>} columns - Widths as fractions
+ * @param {Array<Array<string|Object>>} rows
+ */
+function table(columns, rows) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: columns.map(column => cell(column.title, { header: true, width: column.width * 100 }))
+      }),
+      ...rows.map(row => new TableRow({
+        cantSplit: true,
+        children: row.map((value, index) => cell(value, { width: columns[index].width * 100 }))
+      }))
+    ]
+  });
+}
+
+/**
+ * Label/value table without borders
+ */
+function fieldTable(fields) {
+  const none = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: { top: none, bottom: none, left: none, right: none, insideHorizontal: none, insideVertical: none },
+    rows: fields.map(({ label, value }) => new TableRow({
+      children: [
+        new TableCell({
+          width: { size: 30, type: WidthType.PERCENTAGE },
+          children: [new Paragraph({ children: [new TextRun({ text: label, color: COLORS.muted, size: 20 })] })]
+        }),
+        new TableCell({
+          width: { size: 70, type: WidthType.PERCENTAGE },
+          children: [new Paragraph({ children: [valueRun(value, { size: 20 })] })]
+        })
+      ]
+    }))
+  });
+}
+
+function note(text) {
+  return new Paragraph({ children: [new TextRun({ text, italics: true, color: COLORS.muted })] });
+}
+
+/**
+ * Render a contract's transaction summary as a Word memo
+ * @param {Object} contract - Contract row with the terms in effect as `analysis`
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.deposits] - Deposit ledger rows
+ * @param {Array<Object>} [options.checklist] - Checklist items
+ * @param {string} [options.preparedBy] - Shown on the From line
+ * @param {Date} [options.generatedAt]
+ * @returns {Promise<Buffer>}
+ */
+async function buildSummaryMemo(contract, { deposits = [], checklist = [], preparedBy = null, generatedAt = new Date() } = {}) {
+  const summary = contract.analysis || {};
+  const address = display(getPath(summary, 'property.address'));
+  const generated = formatDate(generatedAt.toISOString().substring(0, 10));
+  const value = (path, format) => display(getPath(summary, path), format);
+  const joined = (...paths) => display(paths.map(path => getPath(summary, path)).filter(item => isMeaningful(item)).join(', ') || null);
+
+  const memoLine = (label, text) => new Paragraph({
+    spacing: { after: 40 },
+    children: [new TextRun({ text: `${label}:\t`, bold: true }), valueRun(text)]
+  });
+
+  const children = [
+    new Paragraph({ text: 'Transaction Summary Memo', heading: HeadingLevel.HEADING_1, spacing: { after: 160 } }),
+    memoLine('Re', address.missing ? { text: `Property address TBD (${contract.file_name})`, missing: true } : address.text),
+    memoLine('From', preparedBy || BRAND_NAME),
+    memoLine('Date', generated),
+    memoLine('Source', contract.file_name || contract.id)
+  ];
+
+  const missing = missingTerms(summary);
+  if (missing.length > 0) {
+    children.push(new Paragraph({
+      spacing: { before: 160 },
+      children: [
+        new TextRun({ text: `${missing.length} key term${missing.length === 1 ? ' is' : 's are'} still TBD and must be confirmed: `, bold: true, color: COLORS.missing }),
+        new TextRun({ text: missing.join(', '), color: COLORS.missing })
+      ]
+    }));
+  }
+
+  const cashDeal = getPath(summary, 'financing.cashDeal');
+  children.push(
+    heading('Property & price'),
+    fieldTable([
+      { label: 'Address', value: address },
+      { label: 'APN', value: value('property.apn') },
+      { label: 'Property type', value: value('property.propertyType') },
+      { label: 'Size', value: value('property.size') },
+      { label: 'Purchase price', value: value('property.purchasePrice', 'money') },
+      { label: 'Pricing', value: value('property.pricingStructure') },
+      { label: 'Financing', value: cashDeal ? 'All cash' : value('financing.loanType') },
+      { label: 'Loan amount', value: cashDeal ? 'n/a' : value('financing.loanAmount', 'money') }
+    ]),
+    heading('Parties'),
+    fieldTable([
+      { label: 'Buyer', value: value('parties.buyer.name') },
+      { label: 'Buyer signatory', value: joined('parties.buyer.signatoryName', 'parties.buyer.signatoryTitle') },
+      { label: 'Buyer attorney', value: joined('parties.buyer.attorney.name', 'parties.buyer.attorney.firm') },
+      { label: 'Seller', value: value('parties.seller.name') },
+      { label: 'Seller signatory', value: joined('parties.seller.signatoryName', 'parties.seller.signatoryTitle') },
+      { label: 'Seller attorney', value: joined('parties.seller.attorney.name', 'parties.seller.attorney.firm') },
+      { label: 'Title company', value: joined('titleCompany.name', 'titleCompany.officerName') },
+      { label: 'Escrow company', value: joined('escrowCompany.name', 'escrowCompany.officerName') }
+    ])
+  );
+
+  children.push(heading('Deposit schedule'));
+  const schedule = depositRows(summary, deposits);
+  children.push(schedule.length > 0
+    ? table([
+      { title: 'Deposit', width: 0.24 },
+      { title: 'Amount', width: 0.16 },
+      { title: 'Due', width: 0.28 },
+      { title: 'Refundable', width: 0.18 },
+      { title: 'Status', width: 0.14 }
+    ], schedule)
+    : note('No deposits found in the contract - deposit amounts and timing are TBD.'));
+
+  children.push(
+    heading('Key dates & deadlines'),
+    table([
+      { title: 'Milestone', width: 0.34 },
+      { title: 'Date', width: 0.18 },
+      { title: 'Notes', width: 0.48 }
+    ], deadlineRows(summary))
+  );
+
+  children.push(heading('Contingencies & due diligence'));
+  const contingencies = contingencyRows(summary, checklist);
+  children.push(contingencies.length > 0
+    ? table([
+      { title: 'Item', width: 0.5 },
+      { title: 'Due', width: 0.18 },
+      { title: 'Owner', width: 0.18 },
+      { title: 'Status', width: 0.14 }
+    ], contingencies)
+    : note('No contingencies or due diligence tasks were found in the contract.'));
+
+  const conditions = (summary.specialConditions || []).map(entryText).filter(text => isMeaningful(text));
+  if (conditions.length > 0) {
+    children.push(
+      heading('Special conditions'),
+      ...conditions.map(text => new Paragraph({ text, bullet: { level: 0 } }))
+    );
+  }
+
+  const document = new Document({
+    creator: BRAND_NAME,
+    title: `Transaction Summary - ${address.missing ? contract.file_name : address.text}`,
+    styles: {
+      default: { document: { run: { font: FONT, size: 20 } } },
+      paragraphStyles: [
+        { id: 'Heading1', name: 'Heading 1', basedOn: 'Normal', next: 'Normal', run: { font: FONT, size: 32, bold: true, color: COLORS.brand } },
+        { id: 'Heading2', name: 'Heading 2', basedOn: 'Normal', next: 'Normal', run: { font: FONT, size: 24, bold: true, color: COLORS.brand } }
+      ]
+    },
+    sections: [{
+      properties: {
+        page: { margin: { top: 1000, bottom: 1000, left: 1100, right: 1100 } }
+      },
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            children: [
+              new TextRun({ text: `Prepared ${generated} with ${BRAND_NAME}. Summary only - the signed contract and its amendments control.   Page `, size: 16, color: COLORS.muted }),
+              new TextRun({ children: [PageNumber.CURRENT], size: 16, color: COLORS.muted })
+            ]
+          })]
+        })
+      },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(document);
+}
+
+module.exports = {
+  buildSummaryMemo
+};
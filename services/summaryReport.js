@@ -0,0 +1,473 @@
+const PDFDocument = require('pdfkit');
+const { getPath } = require('../utils/objectPath');
+const { isMeaningful } = require('../utils/values');
+const { collectDeadlines } = require('./deadlines');
+
+/**
+ * Printable PDF of a transaction summary for clients and escrow.
+ *
+ * Rendered locally with pdfkit's built-in fonts: property, parties, price,
+ * deposit schedule, deadlines and contingencies on one or two letter pages.
+ * Terms the analysis couldn't find are printed as TBD in the highlight colour
+ * and listed together at the top so nobody mistakes a gap for a settled term.
+ */
+
+const BRAND_NAME = process.env.REPORT_BRAND_NAME || 'Transaction Summary Tool';
+
+const COLORS = {
+  brand: '#1f3a5f',
+  text: '#222222',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  missing: '#b45309',
+  missingFill: '#fef3c7'
+};
+
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const MISSING = 'TBD';
+
+// Terms a client or escrow officer will ask about first - listed when missing
+const KEY_TERMS = [
+  { path: 'property.address', label: 'Property address' },
+  { path: 'property.purchasePrice', label: 'Purchase price' },
+  { path: 'parties.buyer.name', label: 'Buyer' },
+  { path: 'parties.seller.name', label: 'Seller' },
+  { path: 'escrow.openingDate', label: 'Escrow opening date' },
+  { path: 'deposits.firstDeposit.amount', label: 'First deposit amount' },
+  { path: 'dueDiligence.endDate', label: 'Due diligence end date' },
+  { path: 'closingInfo.outsideDate', label: 'Outside closing date' },
+  { path: 'titleCompany.name', label: 'Title company' },
+  { path: 'escrowCompany.name', label: 'Escrow company' }
+];
+
+// Dates that always get a row in the deadline table, dated or not
+const KEY_DATES = [
+  { key: 'escrow-opening', path: 'escrow.openingDate', label: 'Escrow opens' },
+  { key: 'due-diligence-end', path: 'dueDiligence.endDate', label: 'Due diligence period ends' },
+  { key: 'outside-date', path: 'closingInfo.outsideDate', label: 'Outside closing date' }
+];
+
+const STATUS_LABELS = {
+  not_yet_due: 'Not yet due',
+  due: 'Due',
+  paid: 'Paid',
+  hard: 'Hard',
+  released: 'Released',
+  refunded: 'Refunded',
+  open: 'Open',
+  waived: 'Waived',
+  satisfied: 'Satisfied',
+  failed: 'Failed'
+};
+
+const formatMoney = (value) => `$${Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+/**
+ * US-style date for print, e.g. Oct 19, 2026
+ */
+function formatDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Printable form of a summary value; missing values come back flagged
+ * @returns {{text: string, missing: boolean}}
+ */
+function display(value, format = 'text') {
+  if (!isMeaningful(value) || (typeof value === 'string' && /^not specified$/i.test(value.trim()))) {
+    return { text: MISSING, missing: true };
+  }
+  if (format === 'money') return { text: formatMoney(value), missing: false };
+  if (format === 'date') return { text: /^\d{4}-\d{2}-\d{2}$/.test(value) ? formatDate(value) : String(value), missing: false };
+  return { text: String(value), missing: false };
+}
+
+/**
+ * Plain text of a contingency, task or special condition list entry
+ */
+function entryText(entry) {
+  if (typeof entry === 'string') return entry;
+  if (!entry || typeof entry !== 'object') return '';
+  return [entry.name || entry.type || entry.title, entry.description].filter(Boolean).join(' - ');
+}
+
+/**
+ * Key terms the summary doesn't have yet
+ * @param {Object} summary
+ * @returns {Array<string>} - Labels of the missing terms
+ */
+function missingTerms(summary) {
+  return KEY_TERMS
+    .filter(({ path }) => display(getPath(summary, path)).missing)
+    .map(({ label }) => label);
+}
+
+/**
+ * Writes report blocks onto a pdfkit document, adding pages as needed
+ */
+class ReportWriter {
+  constructor(doc) {
+    this.doc = doc;
+    this.width = doc.page.width - MARGIN * 2;
+  }
+
+  get bottom() {
+    return this.doc.page.height - MARGIN - FOOTER_HEIGHT;
+  }
+
+  ensureSpace(height) {
+    if (this.doc.y + height > this.bottom) {
+      this.doc.addPage();
+    }
+  }
+
+  header(title, subtitle) {
+    const { doc } = this;
+
+    doc.rect(0, 0, doc.page.width, 70).fill(COLORS.brand);
+    doc.fillColor('#ffffff').font(FONTS.bold).fontSize(9)
+      .text(BRAND_NAME.toUpperCase(), MARGIN, 18, { width: this.width, characterSpacing: 1 });
+    doc.font(FONTS.bold).fontSize(16)
+      .text(title, MARGIN, 32, { width: this.width, ellipsis: true, height: 20 });
+
+    doc.y = 82;
+    if (subtitle) {
+      doc.fillColor(COLORS.muted).font(FONTS.regular).fontSize(9).text(subtitle, MARGIN, doc.y, { width: this.width });
+    }
+    doc.moveDown(0.5);
+  }
+
+  callout(lines) {
+    const { doc } = this;
+    const text = lines.join('\n');
+    doc.font(FONTS.regular).fontSize(9);
+    const height = doc.heightOfString(text, { width: this.width - 20 }) + 16;
+
+    this.ensureSpace(height);
+    const top = doc.y;
+    doc.rect(MARGIN, top, this.width, height).fill(COLORS.missingFill);
+    doc.rect(MARGIN, top, 3, height).fill(COLORS.missing);
+    doc.fillColor(COLORS.missing).text(text, MARGIN + 12, top + 8, { width: this.width - 20 });
+    doc.y = top + height + 8;
+  }
+
+  section(title) {
+    const { doc } = this;
+    this.ensureSpace(40);
+    doc.moveDown(0.6);
+    doc.fillColor(COLORS.brand).font(FONTS.bold).fontSize(11).text(title.toUpperCase(), MARGIN, doc.y, { characterSpacing: 0.5 });
+    const y = doc.y + 2;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + this.width, y).lineWidth(0.75).strokeColor(COLORS.rule).stroke();
+    doc.y = y + 6;
+  }
+
+  /**
+   * Label/value pairs in two columns
+   * @param {Array<{label: string, value: {text: string, missing: boolean}}>} fields
+   */
+  fields(fields) {
+    const { doc } = this;
+    const columnWidth = (this.width - 20) / 2;
+    const labelWidth = 95;
+
+    for (let i = 0; i < fields.length; i += 2) {
+      const row = fields.slice(i, i + 2);
+      doc.fontSize(9);
+      const height = Math.max(...row.map(({ value }) => doc.heightOfString(value.text, { width: columnWidth - labelWidth }))) + 4;
+
+      this.ensureSpace(height);
+      const top = doc.y;
+      row.forEach(({ label, value }, column) => {
+        const x = MARGIN + column * (columnWidth + 20);
+        doc.fillColor(COLORS.muted).font(FONTS.regular).text(label, x, top, { width: labelWidth - 6 });
+        doc.fillColor(value.missing ? COLORS.missing : COLORS.text)
+          .font(value.missing ? FONTS.bold : FONTS.regular)
+          .text(value.text, x + labelWidth, top, { width: columnWidth - labelWidth });
+      });
+      doc.y = top + height;
+    }
+  }
+
+  /**
+   * A table with a header row; cells are strings or display() values
+   * @param {Array<{title: string, width: number}>} columns - Widths as fractions of the page width
+   * @param {Array<Array<string|Object>>} rows
+   */
+  table(columns, rows) {
+    const { doc } = this;
+    const widths = columns.map(column => column.width * this.width);
+    const cell = (value) => (typeof value === 'string' ? { text: value, missing: false } : value);
+
+    const drawRow = (cells, { bold = false, shade = false } = {}) => {
+      doc.fontSize(9).font(bold ? FONTS.bold : FONTS.regular);
+      const height = Math.max(...cells.map((value, index) => doc.heightOfString(cell(value).text, { width: widths[index] - 8 }))) + 6;
+
+      this.ensureSpace(height);
+      const top = doc.y;
+      if (shade) {
+        doc.rect(MARGIN, top, this.width, height).fill('#f3f4f6');
+      }
+
+      let x = MARGIN;
+      cells.forEach((value, index) => {
+        const { text, missing } = cell(value);
+        doc.fillColor(missing ? COLORS.missing : bold ? COLORS.brand : COLORS.text)
+          .font(missing || bold ? FONTS.bold : FONTS.regular)
+          .text(text, x + 4, top + 3, { width: widths[index] - 8 });
+        x += widths[index];
+      });
+      doc.y = top + height;
+    };
+
+    drawRow(columns.map(column => column.title), { bold: true, shade: true });
+    rows.forEach(row => drawRow(row));
+  }
+
+  paragraph(text, { italic = false } = {}) {
+    const { doc } = this;
+    doc.fontSize(9).font(italic ? FONTS.italic : FONTS.regular);
+    this.ensureSpace(doc.heightOfString(text, { width: this.width }) + 4);
+    doc.fillColor(italic ? COLORS.muted : COLORS.text).text(text, MARGIN, doc.y, { width: this.width });
+    doc.moveDown(0.3);
+  }
+
+  bullets(items) {
+    items.forEach(item => this.paragraph(`•  ${item}`));
+  }
+
+  footers(generatedAt) {
+    const { doc } = this;
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      const y = doc.page.height - MARGIN;
+      doc.moveTo(MARGIN, y - 6).lineTo(MARGIN + this.width, y - 6).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+      doc.fillColor(COLORS.muted).font(FONTS.regular).fontSize(7.5)
+        .text(`Prepared ${generatedAt} with ${BRAND_NAME}. Summary only - the signed contract and its amendments control.`, MARGIN, y, { width: this.width - 60, lineBreak: false })
+        .text(`Page ${i - start + 1} of ${count}`, MARGIN, y, { width: this.width, align: 'right', lineBreak: false });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+}
+
+/**
+ * Deposit schedule rows: the ledger when there is one, else the summary's deposits
+ */
+function depositRows(summary, ledger) {
+  if (ledger && ledger.length > 0) {
+    return ledger.map(deposit => [
+      deposit.label,
+      display(deposit.amount, 'money'),
+      deposit.due_date ? formatDate(deposit.due_date) : display(deposit.timing),
+      deposit.refundable ? (deposit.refundable_until ? `Until ${formatDate(deposit.refundable_until)}` : 'Yes') : 'No',
+      STATUS_LABELS[deposit.status] || deposit.status
+    ]);
+  }
+
+  const deposits = summary.deposits || {};
+  return [
+    ['First deposit', deposits.firstDeposit],
+    ['Second deposit', deposits.secondDeposit],
+    ...(deposits.additionalDeposits || []).map((deposit, index) => [(deposit && deposit.label) || `Additional deposit ${index + 1}`, deposit])
+  ]
+    .filter(([, deposit]) => deposit && (isMeaningful(deposit.amount) || isMeaningful(deposit.timing)))
+    .map(([label, deposit]) => [
+      label,
+      display(deposit.amount, 'money'),
+      deposit.dueDate && isMeaningful(deposit.dueDate) ? formatDate(deposit.dueDate) : display(deposit.timing),
+      deposit.refundable ? (isMeaningful(deposit.refundableUntil) ? `Until ${formatDate(deposit.refundableUntil)}` : 'Yes') : 'No',
+      STATUS_LABELS[deposit.status] || STATUS_LABELS.not_yet_due
+    ]);
+}
+
+/**
+ * Deadline rows: every dated milestone, plus the key dates still TBD
+ */
+function deadlineRows(summary) {
+  const dated = collectDeadlines(summary);
+  const undated = KEY_DATES.filter(({ key }) => !dated.some(deadline => deadline.key === key));
+
+  return [
+    ...dated.map(deadline => [
+      deadline.label,
+      formatDate(deadline.date),
+      deadline.done ? 'Done' : (deadline.description || '').split('\n')[0]
+    ]),
+    ...undated.map(({ label, path }) => [label, display(getPath(summary, path), 'date'), ''])
+  ];
+}
+
+/**
+ * Contingency and task rows: the tracked checklist when there is one, else the summary's lists
+ */
+function contingencyRows(summary, checklist) {
+  if (checklist && checklist.length > 0) {
+    return checklist
+      .filter(item => !item.removed_at)
+      .map(item => [
+        `${item.title}${item.kind === 'task' ? ' (due diligence)' : ''}`,
+        item.due_date ? formatDate(item.due_date) : display(null),
+        item.owner || '',
+        STATUS_LABELS[item.status] || item.status
+      ]);
+  }
+
+  return [
+    ...(summary.contingencies || []).map(entry => ({ entry, suffix: '' })),
+    ...((summary.dueDiligence && summary.dueDiligence.tasks) || []).map(entry => ({ entry, suffix: ' (due diligence)' }))
+  ]
+    .filter(({ entry }) => isMeaningful(entryText(entry)))
+    .map(({ entry, suffix }) => [
+      `${entryText(entry)}${suffix}`,
+      display(entry && (entry.deadline || entry.dueDate), 'date'),
+      '',
+      STATUS_LABELS.open
+    ]);
+}
+
+/**
+ * Render a contract's transaction summary as a PDF
+ * @param {Object} contract - Contract row with the terms in effect as `analysis`
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.deposits] - Deposit ledger rows
+ * @param {Array<Object>} [options.checklist] - Checklist items
+ * @param {Date} [options.generatedAt]
+ * @returns {Promise<Buffer>}
+ */
+function buildSummaryReport(contract, { deposits = [], checklist = [], generatedAt = new Date() } = {}) {
+  return new Promise((resolve, reject) => {
+    const summary = contract.analysis || {};
+    const address = display(getPath(summary, 'property.address'));
+
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Transaction Summary - ${address.missing ? contract.file_name : address.text}`,
+        Author: BRAND_NAME,
+        Creator: BRAND_NAME
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const writer = new ReportWriter(doc);
+    const generated = formatDate(generatedAt.toISOString().substring(0, 10));
+
+    writer.header(
+      address.missing ? 'Property address TBD' : address.text,
+      [`Transaction summary prepared ${generated}`, contract.file_name ? `Source: ${contract.file_name}` : null].filter(Boolean).join('   |   ')
+    );
+
+    const missing = missingTerms(summary);
+    if (missing.length > 0) {
+      writer.callout([`${missing.length} key term${missing.length === 1 ? ' is' : 's are'} still TBD and must be confirmed:`, missing.join(', ')]);
+    }
+
+    writer.section('Property & price');
+    writer.fields([
+      { label: 'Address', value: address },
+      { label: 'APN', value: display(getPath(summary, 'property.apn')) },
+      { label: 'Property type', value: display(getPath(summary, 'property.propertyType')) },
+      { label: 'Size', value: display(getPath(summary, 'property.size')) },
+      { label: 'Purchase price', value: display(getPath(summary, 'property.purchasePrice'), 'money') },
+      { label: 'Pricing', value: display(getPath(summary, 'property.pricingStructure')) },
+      { label: 'Financing', value: getPath(summary, 'financing.cashDeal') ? { text: 'All cash', missing: false } : display(getPath(summary, 'financing.loanType')) },
+      { label: 'Loan amount', value: getPath(summary, 'financing.cashDeal') ? { text: 'n/a', missing: false } : display(getPath(summary, 'financing.loanAmount'), 'money') }
+    ]);
+
+    writer.section('Parties');
+    const partyName = (role) => {
+      const name = display(getPath(summary, `parties.${role}.name`));
+      const type = getPath(summary, `parties.${role}.type`);
+      return name.missing || !isMeaningful(type) ? name : { text: `${name.text} (${type})`, missing: false };
+    };
+    const signatory = (role) => {
+      const name = getPath(summary, `parties.${role}.signatoryName`);
+      const title = getPath(summary, `parties.${role}.signatoryTitle`);
+      return display([name, title].filter(value => isMeaningful(value)).join(', ') || null);
+    };
+    const company = (path) => display([getPath(summary, `${path}.name`), getPath(summary, `${path}.officerName`)].filter(value => isMeaningful(value)).join(' - ') || null);
+    writer.fields([
+      { label: 'Buyer', value: partyName('buyer') },
+      { label: 'Seller', value: partyName('seller') },
+      { label: 'Buyer signatory', value: signatory('buyer') },
+      { label: 'Seller signatory', value: signatory('seller') },
+      { label: 'Title company', value: company('titleCompany') },
+      { label: 'Escrow company', value: company('escrowCompany') }
+    ]);
+
+    writer.section('Deposit schedule');
+    const schedule = depositRows(summary, deposits);
+    if (schedule.length > 0) {
+      writer.table([
+        { title: 'Deposit', width: 0.24 },
+        { title: 'Amount', width: 0.16 },
+        { title: 'Due', width: 0.28 },
+        { title: 'Refundable', width: 0.18 },
+        { title: 'Status', width: 0.14 }
+      ], schedule);
+    } else {
+      writer.callout(['No deposits found in the contract - deposit amounts and timing are TBD.']);
+    }
+
+    writer.section('Key dates & deadlines');
+    writer.table([
+      { title: 'Milestone', width: 0.34 },
+      { title: 'Date', width: 0.18 },
+      { title: 'Notes', width: 0.48 }
+    ], deadlineRows(summary));
+
+    writer.section('Contingencies & due diligence');
+    const contingencies = contingencyRows(summary, checklist);
+    if (contingencies.length > 0) {
+      writer.table([
+        { title: 'Item', width: 0.5 },
+        { title: 'Due', width: 0.18 },
+        { title: 'Owner', width: 0.18 },
+        { title: 'Status', width: 0.14 }
+      ], contingencies);
+    } else {
+      writer.paragraph('No contingencies or due diligence tasks were found in the contract.', { italic: true });
+    }
+
+    const conditions = (summary.specialConditions || []).map(entryText).filter(text => isMeaningful(text));
+    if (conditions.length > 0) {
+      writer.section('Special conditions');
+      writer.bullets(conditions);
+    }
+
+    writer.footers(generated);
+    doc.end();
+  });
+}
+
+module.exports = {
+  BRAND_NAME,
+  formatDate,
+  display,
+  entryText,
+  missingTerms,
+  depositRows,
+  deadlineRows,
+  contingencyRows,
+  buildSummaryReport
+};
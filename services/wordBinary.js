@@ -0,0 +1,192 @@
+const CFB = require('cfb');
+const { decodeCp1252 } = require('../utils/encoding');
+
+/**
+ * Text extraction for binary Word 97-2003 documents (.doc).
+ *
+ * A .doc is an OLE2 compound file. The WordDocument stream starts with the
+ * File Information Block (FIB), which points at the piece table (CLX) in the
+ * 0Table or 1Table stream. The piece table maps character positions of the
+ * main document onto byte ranges of the WordDocument stream, each stored
+ * either as cp1252 ("compressed") or UTF-16LE. See [MS-DOC] 2.5 and 2.9.
+ */
+
+const WORD_IDENT = 0xa5ec;
+// Files with a lower nFib use the Word 6/95 layout (Word 6.0 writes 0x0065, Word 95 0x0068)
+const MIN_NFIB_WORD97 = 0x006a;
+
+// FIB offsets ([MS-DOC] 2.5.1 - 2.5.6)
+const FIB = {
+  wIdent: 0x00,
+  nFib: 0x02,
+  flags: 0x0a,
+  fcMin: 0x18, // Word 6/95 only
+  fcMac: 0x1c, // Word 6/95 only
+  ccpTextWord6: 0x34, // Word 6/95 only
+  ccpText: 0x4c,
+  fcClx: 0x01a2,
+  lcbClx: 0x01a6
+};
+
+const FLAG_COMPLEX = 0x0004;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_WHICH_TABLE = 0x0200;
+
+/**
+ * Read a stream's content as a Buffer
+ */
+function readStream(container, name) {
+  const entry = CFB.find(container, name);
+  return entry && entry.content ? Buffer.from(entry.content) : null;
+}
+
+/**
+ * Parse the piece table out of the CLX ([MS-DOC] 2.9.38)
+ * @returns {Array<{cpStart: number, cpEnd: number, fc: number, compressed: boolean}>}
+ */
+function readPieceTable(tableStream, fcClx, lcbClx) {
+  let offset = fcClx;
+  const end = fcClx + lcbClx;
+
+  // Skip any Prc entries (property modifiers) that precede the Pcdt
+  while (offset < end && tableStream[offset] === 0x01) {
+    offset += 3 + tableStream.readInt16LE(offset + 1);
+  }
+
+  if (tableStream[offset] !== 0x02) {
+    throw new Error('Word document piece table not found');
+  }
+
+  const lcb = tableStream.readUInt32LE(offset + 1);
+  const plcPcd = offset + 5;
+  // PlcPcd is (n + 1) character positions followed by n 8-byte piece descriptors
+  const count = (lcb - 4) / 12;
+
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const fcCompressed = tableStream.readUInt32LE(plcPcd + (count + 1) * 4 + i * 8 + 2);
+    const compressed = (fcCompressed & 0x40000000) !== 0;
+    const fc = fcCompressed & 0x3fffffff;
+
+    pieces.push({
+      cpStart: tableStream.readUInt32LE(plcPcd + i * 4),
+      cpEnd: tableStream.readUInt32LE(plcPcd + (i + 1) * 4),
+      // Compressed pieces store one byte per character at half the stated offset
+      fc: compressed ? fc / 2 : fc,
+      compressed
+    });
+  }
+
+  return pieces;
+}
+
+/**
+ * Read the main document text through the piece table
+ */
+function readPieces(wordStream, pieces, ccpText) {
+  let text = '';
+
+  for (const piece of pieces) {
+    if (piece.cpStart >= ccpText) break;
+
+    const cpEnd = Math.min(piece.cpEnd, ccpText);
+    const length = cpEnd - piece.cpStart;
+
+    text += piece.compressed
+      ? decodeCp1252(wordStream.subarray(piece.fc, piece.fc + length))
+      : wordStream.toString('utf16le', piece.fc, piece.fc + length * 2);
+  }
+
+  return text;
+}
+
+/**
+ * Turn Word's special characters into plain text
+ * ([MS-DOC] 2.8.25 - paragraph, cell and field marks)
+ */
+function cleanWordText(raw) {
+  let text = raw;
+
+  // Fields: keep the displayed result, drop the field code. Innermost first for nested fields.
+  let previous;
+  do {
+    previous = text;
+    text = text
+      .replace(/\x13[^\x13\x14\x15]*\x14([^\x13\x14\x15]*)\x15/g, '$1')
+      .replace(/\x13[^\x13\x14\x15]*\x15/g, '');
+  } while (text !== previous);
+
+  return text
+    // A cell mark followed by the row-end mark closes a table row
+    .replace(/\x07\x07/g, '\n')
+    .replace(/\x07/g, '\t')
+    .replace(/\r/g, '\n')
+    .replace(/\x0b/g, '\n')
+    // Page and section breaks
+    .replace(/\x0c/g, '\f')
+    .replace(/\x1e/g, '-')
+    .replace(/[\x1f\x13\x14\x15]/g, '')
+    .replace(/\u00a0/g, ' ')
+    // Pictures, drawn objects, footnote and comment anchors
+    .replace(/[\x00-\x06\x08\x0e-\x12\x16-\x1d]/g, '');
+}
+
+/**
+ * Word 6.0/95 documents keep their text as one cp1252 run from fcMin: the
+ * main text (ccpText characters) followed by any footnotes and headers
+ */
+function readWord6Text(wordStream, flags) {
+  if (flags & FLAG_COMPLEX) {
+    throw new Error('Fast-saved Word 6.0/95 documents are not supported. Please re-save the file as .docx.');
+  }
+
+  const fcMin = wordStream.readUInt32LE(FIB.fcMin);
+  const fcMac = wordStream.readUInt32LE(FIB.fcMac);
+  const ccpText = wordStream.readUInt32LE(FIB.ccpTextWord6);
+  return decodeCp1252(wordStream.subarray(fcMin, Math.min(fcMin + ccpText, fcMac)));
+}
+
+/**
+ * Extract the main document text from a Word 97-2003 (.doc) file
+ * @param {Buffer} docBuffer
+ * @returns {string} - Plain text; table cells are tab-separated and page breaks are form feeds
+ */
+function extractWordText(docBuffer) {
+  const container = CFB.read(docBuffer, { type: 'buffer' });
+  const wordStream = readStream(container, 'WordDocument');
+
+  if (!wordStream || wordStream.length < FIB.lcbClx + 4) {
+    throw new Error('Not a Word document: WordDocument stream missing');
+  }
+
+  if (wordStream.readUInt16LE(FIB.wIdent) !== WORD_IDENT) {
+    throw new Error('Not a Word document: bad FIB signature');
+  }
+
+  const nFib = wordStream.readUInt16LE(FIB.nFib);
+  const flags = wordStream.readUInt16LE(FIB.flags);
+
+  if (flags & FLAG_ENCRYPTED) {
+    throw new Error('Word document is password-protected. Please remove the password and upload it again.');
+  }
+
+  if (nFib < MIN_NFIB_WORD97) {
+    return cleanWordText(readWord6Text(wordStream, flags));
+  }
+
+  const tableStream = readStream(container, flags & FLAG_WHICH_TABLE ? '1Table' : '0Table');
+  if (!tableStream) {
+    throw new Error('Word document table stream missing');
+  }
+
+  const ccpText = wordStream.readUInt32LE(FIB.ccpText);
+  const fcClx = wordStream.readUInt32LE(FIB.fcClx);
+  const lcbClx = wordStream.readUInt32LE(FIB.lcbClx);
+
+  const pieces = readPieceTable(tableStream, fcClx, lcbClx);
+  return cleanWordText(readPieces(wordStream, pieces, ccpText));
+}
+
+module.exports = {
+  extractWordText
+};
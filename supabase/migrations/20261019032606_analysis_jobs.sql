@@ -0,0 +1,62 @@
+-- Background analysis queue: uploads are parked in Storage and analyzed by the
+-- in-process worker (services/analysisQueue.js). Only the backend, with the
+-- service key, reads and writes these tables, so row level security is on with
+-- no policies.
+
+create table if not exists public.contracts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  file_name text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.contracts
+  add column if not exists file_type text,
+  add column if not exists file_size integer,
+  add column if not exists file_path text,
+  add column if not exists extracted_text text,
+  add column if not exists analysis jsonb,
+  add column if not exists status text not null default 'open';
+
+-- The contract list: a user's contracts, newest first, optionally by status
+create index if not exists contracts_user_created_idx on public.contracts (user_id, created_at desc);
+create index if not exists contracts_user_status_idx on public.contracts (user_id, status);
+
+alter table public.contracts enable row level security;
+
+create table if not exists public.analysis_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  file_name text not null,
+  file_type text,
+  file_size integer,
+  storage_path text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'extracting', 'analyzing', 'done', 'failed')),
+  attempts integer not null default 0,
+  error text,
+  contract_id uuid references public.contracts (id) on delete set null,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- claimNextJob: the oldest queued job
+create index if not exists analysis_jobs_queued_idx on public.analysis_jobs (created_at)
+  where status = 'queued';
+
+-- recoverStaleJobs: active jobs that stopped updating
+create index if not exists analysis_jobs_active_idx on public.analysis_jobs (updated_at)
+  where status in ('extracting', 'analyzing');
+
+create index if not exists analysis_jobs_user_idx on public.analysis_jobs (user_id);
+
+alter table public.analysis_jobs enable row level security;
+
+-- Uploaded files, keyed <user id>/<job id>/upload<.ext>. Private - files are
+-- served through the API. Set CONTRACT_STORAGE_BUCKET when using another name.
+insert into storage.buckets (id, name, public)
+values ('contract-uploads', 'contract-uploads', false)
+on conflict (id) do nothing;
@@ -0,0 +1,14 @@
+-- Subscribable deadline feeds: one secret token per user, replaced when the
+-- user rotates the feed URL.
+
+create table if not exists public.calendar_feeds (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  token text not null,
+  created_at timestamptz not null default now(),
+  -- The route upserts on user_id
+  constraint calendar_feeds_user_id_key unique (user_id),
+  constraint calendar_feeds_token_key unique (token)
+);
+
+alter table public.calendar_feeds enable row level security;
@@ -0,0 +1,4 @@
+-- How a contract's text was extracted: method, per-page OCR confidence and warnings
+
+alter table public.contracts
+  add column if not exists extraction jsonb;
@@ -0,0 +1,5 @@
+-- A contract's page-aware document model: pages and blocks whose offsets point
+-- into extracted_text
+
+alter table public.contracts
+  add column if not exists document jsonb;
@@ -0,0 +1,5 @@
+-- An email upload can carry several contracts - every contract a job created.
+-- contract_id keeps the first.
+
+alter table public.analysis_jobs
+  add column if not exists contract_ids uuid[];
@@ -0,0 +1,36 @@
+-- Amendments to a contract and the terms in effect once they are layered on.
+-- Amendments are analyzed by the same queue as contracts, with kind = 'amendment'.
+
+create table if not exists public.contract_amendments (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  -- A retried job replaces the amendments an earlier attempt saved
+  job_id uuid references public.analysis_jobs (id) on delete set null,
+  file_name text not null,
+  file_type text,
+  file_size integer,
+  file_path text,
+  extracted_text text,
+  document jsonb,
+  extraction jsonb,
+  title text,
+  effective_date date,
+  summary text,
+  changes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists contract_amendments_contract_idx
+  on public.contract_amendments (contract_id, effective_date, created_at);
+create index if not exists contract_amendments_job_idx on public.contract_amendments (job_id);
+
+alter table public.contract_amendments enable row level security;
+
+alter table public.contracts
+  add column if not exists effective_terms jsonb;
+
+alter table public.analysis_jobs
+  add column if not exists kind text not null default 'contract'
+    check (kind in ('contract', 'amendment')),
+  add column if not exists amendment_ids uuid[];
@@ -0,0 +1,51 @@
+-- Deposit ledger: the deposits a contract names (source = 'analysis'), synced
+-- from its terms, plus any a user adds by hand, and the payments made on them.
+
+create table if not exists public.deposits (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  source text not null check (source in ('analysis', 'manual')),
+  -- Where a contract deposit lives in the analysis, e.g. deposits.firstDeposit
+  analysis_path text,
+  position integer,
+  label text not null,
+  amount numeric(14, 2) not null default 0,
+  timing text,
+  due_date date,
+  refundable boolean not null default false,
+  refundable_until date,
+  holder text,
+  notes text,
+  status text not null default 'not_yet_due'
+    check (status in ('not_yet_due', 'due', 'paid', 'hard', 'released', 'refunded')),
+  status_changed_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- syncDeposits upserts contract deposits on this, so concurrent syncs can't
+  -- create the same deposit twice. Manual deposits have no path and aren't affected.
+  constraint deposits_contract_path_key unique (contract_id, analysis_path)
+);
+
+-- Deposit reminders: a user's open deposits
+create index if not exists deposits_user_status_idx on public.deposits (user_id, status);
+
+alter table public.deposits enable row level security;
+
+create table if not exists public.deposit_payments (
+  id uuid primary key default gen_random_uuid(),
+  deposit_id uuid not null references public.deposits (id) on delete cascade,
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  amount numeric(14, 2) not null check (amount > 0),
+  paid_on date not null,
+  method text,
+  reference text,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists deposit_payments_contract_idx on public.deposit_payments (contract_id);
+create index if not exists deposit_payments_deposit_idx on public.deposit_payments (deposit_id);
+
+alter table public.deposit_payments enable row level security;
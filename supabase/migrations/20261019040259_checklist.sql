@@ -0,0 +1,70 @@
+-- Contingency and due-diligence checklist, its attachments, and the contract
+-- timeline that records what happened to checklist items and deposits.
+
+create table if not exists public.checklist_items (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  kind text not null check (kind in ('contingency', 'task')),
+  source text not null check (source in ('analysis', 'manual')),
+  -- Contract items are matched to the terms by kind and a signature of their title
+  analysis_path text,
+  signature text,
+  position integer,
+  title text not null,
+  description text,
+  owner text,
+  due_date date,
+  due_date_source text not null default 'manual' check (due_date_source in ('analysis', 'manual')),
+  status text not null default 'open' check (status in ('open', 'waived', 'satisfied', 'failed')),
+  status_changed_at timestamptz not null default now(),
+  notes text,
+  -- Set aside by a user, or by the analysis when the terms stop naming the item
+  removed_at timestamptz,
+  removed_by text check (removed_by in ('analysis', 'user')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists checklist_items_contract_idx on public.checklist_items (contract_id);
+
+-- One row per item the terms name
+create unique index if not exists checklist_items_contract_signature_key
+  on public.checklist_items (contract_id, kind, signature)
+  where source = 'analysis';
+
+alter table public.checklist_items enable row level security;
+
+create table if not exists public.checklist_attachments (
+  id uuid primary key default gen_random_uuid(),
+  item_id uuid not null references public.checklist_items (id) on delete cascade,
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  file_name text not null,
+  file_type text,
+  file_size integer,
+  file_path text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists checklist_attachments_contract_idx
+  on public.checklist_attachments (contract_id, created_at);
+
+alter table public.checklist_attachments enable row level security;
+
+create table if not exists public.contract_events (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  type text not null,
+  -- Email of the user who acted, or 'system' for derived changes
+  actor text not null default 'system',
+  item_id uuid references public.checklist_items (id) on delete set null,
+  deposit_id uuid references public.deposits (id) on delete set null,
+  details jsonb not null default '{}'::jsonb,
+  occurred_at timestamptz not null default now()
+);
+
+create index if not exists contract_events_contract_idx on public.contract_events (contract_id, occurred_at);
+
+alter table public.contract_events enable row level security;
@@ -0,0 +1,70 @@
+-- Contract search: columns copied out of the terms in effect (see
+-- services/contractSearch.js searchColumns), indexed for filtering and sorting,
+-- and full-text search over the extracted text.
+
+create extension if not exists pg_trgm;
+
+alter table public.contracts
+  add column if not exists property_address text,
+  add column if not exists property_type text,
+  add column if not exists purchase_price numeric(14, 2),
+  add column if not exists buyer_name text,
+  add column if not exists seller_name text,
+  add column if not exists escrow_company text,
+  add column if not exists closing_date date;
+
+-- Sorts page by (column, id)
+create index if not exists contracts_user_price_idx on public.contracts (user_id, purchase_price, id);
+create index if not exists contracts_user_closing_idx on public.contracts (user_id, closing_date, id);
+create index if not exists contracts_user_address_idx on public.contracts (user_id, property_address, id);
+create index if not exists contracts_user_updated_idx on public.contracts (user_id, updated_at, id);
+
+-- Partial-match filters (ilike '%...%')
+create index if not exists contracts_property_type_trgm_idx on public.contracts using gin (property_type gin_trgm_ops);
+create index if not exists contracts_buyer_name_trgm_idx on public.contracts using gin (buyer_name gin_trgm_ops);
+create index if not exists contracts_seller_name_trgm_idx on public.contracts using gin (seller_name gin_trgm_ops);
+create index if not exists contracts_escrow_company_trgm_idx on public.contracts using gin (escrow_company gin_trgm_ops);
+
+-- Free text: PostgREST's fts filter compares to_tsvector('english', extracted_text)
+create index if not exists contracts_extracted_text_fts_idx
+  on public.contracts using gin (to_tsvector('english', extracted_text));
+
+-- Fill the columns for contracts analyzed before this migration. Missing terms
+-- (TBD, "Not found", zero amounts) stay null, as in searchColumns.
+create or replace function pg_temp.search_text(value text) returns text language sql immutable as $$
+  select case when btrim(value) = '' or upper(btrim(value)) = 'TBD' or btrim(value) = 'Not found' then null else btrim(value) end
+$$;
+
+-- Only real calendar dates: the pattern alone lets 2026-02-30 through, and one bad date would fail the whole backfill
+create or replace function pg_temp.search_date(value text) returns date language plpgsql immutable as $$
+begin
+  return case when value ~ '^\d{4}-\d{2}-\d{2}$' then value::date end;
+exception when others then
+  return null;
+end
+$$;
+
+with terms as (
+  select id, coalesce(effective_terms -> 'analysis', analysis) as summary
+  from public.contracts
+)
+update public.contracts c
+set
+  property_address = pg_temp.search_text(t.summary #>> '{property,address}'),
+  property_type = pg_temp.search_text(t.summary #>> '{property,propertyType}'),
+  purchase_price = case
+    when jsonb_typeof(t.summary #> '{property,purchasePrice}') = 'number'
+      then nullif((t.summary #>> '{property,purchasePrice}')::numeric, 0)
+  end,
+  buyer_name = pg_temp.search_text(t.summary #>> '{parties,buyer,name}'),
+  seller_name = pg_temp.search_text(t.summary #>> '{parties,seller,name}'),
+  escrow_company = coalesce(
+    pg_temp.search_text(t.summary #>> '{escrowCompany,name}'),
+    pg_temp.search_text(t.summary #>> '{escrow,companyName}')
+  ),
+  closing_date = pg_temp.search_date(t.summary #>> '{closingInfo,outsideDate}')
+from terms t
+where c.id = t.id
+  and c.property_address is null
+  and c.purchase_price is null
+  and c.closing_date is null;
@@ -0,0 +1,67 @@
+-- Organizations (brokerages, teams), their members and roles, and contracts
+-- shared with individual people by email. See services/organizations.js for
+-- what each role and share grants.
+
+create table if not exists public.organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.organizations enable row level security;
+
+create table if not exists public.organization_members (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  -- Null until an invited email signs in and accepts
+  user_id uuid references auth.users (id) on delete cascade,
+  -- Lowercased
+  email text not null,
+  role text not null check (role in ('owner', 'admin', 'agent', 'viewer', 'external_attorney')),
+  status text not null default 'invited' check (status in ('invited', 'active')),
+  invited_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  constraint organization_members_email_key unique (organization_id, email)
+);
+
+create index if not exists organization_members_user_idx on public.organization_members (user_id, status);
+create index if not exists organization_members_email_idx on public.organization_members (email);
+
+alter table public.organization_members enable row level security;
+
+create table if not exists public.contract_shares (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts (id) on delete cascade,
+  -- Lowercased; matched against the signed-in user's email
+  email text not null,
+  access text not null check (access in ('view', 'edit', 'manage')),
+  shared_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint contract_shares_email_key unique (contract_id, email)
+);
+
+create index if not exists contract_shares_email_idx on public.contract_shares (email);
+
+alter table public.contract_shares enable row level security;
+
+-- Contracts stay owned by the user who added them; organization_id shares them with the organization
+alter table public.contracts
+  add column if not exists organization_id uuid references public.organizations (id) on delete set null;
+
+create index if not exists contracts_organization_idx on public.contracts (organization_id);
+
+-- The user who uploaded an amendment, which belongs to the contract's owner
+alter table public.contract_amendments
+  add column if not exists uploaded_by uuid references auth.users (id) on delete set null;
+
+-- Organization a queued contract will be added to
+alter table public.analysis_jobs
+  add column if not exists organization_id uuid references public.organizations (id) on delete set null;
+
+-- Calendar feeds include contracts shared with the feed owner's email
+alter table public.calendar_feeds
+  add column if not exists email text;
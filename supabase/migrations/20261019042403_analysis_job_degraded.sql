@@ -0,0 +1,4 @@
+-- Jobs whose results fell back to pattern matching instead of a model analysis
+
+alter table public.analysis_jobs
+  add column if not exists degraded boolean not null default false;
@@ -0,0 +1,20 @@
+-- Content-addressed cache of contract analyses (services/analysisCache.js).
+-- The key hashes the extracted text with the prompt version, schema version
+-- and model, so stale entries simply stop matching.
+
+create table if not exists public.analysis_cache (
+  cache_key text primary key,
+  prompt_version text not null,
+  schema_version text not null,
+  model text,
+  analysis jsonb not null,
+  hits integer not null default 0,
+  created_at timestamptz not null default now(),
+  last_hit_at timestamptz
+);
+
+alter table public.analysis_cache enable row level security;
+
+-- Jobs queued to analyze again even when identical text is cached
+alter table public.analysis_jobs
+  add column if not exists force boolean not null default false;
@@ -0,0 +1,7 @@
+-- The analysis job that created a contract. A retried job replaces the
+-- contracts an earlier attempt saved instead of adding duplicates.
+
+alter table public.contracts
+  add column if not exists job_id uuid references public.analysis_jobs (id) on delete set null;
+
+create index if not exists contracts_job_idx on public.contracts (job_id);
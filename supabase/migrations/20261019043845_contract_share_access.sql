@@ -0,0 +1,10 @@
+-- Shares grant view or edit access; managing a contract stays with its owner
+-- and organization, as the shares API already enforces.
+
+update public.contract_shares set access = 'edit' where access = 'manage';
+
+alter table public.contract_shares
+  drop constraint if exists contract_shares_access_check;
+
+alter table public.contract_shares
+  add constraint contract_shares_access_check check (access in ('view', 'edit'));
@@ -0,0 +1,249 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createMockProvider, setProvider } = require('../services/llmProvider');
+const { resetBreaker, LLM_UNAVAILABLE } = require('../services/llmRetry');
+const { splitIntoChunks } = require('../services/contractChunker');
+const { SOURCES } = require('../services/provenance');
+const { analyzeContract } = require('../services/aiAnalysis');
+
+// Responses in fixtures/llm are keyed by the SHA-256 of the prompt (see llmProvider).
+// After changing the prompt, re-record them with LLM_RECORD_DIR=test/fixtures/llm.
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+const contract = fs.readFileSync(path.join(__dirname, 'fixtures', 'contracts', 'purchase-agreement.txt'), 'utf8');
+
+// Over the single-request limit, with the closing terms far from the opening ones
+const PROVISIONS = 200;
+const longContract = [
+  contract,
+  ...Array.from({ length: PROVISIONS }, (_, index) =>
+    `${index + 5}. GENERAL PROVISIONS. This paragraph is part of the standard form and sets out ` +
+    'the obligations of the parties with respect to notices, assignment, default, remedies, ' +
+    'attorneys\' fees, brokers and the interpretation of this agreement, none of which change ' +
+    'the economic terms stated above. Each party has read and understands this paragraph.'),
+  `${PROVISIONS + 5}. OUTSIDE DATE. Notwithstanding anything above, escrow shall close no later than 2024-04-30.`
+].join('\n\n');
+
+const modelAnswer = {
+  property: { address: '123 Main Street, Anytown, CA 90210', purchasePrice: 500000 },
+  parties: { buyer: { name: 'John Smith' }, seller: { name: 'Jane Doe Properties LLC' } },
+  escrow: { openingDate: '2024-01-15' }
+};
+
+/**
+ * A provider whose every request fails with the given error
+ */
+function failingProvider(error) {
+  const provider = createMockProvider();
+  provider.complete = async () => {
+    throw error;
+  };
+  return provider;
+}
+
+const withStatus = (message, status) => Object.assign(new Error(message), { status });
+
+afterEach(() => {
+  setProvider(null);
+  resetBreaker();
+  delete process.env.LLM_MAX_RETRIES;
+  delete process.env.LLM_TOKEN_BUDGET;
+});
+
+describe('analyzeContract', () => {
+  describe('single request', () => {
+    it('replays a recorded response from the fixtures directory', async () => {
+      setProvider(createMockProvider({ fixturesDir: FIXTURES_DIR }));
+
+      const summary = await analyzeContract(contract);
+
+      // The model name comes from the fixture, so a missing fixture shows up here
+      assert.equal(summary._meta.llm.model, 'claude-3-5-sonnet-20241022', 'no fixture for the current prompt - re-record it');
+      assert.equal(summary.property.address, '123 Main Street, Anytown, CA 90210');
+      assert.equal(summary.property.purchasePrice, 500000);
+      assert.equal(summary.parties.buyer.name, 'John Smith');
+      assert.equal(summary.parties.seller.name, 'Jane Doe Properties LLC');
+      assert.equal(summary.escrow.companyName, 'First American Title Company');
+      assert.equal(summary.deposits.secondDeposit.amount, 50000);
+      assert.equal(summary.closingInfo.outsideDate, '2024-03-15');
+      assert.equal(summary._meta.degraded, false);
+      assert.deepEqual(summary._meta.warnings, []);
+    });
+
+    it('sends the contract in one prompt and merges the answer onto the pattern-matched fields', async () => {
+      const provider = createMockProvider({ responses: [modelAnswer] });
+      setProvider(provider);
+
+      const summary = await analyzeContract(contract);
+
+      assert.equal(provider.prompts.length, 1);
+      assert.ok(provider.prompts[0].endsWith(contract));
+      assert.equal(summary.parties.buyer.name, 'John Smith');
+      assert.equal(summary.escrow.openingDate, '2024-01-15');
+      // Fields the model left out keep the schema defaults
+      assert.equal(summary.financing.cashDeal, true);
+      assert.deepEqual(summary.contingencies, []);
+      assert.equal(summary._meta.provenance['parties.buyer.name'].source, SOURCES.MODEL);
+      assert.equal(summary._meta.llm.provider, 'mock');
+      assert.equal(summary._meta.llm.requests, 1);
+      assert.equal(summary._meta.degraded, false);
+    });
+
+    it('keeps pattern-matched values the model leaves blank, at every depth', async () => {
+      setProvider(createMockProvider({
+        responses: [{
+          property: { address: 'TBD', purchasePrice: 0 },
+          parties: { buyer: { name: 'John Smith' } },
+          deposits: { firstDeposit: { status: 'hard' } },
+          contingencies: []
+        }]
+      }));
+
+      const summary = await analyzeContract(contract);
+
+      assert.match(summary.property.address, /123 Main Street, Anytown, CA 90210$/);
+      assert.equal(summary.property.purchasePrice, 500000);
+      assert.equal(summary.parties.buyer.name, 'John Smith');
+      assert.equal(summary.parties.seller.name, 'Jane Doe Properties LLC');
+      assert.equal(summary.deposits.firstDeposit.status, 'not_yet_due');
+      assert.equal(summary.parties.buyer.type, 'TBD');
+      assert.deepEqual(summary.contingencies, []);
+    });
+
+    it('drops model values that fail the schema and reports them', async () => {
+      setProvider(createMockProvider({
+        responses: [{ ...modelAnswer, escrow: { openingDate: 'mid January' } }]
+      }));
+
+      const summary = await analyzeContract(contract);
+
+      assert.equal(summary.escrow.openingDate, 'TBD');
+      assert.ok(summary._meta.warnings.some(warning => warning.field === 'escrow.openingDate' && warning.source === 'model'));
+      assert.equal(summary._meta.degraded, false);
+    });
+  });
+
+  describe('chunked', () => {
+    const chunks = splitIntoChunks(longContract);
+
+    it('analyzes each section with its own request and merges the results', async () => {
+      assert.ok(longContract.length > 50000 && chunks.length > 2);
+      const provider = createMockProvider({
+        responses: [
+          modelAnswer,
+          ...Array(chunks.length - 2).fill({}),
+          { closingInfo: { outsideDate: '2024-04-30' } }
+        ]
+      });
+      setProvider(provider);
+
+      const summary = await analyzeContract(longContract);
+
+      assert.equal(provider.prompts.length, chunks.length);
+      provider.prompts.forEach((prompt, index) => {
+        assert.match(prompt, new RegExp(`section ${index + 1} of ${chunks.length}`));
+      });
+      assert.equal(summary.property.purchasePrice, 500000);
+      assert.equal(summary.parties.seller.name, 'Jane Doe Properties LLC');
+      assert.equal(summary.closingInfo.outsideDate, '2024-04-30');
+      assert.equal(summary._meta.llm.requests, chunks.length);
+      assert.equal(summary._meta.degraded, false);
+    });
+
+    it('warns when a later section disagrees with the value kept', async () => {
+      setProvider(createMockProvider({
+        responses: [
+          modelAnswer,
+          ...Array(chunks.length - 2).fill({}),
+          { property: { purchasePrice: 550000 } }
+        ]
+      }));
+
+      const summary = await analyzeContract(longContract);
+
+      assert.equal(summary.property.purchasePrice, 500000);
+      const conflict = summary._meta.warnings.find(warning => warning.code === 'chunk_conflict');
+      assert.equal(conflict.field, 'property.purchasePrice');
+      assert.equal(conflict.chunk, chunks.length - 1);
+    });
+
+    it('skips the remaining sections once the token budget is spent', async () => {
+      process.env.LLM_TOKEN_BUDGET = '1';
+      const provider = createMockProvider({ responses: [modelAnswer] });
+      setProvider(provider);
+
+      const summary = await analyzeContract(longContract);
+
+      assert.equal(provider.prompts.length, 1);
+      assert.equal(summary.parties.buyer.name, 'John Smith');
+      assert.ok(summary._meta.warnings.some(warning => warning.code === 'budget_exhausted'));
+      assert.equal(summary._meta.degraded, false);
+    });
+
+    it('falls back when no section produces usable JSON', async () => {
+      setProvider(createMockProvider({ responses: Array(chunks.length).fill('Sorry, I cannot help with that.') }));
+
+      const summary = await analyzeContract(longContract);
+
+      assert.equal(summary._meta.degraded, true);
+      assert.match(summary._meta.warnings[0].message, /No section of the contract could be analyzed/);
+      assert.equal(summary.property.purchasePrice, 500000);
+    });
+  });
+
+  describe('fallback', () => {
+    it('uses the pattern-matched fields when the model gives no usable answer', async () => {
+      setProvider(createMockProvider({ responses: ['I could not find a contract in this text.'] }));
+
+      const summary = await analyzeContract(contract);
+
+      assert.equal(summary._meta.degraded, true);
+      assert.deepEqual(summary._meta.warnings[0], {
+        field: null,
+        code: 'degraded',
+        message: 'The model returned no usable analysis; only pattern-matched fields are filled in',
+        source: 'model'
+      });
+      assert.equal(summary.property.purchasePrice, 500000);
+      assert.equal(summary.parties.buyer.name, 'John Smith');
+      assert.equal(summary.parties.seller.name, 'Jane Doe Properties LLC');
+      assert.equal(summary._meta.provenance['property.purchasePrice'].source, SOURCES.REGEX);
+    });
+
+    it('falls back when the request fails', async () => {
+      setProvider(failingProvider(withStatus('invalid request', 400)));
+
+      const summary = await analyzeContract(contract);
+
+      assert.equal(summary._meta.degraded, true);
+      assert.match(summary._meta.warnings[0].message, /Analysis failed \(invalid request\)/);
+      assert.equal(summary.property.purchasePrice, 500000);
+    });
+
+    it('does not ask the model about text too short to analyze', async () => {
+      const provider = createMockProvider({ responses: [modelAnswer] });
+      setProvider(provider);
+
+      const summary = await analyzeContract('Purchase Price: $500,000');
+
+      assert.equal(provider.prompts.length, 0);
+      assert.equal(summary._meta.degraded, true);
+      assert.equal(summary.property.purchasePrice, 500000);
+    });
+
+    it('throws instead of falling back while the model API is unavailable', async () => {
+      process.env.LLM_MAX_RETRIES = '0';
+      setProvider(failingProvider(withStatus('overloaded', 529)));
+
+      await assert.rejects(analyzeContract(contract), { code: LLM_UNAVAILABLE });
+    });
+
+    it('throws instead of falling back when the API key is rejected', async () => {
+      setProvider(failingProvider(withStatus('invalid x-api-key', 401)));
+
+      await assert.rejects(analyzeContract(contract), /API authentication failed/);
+    });
+  });
+});
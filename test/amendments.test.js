@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { applyAmendments, currentAnalysis, refreshEffectiveTerms } = require('../services/amendments');
+
+const original = () => ({
+  property: { address: '123 Main Street', purchasePrice: 500000 },
+  escrow: { openingDate: '2024-01-15' },
+  dueDiligence: { period: '30 days from opening of escrow', endDate: '2024-02-14' },
+  closingInfo: { outsideDate: '2024-03-15' },
+  contingencies: ['inspection'],
+  _meta: {
+    provenance: { 'property.purchasePrice': { source: 'model', confidence: 0.9 } },
+    computedDates: { 'dueDiligence.endDate': { from: 'dueDiligence.period', anchor: 'escrow.openingDate' } }
+  }
+});
+
+const amendment = (id, effectiveDate, changes, createdAt = `${effectiveDate}T12:00:00.000Z`) => ({
+  id,
+  file_name: `${id}.pdf`,
+  title: `Amendment ${id}`,
+  effective_date: effectiveDate,
+  created_at: createdAt,
+  changes
+});
+
+describe('applyAmendments', () => {
+  it('layers amendments in effective-date order and records what each changed', () => {
+    const { analysis, overrides, amendmentIds } = applyAmendments(original(), [
+      amendment('second', '2024-02-20', { property: { purchasePrice: 470000 } }),
+      amendment('first', '2024-02-01', { property: { purchasePrice: 480000 }, closingInfo: { outsideDate: '2024-04-01' } })
+    ]);
+
+    assert.deepEqual(amendmentIds, ['first', 'second']);
+    assert.equal(analysis.property.purchasePrice, 470000);
+    assert.equal(analysis.closingInfo.outsideDate, '2024-04-01');
+    assert.equal(analysis.property.address, '123 Main Street');
+
+    const price = overrides['property.purchasePrice'];
+    assert.equal(price.amendmentId, 'second');
+    assert.equal(price.previous, 480000);
+    assert.equal(price.value, 470000);
+    assert.deepEqual(price.history.map(entry => [entry.amendmentId, entry.previous, entry.value]), [
+      ['first', 500000, 480000],
+      ['second', 480000, 470000]
+    ]);
+    assert.equal(analysis._meta.provenance['property.purchasePrice'].source, 'amendment');
+    assert.equal(analysis._meta.provenance['property.purchasePrice'].amendmentId, 'second');
+  });
+
+  it('adds list items instead of replacing the list', () => {
+    const { analysis, overrides } = applyAmendments(original(), [
+      amendment('a', '2024-02-01', { contingencies: ['inspection', 'appraisal'] })
+    ]);
+
+    assert.deepEqual(analysis.contingencies, ['inspection', 'appraisal']);
+    assert.equal(overrides.contingencies.mode, 'appended');
+    assert.deepEqual(overrides.contingencies.value, ['appraisal']);
+  });
+
+  it('ignores empty values and values that do not change anything', () => {
+    const { analysis, overrides } = applyAmendments(original(), [
+      amendment('a', '2024-02-01', { property: { purchasePrice: 500000, address: null }, escrow: { openingDate: 'TBD' }, contingencies: [] })
+    ]);
+
+    assert.deepEqual(overrides, {});
+    assert.equal(analysis.property.address, '123 Main Street');
+    assert.equal(analysis.escrow.openingDate, '2024-01-15');
+  });
+
+  it('recomputes deadlines from amended anchors and stops computing amended dates', () => {
+    const { analysis } = applyAmendments(original(), [
+      amendment('a', '2024-01-10', { escrow: { openingDate: '2024-01-22' } }),
+      amendment('b', '2024-02-01', { dueDiligence: { period: '45 days from opening of escrow' } })
+    ]);
+
+    // 45 days after January 22 is Thursday March 7
+    assert.equal(analysis.dueDiligence.endDate, '2024-03-07');
+
+    const fixed = applyAmendments(original(), [amendment('c', '2024-02-01', { dueDiligence: { endDate: '2024-02-28' } })]);
+    assert.equal(fixed.analysis.dueDiligence.endDate, '2024-02-28');
+    assert.equal('dueDiligence.endDate' in fixed.analysis._meta.computedDates, false);
+  });
+
+  it('lets a manual edit made after an amendment win over it', () => {
+    const analysis = original();
+    analysis.property.purchasePrice = 455000;
+    analysis._meta.provenance['property.purchasePrice'] = { source: 'manual', confidence: 1, editedAt: '2024-03-01T00:00:00.000Z' };
+
+    const result = applyAmendments(analysis, [
+      amendment('early', '2024-02-01', { property: { purchasePrice: 480000 } }),
+      amendment('late', '2024-02-15', { property: { purchasePrice: 470000 } }, '2024-03-05T00:00:00.000Z')
+    ]);
+
+    assert.equal(result.analysis.property.purchasePrice, 470000);
+    assert.equal(result.overrides['property.purchasePrice'].history.length, 1);
+  });
+
+  it('leaves the original analysis untouched', () => {
+    const analysis = original();
+    applyAmendments(analysis, [amendment('a', '2024-02-01', { property: { purchasePrice: 480000 } })]);
+
+    assert.equal(analysis.property.purchasePrice, 500000);
+  });
+});
+
+describe('currentAnalysis', () => {
+  it('prefers the effective terms', () => {
+    const effective = { property: { purchasePrice: 470000 } };
+
+    assert.equal(currentAnalysis({ analysis: original(), effective_terms: { analysis: effective } }), effective);
+    assert.equal(currentAnalysis({ analysis: effective, effective_terms: null }), effective);
+  });
+});
+
+describe('refreshEffectiveTerms', () => {
+  beforeEach(() => {
+    supabase.tables.contracts = [{ id: 'contract-1', analysis: original(), effective_terms: null }];
+    supabase.tables.contract_amendments = [];
+  });
+
+  it('stores the layered terms on the contract', async () => {
+    supabase.tables.contract_amendments.push({ contract_id: 'contract-1', ...amendment('a', '2024-02-01', { property: { purchasePrice: 480000 } }) });
+
+    const terms = await refreshEffectiveTerms('contract-1');
+
+    assert.equal(terms.analysis.property.purchasePrice, 480000);
+    assert.deepEqual(supabase.tables.contracts[0].effective_terms.amendmentIds, ['a']);
+  });
+
+  it('clears the effective terms when the last amendment is gone', async () => {
+    supabase.tables.contracts[0].effective_terms = { analysis: {} };
+
+    assert.equal(await refreshEffectiveTerms('contract-1'), null);
+    assert.equal(supabase.tables.contracts[0].effective_terms, null);
+  });
+});
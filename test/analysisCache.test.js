@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { analysisCacheKey, getCachedAnalysis, storeCachedAnalysis } = require('../services/analysisCache');
+
+const analysis = () => ({
+  property: { purchasePrice: 500000 },
+  _meta: { degraded: false, llm: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' } }
+});
+
+describe('analysisCacheKey', () => {
+  afterEach(() => {
+    delete process.env.LLM_MODEL;
+  });
+
+  it('is the same for the same text and changes with the text or model', () => {
+    const key = analysisCacheKey('PURCHASE AGREEMENT');
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(analysisCacheKey('PURCHASE AGREEMENT'), key);
+    assert.notEqual(analysisCacheKey('PURCHASE AGREEMENT.'), key);
+
+    process.env.LLM_MODEL = 'another-model';
+    assert.notEqual(analysisCacheKey('PURCHASE AGREEMENT'), key);
+  });
+});
+
+describe('analysis cache', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    supabase.tables.analysis_cache = [];
+  });
+
+  it('misses until an analysis is stored', async () => {
+    assert.equal(await getCachedAnalysis('key-1'), null);
+  });
+
+  it('returns a copy of the stored analysis and counts the hit', async () => {
+    assert.equal(await storeCachedAnalysis('key-1', analysis()), true);
+
+    const cached = await getCachedAnalysis('key-1');
+    cached.property.purchasePrice = 1;
+    const again = await getCachedAnalysis('key-1');
+
+    assert.equal(again.property.purchasePrice, 500000);
+    assert.equal(again._meta.cache.hit, true);
+    assert.equal(again._meta.cache.key, 'key-1');
+    assert.equal(supabase.tables.analysis_cache[0].hits, 2);
+    assert.equal(supabase.tables.analysis_cache[0].model, 'anthropic/claude-3-5-sonnet-20241022');
+  });
+
+  it('stores analyses without the cache details of an earlier hit', async () => {
+    const hit = { ...analysis(), _meta: { ...analysis()._meta, cache: { hit: true, key: 'old' } } };
+
+    await storeCachedAnalysis('key-1', hit);
+
+    assert.equal('cache' in supabase.tables.analysis_cache[0].analysis._meta, false);
+  });
+
+  it('never stores degraded analyses', async () => {
+    const degraded = analysis();
+    degraded._meta.degraded = true;
+
+    assert.equal(await storeCachedAnalysis('key-1', degraded), false);
+    assert.equal(await storeCachedAnalysis('key-1', null), false);
+    assert.deepEqual(supabase.tables.analysis_cache, []);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { extractDocuments } = require('../services/fileProcessor');
+const { analysisCacheKey, storeCachedAnalysis } = require('../services/analysisCache');
+const { startWorker, stopWorker } = require('../services/analysisQueue');
+
+const JOB_ID = '22222222-2222-4222-8222-222222222222';
+const TEXT = [
+  'PURCHASE AND SALE AGREEMENT',
+  'Seller agrees to sell and Buyer agrees to buy the property at 123 Main Street, Anytown, CA 90210.',
+  'The purchase price is $500,000, payable in cash at the close of escrow.'
+].join('\n');
+
+/**
+ * Wait until the job reaches one of the given statuses
+ */
+async function settled(jobId, statuses = ['done', 'failed']) {
+  for (let i = 0; i < 200; i++) {
+    const job = supabase.tables.analysis_jobs.find(row => row.id === jobId);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not settle`);
+}
+
+describe('analysis queue', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    // The analysis comes from the cache, so the model API is never called
+    supabase.tables.analysis_cache = [];
+    const [extracted] = await extractDocuments(Buffer.from(TEXT), 'contract.txt');
+    await storeCachedAnalysis(analysisCacheKey(extracted.text), {
+      property: { address: '123 Main Street', purchasePrice: 500000 },
+      _meta: { degraded: false, provenance: {} }
+    });
+  });
+
+  after(async () => {
+    await stopWorker();
+    mock.restoreAll();
+  });
+
+  it('replaces the contracts an earlier attempt of a retried job saved', async () => {
+    await supabase.storage.from('contract-uploads').upload(`user-1/${JOB_ID}/upload.txt`, Buffer.from(TEXT));
+    supabase.tables.analysis_jobs = [{
+      id: JOB_ID,
+      user_id: 'user-1',
+      file_name: 'contract.txt',
+      file_size: TEXT.length,
+      storage_path: `user-1/${JOB_ID}/upload.txt`,
+      kind: 'contract',
+      force: false,
+      status: 'queued',
+      attempts: 1,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }];
+    supabase.tables.contracts = [{ id: 'earlier-attempt', user_id: 'user-1', job_id: JOB_ID, file_name: 'contract.txt' }];
+
+    await startWorker();
+    const job = await settled(JOB_ID);
+
+    assert.equal(job.status, 'done');
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(supabase.tables.contracts.map(contract => contract.id), job.contract_ids);
+    assert.notEqual(job.contract_id, 'earlier-attempt');
+    assert.equal(supabase.tables.contracts[0].job_id, JOB_ID);
+    assert.equal(supabase.tables.contracts[0].purchase_price, 500000);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar } = require('../services/calendarExport');
+
+const contract = {
+  id: 'c0ffee00-0000-4000-8000-000000000001',
+  file_name: 'purchase-agreement.pdf',
+  updated_at: '2024-01-10T17:30:00.000Z',
+  analysis: {
+    property: { address: '123 Main Street, Anytown, CA 90210' },
+    escrow: { openingDate: '2024-01-15' },
+    dueDiligence: { period: '30 days from opening of escrow; buyer may terminate for any reason', endDate: '2024-02-14' },
+    deposits: {},
+    closingInfo: { outsideDate: '2024-03-15', extensions: {} }
+  }
+};
+
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+const events = (calendar) => unfold(calendar).split('BEGIN:VEVENT').slice(1);
+
+describe('buildCalendar', () => {
+  it('wraps the events in a VCALENDAR with CRLF line endings', () => {
+    const calendar = buildCalendar([contract], { name: 'Smith, Jane' });
+
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.match(calendar, /\r\nX-WR-CALNAME:Smith\\, Jane\r\n/);
+    assert.doesNotMatch(calendar.replace(/\r\n/g, ''), /\n/);
+  });
+
+  it('writes one all-day event per dated milestone, in date order', () => {
+    const [opening, dueDiligence, outside] = events(buildCalendar([contract]));
+
+    assert.match(opening, /\r\nDTSTART;VALUE=DATE:20240115\r\nDTEND;VALUE=DATE:20240116\r\n/);
+    assert.match(dueDiligence, /DTSTART;VALUE=DATE:20240214/);
+    assert.match(outside, /DTSTART;VALUE=DATE:20240315/);
+    assert.equal(events(buildCalendar([contract])).length, 3);
+  });
+
+  it('gives each milestone a UID that survives a date change', () => {
+    const moved = { ...contract, analysis: { ...contract.analysis, escrow: { openingDate: '2024-01-22' } } };
+    const uid = (calendar) => events(calendar)[0].match(/UID:(.*)\r\n/)[1];
+
+    assert.equal(uid(buildCalendar([contract])), `${contract.id}-escrow-opening@transaction-summary-tool`);
+    assert.equal(uid(buildCalendar([moved])), uid(buildCalendar([contract])));
+  });
+
+  it('escapes commas, semicolons and line breaks in text values', () => {
+    const [, dueDiligence] = events(buildCalendar([contract]));
+
+    assert.match(dueDiligence, /SUMMARY:Due diligence period ends - 123 Main Street\\, Anytown\\, CA 90210\r\n/);
+    assert.match(dueDiligence, /DESCRIPTION:30 days from opening of escrow\\; buyer may terminate for any reason\\nContract: purchase-agreement.pdf\r\n/);
+  });
+
+  it('adds reminder alarms three days and one day ahead', () => {
+    const [opening] = events(buildCalendar([contract]));
+
+    assert.deepEqual(opening.match(/TRIGGER:.*/g), ['TRIGGER:-P3D', 'TRIGGER:-P1D']);
+  });
+
+  it('folds lines longer than 75 octets without splitting characters', () => {
+    const long = {
+      ...contract,
+      analysis: { ...contract.analysis, property: { address: 'Résidence Élysée, 1234 Boulevard Saint-Germain-des-Prés, Appartement 56, 75006 Paris' } }
+    };
+    const calendar = buildCalendar([long]);
+    const lines = calendar.split('\r\n');
+
+    lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.ok(lines.some(line => line.startsWith(' ')));
+    assert.ok(!calendar.includes('�'));
+    assert.match(unfold(calendar), /SUMMARY:Escrow opens - Résidence Élysée\\, 1234 Boulevard Saint-Germain-des-Prés\\, Appartement 56\\, 75006 Paris\r\n/);
+  });
+
+  it('names the contract by file when the address is unknown', () => {
+    const unnamed = { ...contract, analysis: { ...contract.analysis, property: { address: 'Not found' } } };
+
+    assert.match(unfold(buildCalendar([unnamed])), /SUMMARY:Escrow opens - purchase-agreement.pdf\r\n/);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { analysisItems, checklistCounts, syncChecklist } = require('../services/checklist');
+
+describe('analysisItems', () => {
+  it('lists contingencies and due-diligence tasks with their due dates', () => {
+    const items = analysisItems({
+      dueDiligence: { endDate: '2024-02-14', tasks: ['Review title report', { name: 'Phase I environmental', deadline: '2024-02-01' }] },
+      financing: { loanContingency: { deadline: '2024-02-20' } },
+      contingencies: ['Inspection', 'Loan approval', { type: 'Appraisal', description: 'At or above purchase price' }]
+    });
+
+    assert.deepEqual(items.map(({ kind, path, title, dueDate }) => [kind, path, title, dueDate]), [
+      ['contingency', 'contingencies.0', 'Inspection', null],
+      ['contingency', 'contingencies.1', 'Loan approval', '2024-02-20'],
+      ['contingency', 'contingencies.2', 'Appraisal', null],
+      ['task', 'dueDiligence.tasks.0', 'Review title report', '2024-02-14'],
+      ['task', 'dueDiligence.tasks.1', 'Phase I environmental', '2024-02-01']
+    ]);
+    assert.equal(items[2].description, 'At or above purchase price');
+  });
+
+  it('skips placeholders and repeats', () => {
+    const items = analysisItems({ contingencies: ['Inspection', 'Not found', '  inspection. ', { deadline: '2024-02-01' }, null] });
+
+    assert.deepEqual(items.map(item => item.signature), ['inspection']);
+  });
+});
+
+describe('checklistCounts', () => {
+  it('counts items still in play by status', () => {
+    const counts = checklistCounts([
+      { status: 'open', overdue: true },
+      { status: 'open', overdue: false },
+      { status: 'waived' },
+      { status: 'satisfied', removed_at: '2024-02-01T00:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(counts, { total: 3, overdue: 1, open: 2, waived: 1, satisfied: 0, failed: 0 });
+  });
+});
+
+describe('syncChecklist', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    supabase.tables.contracts = [{
+      id: 'contract-1',
+      user_id: 'user-1',
+      effective_terms: null,
+      analysis: { contingencies: ['Inspection', 'Appraisal'], dueDiligence: { tasks: [] } }
+    }];
+    supabase.tables.checklist_items = [];
+    supabase.tables.checklist_attachments = [];
+    supabase.tables.deposits = [];
+    supabase.tables.deposit_payments = [];
+    supabase.tables.contract_events = [];
+  });
+
+  it('mirrors the items the contract names', async () => {
+    const { items, counts } = await syncChecklist('contract-1', 'user-1');
+
+    assert.deepEqual(items.map(item => [item.title, item.status, item.source]), [
+      ['Inspection', 'open', 'analysis'],
+      ['Appraisal', 'open', 'analysis']
+    ]);
+    assert.equal(counts.open, 2);
+    assert.equal(supabase.tables.checklist_items.length, 2);
+  });
+
+  it('sets aside items the terms drop and restores them when named again', async () => {
+    await syncChecklist('contract-1', 'user-1');
+    supabase.tables.checklist_items[1].status = 'waived';
+
+    supabase.tables.contracts[0].analysis.contingencies = ['Inspection'];
+    const dropped = await syncChecklist('contract-1', 'user-1');
+
+    assert.equal(dropped.counts.total, 1);
+    assert.equal(supabase.tables.checklist_items[1].removed_by, 'analysis');
+    assert.deepEqual(supabase.tables.contract_events.map(event => event.type), ['checklist_removed']);
+
+    supabase.tables.contracts[0].analysis.contingencies = ['Inspection', 'appraisal'];
+    const restored = await syncChecklist('contract-1', 'user-1');
+
+    assert.equal(restored.counts.total, 2);
+    assert.equal(restored.items[1].status, 'waived');
+    assert.equal(supabase.tables.checklist_items.length, 2);
+    assert.deepEqual(supabase.tables.contract_events.map(event => event.type), ['checklist_removed', 'checklist_restored']);
+  });
+
+  it('keeps items a user added', async () => {
+    supabase.tables.checklist_items.push({
+      id: 'item-manual',
+      contract_id: 'contract-1',
+      kind: 'task',
+      source: 'manual',
+      title: 'Order survey',
+      status: 'open',
+      position: 1,
+      created_at: '2024-01-20T00:00:00.000Z'
+    });
+
+    const { items } = await syncChecklist('contract-1', 'user-1');
+
+    assert.deepEqual(items.map(item => item.title), ['Inspection', 'Appraisal', 'Order survey']);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoChunks, mergeChunkResults, conflictWarnings } = require('../services/contractChunker');
+const { buildDefaults } = require('../schemas/transactionSummary');
+
+const chunk = (index) => ({ index, start: index * 100, end: index * 100 + 120 });
+
+describe('splitIntoChunks', () => {
+  it('covers the text in overlapping chunks', () => {
+    const text = 'word '.repeat(100);
+    const chunks = splitIntoChunks(text, { chunkSize: 100, overlap: 20 });
+
+    assert.equal(chunks[0].start, 0);
+    assert.equal(chunks[chunks.length - 1].end, text.length);
+    chunks.slice(1).forEach((current, index) => assert.ok(current.start < chunks[index].end));
+    assert.throws(() => splitIntoChunks(text, { chunkSize: 100, overlap: 100 }), /overlap must be smaller/);
+  });
+});
+
+describe('mergeChunkResults', () => {
+  it('fills in each field from the first section that has it', () => {
+    const merged = mergeChunkResults(buildDefaults(), [
+      { chunk: chunk(0), result: { property: { purchasePrice: 500000, address: 'Not found' } } },
+      { chunk: chunk(1), result: null },
+      { chunk: chunk(2), result: { property: { address: '123 Main Street' }, contingencies: ['inspection'] } },
+      { chunk: chunk(3), result: { contingencies: ['inspection', 'financing'] } }
+    ]);
+
+    assert.equal(merged.property.purchasePrice, 500000);
+    assert.equal(merged.property.address, '123 Main Street');
+    assert.deepEqual(merged.contingencies, ['inspection', 'financing']);
+    assert.deepEqual(merged._meta.fieldSources, {
+      'property.purchasePrice': 0,
+      'property.address': 2,
+      contingencies: [2, 3]
+    });
+    assert.deepEqual(merged._meta.chunks.map(({ analyzed }) => analyzed), [true, false, true, true]);
+  });
+
+  it('records later sections that disagree, and warns about them', () => {
+    const merged = mergeChunkResults(buildDefaults(), [
+      { chunk: chunk(0), result: { closingInfo: { outsideDate: '2024-03-15' } } },
+      { chunk: chunk(1), result: { closingInfo: { outsideDate: '2024-04-30' } } }
+    ]);
+
+    assert.equal(merged.closingInfo.outsideDate, '2024-03-15');
+    assert.deepEqual(conflictWarnings(merged._meta.conflicts), [{
+      field: 'closingInfo.outsideDate',
+      code: 'chunk_conflict',
+      message: 'Section 2 says "2024-04-30"; kept "2024-03-15" from section 1',
+      source: 'model',
+      chunk: 1
+    }]);
+  });
+
+  it('leaves out fields the schema does not know or the system maintains', () => {
+    const merged = mergeChunkResults(buildDefaults(), [{
+      chunk: chunk(0),
+      result: {
+        property: { zoning: 'R-1', purchasePrice: { amount: 500000 } },
+        closingInfo: { actualClosing: '2024-03-15' },
+        deposits: { firstDeposit: { amount: 25000, status: 'paid' } },
+        contingencies: 'inspection'
+      }
+    }]);
+
+    assert.equal('zoning' in merged.property, false);
+    assert.equal(merged.property.purchasePrice, buildDefaults().property.purchasePrice);
+    assert.equal(merged.closingInfo.actualClosing, buildDefaults().closingInfo.actualClosing);
+    assert.equal(merged.deposits.firstDeposit.amount, 25000);
+    assert.equal(merged.deposits.firstDeposit.status, buildDefaults().deposits.firstDeposit.status);
+    assert.deepEqual(merged.contingencies, buildDefaults().contingencies);
+    assert.deepEqual(Object.keys(merged._meta.fieldSources), ['deposits.firstDeposit.amount']);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSummaries, diffClauses } = require('../services/contractDiff');
+
+const offer = () => ({
+  property: { address: '123 Main Street', purchasePrice: 500000 },
+  parties: { buyer: { name: 'John Smith' } },
+  deposits: { firstDeposit: { amount: 25000, dueDate: '2024-01-18' } },
+  closingInfo: { outsideDate: '2024-03-15' },
+  contingencies: ['Inspection', 'Financing'],
+  specialConditions: [],
+  _meta: { mode: 'single' }
+});
+
+describe('diffSummaries', () => {
+  it('reports changed amounts and dates with how far they moved', () => {
+    const counter = offer();
+    counter.property.purchasePrice = 525000;
+    counter.closingInfo.outsideDate = '2024-04-01';
+
+    const { fields, counts } = diffSummaries(offer(), counter);
+
+    assert.deepEqual(fields, [
+      { path: 'closingInfo.outsideDate', category: 'dates', type: 'changed', before: '2024-03-15', after: '2024-04-01', deltaDays: 17 },
+      { path: 'property.purchasePrice', category: 'price', type: 'changed', before: 500000, after: 525000, delta: 25000, percentChange: 5 }
+    ]);
+    assert.deepEqual(counts, { added: 0, removed: 0, changed: 2 });
+  });
+
+  it('files deposit dates under deposits', () => {
+    const counter = offer();
+    counter.deposits.firstDeposit.dueDate = '2024-01-22';
+
+    assert.equal(diffSummaries(offer(), counter).fields[0].category, 'deposits');
+  });
+
+  it('reports fields that gained or lost a value', () => {
+    const counter = offer();
+    counter.parties.buyer.name = 'Not found';
+    counter.property.apn = '123-456-789';
+
+    const { fields } = diffSummaries(offer(), counter);
+
+    assert.deepEqual(fields.map(({ path, type, before, after }) => ({ path, type, before, after })), [
+      { path: 'parties.buyer.name', type: 'removed', before: 'John Smith', after: null },
+      { path: 'property.apn', type: 'added', before: null, after: '123-456-789' }
+    ]);
+  });
+
+  it('compares lists by item', () => {
+    const counter = offer();
+    counter.contingencies = ['financing', 'Appraisal'];
+
+    const [field] = diffSummaries(offer(), counter).fields;
+
+    assert.equal(field.path, 'contingencies');
+    assert.equal(field.category, 'contingencies');
+    assert.deepEqual(field.added, ['Appraisal']);
+    assert.deepEqual(field.removed, ['Inspection']);
+  });
+
+  it('ignores case, whitespace and analysis metadata', () => {
+    const counter = offer();
+    counter.property.address = '123  MAIN street ';
+    counter._meta = { mode: 'chunked' };
+
+    assert.deepEqual(diffSummaries(offer(), counter), { fields: [], counts: { added: 0, removed: 0, changed: 0 } });
+  });
+});
+
+describe('diffClauses', () => {
+  const contract = (...paragraphs) => ({ document: null, extracted_text: paragraphs.join('\n\n') });
+
+  it('pairs a reworded clause with the original and diffs its words', () => {
+    const { changes, counts } = diffClauses(
+      contract('1. Purchase price is $500,000.', '2. Buyer shall deposit $25,000 within 3 days.', '3. Escrow closes March 15.'),
+      contract('1. Purchase price is $500,000.', '2. Buyer shall deposit $30,000 within 3 days.', '3. Escrow closes March 15.')
+    );
+
+    assert.deepEqual(counts, { unchanged: 2, added: 0, removed: 0, modified: 1 });
+    assert.equal(changes[0].type, 'modified');
+    assert.deepEqual(changes[0].words.filter(word => word.type !== 'unchanged'), [
+      { type: 'removed', text: '25' },
+      { type: 'added', text: '30' }
+    ]);
+  });
+
+  it('reports clauses added and removed', () => {
+    const { changes, counts } = diffClauses(
+      contract('1. Purchase price is $500,000.', '2. Seller pays for the home warranty.'),
+      contract('1. Purchase price is $500,000.', '3. Buyer may assign this agreement to an affiliate.')
+    );
+
+    assert.deepEqual(counts, { unchanged: 1, added: 1, removed: 1, modified: 0 });
+    assert.deepEqual(changes.map(change => change.type), ['removed', 'added']);
+  });
+
+  it('uses document blocks with their page and section when known', () => {
+    const block = (text, page, section) => ({ text, page, section });
+    const before = { document: { blocks: [block('Price: $500,000', 1, '1'), block('Closing: March 15', 2, '2')] } };
+    const after = { document: { blocks: [block('Price: $500,000', 1, '1'), block('Closing: April 1', 2, '2')] } };
+
+    const [change] = diffClauses(before, after).changes;
+
+    assert.equal(change.type, 'modified');
+    assert.deepEqual([change.after.page, change.after.section], [2, '2']);
+  });
+});
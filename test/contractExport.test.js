@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const mammoth = require('mammoth');
+const { SUMMARY_COLUMNS, buildExportTable, toCsv, toXlsx } = require('../services/contractExport');
+const { buildSummaryMemo } = require('../services/summaryMemo');
+
+const contract = {
+  id: 'contract-1',
+  file_name: 'purchase-agreement.pdf',
+  status: 'open',
+  created_at: '2024-01-10T17:30:00.000Z',
+  analysis: {
+    property: { address: '123 Main Street, Anytown, CA 90210', purchasePrice: 500000 },
+    parties: { buyer: { name: '=HYPERLINK("http://example.com")' }, seller: { name: 'Jane "JJ" Doe' } },
+    escrow: { openingDate: '2024-01-15' },
+    deposits: { additionalDeposits: [{ label: 'Extension deposit', amount: 10000, timing: 'upon extension' }] },
+    closingInfo: { outsideDate: 'TBD' },
+    contingencies: ['Inspection', { name: 'Appraisal', description: 'At or above price' }],
+    specialConditions: ['Seller to repair roof\nbefore closing']
+  }
+};
+
+const column = (table, key) => table.columns.findIndex(item => item.key === key);
+
+describe('buildExportTable', () => {
+  it('has the same columns whatever the contracts hold', () => {
+    const table = buildExportTable([contract, { id: 'contract-2', analysis: null }]);
+
+    assert.deepEqual(table.columns.slice(0, 4).map(item => item.key), ['id', 'file_name', 'status', 'created_at']);
+    assert.equal(table.columns.length, 4 + SUMMARY_COLUMNS.length);
+    assert.ok(!table.columns.some(item => item.key.startsWith('_meta')));
+    assert.ok(table.rows.every(row => row.length === table.columns.length));
+    assert.equal(table.rows[1][column(table, 'property.address')], null);
+  });
+
+  it('keeps amounts typed and joins lists', () => {
+    const table = buildExportTable([contract]);
+    const [row] = table.rows;
+
+    assert.equal(table.columns[column(table, 'property.purchasePrice')].type, 'amount');
+    assert.equal(table.columns[column(table, 'escrow.openingDate')].type, 'date');
+    assert.equal(row[column(table, 'property.purchasePrice')], 500000);
+    assert.equal(row[column(table, 'created_at')], '2024-01-10');
+    assert.equal(row[column(table, 'contingencies')], 'Inspection; Appraisal - At or above price');
+    assert.equal(row[column(table, 'deposits.additionalDeposits')], 'Extension deposit: $10,000 (upon extension)');
+  });
+});
+
+describe('toCsv', () => {
+  const table = {
+    columns: [{ key: 'a', header: 'a' }, { key: 'b', header: 'b' }, { key: 'c', header: 'c' }],
+    rows: [
+      ['Jane "JJ" Doe', 'Anytown, CA', 'roof\nrepair'],
+      ['=SUM(A1:A2)', '-5', -5],
+      [null, undefined, 0]
+    ]
+  };
+
+  it('starts with a BOM and ends rows with CRLF', () => {
+    const csv = toCsv(table);
+
+    assert.ok(csv.startsWith('﻿a,b,c\r\n'));
+    assert.ok(csv.endsWith(',,0\r\n'));
+  });
+
+  it('quotes fields with quotes, commas and line breaks', () => {
+    assert.equal(toCsv(table).split('\r\n')[1], '"Jane ""JJ"" Doe","Anytown, CA","roof\nrepair"');
+  });
+
+  it('defuses text that would run as a formula, but not numbers', () => {
+    assert.equal(toCsv(table).split('\r\n')[2], '\'=SUM(A1:A2),\'-5,-5');
+  });
+});
+
+describe('toXlsx', () => {
+  it('writes typed cells under a header row', async () => {
+    const table = buildExportTable([contract]);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx(table, { sheetName: 'Portfolio' }));
+
+    const sheet = workbook.getWorksheet('Portfolio');
+    const cell = (key) => sheet.getRow(2).getCell(column(table, key) + 1);
+
+    assert.equal(sheet.getRow(1).getCell(1).value, 'id');
+    assert.equal(cell('property.purchasePrice').value, 500000);
+    assert.equal(cell('property.purchasePrice').numFmt, '$#,##0.00');
+    assert.deepEqual(cell('escrow.openingDate').value, new Date('2024-01-15T00:00:00Z'));
+    assert.equal(cell('closingInfo.outsideDate').value, 'TBD');
+  });
+});
+
+describe('buildSummaryMemo', () => {
+  it('writes a Word memo with the terms and the gaps', async () => {
+    const memo = await buildSummaryMemo(contract, { preparedBy: 'Pat Lee', generatedAt: new Date('2024-01-20T12:00:00Z') });
+    const { value: text } = await mammoth.extractRawText({ buffer: memo });
+
+    assert.equal(memo.subarray(0, 2).toString(), 'PK');
+    assert.match(text, /Transaction Summary Memo/);
+    assert.match(text, /Re:\s*123 Main Street, Anytown, CA 90210/);
+    assert.match(text, /From:\s*Pat Lee/);
+    assert.match(text, /\$500,000/);
+    assert.match(text, /still TBD and must be confirmed: .*Outside closing date/);
+  });
+});
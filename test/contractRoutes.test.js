@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+const { serve } = require('./helpers/server');
+
+const supabase = useFakeSupabase({
+  users: { 'owner-token': { id: 'user-1', email: 'owner@example.com' } }
+});
+const { computeDeadlines } = require('../services/deadlines');
+const contractRoutes = require('../routes/contracts');
+
+const CONTRACT_ID = '11111111-1111-4111-8111-111111111111';
+
+function storedAnalysis() {
+  return computeDeadlines({
+    property: { address: '123 Main Street, Anytown, CA 90210', purchasePrice: 500000 },
+    escrow: { openingDate: '2024-01-15' },
+    dueDiligence: { period: '30 days from opening of escrow', startDate: 'TBD', endDate: 'TBD' },
+    deposits: {
+      firstDeposit: { amount: 25000, timing: 'within 3 business days of opening escrow', refundable: true, refundableUntil: 'TBD' },
+      secondDeposit: { amount: 50000, timing: 'TBD', refundable: false, refundableUntil: 'TBD' }
+    },
+    closingInfo: { outsideDate: '2024-03-15' },
+    _meta: { provenance: {} }
+  });
+}
+
+describe('contract routes', () => {
+  let server;
+
+  before(async () => {
+    // Keep the routes' progress logging out of the test report
+    mock.method(console, 'log', () => {});
+    server = await serve({ '/api/contracts': contractRoutes });
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    supabase.tables.contracts = [{
+      id: CONTRACT_ID,
+      user_id: 'user-1',
+      file_name: 'purchase-agreement.pdf',
+      status: 'open',
+      analysis: storedAnalysis()
+    }];
+  });
+
+  const stored = () => supabase.tables.contracts[0].analysis;
+
+  describe('PATCH /:id', () => {
+    it('recomputes dependent deadlines when an anchor date is edited', async () => {
+      const { status } = await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { escrow: { openingDate: '2024-02-01' } } }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(stored().escrow.openingDate, '2024-02-01');
+      // Saturday March 2 rolls to Monday March 4
+      assert.equal(stored().dueDiligence.endDate, '2024-03-04');
+      assert.equal(stored().deposits.firstDeposit.dueDate, '2024-02-06');
+      assert.equal(stored().deposits.firstDeposit.refundableUntil, '2024-03-04');
+      assert.equal(stored()._meta.provenance['escrow.openingDate'].source, 'manual');
+      assert.equal(stored()._meta.provenance['dueDiligence.endDate'].source, 'computed');
+    });
+
+    it('recomputes deadlines when their contract language is edited', async () => {
+      await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { deposits: { firstDeposit: { timing: 'within 10 days of opening escrow' } } } }
+      });
+
+      // Thursday January 25
+      assert.equal(stored().deposits.firstDeposit.dueDate, '2024-01-25');
+      assert.equal(stored().deposits.firstDeposit.amount, 25000);
+    });
+
+    it('recomputes deadlines written with compound number words', async () => {
+      await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { deposits: { firstDeposit: { timing: 'within twenty-one (21) days of opening escrow' } } } }
+      });
+
+      // Monday February 5, not the 1 day "one" alone would give
+      assert.equal(stored().deposits.firstDeposit.dueDate, '2024-02-05');
+    });
+
+    it('keeps a date the user set when its anchor changes later', async () => {
+      await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { dueDiligence: { endDate: '2024-03-01' } } }
+      });
+      await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { escrow: { openingDate: '2024-02-01' } } }
+      });
+
+      assert.equal(stored().dueDiligence.endDate, '2024-03-01');
+      assert.equal(stored().deposits.firstDeposit.refundableUntil, '2024-03-01');
+    });
+
+    it('rejects edits that do not match the schema', async () => {
+      const { status, body } = await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { escrow: { openingDate: 'next Tuesday' } } }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'INVALID_ANALYSIS');
+      assert.equal(body.fields[0].field, 'escrow.openingDate');
+      assert.equal(stored().escrow.openingDate, '2024-01-15');
+    });
+
+    it('rejects edits to fields the system maintains', async () => {
+      const { status, body } = await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { deposits: { firstDeposit: { amount: 30000, dueDate: '2024-01-16', status: 'paid' } } } }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'INVALID_ANALYSIS');
+      assert.deepEqual(body.fields.map(({ field, code }) => ({ field, code })), [
+        { field: 'deposits.firstDeposit.dueDate', code: 'read_only' },
+        { field: 'deposits.firstDeposit.status', code: 'read_only' }
+      ]);
+      assert.equal(stored().deposits.firstDeposit.amount, 25000);
+      assert.equal(stored().deposits.firstDeposit.dueDate, '2024-01-18');
+    });
+
+    it('drops analysis metadata sent with an edit', async () => {
+      const { status } = await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { escrow: { openingDate: '2024-02-01' }, _meta: { provenance: { 'escrow.openingDate': 'ai' } } } }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(stored().escrow.openingDate, '2024-02-01');
+      assert.notEqual(stored()._meta.provenance['escrow.openingDate'], 'ai');
+    });
+
+    it('does not update another user\'s contract', async () => {
+      supabase.tables.contracts[0].user_id = 'user-2';
+
+      const { status } = await server.request('PATCH', `/api/contracts/${CONTRACT_ID}`, {
+        body: { analysis: { escrow: { openingDate: '2024-02-01' } } }
+      });
+
+      assert.equal(status, 404);
+      assert.equal(stored().escrow.openingDate, '2024-01-15');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { searchColumns, parseSearchQuery, searchContracts } = require('../services/contractSearch');
+
+describe('searchColumns', () => {
+  it('copies the searchable terms out of a summary', () => {
+    assert.deepEqual(searchColumns({
+      property: { address: ' 123 Main Street ', propertyType: 'Retail', purchasePrice: 500000 },
+      parties: { buyer: { name: 'John Smith' }, seller: { name: 'Not found' } },
+      escrowCompany: { name: 'TBD' },
+      escrow: { companyName: 'Chicago Title' },
+      closingInfo: { outsideDate: '2024-03-15' }
+    }), {
+      property_address: '123 Main Street',
+      property_type: 'Retail',
+      purchase_price: 500000,
+      buyer_name: 'John Smith',
+      seller_name: null,
+      escrow_company: 'Chicago Title',
+      closing_date: '2024-03-15'
+    });
+  });
+
+  it('leaves out values of the wrong kind', () => {
+    const columns = searchColumns({ property: { purchasePrice: '$500,000' }, closingInfo: { outsideDate: '90 days after opening' } });
+
+    assert.equal(columns.purchase_price, null);
+    assert.equal(columns.closing_date, null);
+    assert.equal(searchColumns({ closingInfo: { outsideDate: '2026-02-30' } }).closing_date, null);
+    assert.deepEqual(searchColumns(null), searchColumns({}));
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('applies defaults', () => {
+    const { search } = parseSearchQuery({});
+
+    assert.equal(search.sort, 'created');
+    assert.equal(search.order, 'desc');
+    assert.equal(search.limit, 25);
+    assert.equal(parseSearchQuery({ sort: 'price' }).search.order, 'asc');
+    assert.equal(parseSearchQuery({ limit: '1000' }).search.limit, 100);
+    assert.equal(parseSearchQuery({ q: '   ' }).search.q, null);
+  });
+
+  it('rejects bad values', () => {
+    assert.equal(parseSearchQuery({ minPrice: '-1' }).error, 'minPrice must be a non-negative number');
+    assert.equal(parseSearchQuery({ maxPrice: 'lots' }).error, 'maxPrice must be a non-negative number');
+    assert.equal(parseSearchQuery({ closingFrom: '03/15/2024' }).error, 'closingFrom must be a YYYY-MM-DD date');
+    assert.equal(parseSearchQuery({ closingTo: '2024-02-30' }).error, 'closingTo must be a YYYY-MM-DD date');
+    assert.match(parseSearchQuery({ sort: 'name' }).error, /^sort must be one of: created, updated/);
+    assert.equal(parseSearchQuery({ order: 'up' }).error, 'order must be asc or desc');
+    assert.equal(parseSearchQuery({ cursor: 'not-a-cursor' }).error, 'Invalid cursor');
+  });
+});
+
+describe('searchContracts', () => {
+  const contract = (id, fields) => ({
+    id,
+    user_id: 'user-1',
+    status: 'open',
+    created_at: `2024-01-${id.slice(-2)}T00:00:00.000Z`,
+    extracted_text: 'purchase and sale agreement',
+    ...fields
+  });
+
+  beforeEach(() => {
+    supabase.tables.contracts = [
+      contract('contract-01', { purchase_price: 500000, buyer_name: 'John Smith', extracted_text: 'retail center with parking' }),
+      contract('contract-02', { purchase_price: 750000, buyer_name: 'Acme 100% Holdings' }),
+      contract('contract-03', { purchase_price: null, buyer_name: 'Jane Doe' }),
+      contract('contract-04', { purchase_price: 500000, buyer_name: 'John Smithers' }),
+      contract('contract-05', { purchase_price: 250000, buyer_name: 'Jane Doe', user_id: 'user-2' })
+    ];
+  });
+
+  const search = (query) => searchContracts({ id: 'user-1', email: 'owner@example.com' }, parseSearchQuery(query).search);
+
+  it('pages through results with cursors, nulls last', async () => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await search({ sort: 'price', limit: '2', cursor });
+      pages.push(page.contracts.map(item => item.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(pages, [['contract-01', 'contract-04'], ['contract-02', 'contract-03']]);
+  });
+
+  it('keeps its place when contracts are added', async () => {
+    const first = await search({ limit: '2' });
+    supabase.tables.contracts.push(contract('contract-09', {}));
+    const second = await search({ limit: '2', cursor: first.nextCursor });
+
+    assert.deepEqual(first.contracts.map(item => item.id), ['contract-04', 'contract-03']);
+    assert.deepEqual(second.contracts.map(item => item.id), ['contract-02', 'contract-01']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('filters by structured fields and text', async () => {
+    const ids = async (query) => (await search(query)).contracts.map(item => item.id);
+
+    assert.deepEqual(await ids({ buyer: 'smith', sort: 'created', order: 'asc' }), ['contract-01', 'contract-04']);
+    assert.deepEqual(await ids({ buyer: '100%' }), ['contract-02']);
+    assert.deepEqual(await ids({ minPrice: '600000' }), ['contract-02']);
+    assert.deepEqual(await ids({ q: 'retail parking' }), ['contract-01']);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRelativeDeadline, resolveDeadline, federalHolidays, computeDeadlines, collectDeadlines } = require('../services/deadlines');
+
+describe('parseRelativeDeadline', () => {
+  it('reads business days after an anchor', () => {
+    assert.deepEqual(parseRelativeDeadline('due within 3 business days of opening escrow'), {
+      amount: 3,
+      unit: 'business',
+      direction: 'after',
+      anchor: 'escrow.openingDate'
+    });
+  });
+
+  it('reads spelled-out numbers with the digits in parentheses', () => {
+    assert.deepEqual(parseRelativeDeadline('thirty (30) days after the opening of escrow'), {
+      amount: 30,
+      unit: 'calendar',
+      direction: 'after',
+      anchor: 'escrow.openingDate'
+    });
+  });
+
+  it('reads compound number words whole', () => {
+    const amount = (text) => parseRelativeDeadline(`${text} days after the opening of escrow`).amount;
+
+    assert.equal(amount('sixty-five'), 65);
+    assert.equal(amount('twenty-one (21)'), 21);
+    assert.equal(amount('Twenty One'), 21);
+    assert.equal(amount('seventeen'), 17);
+    assert.equal(amount('one hundred twenty'), 120);
+    assert.equal(amount('one hundred and five'), 105);
+  });
+
+  it('returns null when the words and the digits disagree', () => {
+    assert.equal(parseRelativeDeadline('thirty (60) days after the opening of escrow'), null);
+  });
+
+  it('treats banking and working days as business days', () => {
+    assert.equal(parseRelativeDeadline('10 banking days following expiration of the due diligence period').unit, 'business');
+    assert.equal(parseRelativeDeadline('ten working days following expiration of the due diligence period').unit, 'business');
+    assert.equal(parseRelativeDeadline('10 calendar days following expiration of the due diligence period').unit, 'calendar');
+  });
+
+  it('reads deadlines before an anchor', () => {
+    assert.deepEqual(parseRelativeDeadline('no later than five (5) days prior to the close of escrow'), {
+      amount: 5,
+      unit: 'calendar',
+      direction: 'before',
+      anchor: 'closingInfo.outsideDate'
+    });
+  });
+
+  it('returns null without a known anchor or amount', () => {
+    assert.equal(parseRelativeDeadline('within 3 business days of mutual acceptance'), null);
+    assert.equal(parseRelativeDeadline('promptly after opening escrow'), null);
+    assert.equal(parseRelativeDeadline('TBD'), null);
+    assert.equal(parseRelativeDeadline(null), null);
+  });
+});
+
+describe('resolveDeadline', () => {
+  const after = (amount, unit) => ({ amount, unit, direction: 'after' });
+  const before = (amount, unit) => ({ amount, unit, direction: 'before' });
+
+  it('skips weekends and holidays when counting business days', () => {
+    // Friday June 28, 2024; Thursday July 4 is a holiday
+    assert.equal(resolveDeadline('2024-06-28', after(3, 'business')), '2024-07-03');
+    assert.equal(resolveDeadline('2024-06-28', after(4, 'business')), '2024-07-05');
+  });
+
+  it('counts every day for calendar days', () => {
+    assert.equal(resolveDeadline('2024-01-15', after(30, 'calendar')), '2024-02-14');
+  });
+
+  it('rolls a calendar deadline that lands on a weekend to the next business day', () => {
+    // Saturday January 20 -> Monday January 22
+    assert.equal(resolveDeadline('2024-01-15', after(5, 'calendar')), '2024-01-22');
+  });
+
+  it('rolls a calendar deadline that lands on a holiday to the next business day', () => {
+    assert.equal(resolveDeadline('2024-06-28', after(6, 'calendar')), '2024-07-05');
+  });
+
+  it('rolls a deadline before the anchor back to the previous business day', () => {
+    assert.equal(resolveDeadline('2024-07-09', before(5, 'calendar')), '2024-07-03');
+    assert.equal(resolveDeadline('2024-07-09', before(3, 'business')), '2024-07-03');
+  });
+
+  it('can leave calendar deadlines where they land', () => {
+    assert.equal(resolveDeadline('2024-06-28', after(6, 'calendar'), { rollToBusinessDay: false }), '2024-07-04');
+  });
+
+  it('uses an explicit holiday list instead of the federal one', () => {
+    assert.equal(resolveDeadline('2024-06-28', after(6, 'calendar'), { holidays: [] }), '2024-07-04');
+    assert.equal(resolveDeadline('2024-06-28', after(7, 'calendar'), { holidays: ['2024-07-05'] }), '2024-07-08');
+  });
+});
+
+describe('federalHolidays', () => {
+  it('lists observed dates', () => {
+    const holidays = federalHolidays(2021);
+
+    assert.equal(holidays.length, 11);
+    assert.ok(holidays.includes('2021-01-18'), 'Martin Luther King Jr. Day');
+    assert.ok(holidays.includes('2021-07-05'), 'Independence Day on a Sunday moves to Monday');
+    assert.ok(holidays.includes('2021-11-25'), 'Thanksgiving');
+    assert.ok(holidays.includes('2021-12-24'), 'Christmas on a Saturday moves to Friday');
+  });
+});
+
+describe('computeDeadlines', () => {
+  const summary = () => ({
+    escrow: { openingDate: '2024-01-15' },
+    dueDiligence: { period: '30 days from opening of escrow', startDate: 'TBD', endDate: 'TBD' },
+    deposits: {
+      firstDeposit: { amount: 25000, timing: 'within 3 business days of opening escrow', refundable: true, refundableUntil: 'TBD' },
+      secondDeposit: { amount: 50000, timing: 'within 5 business days after expiration of the due diligence period', refundable: false, refundableUntil: 'TBD' }
+    },
+    closingInfo: { outsideDate: '2024-03-15' }
+  });
+
+  it('computes dates from contract language, in dependency order', () => {
+    const result = computeDeadlines(summary());
+
+    assert.equal(result.dueDiligence.startDate, '2024-01-15');
+    assert.equal(result.dueDiligence.endDate, '2024-02-14');
+    assert.equal(result.deposits.firstDeposit.dueDate, '2024-01-18');
+    // Presidents' Day, Monday February 19, is skipped
+    assert.equal(result.deposits.secondDeposit.dueDate, '2024-02-22');
+    assert.equal(result.deposits.firstDeposit.refundableUntil, '2024-02-14');
+    assert.equal(result.deposits.secondDeposit.refundableUntil, 'TBD');
+    assert.deepEqual(result._meta.computedDates['deposits.firstDeposit.dueDate'].anchor, 'escrow.openingDate');
+  });
+
+  it('recomputes dates when an anchor changes', () => {
+    const result = computeDeadlines(summary());
+    result.escrow.openingDate = '2024-02-01';
+    computeDeadlines(result);
+
+    // Saturday March 2 rolls to Monday March 4
+    assert.equal(result.dueDiligence.endDate, '2024-03-04');
+    assert.equal(result.deposits.firstDeposit.dueDate, '2024-02-06');
+    assert.equal(result.deposits.firstDeposit.refundableUntil, '2024-03-04');
+  });
+
+  it('clears dates computed from language that no longer parses', () => {
+    const result = computeDeadlines(summary());
+    result.deposits.firstDeposit.timing = 'upon mutual acceptance';
+    computeDeadlines(result);
+
+    assert.equal(result.deposits.firstDeposit.dueDate, 'TBD');
+    assert.equal('deposits.firstDeposit.dueDate' in result._meta.computedDates, false);
+  });
+
+  it('leaves dates edited by hand alone', () => {
+    const result = computeDeadlines(summary());
+    result.dueDiligence.endDate = '2024-03-01';
+    result._meta.provenance = { 'dueDiligence.endDate': { source: 'manual' } };
+    result.escrow.openingDate = '2024-02-01';
+    computeDeadlines(result);
+
+    assert.equal(result.dueDiligence.endDate, '2024-03-01');
+    // Dates anchored on it follow the edited value
+    assert.equal(result.deposits.firstDeposit.refundableUntil, '2024-03-01');
+  });
+
+  it('leaves dates it did not compute alone', () => {
+    const edited = summary();
+    edited.dueDiligence.endDate = '2024-02-20';
+
+    assert.equal(computeDeadlines(edited).dueDiligence.endDate, '2024-02-20');
+  });
+});
+
+describe('collectDeadlines', () => {
+  it('lists the dated milestones in date order', () => {
+    const deadlines = collectDeadlines({
+      escrow: { openingDate: '2024-01-15' },
+      dueDiligence: { period: '30 days from opening of escrow', endDate: '2024-02-14' },
+      deposits: { firstDeposit: { amount: 25000, timing: 'within 3 business days of opening escrow', dueDate: '2024-01-18' } },
+      closingInfo: { outsideDate: '2024-03-15', actualClosing: 'TBD', extensions: { automatic: true } },
+      financing: { loanContingency: { deadline: null } },
+      contingencies: ['inspection', { name: 'Appraisal', deadline: '2024-02-01' }]
+    });
+
+    assert.deepEqual(deadlines.map(({ key, date }) => [key, date]), [
+      ['escrow-opening', '2024-01-15'],
+      ['first-deposit-due', '2024-01-18'],
+      ['contingency-1', '2024-02-01'],
+      ['due-diligence-end', '2024-02-14'],
+      ['outside-date', '2024-03-15']
+    ]);
+    assert.equal(deadlines[1].description, 'Amount: $25,000\nTerms: within 3 business days of opening escrow');
+    assert.equal(deadlines[2].label, 'Contingency: Appraisal');
+    assert.equal(deadlines[3].description, '30 days from opening of escrow');
+    assert.equal(deadlines[4].description, 'Automatic extension applies');
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { contractDeposits, deriveStatus, describeDeposit, transitionError, syncDeposits } = require('../services/deposits');
+
+const deposit = (fields) => ({
+  id: 'deposit-1',
+  amount: 25000,
+  due_date: '2024-01-18',
+  refundable: true,
+  refundable_until: '2024-02-14',
+  status: 'not_yet_due',
+  ...fields
+});
+
+describe('contractDeposits', () => {
+  it('lists the deposits the contract names, skipping empty ones', () => {
+    const named = contractDeposits({
+      deposits: {
+        firstDeposit: { amount: 25000, timing: 'within 3 business days of opening escrow' },
+        secondDeposit: { amount: 'Not found', timing: 'TBD', dueDate: 'TBD' },
+        additionalDeposits: [{ amount: 10000, dueDate: '2024-03-01' }, { amount: 5000, label: 'Extension deposit' }]
+      }
+    });
+
+    assert.deepEqual(named.map(({ path, position, label }) => [path, position, label]), [
+      ['deposits.firstDeposit', 1, 'First deposit'],
+      ['deposits.additionalDeposits.0', 3, 'Additional deposit 1'],
+      ['deposits.additionalDeposits.1', 4, 'Extension deposit']
+    ]);
+  });
+});
+
+describe('deriveStatus', () => {
+  it('is due from the due date until paid in full', () => {
+    assert.equal(deriveStatus(deposit(), 0, '2024-01-17'), 'not_yet_due');
+    assert.equal(deriveStatus(deposit(), 0, '2024-01-18'), 'due');
+    assert.equal(deriveStatus(deposit(), 10000, '2024-01-20'), 'due');
+  });
+
+  it('goes hard once paid and the refund window has closed', () => {
+    assert.equal(deriveStatus(deposit(), 25000, '2024-02-14'), 'paid');
+    assert.equal(deriveStatus(deposit(), 25000, '2024-02-15'), 'hard');
+    assert.equal(deriveStatus(deposit({ refundable: false }), 25000, '2024-01-20'), 'hard');
+  });
+
+  it('keeps statuses the user recorded', () => {
+    assert.equal(deriveStatus(deposit({ status: 'hard' }), 25000, '2024-01-20'), 'hard');
+    assert.equal(deriveStatus(deposit({ status: 'refunded' }), 25000, '2024-03-01'), 'refunded');
+    assert.equal(deriveStatus(deposit({ status: 'released' }), 0, '2024-03-01'), 'released');
+  });
+});
+
+describe('describeDeposit', () => {
+  it('adds payment totals and how long an open deposit is overdue', () => {
+    const payments = [
+      { deposit_id: 'deposit-1', amount: 15000, paid_on: '2024-01-19' },
+      { deposit_id: 'deposit-1', amount: 5000, paid_on: '2024-01-18' },
+      { deposit_id: 'deposit-2', amount: 50000, paid_on: '2024-01-18' }
+    ];
+
+    const described = describeDeposit(deposit({ status: 'due' }), payments, '2024-01-25');
+
+    assert.equal(described.paid_amount, 20000);
+    assert.equal(described.balance, 5000);
+    assert.equal(described.paid_in_full_on, null);
+    assert.equal(described.overdue, true);
+    assert.equal(described.days_overdue, 7);
+    assert.deepEqual(described.payments.map(payment => payment.paid_on), ['2024-01-18', '2024-01-19']);
+  });
+});
+
+describe('transitionError', () => {
+  it('allows only the recorded transitions', () => {
+    assert.equal(transitionError('paid', 'hard'), null);
+    assert.equal(transitionError('hard', 'released'), null);
+    assert.equal(transitionError('paid', 'refunded'), null);
+    assert.equal(transitionError('hard', 'refunded'), 'A hard deposit can\'t be marked refunded');
+    assert.equal(transitionError('not_yet_due', 'released'), 'A not yet due deposit can\'t be marked released');
+    assert.match(transitionError('due', 'paid'), /^Status can only be set to hard, released, refunded/);
+  });
+});
+
+describe('syncDeposits', () => {
+  beforeEach(() => {
+    supabase.tables.contracts = [{
+      id: 'contract-1',
+      user_id: 'user-1',
+      effective_terms: null,
+      analysis: {
+        deposits: {
+          firstDeposit: { amount: 25000, dueDate: '2024-01-18', refundable: false, status: 'not_yet_due', actualDate: 'TBD' },
+          secondDeposit: { amount: 'Not found' }
+        },
+        _meta: { provenance: {} }
+      }
+    }];
+    supabase.tables.deposits = [];
+    supabase.tables.deposit_payments = [];
+  });
+
+  it('creates ledger rows for the contract deposits and writes their status back', async () => {
+    const ledger = await syncDeposits('contract-1', 'user-1');
+
+    assert.equal(supabase.tables.deposits.length, 1);
+    assert.equal(ledger.deposits[0].analysis_path, 'deposits.firstDeposit');
+    assert.equal(ledger.deposits[0].status, 'due');
+    assert.equal(ledger.totals.outstanding, 25000);
+
+    const analysis = supabase.tables.contracts[0].analysis;
+    assert.equal(analysis.deposits.firstDeposit.status, 'due');
+    assert.equal(analysis.deposits.totalDeposits, 25000);
+    assert.equal(analysis._meta.provenance['deposits.firstDeposit.status'].source, 'ledger');
+  });
+
+  it('marks a deposit paid in full with the date it was paid', async () => {
+    await syncDeposits('contract-1', 'user-1');
+    supabase.tables.deposit_payments.push({ contract_id: 'contract-1', deposit_id: supabase.tables.deposits[0].id, amount: 25000, paid_on: '2024-01-17' });
+
+    const ledger = await syncDeposits('contract-1', 'user-1');
+
+    assert.equal(ledger.deposits[0].status, 'hard');
+    assert.equal(supabase.tables.contracts[0].analysis.deposits.firstDeposit.actualDate, '2024-01-17');
+  });
+
+  it('does not sync another user\'s contract', async () => {
+    assert.equal(await syncDeposits('contract-1', 'user-2'), null);
+    assert.equal(supabase.tables.deposits.length, 0);
+  });
+});
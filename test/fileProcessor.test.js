@@ -0,0 +1,79 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractDocuments } = require('../services/fileProcessor');
+
+const CONTRACT = [
+  'PURCHASE AND SALE AGREEMENT',
+  'Seller agrees to sell and Buyer agrees to buy the property at 123 Main Street, Anytown, CA 90210.',
+  'The purchase price is $500,000, payable in cash at the close of escrow.'
+].join('\n');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+
+/**
+ * A saved email with the given MIME parts after its message body
+ */
+function email(body, parts) {
+  const lines = [
+    'From: Broker <broker@example.com>',
+    'To: Agent <agent@example.com>',
+    'Subject: Signed agreement',
+    'Date: Mon, 15 Jan 2024 10:00:00 +0000',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="BOUNDARY"',
+    '',
+    '--BOUNDARY',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body
+  ];
+  parts.forEach(({ headers, content }) => {
+    lines.push('--BOUNDARY', ...headers, 'Content-Transfer-Encoding: base64', '', content.toString('base64'));
+  });
+  lines.push('--BOUNDARY--', '');
+  return Buffer.from(lines.join('\r\n'));
+}
+
+describe('extractDocuments', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  describe('emails', () => {
+    it('skips inline and small images and attachments with too little text', async () => {
+      const documents = await extractDocuments(email('Please see the attached agreement.', [
+        { headers: ['Content-Type: image/png', 'Content-Disposition: inline; filename="logo.png"', 'Content-ID: <logo@example.com>'], content: PNG },
+        { headers: ['Content-Type: image/png', 'Content-Disposition: attachment; filename="badge.png"'], content: PNG },
+        { headers: ['Content-Type: text/plain', 'Content-Disposition: attachment; filename="note.txt"'], content: Buffer.from('Call me about the deposit.') },
+        { headers: ['Content-Type: text/plain', 'Content-Disposition: attachment; filename="agreement.txt"'], content: Buffer.from(CONTRACT) }
+      ]), 'forwarded.eml');
+
+      assert.deepEqual(documents.map(document => document.fileName), ['agreement.txt']);
+      assert.deepEqual(documents[0].extraction.email.skippedAttachments.map(({ fileName, reason }) => [fileName, reason]), [
+        ['logo.png', 'Inline image'],
+        ['badge.png', 'Image too small to be a contract page'],
+        ['note.txt', 'Failed to extract text from TXT file: Text file appears to be empty or too short.']
+      ]);
+    });
+
+    it('falls back to a long enough message body', async () => {
+      const documents = await extractDocuments(email(CONTRACT, [
+        { headers: ['Content-Type: image/png', 'Content-Disposition: inline; filename="logo.png"', 'Content-ID: <logo@example.com>'], content: PNG }
+      ]), 'agreement.eml');
+
+      assert.equal(documents.length, 1);
+      assert.equal(documents[0].fileName, 'agreement.eml');
+      assert.match(documents[0].text, /PURCHASE AND SALE AGREEMENT/);
+
+      await assert.rejects(
+        extractDocuments(email('See attached.', []), 'empty.eml'),
+        /message body is too short/
+      );
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const CFB = require('cfb');
+
+/**
+ * Builds the binary Word fixtures in this directory: node test/fixtures/word/build.js
+ *
+ * Each file is an OLE2 compound file laid out the way Word writes it, with only
+ * the FIB fields and tables the extractor reads filled in ([MS-DOC] 2.5, 2.9.38).
+ * The text is an old brokerage purchase agreement template.
+ */
+
+const WORD_IDENT = 0xa5ec;
+const NFIB_WORD97 = 0x00c1;
+const NFIB_WORD95 = 0x0068;
+
+const FLAG_COMPLEX = 0x0004;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_WHICH_TABLE = 0x0200;
+
+const cp1252 = (text) => Buffer.from(text.replace(/[“”]/g, (quote) => (quote === '“' ? '\x93' : '\x94')), 'latin1');
+
+/**
+ * Word 97 document whose text is split across pieces the way a fast save leaves
+ * it: stored out of order in the WordDocument stream, some compressed (cp1252)
+ * and some UTF-16LE, with the piece table behind a property modifier in 1Table
+ */
+function buildWord97({ encrypted = false } = {}) {
+  const pieces = [
+    // Compressed: header, a table (cells end in 0x07, rows in 0x07 0x07) and smart quotes
+    {
+      compressed: true,
+      fc: 0x0c00,
+      text: 'RESIDENTIAL PURCHASE AGREEMENT\r' +
+        '1. PROPERTY\r' +
+        'Seller agrees to sell the real property at 123 Main Street, Anytown, CA 90210 “as is”.\r' +
+        'Deposit\x07Amount\x07Due\x07\x07' +
+        'Initial deposit\x07$25,000\x07within 3 business days\x07\x07'
+    },
+    // UTF-16LE: a page break, characters outside cp1252 and a hyperlink field
+    {
+      compressed: false,
+      fc: 0x0800,
+      text: '\x0c2. CLOSING\r' +
+        'Close of escrow within 60 days — see \x13 HYPERLINK "https://escrow.example.com" \x14the escrow instructions\x15.\r' +
+        'Buyer: José Núñez Łukasz €\r'
+    },
+    // Compressed again: a nested field, a non-breaking hyphen and a footnote anchor
+    {
+      compressed: true,
+      fc: 0x0e00,
+      text: 'Signed on \x13 DATE \x13 SET x \x14ignored\x15 \x14March 3, 1998\x15 by the sell\x1eside agent.\x02\r'
+    }
+  ];
+  // Footnote text follows the main text and must not be extracted
+  const footnote = { compressed: true, fc: 0x0f00, text: '\x02 Footnote: excluded from the main text.\r' };
+
+  const word = Buffer.alloc(0x1000);
+  word.writeUInt16LE(WORD_IDENT, 0x00);
+  word.writeUInt16LE(NFIB_WORD97, 0x02);
+  word.writeUInt16LE(FLAG_COMPLEX | FLAG_WHICH_TABLE | (encrypted ? FLAG_ENCRYPTED : 0), 0x0a);
+
+  const all = [...pieces, footnote];
+  const ccpText = pieces.reduce((total, piece) => total + piece.text.length, 0);
+  word.writeUInt32LE(ccpText, 0x4c);
+
+  all.forEach(piece => {
+    const bytes = piece.compressed ? cp1252(piece.text) : Buffer.from(piece.text, 'utf16le');
+    bytes.copy(word, piece.fc);
+  });
+
+  // Clx: one Prc (a 4-byte grpprl) followed by the Pcdt and its PlcPcd
+  const prc = Buffer.from([0x01, 0x04, 0x00, 0x03, 0x08, 0x00, 0x00]);
+  const plcPcd = Buffer.alloc((all.length + 1) * 4 + all.length * 8);
+  let cp = 0;
+  all.forEach((piece, index) => {
+    plcPcd.writeUInt32LE(cp, index * 4);
+    cp += piece.text.length;
+    const fc = piece.compressed ? (piece.fc * 2) | 0x40000000 : piece.fc;
+    plcPcd.writeUInt32LE(fc, (all.length + 1) * 4 + index * 8 + 2);
+  });
+  plcPcd.writeUInt32LE(cp, all.length * 4);
+
+  const pcdt = Buffer.alloc(5);
+  pcdt[0] = 0x02;
+  pcdt.writeUInt32LE(plcPcd.length, 1);
+
+  // Some unrelated table data ahead of the Clx, as in a real table stream
+  const table = Buffer.concat([Buffer.alloc(0x40, 0xff), prc, pcdt, plcPcd]);
+  word.writeUInt32LE(0x40, 0x01a2);
+  word.writeUInt32LE(prc.length + pcdt.length + plcPcd.length, 0x01a6);
+
+  if (encrypted) {
+    // The text of an encrypted file is unreadable without the key
+    for (let offset = 0x0800; offset < word.length; offset++) {
+      word[offset] ^= 0x5a;
+    }
+  }
+
+  return compoundFile({ WordDocument: word, '1Table': table });
+}
+
+/**
+ * Word 95 document: one cp1252 run from fcMin, main text first, then footnotes
+ * @param {Object} [options]
+ * @param {boolean} [options.fastSaved] - Set fComplex, as a fast save does
+ */
+function buildWord95({ fastSaved = false } = {}) {
+  const main = 'EXCLUSIVE LISTING AGREEMENT\r' +
+    'Broker:\x07Acme Realty\x07\x07' +
+    'Commission:\x076% of the “purchase price”\x07\x07' +
+    'Term ends December 31, 1996.\r';
+  const footnotes = 'Footnote: excluded from the main text.\r';
+
+  const fcMin = 0x0300;
+  const text = cp1252(main + footnotes);
+  const word = Buffer.alloc(0x0600);
+  word.writeUInt16LE(WORD_IDENT, 0x00);
+  word.writeUInt16LE(NFIB_WORD95, 0x02);
+  word.writeUInt16LE(fastSaved ? FLAG_COMPLEX : 0, 0x0a);
+  word.writeUInt32LE(fcMin, 0x18);
+  word.writeUInt32LE(fcMin + text.length, 0x1c);
+  word.writeUInt32LE(main.length, 0x34);
+  text.copy(word, fcMin);
+
+  return compoundFile({ WordDocument: word });
+}
+
+/**
+ * An OLE2 compound file with the given streams
+ */
+function compoundFile(streams) {
+  const container = CFB.utils.cfb_new();
+  Object.entries(streams).forEach(([name, content]) => {
+    CFB.utils.cfb_add(container, `/${name}`, content);
+  });
+  return CFB.write(container, { type: 'buffer' });
+}
+
+const FIXTURES = {
+  'word97-pieces.doc': () => buildWord97(),
+  'word97-encrypted.doc': () => buildWord97({ encrypted: true }),
+  'word95.doc': () => buildWord95(),
+  'word95-fast-saved.doc': () => buildWord95({ fastSaved: true })
+};
+
+if (require.main === module) {
+  Object.entries(FIXTURES).forEach(([name, build]) => {
+    fs.writeFileSync(path.join(__dirname, name), build());
+    console.log(`📄 Wrote ${name}`);
+  });
+}
+
+module.exports = {
+  compoundFile
+};
@@ -0,0 +1,46 @@
+const express = require('express');
+
+/**
+ * Serve routers on an ephemeral port for route tests
+ * @param {Object<string, express.Router>} routers - Mount path -> router
+ * @returns {Promise<{request: Function, close: Function}>}
+ */
+async function serve(routers) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const { port } = server.address();
+
+  /**
+   * Send a request as the user holding `token`
+   * @returns {Promise<{status: number, body: *}>}
+   */
+  async function request(method, url, { body, token = 'owner-token' } = {}) {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`http://127.0.0.1:${port}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      body: type.includes('json') ? await response.json() : await response.text()
+    };
+  }
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  serve
+};
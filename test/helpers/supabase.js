@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * In-memory stand-in for the Supabase client, for route tests.
+ *
+ * Tables are plain arrays of rows in `client.tables`. The query builder
+ * supports the filters, ordering and single-row calls the routes and services
+ * use; selected columns are ignored and whole rows come back. Users are looked
+ * up by access token in `client.users`.
+ */
+
+/**
+ * Read a column, following `->`/`->>` JSON paths (analysis->property->>purchasePrice)
+ */
+function column(row, name) {
+  return name.split(/->>?/).reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), row);
+}
+
+const compare = (a, b) => (a > b ? 1 : a < b ? -1 : 0);
+
+/**
+ * Split a PostgREST filter list on top-level commas
+ */
+function splitFilters(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+const unquote = (value) => (value.startsWith('"') ? JSON.parse(value) : value);
+
+/**
+ * Predicate for one PostgREST filter, e.g. "status.eq.open" or "and(a.gt.1,b.lt.2)"
+ */
+function filterPredicate(filter) {
+  if (filter.startsWith('and(')) {
+    const predicates = splitFilters(filter.slice(4, -1)).map(filterPredicate);
+    return row => predicates.every(predicate => predicate(row));
+  }
+
+  const [, name, operator, raw] = filter.match(/^([\w.>-]+?)\.(eq|neq|lt|lte|gt|gte|is|ilike|in)\.(.*)$/);
+  if (operator === 'in') {
+    const values = splitFilters(raw.slice(1, -1)).filter(Boolean).map(unquote);
+    return row => values.includes(String(column(row, name)));
+  }
+  if (operator === 'ilike') {
+    const pattern = new RegExp(`^${unquote(raw).replace(/%/g, '.*')}$`, 'i');
+    return row => pattern.test(String(column(row, name) || ''));
+  }
+
+  const value = unquote(raw);
+  return row => {
+    const actual = column(row, name);
+    if (operator === 'is') return (actual === undefined ? null : actual) === (value === 'null' ? null : value);
+    if (operator === 'eq') return String(actual) === String(value);
+    if (operator === 'neq') return String(actual) !== String(value);
+    if (actual === null || actual === undefined) return false;
+    const target = typeof actual === 'number' ? Number(value) : value;
+    return { lt: actual < target, lte: actual <= target, gt: actual > target, gte: actual >= target }[operator];
+  };
+}
+
+class Query {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.operation = 'select';
+    this.filters = [];
+    this.orders = [];
+  }
+
+  select(columns, { count } = {}) {
+    this.counted = Boolean(count);
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.operation = 'upsert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    this.conflict = onConflict.split(',');
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(name, value) { return this.where(row => String(column(row, name)) === String(value)); }
+  neq(name, value) { return this.where(row => String(column(row, name)) !== String(value)); }
+  in(name, values) { return this.where(row => values.map(String).includes(String(column(row, name)))); }
+  lt(name, value) { return this.where(row => column(row, name) < value); }
+  lte(name, value) { return this.where(row => column(row, name) <= value); }
+  gt(name, value) { return this.where(row => column(row, name) > value); }
+  gte(name, value) { return this.where(row => column(row, name) >= value); }
+  is(name, value) { return this.where(row => (column(row, name) === undefined ? null : column(row, name)) === value); }
+  not(name, operator, value) { return this.where(row => !filterPredicate(`${name}.${operator}.${value}`)(row)); }
+  ilike(name, pattern) { return this.where(filterPredicate(`${name}.ilike.${pattern}`)); }
+  contains(name, value) { return this.where(row => JSON.stringify(column(row, name) || '').includes(JSON.stringify(value).slice(1, -1))); }
+
+  or(expression) {
+    const predicates = splitFilters(expression).map(filterPredicate);
+    return this.where(row => predicates.some(predicate => predicate(row)));
+  }
+
+  textSearch(name, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.where(row => words.every(word => String(column(row, name) || '').toLowerCase().includes(word)));
+  }
+
+  order(name, { ascending = true } = {}) {
+    this.orders.push({ name, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.one = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.one = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const rows = this.client.tables[this.table] = this.client.tables[this.table] || [];
+    const now = new Date().toISOString();
+    let result;
+    let count;
+
+    if (this.operation === 'insert' || this.operation === 'upsert') {
+      result = this.rows.map(row => {
+        if (this.operation === 'upsert') {
+          const existing = rows.find(candidate => this.conflict.every(key => candidate[key] === row[key]));
+          if (existing && this.ignoreDuplicates) return null;
+          if (existing) return Object.assign(existing, row);
+        }
+        const inserted = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...row };
+        rows.push(inserted);
+        return inserted;
+      }).filter(Boolean);
+    } else {
+      result = rows.filter(row => this.filters.every(predicate => predicate(row)));
+
+      if (this.operation === 'update') {
+        result.forEach(row => Object.assign(row, JSON.parse(JSON.stringify(this.values))));
+      } else if (this.operation === 'delete') {
+        result.forEach(row => rows.splice(rows.indexOf(row), 1));
+      }
+
+      [...this.orders].reverse().forEach(({ name, ascending }) => {
+        result = [...result].sort((a, b) => {
+          const [x, y] = [column(a, name), column(b, name)];
+          if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+          if (y === null || y === undefined) return -1;
+          return compare(x, y) * (ascending ? 1 : -1);
+        });
+      });
+
+      count = result.length;
+      if (this.rangeBounds) result = result.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+      if (this.limitCount !== undefined) result = result.slice(0, this.limitCount);
+    }
+
+    // Callers get copies, as from the network
+    const data = JSON.parse(JSON.stringify(result));
+
+    if (this.one) {
+      if (data.length === 0) {
+        return this.one === 'single'
+          ? { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } }
+          : { data: null, error: null };
+      }
+      return { data: data[0], error: null };
+    }
+
+    return { data, error: null, count: this.counted ? count : null };
+  }
+}
+
+/**
+ * A fresh fake client with the given users (access token -> user)
+ */
+function createFakeSupabase({ users = {} } = {}) {
+  const client = {
+    tables: {},
+    files: {},
+    users,
+    from: (table) => new Query(client, table),
+    rpc: async (name) => ({ data: null, error: { message: `Function ${name} is not available` } }),
+    auth: {
+      getUser: async (token) => (users[token]
+        ? { data: { user: users[token] }, error: null }
+        : { data: { user: null }, error: { message: 'Invalid token' } }),
+      admin: {
+        getUserById: async (id) => ({ data: { user: Object.values(users).find(user => user.id === id) || null }, error: null }),
+        inviteUserByEmail: async (email) => ({ data: { user: { email } }, error: null })
+      }
+    },
+    storage: {
+      from: (bucket) => ({
+        upload: async (key, body) => {
+          client.files[`${bucket}/${key}`] = Buffer.from(body);
+          return { data: { path: key }, error: null };
+        },
+        download: async (key) => (client.files[`${bucket}/${key}`]
+          ? { data: new Blob([client.files[`${bucket}/${key}`]]), error: null }
+          : { data: null, error: { message: 'Object not found' } }),
+        remove: async (keys) => {
+          keys.forEach(key => delete client.files[`${bucket}/${key}`]);
+          return { data: [], error: null };
+        }
+      })
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Make config/database export a fake client. Call before requiring routes or services.
+ * @returns {Object} - The fake client
+ */
+function useFakeSupabase(options) {
+  const client = createFakeSupabase(options);
+  const file = path.join(__dirname, '..', '..', 'config', 'database.js');
+  require.cache[file] = { id: file, filename: file, loaded: true, exports: client };
+  return client;
+}
+
+module.exports = {
+  createFakeSupabase,
+  useFakeSupabase
+};
@@ -0,0 +1,122 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LLM_UNAVAILABLE, isTransient, isUnavailable, breakerStatus, resetBreaker, withRetry } = require('../services/llmRetry');
+
+const withStatus = (message, status, headers) => Object.assign(new Error(message), { status, headers });
+
+/**
+ * A request that fails with each error in turn, then answers 'ok'
+ */
+function flaky(...errors) {
+  const request = async () => {
+    request.calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  request.calls = 0;
+  return request;
+}
+
+describe('isTransient', () => {
+  it('retries rate limits, overload, server errors and dropped connections', () => {
+    assert.equal(isTransient(withStatus('rate limited', 429)), true);
+    assert.equal(isTransient(withStatus('overloaded', 529)), true);
+    assert.equal(isTransient(withStatus('bad gateway', 502)), true);
+    assert.equal(isTransient(new Error('socket hang up')), true);
+    assert.equal(isTransient(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { name: 'APIConnectionError' })), true);
+  });
+
+  it('does not retry the request\'s own faults', () => {
+    assert.equal(isTransient(withStatus('invalid request', 400)), false);
+    assert.equal(isTransient(withStatus('invalid x-api-key', 401)), false);
+    assert.equal(isTransient(new Error('Cannot read properties of undefined')), false);
+  });
+});
+
+describe('withRetry', () => {
+  before(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.LLM_RETRY_BASE_MS = '1';
+    process.env.LLM_RETRY_MAX_MS = '50';
+  });
+
+  after(() => {
+    mock.restoreAll();
+    delete process.env.LLM_RETRY_BASE_MS;
+    delete process.env.LLM_RETRY_MAX_MS;
+  });
+
+  afterEach(() => {
+    resetBreaker();
+    delete process.env.LLM_MAX_RETRIES;
+    delete process.env.LLM_BREAKER_THRESHOLD;
+    delete process.env.LLM_BREAKER_COOLDOWN_MS;
+  });
+
+  it('retries transient failures until the request succeeds', async () => {
+    const request = flaky(withStatus('overloaded', 529), new Error('socket hang up'));
+
+    assert.equal(await withRetry(request), 'ok');
+    assert.equal(request.calls, 3);
+  });
+
+  it('waits as long as retry-after asks', async () => {
+    const request = flaky(withStatus('rate limited', 429, { 'retry-after': '0.02' }));
+    const started = Date.now();
+
+    await withRetry(request);
+
+    assert.ok(Date.now() - started >= 15);
+  });
+
+  it('throws other errors without retrying', async () => {
+    const request = flaky(withStatus('invalid request', 400));
+
+    await assert.rejects(withRetry(request), /invalid request/);
+    assert.equal(request.calls, 1);
+  });
+
+  it('gives up as unavailable after its retries', async () => {
+    process.env.LLM_MAX_RETRIES = '2';
+    const request = flaky(...Array(5).fill(withStatus('overloaded', 529)));
+
+    const error = await withRetry(request).catch(caught => caught);
+
+    assert.equal(error.code, LLM_UNAVAILABLE);
+    assert.equal(isUnavailable(error), true);
+    assert.match(error.message, /HTTP 529 after 3 attempt\(s\)/);
+    assert.equal(request.calls, 3);
+  });
+
+  it('gives up straight away when asked to wait longer than it would back off', async () => {
+    const request = flaky(withStatus('rate limited', 429, { 'retry-after': '120' }));
+
+    const error = await withRetry(request).catch(caught => caught);
+
+    assert.equal(error.code, LLM_UNAVAILABLE);
+    assert.equal(request.calls, 1);
+    assert.ok(error.retryInMs >= 119000);
+  });
+
+  it('opens the breaker after repeated failures and closes it on success', async () => {
+    process.env.LLM_MAX_RETRIES = '0';
+    process.env.LLM_BREAKER_THRESHOLD = '2';
+    process.env.LLM_BREAKER_COOLDOWN_MS = '20';
+
+    await assert.rejects(withRetry(flaky(withStatus('overloaded', 529))), { code: LLM_UNAVAILABLE });
+    assert.equal(breakerStatus().open, false);
+    await assert.rejects(withRetry(flaky(withStatus('overloaded', 529))), { code: LLM_UNAVAILABLE });
+    assert.equal(breakerStatus().open, true);
+
+    // Fails fast without calling the API
+    const request = flaky();
+    await assert.rejects(withRetry(request), /circuit breaker open/);
+    assert.equal(request.calls, 0);
+
+    // After the cooldown one trial request goes through
+    await new Promise(resolve => setTimeout(resolve, 25));
+    assert.equal(await withRetry(request), 'ok');
+    assert.deepEqual(breakerStatus(), { open: false, consecutiveFailures: 0, retryInMs: 0 });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPath, setPath, deletePath, flattenObject } = require('../utils/objectPath');
+
+describe('getPath', () => {
+  it('reads nested values and array elements', () => {
+    const summary = { deposits: { firstDeposit: { amount: 25000 } }, contingencies: ['inspection'] };
+
+    assert.equal(getPath(summary, 'deposits.firstDeposit.amount'), 25000);
+    assert.equal(getPath(summary, 'contingencies.0'), 'inspection');
+    assert.equal(getPath(summary, ''), summary);
+  });
+
+  it('returns undefined past a missing segment', () => {
+    assert.equal(getPath({ escrow: null }, 'escrow.openingDate'), undefined);
+    assert.equal(getPath({}, 'deposits.firstDeposit.amount'), undefined);
+  });
+});
+
+describe('setPath', () => {
+  it('creates intermediate objects and replaces non-objects', () => {
+    const summary = { escrow: 'TBD' };
+
+    setPath(summary, 'escrow.openingDate', '2024-01-15');
+    setPath(summary, ['deposits', 'firstDeposit', 'amount'], 25000);
+
+    assert.deepEqual(summary, {
+      escrow: { openingDate: '2024-01-15' },
+      deposits: { firstDeposit: { amount: 25000 } }
+    });
+  });
+});
+
+describe('deletePath', () => {
+  it('deletes object keys and splices array elements', () => {
+    const summary = { escrow: { openingDate: 'soon' }, contingencies: ['a', 'b', 'c'] };
+
+    assert.equal(deletePath(summary, 'escrow.openingDate'), true);
+    assert.equal(deletePath(summary, 'contingencies.1'), true);
+    assert.deepEqual(summary, { escrow: {}, contingencies: ['a', 'c'] });
+  });
+
+  it('reports when there is nothing to delete', () => {
+    assert.equal(deletePath({}, 'escrow.openingDate'), false);
+    assert.equal(deletePath({ escrow: {} }, 'escrow.openingDate'), false);
+  });
+});
+
+describe('flattenObject', () => {
+  it('lists leaf values by dotted path', () => {
+    const summary = {
+      escrow: { openingDate: '2024-01-15' },
+      contingencies: ['inspection'],
+      titleCompany: {},
+      _meta: { mode: 'single' }
+    };
+
+    assert.deepEqual(flattenObject(summary, { skip: ['_meta'] }), {
+      'escrow.openingDate': '2024-01-15',
+      'contingencies.0': 'inspection',
+      titleCompany: {}
+    });
+  });
+
+  it('keeps arrays whole when asked', () => {
+    assert.deepEqual(flattenObject({ contingencies: ['inspection', 'appraisal'], escrow: { openingDate: '2024-01-15' } }, { keepArrays: true }), {
+      contingencies: ['inspection', 'appraisal'],
+      'escrow.openingDate': '2024-01-15'
+    });
+  });
+});
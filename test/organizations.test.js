@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+const supabase = useFakeSupabase();
+const { normalizeEmail, hasAccess, loadContractAccess, contractScopeFilter } = require('../services/organizations');
+
+const users = {
+  owner: { id: 'user-owner', email: 'owner@example.com' },
+  agent: { id: 'user-agent', email: 'agent@example.com' },
+  attorney: { id: 'user-attorney', email: 'Counsel@Example.com' },
+  outsider: { id: 'user-outsider', email: 'outsider@example.com' }
+};
+
+const member = (user, role, status = 'active') => ({ organization_id: 'org-1', user_id: user.id, email: normalizeEmail(user.email), role, status });
+
+describe('hasAccess', () => {
+  it('orders access levels view < edit < manage', () => {
+    assert.equal(hasAccess('manage', 'edit'), true);
+    assert.equal(hasAccess('edit', 'edit'), true);
+    assert.equal(hasAccess('view', 'edit'), false);
+    assert.equal(hasAccess(null, 'view'), false);
+    assert.equal(hasAccess('owner', 'view'), false);
+  });
+});
+
+describe('normalizeEmail', () => {
+  it('trims and lowercases', () => {
+    assert.equal(normalizeEmail('  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+    assert.equal(normalizeEmail(undefined), '');
+  });
+});
+
+describe('contract access', () => {
+  beforeEach(() => {
+    supabase.tables.contracts = [
+      { id: 'personal', user_id: users.owner.id, organization_id: null },
+      { id: 'org-owned', user_id: users.agent.id, organization_id: 'org-1' },
+      { id: 'other-org', user_id: users.outsider.id, organization_id: 'org-2' }
+    ];
+    supabase.tables.organization_members = [
+      member(users.owner, 'owner'),
+      member(users.agent, 'agent'),
+      member(users.attorney, 'external_attorney'),
+      member(users.outsider, 'admin', 'invited')
+    ];
+    supabase.tables.contract_shares = [{ contract_id: 'org-owned', email: 'counsel@example.com', access: 'edit' }];
+  });
+
+  const access = async (contractId, user) => {
+    const contract = await loadContractAccess(contractId, user);
+    return contract && contract.access;
+  };
+
+  it('gives the uploader of a personal contract manage access', async () => {
+    assert.equal(await access('personal', users.owner), 'manage');
+    assert.equal(await access('personal', users.agent), null);
+  });
+
+  it('grants organization contracts by role, and manage to the agent who added them', async () => {
+    assert.equal(await access('org-owned', users.owner), 'manage');
+    assert.equal(await access('org-owned', users.agent), 'manage');
+    supabase.tables.contracts[1].user_id = users.owner.id;
+    assert.equal(await access('org-owned', users.agent), 'view');
+  });
+
+  it('grants shared contracts to the email they were shared with', async () => {
+    assert.equal(await access('org-owned', users.attorney), 'edit');
+    supabase.tables.contract_shares = [];
+    assert.equal(await access('org-owned', users.attorney), null);
+  });
+
+  it('ignores pending memberships and missing contracts', async () => {
+    supabase.tables.contracts[2].organization_id = 'org-1';
+    assert.equal(await access('other-org', users.outsider), null);
+    assert.equal(await loadContractAccess('missing', users.owner), null);
+  });
+
+  it('scopes contract lists to what the user can see', async () => {
+    const visible = async (user) => (await supabase.from('contracts').select('id').or(await contractScopeFilter(user))).data.map(row => row.id);
+
+    assert.deepEqual(await visible(users.owner), ['personal', 'org-owned']);
+    assert.deepEqual(await visible(users.agent), ['org-owned']);
+    assert.deepEqual(await visible(users.attorney), ['org-owned']);
+    assert.deepEqual(await visible(users.outsider), []);
+  });
+});
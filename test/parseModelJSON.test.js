@@ -0,0 +1,110 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider, setProvider } = require('../services/llmProvider');
+const { analyzeContract, parseModelJSON } = require('../services/aiAnalysis');
+
+// Text answers as models write them when they skip the tool
+const corpus = [
+  {
+    name: 'plain JSON',
+    text: '{"property": {"purchasePrice": 500000}}',
+    expected: { property: { purchasePrice: 500000 } }
+  },
+  {
+    name: 'a fenced block with a preamble and a sign-off',
+    text: 'Here is the analysis:\n```json\n{"parties": {"buyer": {"name": "John Smith"}}}\n```\nLet me know if you need anything else.',
+    expected: { parties: { buyer: { name: 'John Smith' } } }
+  },
+  {
+    name: 'a fence without a language tag',
+    text: '```\n{"escrow": {"openingDate": "2024-01-15"}}\n```',
+    expected: { escrow: { openingDate: '2024-01-15' } }
+  },
+  {
+    name: 'JSON inside prose',
+    text: 'Based on the contract, the key terms are {"property": {"purchasePrice": 500000}} as stated in section 2.',
+    expected: { property: { purchasePrice: 500000 } }
+  },
+  {
+    name: 'the first of two objects',
+    text: '{"closingInfo": {"outsideDate": "2024-03-15"}}\n\nAlternatively: {"closingInfo": {"outsideDate": "TBD"}}',
+    expected: { closingInfo: { outsideDate: '2024-03-15' } }
+  },
+  {
+    name: 'single quotes and unquoted keys',
+    text: "{property: {address: '123 Main Street', purchasePrice: 500000}}",
+    expected: { property: { address: '123 Main Street', purchasePrice: 500000 } }
+  },
+  {
+    name: 'an apostrophe inside a double-quoted value',
+    text: '{"parties": {"seller": {"name": "O\'Brien Holdings LLC"}}}',
+    expected: { parties: { seller: { name: "O'Brien Holdings LLC" } } }
+  },
+  {
+    name: 'trailing commas',
+    text: '{"contingencies": ["inspection", "financing",], "financing": {"cashDeal": true,},}',
+    expected: { contingencies: ['inspection', 'financing'], financing: { cashDeal: true } }
+  },
+  {
+    name: 'output truncated mid-value',
+    text: '{"property": {"address": "123 Main Street", "propertyType": "Multifam',
+    expected: { property: { address: '123 Main Street', propertyType: 'Multifam' } }
+  },
+  {
+    name: '// inside string values',
+    text: '{"escrow": {"companyName": "See https://escrow.example.com // Unit 4"}}',
+    expected: { escrow: { companyName: 'See https://escrow.example.com // Unit 4' } }
+  },
+  {
+    name: 'a // comment between fields',
+    text: '{"deposits": {"firstDeposit": {"amount": 25000}, // due in 3 days\n "secondDeposit": {"amount": 50000}}}',
+    expected: { deposits: { firstDeposit: { amount: 25000 }, secondDeposit: { amount: 50000 } } }
+  },
+  {
+    name: 'a brace inside a string value',
+    text: '{"notes": "deposit {first} is refundable"} trailing text',
+    expected: { notes: 'deposit {first} is refundable' }
+  },
+  {
+    name: 'Python literals',
+    text: '{"financing": {"loanAmount": None, "cashDeal": True}}',
+    expected: { financing: { loanAmount: null, cashDeal: true } }
+  }
+];
+
+describe('parseModelJSON', () => {
+  corpus.forEach(({ name, text, expected }) => {
+    it(`parses ${name}`, () => {
+      assert.deepEqual(parseModelJSON(text), expected);
+    });
+  });
+
+  it('returns null when the answer has no JSON', () => {
+    assert.equal(parseModelJSON('I could not find a purchase agreement in this text.'), null);
+    assert.equal(parseModelJSON(''), null);
+    assert.equal(parseModelJSON(undefined), null);
+  });
+});
+
+describe('text answer instead of a tool call', () => {
+  const contract = 'PURCHASE AGREEMENT. Property Address: 123 Main Street, Anytown, CA 90210. ' +
+    'Purchase Price: $500,000. Buyer: John Smith. Seller: Jane Doe Properties LLC. ' +
+    'Escrow shall open on January 15, 2024.';
+
+  afterEach(() => {
+    setProvider(null);
+  });
+
+  it('analyzes the JSON in the text', async () => {
+    // Queued strings come back as text answers, as from a model that ignored the tool
+    setProvider(createMockProvider({
+      responses: ["Sure! Here's what I found:\n```json\n{'parties': {'buyer': {'name': 'John Smith'},}, 'escrow': {'openingDate': '2024-01-15'}}\n```"]
+    }));
+
+    const summary = await analyzeContract(contract);
+
+    assert.equal(summary.parties.buyer.name, 'John Smith');
+    assert.equal(summary.escrow.openingDate, '2024-01-15');
+    assert.equal(summary._meta.degraded, false);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+
+useFakeSupabase();
+const { buildPipeline } = require('../services/pipeline');
+
+const AS_OF = '2024-02-01';
+
+const contracts = [
+  {
+    id: 'retail',
+    user_id: 'user-1',
+    file_name: 'retail.pdf',
+    analysis: {
+      property: { address: '1 Market Street', propertyType: 'Retail', purchasePrice: 500000 },
+      escrow: { openingDate: '2024-01-15' },
+      dueDiligence: { endDate: '2024-02-05' },
+      closingInfo: { outsideDate: '2024-03-15' }
+    }
+  },
+  {
+    id: 'office',
+    user_id: 'user-2',
+    file_name: 'office.pdf',
+    analysis: {
+      property: { address: 'Not found', propertyType: ' retail ', purchasePrice: 750000 },
+      closingInfo: { outsideDate: '2024-01-20' }
+    }
+  },
+  {
+    id: 'land',
+    user_id: 'user-1',
+    file_name: 'land.pdf',
+    analysis: { property: { purchasePrice: 'TBD' }, dueDiligence: { endDate: '2024-02-25' } }
+  }
+];
+
+const deposits = [
+  { id: 'd1', contract_id: 'retail', amount: 25000, due_date: '2024-01-18', refundable: true, refundable_until: '2024-02-05', status: 'due' },
+  { id: 'd2', contract_id: 'retail', amount: 50000, due_date: '2024-02-10', refundable: false, status: 'not_yet_due' },
+  { id: 'd3', contract_id: 'office', amount: 40000, due_date: '2024-01-05', refundable: false, status: 'paid' },
+  { id: 'd4', contract_id: 'office', amount: 10000, due_date: '2024-01-05', refundable: true, status: 'refunded' }
+];
+
+const payments = [
+  { deposit_id: 'd1', amount: 25000, paid_on: '2024-01-18' },
+  { deposit_id: 'd3', amount: 40000, paid_on: '2024-01-05' },
+  { deposit_id: 'd4', amount: 10000, paid_on: '2024-01-05' }
+];
+
+describe('buildPipeline', () => {
+  const pipeline = buildPipeline(contracts, deposits, payments, { asOf: AS_OF, agentNames: { 'user-1': 'owner@example.com' } });
+
+  it('totals the open deals', () => {
+    assert.deepEqual(pipeline.openDeals, { count: 3, totalPurchasePrice: 1250000 });
+  });
+
+  it('splits deposits by exposure as of the day, re-deriving their status', () => {
+    assert.deepEqual(pipeline.deposits, {
+      refundable: { count: 1, amount: 25000 },
+      hard: { count: 1, amount: 40000 },
+      pending: { count: 1, amount: 50000 }
+    });
+  });
+
+  it('lists deadlines in the coming windows in date order', () => {
+    assert.equal(pipeline.deadlines.next7Days, 1);
+    assert.equal(pipeline.deadlines.next30Days, 2);
+    assert.deepEqual(pipeline.deadlines.upcoming.map(({ contract, key, daysAway }) => [contract.id, key, daysAway]), [
+      ['retail', 'due-diligence-end', 4],
+      ['land', 'due-diligence-end', 24]
+    ]);
+  });
+
+  it('lists deals past their outside date', () => {
+    assert.deepEqual(pipeline.pastOutsideDate, {
+      count: 1,
+      contracts: [{ contract: { id: 'office', fileName: 'office.pdf', address: null }, outsideDate: '2024-01-20', daysPast: 12 }]
+    });
+  });
+
+  it('groups deals by closing month, property type and agent', () => {
+    const summarize = (groups) => groups.map(({ key, label, count, totalPurchasePrice }) => [key, label, count, totalPurchasePrice]);
+
+    assert.deepEqual(summarize(pipeline.groups.byMonth), [
+      ['2024-01', '2024-01', 1, 750000],
+      ['2024-03', '2024-03', 1, 500000],
+      ['unscheduled', 'No outside date', 1, 0]
+    ]);
+    assert.deepEqual(summarize(pipeline.groups.byPropertyType), [
+      ['retail', 'retail', 2, 1250000],
+      ['unknown', 'unknown', 1, 0]
+    ]);
+    assert.deepEqual(summarize(pipeline.groups.byAgent), [
+      ['user-2', 'user-2', 1, 750000],
+      ['user-1', 'owner@example.com', 2, 500000]
+    ]);
+    assert.deepEqual(pipeline.groups.byAgent[1].deposits.pending, { count: 1, amount: 50000 });
+  });
+
+  it('handles an empty book', () => {
+    const empty = buildPipeline([], [], [], { asOf: AS_OF });
+
+    assert.deepEqual(empty.openDeals, { count: 0, totalPurchasePrice: 0 });
+    assert.deepEqual(empty.deadlines, { next7Days: 0, next30Days: 0, upcoming: [] });
+    assert.deepEqual(empty.groups.byMonth, []);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SOURCES, locateValue, regexRecord, attachProvenance, markManualEdits } = require('../services/provenance');
+
+const contract = 'PURCHASE AGREEMENT\n' +
+  'Property Address: 123 Main Street,\nAnytown, CA 90210\n' +
+  'Purchase Price: $1,500,000.00. A deposit of $500,000 is due on January 15, 2024.\n' +
+  'Escrow opens 1/15/24 with First American Title Company.';
+
+const excerpt = (span) => contract.substring(span.start, span.end);
+
+describe('locateValue', () => {
+  it('finds amounts with or without thousands separators', () => {
+    assert.equal(excerpt(locateValue(contract, 1500000)), '1,500,000.00');
+    assert.equal(excerpt(locateValue(contract, 500000)), '500,000');
+  });
+
+  it('does not match an amount inside a larger number', () => {
+    assert.equal(locateValue(contract, 5000), null);
+  });
+
+  it('finds ISO dates written out, and marks them as not verbatim', () => {
+    const span = locateValue(contract, '2024-01-15');
+    assert.equal(excerpt(span), 'January 15, 2024');
+    assert.equal(span.exact, false);
+  });
+
+  it('finds text split across lines', () => {
+    const span = locateValue(contract, '123 Main Street, Anytown, CA 90210');
+    assert.equal(excerpt(span), '123 Main Street,\nAnytown, CA 90210');
+    assert.equal(span.exact, false);
+  });
+
+  it('searches only the given ranges', () => {
+    const start = contract.indexOf('Escrow');
+    const span = locateValue(contract, '2024-01-15', [{ start, end: contract.length }]);
+    assert.equal(excerpt(span), '1/15/24');
+  });
+});
+
+describe('regexRecord', () => {
+  it('points at the captured value', () => {
+    const pattern = /purchase price[:\s]+\$([\d,]+)/i;
+    const record = regexRecord(contract, pattern, contract.match(pattern), 0.6);
+
+    assert.equal(record.source, SOURCES.REGEX);
+    assert.equal(record.confidence, 0.6);
+    assert.equal(record.excerpt, '1,500,000');
+    assert.equal(contract.substring(record.start, record.end), '1,500,000');
+    assert.equal(record.pattern, pattern.source);
+  });
+});
+
+describe('attachProvenance', () => {
+  const analyze = () => {
+    const pattern = /escrow opens ([\d/]+)/i;
+    return {
+      property: { address: '123 Main Street, Anytown, CA 90210', purchasePrice: 1500000, apn: null },
+      escrow: { openingDate: '1/15/24', companyName: 'First American Title Company' },
+      financing: { cashDeal: true },
+      _meta: { provenance: { 'escrow.openingDate': regexRecord(contract, pattern, contract.match(pattern), 0.5) } }
+    };
+  };
+
+  it('records where each field came from', () => {
+    const summary = attachProvenance(analyze(), {
+      contractText: contract,
+      modelResult: {
+        property: { purchasePrice: 1500000, address: '123 Main Street, Anytown, CA 90210' },
+        escrow: { companyName: 'First American Title Company' },
+        financing: { cashDeal: true }
+      }
+    });
+    const { provenance } = summary._meta;
+
+    assert.deepEqual(provenance['property.purchasePrice'], {
+      source: SOURCES.MODEL,
+      confidence: 0.9,
+      start: contract.indexOf('1,500,000'),
+      end: contract.indexOf('1,500,000') + '1,500,000.00'.length,
+      excerpt: '1,500,000.00'
+    });
+    assert.equal(provenance['property.address'].confidence, 0.75);
+    assert.equal(provenance['escrow.companyName'].source, SOURCES.MODEL);
+    // Booleans are never located in the text
+    assert.equal(provenance['financing.cashDeal'].confidence, 0.5);
+    assert.equal(provenance['escrow.openingDate'].source, SOURCES.REGEX);
+    assert.equal(provenance['property.apn'].source, SOURCES.DEFAULT);
+  });
+
+  it('does not credit the model with values it did not return', () => {
+    const summary = attachProvenance(analyze(), { contractText: contract, modelResult: null });
+
+    assert.equal(summary._meta.provenance['property.purchasePrice'].source, SOURCES.DEFAULT);
+    assert.equal(summary._meta.provenance['escrow.openingDate'].source, SOURCES.REGEX);
+  });
+});
+
+describe('markManualEdits', () => {
+  it('marks edited fields and drops records for replaced children', () => {
+    const summary = {
+      contingencies: ['financing'],
+      _meta: {
+        provenance: {
+          'contingencies.0': { source: SOURCES.MODEL, confidence: 0.9 },
+          'contingencies.1': { source: SOURCES.MODEL, confidence: 0.9 },
+          'escrow.openingDate': { source: SOURCES.REGEX, confidence: 0.5 }
+        }
+      }
+    };
+
+    markManualEdits(summary, { contingencies: [], escrow: { openingDate: '2024-02-01' } });
+    const { provenance } = summary._meta;
+
+    assert.deepEqual(Object.keys(provenance).sort(), ['contingencies', 'escrow.openingDate']);
+    assert.equal(provenance.contingencies.source, SOURCES.MANUAL);
+    assert.equal(provenance['escrow.openingDate'].source, SOURCES.MANUAL);
+    assert.equal(provenance['escrow.openingDate'].confidence, 1);
+    assert.ok(provenance['escrow.openingDate'].editedAt);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/supabase');
+const { serve } = require('./helpers/server');
+
+const supabase = useFakeSupabase({
+  users: {
+    'owner-token': { id: 'user-1', email: 'owner@example.com' },
+    'counsel-token': { id: 'user-2', email: 'counsel@example.com' }
+  }
+});
+const contractRoutes = require('../routes/contracts');
+
+const CONTRACT_ID = '11111111-1111-4111-8111-111111111111';
+const SHARES_URL = `/api/contracts/${CONTRACT_ID}/shares`;
+
+describe('share routes', () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await serve({ '/api/contracts': contractRoutes });
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    supabase.tables.contracts = [{ id: CONTRACT_ID, user_id: 'user-1', organization_id: null, status: 'open' }];
+    supabase.tables.organization_members = [];
+    supabase.tables.contract_shares = [
+      { id: 'share-1', contract_id: CONTRACT_ID, email: 'counsel@example.com', access: 'edit', created_at: '2024-01-01T00:00:00.000Z' },
+      { id: 'share-2', contract_id: CONTRACT_ID, email: 'broker@example.com', access: 'view', created_at: '2024-01-02T00:00:00.000Z' }
+    ];
+  });
+
+  describe('GET /', () => {
+    it('lists the shares for those who manage the contract', async () => {
+      const { status, body } = await server.request('GET', SHARES_URL);
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.shares.map(share => share.email), ['counsel@example.com', 'broker@example.com']);
+    });
+
+    it('does not show who else a contract is shared with to the people it is shared with', async () => {
+      const { status, body } = await server.request('GET', SHARES_URL, { token: 'counsel-token' });
+
+      assert.equal(status, 403);
+      assert.equal(body.code, 'INSUFFICIENT_ACCESS');
+      assert.equal(body.shares, undefined);
+    });
+  });
+
+  describe('POST /', () => {
+    it('shares with view or edit access only', async () => {
+      const { status, body } = await server.request('POST', SHARES_URL, {
+        body: { email: 'partner@example.com', access: 'manage' }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'access must be one of: view, edit');
+      assert.equal(supabase.tables.contract_shares.length, 2);
+    });
+  });
+});
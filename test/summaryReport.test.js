@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDate, display, missingTerms, depositRows, deadlineRows, buildSummaryReport } = require('../services/summaryReport');
+
+const summary = () => ({
+  property: { address: '123 Main Street, Anytown, CA 90210', purchasePrice: 500000 },
+  parties: { buyer: { name: 'John Smith' }, seller: { name: 'Not specified' } },
+  escrow: { openingDate: '2024-01-15' },
+  deposits: { firstDeposit: { amount: 25000, timing: 'within 3 business days of opening escrow', dueDate: '2024-01-18' } },
+  dueDiligence: { period: '30 days from opening of escrow', endDate: 'TBD' },
+  closingInfo: { outsideDate: '2024-03-15' },
+  titleCompany: { name: 'First American Title' },
+  escrowCompany: { name: '' },
+  contingencies: ['Inspection'],
+  specialConditions: ['Seller to repair roof before closing']
+});
+
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('display', () => {
+  it('formats money and dates for print', () => {
+    assert.equal(formatDate('2024-01-15'), 'Jan 15, 2024');
+    assert.deepEqual(display(1500000.5, 'money'), { text: '$1,500,000.5', missing: false });
+    assert.deepEqual(display('2024-03-15', 'date'), { text: 'Mar 15, 2024', missing: false });
+    assert.deepEqual(display('30 days after opening', 'date'), { text: '30 days after opening', missing: false });
+  });
+
+  it('flags placeholders as TBD', () => {
+    ['Not found', 'not specified', 'TBD', '', null].forEach(value => {
+      assert.deepEqual(display(value, 'money'), { text: 'TBD', missing: true });
+    });
+  });
+});
+
+describe('missingTerms', () => {
+  it('lists the key terms that are empty or placeholders', () => {
+    assert.deepEqual(missingTerms(summary()), ['Seller', 'Due diligence end date', 'Escrow company']);
+  });
+
+  it('lists every key term for an empty summary', () => {
+    assert.equal(missingTerms({}).length, 10);
+  });
+});
+
+describe('depositRows', () => {
+  it('uses the ledger when there is one', () => {
+    const rows = depositRows(summary(), [
+      { label: 'First deposit', amount: 25000, due_date: '2024-01-18', refundable: true, refundable_until: '2024-02-14', status: 'hard' }
+    ]);
+
+    assert.deepEqual(rows, [['First deposit', { text: '$25,000', missing: false }, 'Jan 18, 2024', 'Until Feb 14, 2024', 'Hard']]);
+  });
+
+  it('falls back to the deposits in the summary', () => {
+    assert.deepEqual(depositRows(summary(), []), [
+      ['First deposit', { text: '$25,000', missing: false }, 'Jan 18, 2024', 'No', 'Not yet due']
+    ]);
+  });
+});
+
+describe('deadlineRows', () => {
+  it('lists dated milestones and the key dates still TBD', () => {
+    const rows = deadlineRows(summary());
+
+    assert.deepEqual(rows.map(([label, date]) => [label, typeof date === 'string' ? date : date.text]), [
+      ['Escrow opens', 'Jan 15, 2024'],
+      ['First deposit due', 'Jan 18, 2024'],
+      ['Outside closing date', 'Mar 15, 2024'],
+      ['Due diligence period ends', 'TBD']
+    ]);
+  });
+});
+
+describe('buildSummaryReport', () => {
+  it('renders a PDF', async () => {
+    const pdf = await buildSummaryReport(
+      { id: 'contract-1', file_name: 'purchase-agreement.pdf', analysis: summary() },
+      { generatedAt: new Date('2024-01-20T12:00:00Z') }
+    );
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-8).toString(), /%%EOF\s*$/);
+    assert.equal(pageCount(pdf), 1);
+  });
+
+  it('adds pages for long schedules', async () => {
+    const long = summary();
+    long.contingencies = Array.from({ length: 60 }, (_, index) => `Contingency number ${index + 1} with enough wording to fill a row`);
+
+    const pdf = await buildSummaryReport({ id: 'contract-1', file_name: 'purchase-agreement.pdf', analysis: long });
+
+    assert.ok(pageCount(pdf) > 1);
+  });
+
+  it('renders a contract with no analysis', async () => {
+    const pdf = await buildSummaryReport({ id: 'contract-1', file_name: 'purchase-agreement.pdf', analysis: null });
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+});
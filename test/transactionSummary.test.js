@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildDefaults,
+  buildPromptTemplate,
+  validateSummary,
+  removeInvalidFields
+} = require('../schemas/transactionSummary');
+
+describe('buildDefaults', () => {
+  it('builds a summary that passes its own schema', () => {
+    assert.deepEqual(validateSummary(buildDefaults()), { valid: true, warnings: [] });
+  });
+
+  it('fills in each field with its default', () => {
+    const defaults = buildDefaults();
+
+    assert.equal(defaults.property.address, 'Not found');
+    assert.equal(defaults.property.purchasePrice, 0);
+    assert.equal(defaults.escrow.openingDate, 'TBD');
+    assert.equal(defaults.deposits.firstDeposit.refundable, true);
+    assert.equal(defaults.deposits.secondDeposit.refundable, false);
+    assert.equal(defaults.deposits.firstDeposit.status, 'not_yet_due');
+    assert.deepEqual(defaults.contingencies, []);
+    assert.deepEqual(defaults.titleCompany, {});
+  });
+
+  it('leaves out system fields without a default', () => {
+    assert.equal('_meta' in buildDefaults(), false);
+  });
+
+  it('returns a new object each time', () => {
+    const first = buildDefaults();
+    first.contingencies.push('inspection');
+    assert.deepEqual(buildDefaults().contingencies, []);
+  });
+});
+
+describe('buildPromptTemplate', () => {
+  it('shows the model examples and leaves out system fields', () => {
+    const template = buildPromptTemplate();
+
+    assert.equal(template.property.address, 'exact address from contract');
+    assert.equal(template.escrow.openingDate, 'YYYY-MM-DD or TBD');
+    assert.equal('status' in template.deposits.firstDeposit, false);
+    assert.equal('actualDate' in template.deposits.firstDeposit, false);
+    assert.equal('actualClosing' in template.closingInfo, false);
+    assert.equal('_meta' in template, false);
+  });
+
+  it('uses null and [] for a blank template', () => {
+    const template = buildPromptTemplate({ blank: true });
+
+    assert.equal(template.property.address, null);
+    assert.deepEqual(template.specialConditions, []);
+  });
+});
+
+describe('validateSummary', () => {
+  it('reports one warning per invalid field', () => {
+    const summary = buildDefaults();
+    summary.escrow.openingDate = 'January 15';
+    summary.property.purchasePrice = -5;
+
+    const { valid, warnings } = validateSummary(summary);
+
+    assert.equal(valid, false);
+    assert.deepEqual(warnings, [
+      { field: 'property.purchasePrice', code: 'minimum', message: 'must be >= 0' },
+      { field: 'escrow.openingDate', code: 'anyOf', message: 'must be a YYYY-MM-DD date, "TBD" or null' }
+    ]);
+  });
+
+  it('reports missing and unknown fields by path', () => {
+    const summary = buildDefaults();
+    delete summary.escrow;
+    summary.property.zoning = 'R-1';
+
+    const { warnings } = validateSummary(summary);
+
+    assert.deepEqual(warnings.map(({ field, code }) => ({ field, code })), [
+      { field: 'escrow', code: 'missing' },
+      { field: 'property.zoning', code: 'unknown_field' }
+    ]);
+  });
+
+  it('allows missing fields in a partial summary', () => {
+    assert.deepEqual(
+      validateSummary({ deposits: { firstDeposit: { amount: 25000 } } }, { partial: true }),
+      { valid: true, warnings: [] }
+    );
+    assert.equal(validateSummary({ deposits: { firstDeposit: { amount: 'lots' } } }, { partial: true }).valid, false);
+  });
+
+  it('reports system-maintained fields in user edits, at every depth', () => {
+    const edits = {
+      deposits: {
+        firstDeposit: { amount: 25000, status: 'paid' },
+        additionalDeposits: [{ amount: 10000 }, { amount: 5000, dueDate: '2024-02-01' }]
+      },
+      closingInfo: { actualClosing: '2024-03-15' }
+    };
+
+    assert.equal(validateSummary(edits, { partial: true }).valid, true);
+    assert.deepEqual(validateSummary(edits, { partial: true, edits: true }).warnings.map(({ field, code }) => ({ field, code })), [
+      { field: 'deposits.firstDeposit.status', code: 'read_only' },
+      { field: 'deposits.additionalDeposits.1.dueDate', code: 'read_only' },
+      { field: 'closingInfo.actualClosing', code: 'read_only' }
+    ]);
+  });
+});
+
+describe('removeInvalidFields', () => {
+  it('removes the invalid fields and keeps the rest', () => {
+    const summary = {
+      escrow: { openingDate: 'soon', companyName: 'First American Title Company' },
+      contingencies: ['inspection', 42, 'financing', 7]
+    };
+
+    removeInvalidFields(summary, [
+      { field: 'escrow.openingDate', code: 'anyOf' },
+      { field: 'contingencies.1', code: 'anyOf' },
+      { field: 'contingencies.3', code: 'anyOf' },
+      { field: 'financing', code: 'missing' }
+    ]);
+
+    assert.deepEqual(summary, {
+      escrow: { companyName: 'First American Title Company' },
+      contingencies: ['inspection', 'financing']
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isMeaningful } = require('../utils/values');
+
+describe('isMeaningful', () => {
+  it('treats placeholders as saying nothing', () => {
+    [null, undefined, '', '  ', 'TBD', 'tbd', 'Not found', 0, NaN].forEach(value => {
+      assert.equal(isMeaningful(value), false, String(value));
+    });
+  });
+
+  it('accepts real values', () => {
+    ['John Smith', 500000, false, {}, []].forEach(value => {
+      assert.equal(isMeaningful(value), true, String(value));
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractWordText } = require('../services/wordBinary');
+const { compoundFile } = require('./fixtures/word/build');
+
+// Fixtures are built by test/fixtures/word/build.js
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'word', name));
+
+describe('extractWordText', () => {
+  describe('Word 97 piece table', () => {
+    const text = extractWordText(fixture('word97-pieces.doc'));
+
+    it('reads the pieces in character order, whatever their order in the stream', () => {
+      assert.equal(text, [
+        'RESIDENTIAL PURCHASE AGREEMENT',
+        '1. PROPERTY',
+        'Seller agrees to sell the real property at 123 Main Street, Anytown, CA 90210 “as is”.',
+        'Deposit\tAmount\tDue',
+        'Initial deposit\t$25,000\twithin 3 business days',
+        '\f2. CLOSING',
+        'Close of escrow within 60 days — see the escrow instructions.',
+        'Buyer: José Núñez Łukasz €',
+        'Signed on March 3, 1998 by the sell-side agent.',
+        ''
+      ].join('\n'));
+    });
+
+    it('decodes compressed pieces as cp1252', () => {
+      assert.match(text, /“as is”/);
+    });
+
+    it('decodes Unicode pieces as UTF-16LE', () => {
+      assert.match(text, /José Núñez Łukasz €/);
+    });
+
+    it('keeps field results and drops field codes, including nested fields', () => {
+      assert.match(text, /see the escrow instructions\./);
+      assert.match(text, /Signed on March 3, 1998 by/);
+      assert.doesNotMatch(text, /HYPERLINK|DATE|SET|ignored/);
+    });
+
+    it('stops at the end of the main text', () => {
+      assert.doesNotMatch(text, /Footnote/);
+    });
+  });
+
+  describe('Word 6/95', () => {
+    it('reads the main text from fcMin', () => {
+      assert.equal(extractWordText(fixture('word95.doc')), [
+        'EXCLUSIVE LISTING AGREEMENT',
+        'Broker:\tAcme Realty',
+        'Commission:\t6% of the “purchase price”',
+        'Term ends December 31, 1996.',
+        ''
+      ].join('\n'));
+    });
+
+    it('rejects fast-saved files', () => {
+      assert.throws(() => extractWordText(fixture('word95-fast-saved.doc')), /Fast-saved Word 6\.0\/95 documents are not supported/);
+    });
+  });
+
+  it('rejects password-protected files', () => {
+    assert.throws(() => extractWordText(fixture('word97-encrypted.doc')), /password-protected/);
+  });
+
+  it('rejects compound files without a WordDocument stream', () => {
+    const workbook = compoundFile({ Workbook: Buffer.alloc(1024) });
+    assert.throws(() => extractWordText(workbook), /WordDocument stream missing/);
+  });
+
+  it('rejects a WordDocument stream without the Word signature', () => {
+    const notWord = compoundFile({ WordDocument: Buffer.alloc(1024) });
+    assert.throws(() => extractWordText(notWord), /bad FIB signature/);
+  });
+});
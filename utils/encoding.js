@@ -0,0 +1,30 @@
+/**
+ * Windows-1252 decoding.
+ *
+ * Node's TextDecoder treats 'windows-1252' as ISO-8859-1, which turns smart
+ * quotes, dashes and the euro sign (0x80-0x9F) into invisible control
+ * characters. Old Word and RTF files are full of them.
+ */
+
+// 0x80-0x9F; undefined bytes keep their Latin-1 code point
+const HIGH_CONTROL_RANGE = [
+  0x20ac, 0x81, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021, 0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8d, 0x017d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x9d, 0x017e, 0x0178
+];
+
+/**
+ * Decode Windows-1252 bytes
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeCp1252(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    text += String.fromCharCode(byte >= 0x80 && byte <= 0x9f ? HIGH_CONTROL_RANGE[byte - 0x80] : byte);
+  }
+  return text;
+}
+
+module.exports = {
+  decodeCp1252
+};
@@ -0,0 +1,125 @@
+/**
+ * Helpers for reading and writing nested values by dotted path, e.g. "deposits.firstDeposit.amount"
+ */
+
+/**
+ * Split a dotted path into segments
+ * @param {string|Array<string>} path
+ * @returns {Array<string>}
+ */
+function toSegments(path) {
+  if (Array.isArray(path)) return path;
+  return path === '' ? [] : String(path).split('.');
+}
+
+/**
+ * Read a nested value
+ * @param {Object} object
+ * @param {string|Array<string>} path
+ * @returns {*} - The value, or undefined if any segment is missing
+ */
+function getPath(object, path) {
+  return toSegments(path).reduce(
+    (current, key) => (current === null || current === undefined ? undefined : current[key]),
+    object
+  );
+}
+
+/**
+ * Write a nested value, creating intermediate objects as needed
+ * @param {Object} object
+ * @param {string|Array<string>} path
+ * @param {*} value
+ */
+function setPath(object, path, value) {
+  const segments = toSegments(path);
+  let current = object;
+
+  segments.slice(0, -1).forEach(key => {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+
+  current[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Remove a nested value. Array elements are spliced out rather than left as holes.
+ * @param {Object} object
+ * @param {string|Array<string>} path
+ * @returns {boolean} - Whether anything was removed
+ */
+function deletePath(object, path) {
+  const segments = toSegments(path);
+  const parent = getPath(object, segments.slice(0, -1));
+  const key = segments[segments.length - 1];
+
+  if (parent === null || typeof parent !== 'object' || !(key in parent)) {
+    return false;
+  }
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return true;
+}
+
+/**
+ * Flatten an object into dotted paths. Array elements get index segments
+ * ("contingencies.0"); empty objects and arrays are kept as leaves.
+ * @param {Object} object
+ * @param {Object} [options]
+ * @param {Array<string>} [options.skip] - Top-level keys to leave out
+ * @param {boolean} [options.keepArrays=false] - Keep arrays whole as leaves instead of flattening their items
+ * @returns {Object<string, *>} - Map of path to primitive value (or array, with keepArrays)
+ */
+function flattenObject(object, { skip = [], keepArrays = false } = {}, prefix = '', out = {}) {
+  Object.keys(object).forEach(key => {
+    if (!prefix && skip.includes(key)) return;
+
+    const value = object[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isLeafArray = keepArrays && Array.isArray(value);
+
+    if (value !== null && typeof value === 'object' && !isLeafArray && Object.keys(value).length > 0) {
+      flattenObject(value, { skip, keepArrays }, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Recursively merge `source` into a copy of `target`. Plain objects are merged
+ * key by key; arrays and primitives in `source` replace what was there.
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} - New merged object
+ */
+function mergeDeep(target, source) {
+  const result = { ...target };
+
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    const existing = result[key];
+    const bothObjects = [value, existing].every(item => item !== null && typeof item === 'object' && !Array.isArray(item));
+
+    result[key] = bothObjects ? mergeDeep(existing, value) : value;
+  });
+
+  return result;
+}
+
+module.exports = {
+  getPath,
+  setPath,
+  deletePath,
+  flattenObject,
+  mergeDeep
+};
@@ -0,0 +1,23 @@
+/**
+ * Helpers for judging extracted values
+ */
+
+/**
+ * Whether a value actually says something about a field - placeholders like
+ * "TBD", "Not found", empty strings, 0 and null do not
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMeaningful(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed !== '' && trimmed.toUpperCase() !== 'TBD' && trimmed !== 'Not found';
+  }
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  return true;
+}
+
+module.exports = {
+  isMeaningful
+};